@@ -3,14 +3,27 @@ const fs = require('fs').promises;
 const path = require('path');
 const SSHManager = require('./SSHManager');
 const db = require('./database');
+const JobQueueService = require('../services/JobQueueService');
+const VideoPreviewService = require('../services/VideoPreviewService');
+const StorageQuotaService = require('../services/StorageQuotaService');
 
 class FTPManager {
     constructor() {
         this.activeConnections = new Map();
-        this.activeMigrations = new Map();
         this.connectionTimeout = 30 * 60 * 1000; // 30 minutos
         
         this.startCleanupTimer();
+
+        // Migrações rodam na fila de tarefas; a senha FTP fica cifrada no registro e sai dele ao terminar
+        JobQueueService.register('ftp_migracao', {
+            run: (job, ctx) => this.runMigration(job, ctx),
+            concurrencyPerUser: 1,
+            maxAttempts: 3,
+            sanitizePayload: (payload) => ({
+                ...payload,
+                connection: payload.connection ? { ...payload.connection, senha: null, senha_cifrada: null } : null
+            })
+        });
     }
 
     // Conectar ao servidor FTP
@@ -212,206 +225,257 @@ class FTPManager {
         }
     }
 
-    // Migrar arquivos
-    async migrateFiles(userId, files, destinationFolder) {
-        try {
-            // Verificar se já existe migração ativa
-            if (this.activeMigrations.has(userId)) {
-                throw new Error('Já existe uma migração em andamento');
-            }
-
-            const client = await this.getConnection(userId);
-            
-            // Buscar dados da pasta de destino
-            const [folderRows] = await db.execute(
-                'SELECT identificacao, codigo_servidor, espaco, espaco_usado FROM streamings WHERE codigo = ? AND codigo_cliente = ?',
-                [destinationFolder, userId]
-            );
-
-            if (folderRows.length === 0) {
-                throw new Error('Pasta de destino não encontrada');
-            }
+    // Migrar arquivos (enfileira a tarefa 'ftp_migracao')
+    async migrateFiles(userId, files, destinationFolder, options = {}) {
+        const connectionInfo = this.activeConnections.get(userId);
+        if (!connectionInfo) {
+            throw new Error('Conexão FTP não encontrada. Conecte-se novamente.');
+        }
 
-            const folderData = folderRows[0];
-            const folderName = folderData.identificacao;
-            const serverId = folderData.codigo_servidor || 1;
-            const userLogin = await this.getUserLogin(userId);
+        // Verificar se já existe migração ativa
+        const current = await JobQueueService.findCurrent(userId, 'ftp_migracao');
+        if (current && ['pendente', 'executando'].includes(current.status)) {
+            throw new Error('Já existe uma migração em andamento');
+        }
+        
+        // Buscar dados da pasta de destino
+        const folderData = await StorageQuotaService.getFolderSpace(userId, destinationFolder);
 
-            // Verificar espaço disponível
-            const availableSpace = folderData.espaco - folderData.espaco_usado;
-            const estimatedTotalSize = files.length * 50; // Estimativa
+        if (!folderData) {
+            throw new Error('Pasta de destino não encontrada');
+        }
 
-            if (estimatedTotalSize > availableSpace) {
-                throw new Error(`Espaço insuficiente. Necessário: ~${estimatedTotalSize}MB, Disponível: ${availableSpace}MB`);
-            }
+        // Verificar espaço disponível com o tamanho informado pelo FTP; cada arquivo ainda
+        // reserva o próprio espaço antes de ser copiado
+        const client = await this.getConnection(userId);
+        let totalBytes = 0;
+        for (const filePath of files) {
+            totalBytes += await client.size(filePath).catch(() => 0);
+        }
+        const estimatedTotalSize = Math.ceil(totalBytes / (1024 * 1024));
 
-            // Inicializar dados da migração
-            const migrationData = {
-                files: files,
-                startTime: new Date(),
-                status: 'migrating',
-                completed: 0,
-                errors: [],
-                totalSize: 0,
-                destinationFolder: destinationFolder,
-                folderName: folderName,
-                serverId: serverId,
-                userLogin: userLogin
-            };
+        if (estimatedTotalSize > folderData.availableSpace) {
+            throw new Error(`Espaço insuficiente. Necessário: ${estimatedTotalSize}MB, Disponível: ${Math.max(folderData.availableSpace, 0)}MB`);
+        }
 
-            this.activeMigrations.set(userId, migrationData);
+        // A conexão vai junto para a migração continuar mesmo após um restart; a senha vai
+        // cifrada e é removida do registro quando a tarefa termina
+        const { senha, ...connectionData } = connectionInfo.connectionData;
+        const job = await JobQueueService.enqueue(userId, 'ftp_migracao', {
+            files,
+            destination_folder: destinationFolder,
+            connection: { ...connectionData, senha_cifrada: JobQueueService.encryptSecret(senha) }
+        }, {
+            descricao: `Migração FTP de ${files.length} arquivo(s) para ${folderData.identificacao}`,
+            referencia: destinationFolder,
+            prioridade: options.prioridade
+        });
 
-            // Garantir estrutura no servidor
-            await SSHManager.createCompleteUserStructure(serverId, userLogin, {
-                bitrate: 2500,
-                espectadores: 100,
-                status_gravando: 'nao'
-            });
-            
-            await SSHManager.createUserFolder(serverId, userLogin, folderName);
+        return {
+            success: true,
+            migration_id: String(job.codigo),
+            job_id: job.codigo,
+            total_files: files.length,
+            estimated_time: `${Math.ceil(files.length * 2)} minutos`
+        };
+    }
 
-            // Processar arquivos em background
-            this.processMigrationFiles(userId, migrationData, client);
+    // Executor da tarefa: baixa cada arquivo do FTP, envia via SSH e cadastra o vídeo.
+    // Arquivos já cadastrados na pasta são pulados, então uma nova tentativa continua de onde parou.
+    async runMigration(job, ctx) {
+        const userId = job.codigo_cliente;
+        const { files, destination_folder: destinationFolder, connection } = job.payload;
 
-            return {
-                success: true,
-                migration_id: `${userId}_${Date.now()}`,
-                total_files: files.length,
-                estimated_time: `${Math.ceil(files.length * 2)} minutos`
-            };
+        const [folderRows] = await db.execute(
+            'SELECT identificacao, codigo_servidor FROM streamings WHERE codigo = ? AND codigo_cliente = ?',
+            [destinationFolder, userId]
+        );
 
-        } catch (error) {
-            this.activeMigrations.delete(userId);
-            throw error;
+        if (folderRows.length === 0) {
+            throw Object.assign(new Error('Pasta de destino não encontrada'), { retryable: false });
         }
-    }
 
-    // Processar arquivos da migração
-    async processMigrationFiles(userId, migrationData, client) {
-        const { files, serverId, userLogin, folderName, destinationFolder } = migrationData;
+        const folderName = folderRows[0].identificacao;
+        const serverId = folderRows[0].codigo_servidor || 1;
+        const userLogin = await this.getUserLogin(userId);
+
+        // Conexão própria da tarefa (a do usuário pode expirar ou ser usada para navegar)
+        const client = new Client();
+        client.ftp.timeout = 30000;
+        ctx.onCancel(() => client.close());
+
+        await client.access({
+            host: connection.ip,
+            port: connection.porta || 21,
+            user: connection.usuario,
+            // Tarefas enfileiradas antes da senha cifrada ainda trazem a senha aberta
+            password: connection.senha_cifrada ? JobQueueService.decryptSecret(connection.senha_cifrada) : connection.senha,
+            secure: false
+        });
+
+        // Garantir estrutura no servidor
+        await SSHManager.createCompleteUserStructure(serverId, userLogin, {
+            bitrate: 2500,
+            espectadores: 100,
+            status_gravando: 'nao'
+        });
         
-        for (let i = 0; i < files.length; i++) {
-            const filePath = files[i];
-            
-            try {
-                console.log(`📥 Migrando arquivo ${i + 1}/${files.length}: ${filePath}`);
-                
+        await SSHManager.createUserFolder(serverId, userLogin, folderName);
+
+        const migration = {
+            completed: 0,
+            skipped: 0,
+            errors: [],
+            failed_files: [],
+            total_size: 0,
+            total: files.length
+        };
+
+        try {
+            for (let i = 0; i < files.length; i++) {
+                ctx.throwIfCancelled();
+                const filePath = files[i];
                 const fileName = path.basename(filePath);
                 const sanitizedFileName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_');
-                const tempFilePath = `/tmp/ftp_${userId}_${Date.now()}_${sanitizedFileName}`;
+                const tempFilePath = `/tmp/ftp_${userId}_${job.codigo}_${sanitizedFileName}`;
                 const remotePath = `/home/streaming/${userLogin}/${folderName}/${sanitizedFileName}`;
 
-                // Download do arquivo via FTP
-                await client.downloadTo(tempFilePath, filePath);
-                
-                // Verificar se arquivo foi baixado
-                const stats = await fs.stat(tempFilePath);
-                const fileSizeMB = Math.ceil(stats.size / (1024 * 1024));
-                
-                console.log(`📊 Arquivo baixado: ${sanitizedFileName} (${fileSizeMB}MB)`);
+                ctx.progress(Math.round((i / files.length) * 100), `Migrando ${fileName} (${i + 1}/${files.length})`);
+                let reservation = null;
 
-                // Upload para servidor via SSH
-                await SSHManager.uploadFile(serverId, tempFilePath, remotePath);
-                
-                // Remover arquivo temporário
-                await fs.unlink(tempFilePath);
-                
-                console.log(`📤 Arquivo enviado para servidor: ${remotePath}`);
+                try {
+                    const [existingRows] = await db.execute(
+                        'SELECT id FROM videos WHERE caminho = ? AND pasta = ? LIMIT 1',
+                        [remotePath, destinationFolder]
+                    );
+                    if (existingRows.length > 0) {
+                        migration.completed++;
+                        migration.skipped++;
+                        continue;
+                    }
 
-                // Salvar no banco de dados
-                const relativePath = `streaming/${userLogin}/${folderName}/${sanitizedFileName}`;
-                
-                await db.execute(
-                    `INSERT INTO videos (
-                        nome, url, caminho, duracao, tamanho_arquivo,
-                        codigo_cliente, pasta, bitrate_video, formato_original,
-                        largura, altura, is_mp4, compativel, origem
-                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1920, 1080, ?, 'sim', 'ftp')`,
-                    [
-                        fileName,
-                        `${userLogin}/${folderName}/${sanitizedFileName}`,
-                        remotePath,
-                        0, // Duração será calculada depois se necessário
-                        stats.size,
-                        userId,
-                        destinationFolder,
-                        2500, // Bitrate padrão
-                        path.extname(fileName).substring(1),
-                        path.extname(fileName).toLowerCase() === '.mp4' ? 1 : 0
-                    ]
-                );
-
-                migrationData.completed++;
-                migrationData.totalSize += fileSizeMB;
-                
-                console.log(`✅ Arquivo migrado com sucesso: ${fileName}`);
+                    console.log(`📥 Migrando arquivo ${i + 1}/${files.length}: ${filePath}`);
 
-            } catch (fileError) {
-                console.error(`❌ Erro ao migrar ${filePath}:`, fileError);
-                migrationData.errors.push(`Erro ao migrar ${path.basename(filePath)}: ${fileError.message}`);
-            }
-        }
+                    const remoteSize = await client.size(filePath).catch(() => 0);
+                    reservation = await StorageQuotaService.reserve(userId, destinationFolder, Math.ceil(remoteSize / (1024 * 1024)), {
+                        origem: 'ftp',
+                        referencia: job.codigo
+                    });
+
+                    // Download do arquivo via FTP
+                    await client.downloadTo(tempFilePath, filePath);
+                    
+                    // Verificar se arquivo foi baixado
+                    const stats = await fs.stat(tempFilePath);
+                    const fileSizeMB = Math.ceil(stats.size / (1024 * 1024));
+                    
+                    console.log(`📊 Arquivo baixado: ${sanitizedFileName} (${fileSizeMB}MB)`);
+                    reservation = await StorageQuotaService.resize(userId, reservation, fileSizeMB);
 
-        // Atualizar espaço usado na pasta
-        if (migrationData.totalSize > 0) {
+                    // Upload para servidor via SSH
+                    await SSHManager.uploadFile(serverId, tempFilePath, remotePath);
+                    
+                    console.log(`📤 Arquivo enviado para servidor: ${remotePath}`);
+
+                    const [insertResult] = await db.execute(
+                        `INSERT INTO videos (
+                            nome, url, caminho, duracao, tamanho_arquivo,
+                            codigo_cliente, pasta, bitrate_video, formato_original,
+                            largura, altura, is_mp4, compativel, origem
+                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1920, 1080, ?, 'sim', 'ftp')`,
+                        [
+                            fileName,
+                            `${userLogin}/${folderName}/${sanitizedFileName}`,
+                            remotePath,
+                            0, // Duração será calculada depois se necessário
+                            stats.size,
+                            userId,
+                            destinationFolder,
+                            2500, // Bitrate padrão
+                            path.extname(fileName).substring(1),
+                            path.extname(fileName).toLowerCase() === '.mp4' ? 1 : 0
+                        ]
+                    );
+
+                    // Espaço usado é confirmado a cada arquivo para não se perder em uma interrupção
+                    await StorageQuotaService.commit(reservation.codigo, fileSizeMB);
+
+                    await VideoPreviewService.schedule(userId, insertResult.insertId, { descricao: fileName });
+
+                    migration.completed++;
+                    migration.total_size += fileSizeMB;
+                    
+                    console.log(`✅ Arquivo migrado com sucesso: ${fileName}`);
+
+                } catch (fileError) {
+                    ctx.throwIfCancelled();
+                    console.error(`❌ Erro ao migrar ${filePath}:`, fileError);
+                    migration.errors.push(`Erro ao migrar ${fileName}: ${fileError.message}`);
+                    migration.failed_files.push(filePath);
+                } finally {
+                    await StorageQuotaService.release(reservation?.codigo);
+                    await fs.unlink(tempFilePath).catch(() => {});
+                }
+
+                ctx.setResult(migration);
+            }
+        } finally {
+            // Fechar conexão FTP
             try {
-                await db.execute(
-                    'UPDATE streamings SET espaco_usado = espaco_usado + ? WHERE codigo = ?',
-                    [migrationData.totalSize, destinationFolder]
-                );
-            } catch (dbError) {
-                console.error('Erro ao atualizar espaço usado:', dbError);
+                client.close();
+            } catch (error) {
+                // Ignorar erros ao fechar
             }
         }
 
-        // Finalizar migração
-        migrationData.status = 'completed';
-        migrationData.endTime = new Date();
-        
-        console.log(`🎉 Migração concluída: ${migrationData.completed}/${files.length} arquivos, ${migrationData.totalSize}MB`);
-        
-        // Fechar conexão FTP
-        try {
-            client.close();
-        } catch (error) {
-            // Ignorar erros ao fechar
-        }
+        console.log(`🎉 Migração concluída: ${migration.completed}/${files.length} arquivos, ${migration.total_size}MB`);
+
+        return migration;
     }
 
-    // Obter status da migração
-    getMigrationStatus(userId) {
-        const migrationData = this.activeMigrations.get(userId);
+    // Obter status da migração (tarefa em execução, senão a próxima da fila, senão a última)
+    async getMigrationStatus(userId) {
+        const job = await JobQueueService.findCurrent(userId, 'ftp_migracao');
         
-        if (!migrationData) {
+        if (!job) {
             return {
                 migrating: false,
                 status: 'idle'
             };
         }
 
-        const uptime = Math.floor((new Date().getTime() - migrationData.startTime.getTime()) / 1000);
-        const progress = migrationData.files.length > 0 ? 
-            Math.round((migrationData.completed / migrationData.files.length) * 100) : 0;
+        const statusMap = {
+            pendente: 'queued',
+            executando: 'migrating',
+            concluido: 'completed',
+            erro: 'error',
+            cancelado: 'cancelled'
+        };
+        const migration = job.resultado || {};
+        const total = (job.payload.files || []).length || migration.total || 0;
+        const completed = migration.completed || 0;
+        const startTime = job.data_inicio || job.data_criacao;
+        const active = job.status === 'pendente' || job.status === 'executando';
 
         return {
-            migrating: migrationData.status === 'migrating',
-            status: migrationData.status,
-            progress: progress,
-            completed: migrationData.completed,
-            total: migrationData.files.length,
-            errors: migrationData.errors || [],
-            uptime: uptime,
-            total_size: migrationData.totalSize || 0,
-            estimated_remaining: migrationData.status === 'migrating' ? 
-                Math.ceil((migrationData.files.length - migrationData.completed) * 2) : 0
+            migrating: active,
+            status: statusMap[job.status],
+            progress: total > 0 ? Math.round((completed / total) * 100) : 0,
+            completed: completed,
+            total: total,
+            errors: [...(migration.errors || []), ...(job.status === 'erro' && job.erro ? [job.erro] : [])],
+            uptime: Math.floor((Date.now() - new Date(startTime).getTime()) / 1000),
+            total_size: migration.total_size || 0,
+            estimated_remaining: active ? Math.ceil((total - completed) * 2) : 0,
+            job_id: job.codigo
         };
     }
 
     // Cancelar migração
     async cancelMigration(userId) {
-        const migrationData = this.activeMigrations.get(userId);
+        const job = await JobQueueService.findCurrent(userId, 'ftp_migracao');
         
-        if (!migrationData) {
+        if (!job || !['pendente', 'executando'].includes(job.status)) {
             return {
                 success: true,
                 message: 'Nenhuma migração ativa encontrada'
@@ -419,9 +483,7 @@ class FTPManager {
         }
 
         try {
-            // Marcar como cancelada
-            migrationData.status = 'cancelled';
-            migrationData.endTime = new Date();
+            await JobQueueService.cancel(userId, job.codigo);
             
             console.log(`🛑 Migração cancelada para usuário ${userId}`);
 
@@ -504,15 +566,6 @@ class FTPManager {
                     console.log(`🧹 Conexão FTP expirada removida para usuário ${userId}`);
                 }
             }
-
-            // Limpar migrações antigas
-            for (const [userId, migrationData] of this.activeMigrations) {
-                if (migrationData.status !== 'migrating' && 
-                    now.getTime() - migrationData.startTime.getTime() > this.connectionTimeout) {
-                    this.activeMigrations.delete(userId);
-                    console.log(`🧹 Dados de migração expirados removidos para usuário ${userId}`);
-                }
-            }
         }, 10 * 60 * 1000); // A cada 10 minutos
     }
 
@@ -531,7 +584,6 @@ class FTPManager {
         }
         
         this.activeConnections.clear();
-        this.activeMigrations.clear();
     }
 }
 
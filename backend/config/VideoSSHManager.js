@@ -3,6 +3,9 @@ const fs = require('fs').promises;
 const path = require('path');
 const { spawn } = require('child_process');
 
+// Separa a saída de cada ffprobe quando vários arquivos são analisados no mesmo comando SSH
+const PROBE_SEPARATOR = '===FFPROBE===';
+
 class VideoSSHManager {
     constructor() {
         this.tempDir = '/tmp/video-cache';
@@ -10,6 +13,8 @@ class VideoSSHManager {
         this.cacheCleanupInterval = 30 * 60 * 1000; // 30 minutos
         this.downloadQueue = new Map();
         this.streamingMode = 'proxy'; // 'download' ou 'proxy'
+        this.probeBatchSize = 5; // arquivos por comando ffprobe na sincronização
+        this.probeConcurrency = parseInt(process.env.SYNC_PROBE_CONCURRENCY) || 3;
         
         this.initializeTempDir();
         this.startCleanupTimer();
@@ -56,8 +61,9 @@ class VideoSSHManager {
             const basePath = `/home/streaming/${userLogin}`;
             const searchPath = folderName ? `${basePath}/${folderName}` : basePath;
             
-            // Comando para listar apenas arquivos de vídeo recursivamente
-            const command = `find "${searchPath}" -type f \\( -iname "*.mp4" -o -iname "*.avi" -o -iname "*.mov" -o -iname "*.wmv" -o -iname "*.flv" -o -iname "*.webm" -o -iname "*.mkv" \\) -exec ls -la {} \\; 2>/dev/null || echo "NO_VIDEOS"`;
+            // Listar apenas arquivos de vídeo recursivamente: permissões, tamanho, mtime e caminho
+            // Versões ABR (<pasta>/.abr/) pertencem ao vídeo original e não entram na listagem
+            const command = `find "${searchPath}" -type f -not -path "*/.abr/*" \\( -iname "*.mp4" -o -iname "*.avi" -o -iname "*.mov" -o -iname "*.wmv" -o -iname "*.flv" -o -iname "*.webm" -o -iname "*.mkv" \\) -printf "%M\\t%s\\t%T@\\t%p\\n" 2>/dev/null || echo "NO_VIDEOS"`;
             
             const result = await SSHManager.executeCommand(serverId, command);
             
@@ -69,55 +75,18 @@ class VideoSSHManager {
             const lines = result.stdout.split('\n').filter(line => line.trim());
             
             for (const line of lines) {
-                if (line.includes('total ') || !line.trim()) continue;
-                
-                const parts = line.trim().split(/\s+/);
-                if (parts.length < 9) continue;
+                const parts = line.split('\t');
+                if (parts.length < 4) continue;
                 
                 const permissions = parts[0];
-                const size = parseInt(parts[4]) || 0;
-                const fullPath = parts.slice(8).join(' ');
+                const size = parseInt(parts[1]) || 0;
+                const mtime = Math.floor(parseFloat(parts[2])) || 0;
+                const fullPath = parts.slice(3).join('\t');
                 const fileName = path.basename(fullPath);
                 const relativePath = fullPath.replace(`/home/streaming/`, '');
                 const folderPath = path.dirname(relativePath);
                 const fileExtension = path.extname(fileName).toLowerCase();
                 
-                // Extrair duração e bitrate do vídeo via ffprobe
-                let duration = 0;
-                let videoBitrate = 0;
-                let videoFormat = fileExtension.substring(1);
-                try {
-                    const probeCommand = `ffprobe -v quiet -print_format json -show_format -show_streams "${fullPath}" 2>/dev/null || echo "NO_PROBE"`;
-                    const probeResult = await SSHManager.executeCommand(serverId, probeCommand);
-                    
-                    if (!probeResult.stdout.includes('NO_PROBE')) {
-                        const probeData = JSON.parse(probeResult.stdout);
-                        
-                        if (probeData.format) {
-                            duration = Math.floor(parseFloat(probeData.format.duration) || 0);
-                            videoBitrate = Math.floor(parseInt(probeData.format.bit_rate) / 1000) || 0; // Converter para kbps
-                        }
-                        
-                        if (probeData.streams) {
-                            const videoStream = probeData.streams.find(s => s.codec_type === 'video');
-                            if (videoStream && videoStream.codec_name) {
-                                videoFormat = videoStream.codec_name;
-                                // Se não conseguiu bitrate do format, tentar do stream de vídeo
-                                if (!videoBitrate && videoStream.bit_rate) {
-                                    videoBitrate = Math.floor(parseInt(videoStream.bit_rate) / 1000) || 0;
-                                }
-                            }
-                        }
-                    }
-                } catch (error) {
-                    console.warn(`Não foi possível obter informações de ${fileName}`);
-                }
-
-                // Verificar se é MP4 e se bitrate está dentro do limite
-                const isMP4 = fileExtension === '.mp4';
-                const userBitrateLimit = 2500; // Será obtido do contexto do usuário
-                const needsConversion = !isMP4 || (videoBitrate > 0 && videoBitrate > userBitrateLimit);
-                
                 // Nome do arquivo MP4 (sempre MP4 após conversão)
                 const mp4FileName = fileName.replace(/\.[^/.]+$/, '.mp4');
                 const mp4Path = fullPath.replace(/\.[^/.]+$/, '.mp4');
@@ -129,28 +98,22 @@ class VideoSSHManager {
                     fullPath: fullPath,
                     mp4Path: mp4Path,
                     mp4FileName: mp4FileName,
-                    is_mp4: isMP4,
-                    needs_conversion: needsConversion,
-                    bitrate_video: videoBitrate,
-                    bitrate_original: videoBitrate, // Bitrate original do arquivo
-                    formato_original: videoFormat,
-                    can_use: !needsConversion,
+                    is_mp4: fileExtension === '.mp4',
                     folder: folderPath.replace(`${userLogin}/`, '') || 'root',
                     size: size,
-                    duration: duration,
+                    mtime: mtime,
                     permissions: permissions,
-                    lastModified: new Date().toISOString(), // Seria melhor extrair do ls
+                    lastModified: new Date(mtime * 1000).toISOString(),
                     serverId: serverId,
                     userLogin: userLogin,
                     mp4Url: `/content/${relativePath.replace(fileName, mp4FileName)}`,
-                    originalFormat: fileExtension,
-                    user_bitrate_limit: userBitrateLimit
+                    originalFormat: fileExtension
                 });
             }
 
             console.log(`📹 Encontrados ${videos.length} vídeos no servidor para ${userLogin}`);
             
-            // Sincronizar com banco de dados
+            // Sincronizar com banco de dados (preenche duração, codec, resolução e bitrate)
             await this.syncVideosWithDatabase(videos, userLogin, serverId);
             
             return videos;
@@ -161,28 +124,169 @@ class VideoSSHManager {
         }
     }
 
+    // Extrai do JSON do ffprobe os campos gravados na tabela videos
+    parseProbeData(probeData) {
+        const metadata = {
+            duration: 0,
+            bitrate: 0,
+            codec_video: 'unknown',
+            codec_audio: null,
+            largura: 0,
+            altura: 0
+        };
+
+        if (probeData.format) {
+            metadata.duration = Math.floor(parseFloat(probeData.format.duration) || 0);
+            metadata.bitrate = Math.floor(parseInt(probeData.format.bit_rate) / 1000) || 0; // Converter para kbps
+        }
+
+        if (probeData.streams) {
+            const videoStream = probeData.streams.find(s => s.codec_type === 'video');
+            const audioStream = probeData.streams.find(s => s.codec_type === 'audio');
+
+            if (videoStream) {
+                metadata.codec_video = videoStream.codec_name || 'unknown';
+                metadata.largura = videoStream.width || 0;
+                metadata.altura = videoStream.height || 0;
+                // Se não conseguiu bitrate do format, tentar do stream de vídeo
+                if (!metadata.bitrate && videoStream.bit_rate) {
+                    metadata.bitrate = Math.floor(parseInt(videoStream.bit_rate) / 1000) || 0;
+                }
+            }
+            if (audioStream) {
+                metadata.codec_audio = audioStream.codec_name || null;
+            }
+        }
+
+        return metadata;
+    }
+
+    // Roda o ffprobe remoto em lotes (vários arquivos por comando SSH) com limite de comandos simultâneos.
+    // Retorna Map caminho -> metadados; arquivos que o ffprobe não leu ficam de fora.
+    async probeVideos(serverId, fullPaths) {
+        const results = new Map();
+        const batches = [];
+        for (let i = 0; i < fullPaths.length; i += this.probeBatchSize) {
+            batches.push(fullPaths.slice(i, i + this.probeBatchSize));
+        }
+
+        const quote = (value) => `'${value.replace(/'/g, `'\\''`)}'`;
+
+        const runBatch = async (batch) => {
+            const command = batch
+                .map(fullPath => `echo "${PROBE_SEPARATOR}"; ffprobe -v quiet -print_format json -show_format -show_streams ${quote(fullPath)} 2>/dev/null`)
+                .join('; ') + '; true';
+
+            try {
+                const result = await SSHManager.executeCommand(serverId, command);
+                const outputs = result.stdout.split(PROBE_SEPARATOR).slice(1);
+
+                batch.forEach((fullPath, index) => {
+                    try {
+                        const output = (outputs[index] || '').trim();
+                        if (output) {
+                            results.set(fullPath, this.parseProbeData(JSON.parse(output)));
+                        }
+                    } catch (parseError) {
+                        console.warn(`Não foi possível obter informações de ${path.basename(fullPath)}`);
+                    }
+                });
+            } catch (error) {
+                console.warn(`Erro ao analisar lote de ${batch.length} vídeos com ffprobe:`, error.message);
+            }
+        };
+
+        let next = 0;
+        const workers = Array.from({ length: Math.min(this.probeConcurrency, batches.length) }, async () => {
+            while (next < batches.length) {
+                await runBatch(batches[next++]);
+            }
+        });
+        await Promise.all(workers);
+
+        return results;
+    }
+
+    // Completa o objeto do vídeo listado com os metadados e o estado de compatibilidade
+    applyVideoMetadata(video, metadata) {
+        const userBitrateLimit = 2500; // Será obtido do contexto do usuário
+        const codecCompatible = ['h264', 'h265', 'hevc'].includes((metadata.codec_video || '').toLowerCase());
+
+        video.duration = metadata.duration || 0;
+        video.bitrate_video = metadata.bitrate || 0;
+        video.bitrate_original = video.bitrate_video; // Bitrate original do arquivo
+        video.formato_original = metadata.codec_video && metadata.codec_video !== 'unknown'
+            ? metadata.codec_video
+            : video.originalFormat.substring(1);
+        video.codec_video = metadata.codec_video || 'unknown';
+        video.codec_audio = metadata.codec_audio || null;
+        video.largura = metadata.largura || 0;
+        video.altura = metadata.altura || 0;
+        video.compativel = video.is_mp4 && codecCompatible ? 'sim' : 'nao';
+        video.needs_conversion = video.compativel !== 'sim' || video.bitrate_video > userBitrateLimit;
+        video.can_use = !video.needs_conversion;
+        video.user_bitrate_limit = userBitrateLimit;
+    }
+
+    // Sincroniza os arquivos listados com a tabela videos. Só arquivos novos ou alterados
+    // (tamanho/mtime diferentes do registrado) passam pelo ffprobe; os demais reaproveitam o banco.
     async syncVideosWithDatabase(videos, userLogin, serverId) {
         try {
             const db = require('./database');
             
             console.log(`🔄 Sincronizando ${videos.length} vídeos com banco de dados...`);
+
+            const existingByPath = new Map();
+            if (videos.length > 0) {
+                const [existingRows] = await db.execute(
+                    `SELECT id, caminho, tamanho_arquivo, mtime_arquivo, duracao, bitrate_video,
+                            codec_video, codec_audio, largura, altura
+                     FROM videos WHERE caminho IN (${videos.map(() => '?').join(', ')})`,
+                    videos.map(video => video.fullPath)
+                );
+                for (const row of existingRows) {
+                    existingByPath.set(row.caminho, row);
+                }
+            }
+
+            const isUnchanged = (video, row) => row &&
+                Number(row.tamanho_arquivo) === video.size &&
+                Number(row.mtime_arquivo) === video.mtime;
+
+            const changedVideos = videos.filter(video => !isUnchanged(video, existingByPath.get(video.fullPath)));
+            const probed = await this.probeVideos(serverId, changedVideos.map(video => video.fullPath));
+
+            console.log(`🔍 ${changedVideos.length} vídeos novos ou alterados analisados, ${videos.length - changedVideos.length} sem alteração`);
+
+            let codigoCliente;
             
             for (const video of videos) {
                 try {
-                    // Verificar se vídeo já existe na tabela videos
-                    const [existingRows] = await db.execute(
-                        'SELECT id FROM videos WHERE caminho = ?',
-                        [video.fullPath]
-                    );
+                    const row = existingByPath.get(video.fullPath);
+
+                    if (isUnchanged(video, row)) {
+                        this.applyVideoMetadata(video, {
+                            duration: row.duracao,
+                            bitrate: row.bitrate_video,
+                            codec_video: row.codec_video,
+                            codec_audio: row.codec_audio,
+                            largura: row.largura,
+                            altura: row.altura
+                        });
+                        continue;
+                    }
+
+                    this.applyVideoMetadata(video, probed.get(video.fullPath) || {});
                     
-                    if (existingRows.length === 0) {
+                    if (!row) {
                         // Buscar código do cliente baseado no userLogin
-                        const [clienteRows] = await db.execute(
-                            'SELECT codigo_cliente FROM streamings WHERE usuario = ? OR email LIKE ? LIMIT 1',
-                            [userLogin, `${userLogin}@%`]
-                        );
-                        
-                        const codigoCliente = clienteRows.length > 0 ? clienteRows[0].codigo_cliente : null;
+                        if (codigoCliente === undefined) {
+                            const [clienteRows] = await db.execute(
+                                'SELECT codigo_cliente FROM streamings WHERE usuario = ? OR email LIKE ? LIMIT 1',
+                                [userLogin, `${userLogin}@%`]
+                            );
+                            codigoCliente = clienteRows.length > 0 ? clienteRows[0].codigo_cliente : null;
+                        }
                         
                         // Buscar ID da pasta baseado no caminho
                         const [pastaRows] = await db.execute(
@@ -193,35 +297,56 @@ class VideoSSHManager {
                         const pastaId = pastaRows.length > 0 ? pastaRows[0].codigo : null;
                         
                         // Inserir novo vídeo na tabela videos
-                        const duracao = this.formatDuration(video.duration);
                         const relativePath = video.path; // Já está no formato correto
                         
                         await db.execute(
                             `INSERT INTO videos (
-                                nome, url, caminho, duracao, tamanho_arquivo,
+                                nome, url, caminho, duracao, tamanho_arquivo, mtime_arquivo,
                                 codigo_cliente, pasta, bitrate_video, formato_original,
-                                largura, altura, is_mp4, compativel
-                            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, '1920', '1080', ?, 'sim')`,
+                                codec_video, codec_audio, largura, altura, is_mp4, compativel
+                            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                             [
                                 video.nome,
                                 relativePath,
                                 video.fullPath,
                                 video.duration,
                                 video.size,
+                                video.mtime,
                                 codigoCliente,
                                 pastaId,
-                                video.bitrate_video || 0,
-                                video.formato_original || 'unknown',
-                                video.is_mp4 ? 1 : 0
+                                video.bitrate_video,
+                                video.formato_original,
+                                video.codec_video,
+                                video.codec_audio,
+                                video.largura,
+                                video.altura,
+                                video.is_mp4 ? 1 : 0,
+                                video.compativel
                             ]
                         );
                         
                         console.log(`✅ Vídeo sincronizado no banco: ${video.nome}`);
                     } else {
-                        // Atualizar informações se necessário
+                        // Arquivo alterado no servidor: atualizar com os metadados novos (prévias são refeitas)
                         await db.execute(
-                            'UPDATE videos SET tamanho_arquivo = ?, duracao = ? WHERE caminho = ?',
-                            [video.size, video.duration, video.fullPath]
+                            `UPDATE videos SET tamanho_arquivo = ?, mtime_arquivo = ?, duracao = ?, bitrate_video = ?,
+                                formato_original = ?, codec_video = ?, codec_audio = ?, largura = ?, altura = ?,
+                                is_mp4 = ?, compativel = ?, previews = NULL
+                             WHERE caminho = ?`,
+                            [
+                                video.size,
+                                video.mtime,
+                                video.duration,
+                                video.bitrate_video,
+                                video.formato_original,
+                                video.codec_video,
+                                video.codec_audio,
+                                video.largura,
+                                video.altura,
+                                video.is_mp4 ? 1 : 0,
+                                video.compativel,
+                                video.fullPath
+                            ]
                         );
                     }
                 } catch (videoError) {
@@ -231,9 +356,23 @@ class VideoSSHManager {
             
             // Recalcular espaço usado por pasta
             await this.recalculateFolderSpace(userLogin);
+
+            // Pôster e miniaturas dos vídeos novos ou alterados
+            if (changedVideos.length > 0) {
+                const [clienteRows] = await db.execute(
+                    'SELECT codigo_cliente FROM streamings WHERE usuario = ? OR email LIKE ? LIMIT 1',
+                    [userLogin, `${userLogin}@%`]
+                );
+                if (clienteRows.length > 0) {
+                    const VideoPreviewService = require('../services/VideoPreviewService');
+                    await VideoPreviewService.scheduleMissing(clienteRows[0].codigo_cliente);
+                }
+            }
             
         } catch (error) {
             console.error('Erro na sincronização com banco:', error);
+            // Sem banco os vídeos ainda são listados, só que sem metadados
+            videos.filter(video => video.compativel === undefined).forEach(video => this.applyVideoMetadata(video, {}));
         }
     }
 
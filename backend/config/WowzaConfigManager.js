@@ -718,7 +718,7 @@ class WowzaConfigManager {
             const searchPath = folderName ? `${basePath}/${folderName}` : basePath;
 
             // Comando para listar apenas arquivos de vídeo recursivamente
-            const command = `find "${searchPath}" -type f \\( -iname "*.mp4" -o -iname "*.avi" -o -iname "*.mov" -o -iname "*.wmv" -o -iname "*.flv" -o -iname "*.webm" -o -iname "*.mkv" \\) -exec ls -la {} \\; 2>/dev/null || echo "NO_VIDEOS"`;
+            const command = `find "${searchPath}" -type f -not -path "*/.abr/*" \\( -iname "*.mp4" -o -iname "*.avi" -o -iname "*.mov" -o -iname "*.wmv" -o -iname "*.flv" -o -iname "*.webm" -o -iname "*.mkv" \\) -exec ls -la {} \\; 2>/dev/null || echo "NO_VIDEOS"`;
 
             const result = await SSHManager.executeCommand(serverId, command);
 
@@ -801,8 +801,9 @@ class WowzaConfigManager {
         }
     }
 
-    // Construir URLs corretas para nova estrutura
-    buildVideoUrls(userLogin, folderName, fileName, serverId = null) {
+    // Construir URLs corretas para nova estrutura.
+    // abrSmil: SMIL multi-bitrate do vídeo (videos.abr_smil); quando existe, hls passa a ser a playlist adaptativa
+    buildVideoUrls(userLogin, folderName, fileName, serverId = null, { abrSmil = null } = {}) {
         const isProduction = process.env.NODE_ENV === 'production';
         const wowzaHost = isProduction ? 'samhost.wcore.com.br' : '51.222.156.223';
 
@@ -812,9 +813,15 @@ class WowzaConfigManager {
         // Caminho relativo na nova estrutura
         const streamPath = `streaming/${userLogin}/${folderName}/${finalFileName}`;
 
+        // Playlist adaptativa (várias qualidades) servida pela mesma aplicação do usuário
+        const adaptive = abrSmil ? `http://${wowzaHost}:1935/${userLogin}/_definst_/smil:${abrSmil}/playlist.m3u8` : null;
+
         return {
             // URL HLS usando aplicação específica do usuário
-            hls: `http://${wowzaHost}:1935/${userLogin}/_definst_/mp4:${folderName}/${finalFileName}/playlist.m3u8`,
+            hls: adaptive || `http://${wowzaHost}:1935/${userLogin}/_definst_/mp4:${folderName}/${finalFileName}/playlist.m3u8`,
+
+            // URL HLS adaptativa (null quando o vídeo não tem versões ABR)
+            adaptive,
 
             // URL RTMP para transmissão
             rtmp: `rtmp://${wowzaHost}:1935/${userLogin}/${folderName}/${finalFileName}`,
@@ -833,7 +840,8 @@ class WowzaConfigManager {
                 original_file: fileName,
                 server_id: serverId,
                 streaming_path: `${this.streamingBasePath}/${userLogin}/${folderName}/${finalFileName}`,
-                wowza_app: userLogin
+                wowza_app: userLogin,
+                abr: Boolean(abrSmil)
             }
         };
     }
@@ -323,9 +323,9 @@ class WowzaStreamingService {
     }
 
     // Construir URL correta para vídeos VOD
-    buildVideoUrl(userLogin, folderName, fileName) {
+    buildVideoUrl(userLogin, folderName, fileName, options = {}) {
         // Usar novo sistema de URLs
-        return WowzaConfigManager.buildVideoUrls(userLogin, folderName, fileName, this.serverId);
+        return WowzaConfigManager.buildVideoUrls(userLogin, folderName, fileName, this.serverId, options);
     }
 
     // Iniciar gravação de stream
@@ -925,6 +925,24 @@ class WowzaStreamingService {
         }
     }
 
+    // Tamanho (MB) da gravação de um stream; para a gravação antes de medir. null se não foi possível medir
+    async getRecordingSizeMB(userLogin, streamName) {
+        try {
+            await this.stopRecording(streamName);
+
+            const recordingsPath = `/usr/local/WowzaStreamingEngine/content/${userLogin}/recordings`;
+            const result = await SSHManager.executeCommand(
+                this.serverId,
+                `du -cb "${recordingsPath}/${streamName}"*.mp4 2>/dev/null | tail -1 || echo "0 total"`
+            );
+            const bytes = parseInt(result.stdout.trim().split(/\s+/)[0]);
+            return Number.isNaN(bytes) ? null : Math.ceil(bytes / (1024 * 1024));
+        } catch (error) {
+            console.warn('Erro ao medir gravação:', error.message);
+            return null;
+        }
+    }
+
     // Método para verificar limites do usuário
     async checkUserLimits(userConfig, requestedBitrate = null) {
         try {
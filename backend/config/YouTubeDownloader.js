@@ -3,16 +3,23 @@ const fs = require('fs').promises;
 const path = require('path');
 const SSHManager = require('./SSHManager');
 const db = require('./database');
+const JobQueueService = require('../services/JobQueueService');
+const VideoPreviewService = require('../services/VideoPreviewService');
+const StorageQuotaService = require('../services/StorageQuotaService');
 
 class YouTubeDownloader {
     constructor() {
-        this.activeDownloads = new Map();
-        this.downloadQueue = [];
-        this.maxConcurrentDownloads = 2;
+        this.processes = new Map();
         this.tempDir = '/tmp/youtube-downloads';
         
         this.initializeTempDir();
-        this.startQueueProcessor();
+
+        // Downloads rodam na fila de tarefas: um por usuário, até 2 tentativas
+        JobQueueService.register('youtube', {
+            run: (job, ctx) => this.runDownload(job, ctx),
+            concurrencyPerUser: 1,
+            maxAttempts: 2
+        });
     }
 
     async initializeTempDir() {
@@ -135,71 +142,97 @@ class YouTubeDownloader {
         }
     }
 
-    // Baixar vídeo
+    // Enfileirar download (executado pela fila de tarefas)
     async downloadVideo(userId, url, destinationFolder, options = {}) {
-        try {
-            const {
-                quality = 'best[height<=1080]',
-                format = 'mp4',
-                audio_quality = 'best'
-            } = options;
-
-            // Verificar se download já está ativo
-            if (this.activeDownloads.has(userId)) {
-                throw new Error('Já existe um download ativo para este usuário');
-            }
+        const {
+            quality = 'best[height<=1080]',
+            format = 'mp4',
+            audio_quality = 'best',
+            prioridade
+        } = options;
+
+        // Obter informações do vídeo
+        const videoInfo = await this.getVideoInfo(url);
+        
+        // Verificar tamanho estimado
+        const estimatedSizeMB = Math.ceil((videoInfo.filesize || 50 * 1024 * 1024) / (1024 * 1024));
+        
+        // Buscar dados da pasta (o espaço é reservado de fato quando a tarefa começa)
+        const folderData = await StorageQuotaService.getFolderSpace(userId, destinationFolder);
 
-            // Obter informações do vídeo
-            const videoInfo = await this.getVideoInfo(url);
-            
-            // Verificar tamanho estimado
-            const estimatedSizeMB = Math.ceil((videoInfo.filesize || 50 * 1024 * 1024) / (1024 * 1024));
-            
-            // Buscar dados da pasta
-            const [folderRows] = await db.execute(
-                'SELECT identificacao, codigo_servidor, espaco, espaco_usado FROM streamings WHERE codigo = ? AND codigo_cliente = ?',
-                [destinationFolder, userId]
-            );
+        if (!folderData) {
+            throw new Error('Pasta de destino não encontrada');
+        }
 
-            if (folderRows.length === 0) {
-                throw new Error('Pasta de destino não encontrada');
+        if (estimatedSizeMB > folderData.availableSpace) {
+            throw new Error(`Arquivo muito grande (${estimatedSizeMB}MB). Espaço disponível: ${Math.max(folderData.availableSpace, 0)}MB.`);
+        }
+
+        const job = await JobQueueService.enqueue(userId, 'youtube', {
+            url,
+            folder_id: destinationFolder,
+            estimated_size_mb: estimatedSizeMB,
+            quality,
+            format,
+            audio_quality,
+            video_info: {
+                id: videoInfo.id,
+                title: videoInfo.title,
+                duration: videoInfo.duration,
+                sanitized_title: videoInfo.sanitized_title
             }
+        }, {
+            descricao: videoInfo.title,
+            referencia: videoInfo.id,
+            prioridade
+        });
 
-            const folderData = folderRows[0];
-            const folderName = folderData.identificacao;
-            const serverId = folderData.codigo_servidor || 1;
-            const availableSpace = folderData.espaco - folderData.espaco_usado;
+        console.log(`⬇️ Download enfileirado: ${videoInfo.title} (tarefa #${job.codigo})`);
 
-            if (estimatedSizeMB > availableSpace) {
-                throw new Error(`Arquivo muito grande (${estimatedSizeMB}MB). Espaço disponível: ${availableSpace}MB.`);
-            }
+        return {
+            success: true,
+            download_id: String(job.codigo),
+            job_id: job.codigo,
+            video_info: videoInfo,
+            estimated_size_mb: estimatedSizeMB
+        };
+    }
 
-            const userLogin = await this.getUserLogin(userId);
-            const fileName = `${videoInfo.sanitized_title}_${videoInfo.id}.mp4`;
-            const tempFilePath = path.join(this.tempDir, `${userId}_${fileName}`);
-            const remotePath = `/home/streaming/${userLogin}/${folderName}/${fileName}`;
-
-            console.log(`⬇️ Iniciando download: ${videoInfo.title}`);
-            console.log(`📁 Arquivo temporário: ${tempFilePath}`);
-            console.log(`📤 Destino final: ${remotePath}`);
-
-            // Marcar download como ativo
-            const downloadData = {
-                url: url,
-                videoInfo: videoInfo,
-                fileName: fileName,
-                tempFilePath: tempFilePath,
-                remotePath: remotePath,
-                startTime: new Date(),
-                status: 'downloading',
-                progress: 0,
-                serverId: serverId,
-                folderId: destinationFolder,
-                folderName: folderName
-            };
+    // Executor da tarefa: baixa com yt-dlp, envia ao servidor e cadastra o vídeo
+    async runDownload(job, ctx) {
+        const userId = job.codigo_cliente;
+        const { url, folder_id: destinationFolder, estimated_size_mb: estimatedSizeMB = 50, quality, video_info: videoInfo } = job.payload;
 
-            this.activeDownloads.set(userId, downloadData);
+        // Dados da pasta são lidos de novo: a tarefa pode rodar bem depois de enfileirada
+        const [folderRows] = await db.execute(
+            'SELECT identificacao, codigo_servidor, espaco, espaco_usado FROM streamings WHERE codigo = ? AND codigo_cliente = ?',
+            [destinationFolder, userId]
+        );
+
+        if (folderRows.length === 0) {
+            throw Object.assign(new Error('Pasta de destino não encontrada'), { retryable: false });
+        }
 
+        const folderName = folderRows[0].identificacao;
+        const serverId = folderRows[0].codigo_servidor || 1;
+        const userLogin = await this.getUserLogin(userId);
+        const fileName = `${videoInfo.sanitized_title}_${videoInfo.id}.mp4`;
+        const tempFilePath = path.join(this.tempDir, `${userId}_${job.codigo}_${fileName}`);
+        const remotePath = `/home/streaming/${userLogin}/${folderName}/${fileName}`;
+
+        console.log(`⬇️ Iniciando download: ${videoInfo.title}`);
+        console.log(`📁 Arquivo temporário: ${tempFilePath}`);
+        console.log(`📤 Destino final: ${remotePath}`);
+
+        let reservation = await StorageQuotaService.reserve(userId, destinationFolder, estimatedSizeMB, {
+            origem: 'youtube',
+            referencia: job.codigo
+        });
+
+        ctx.setResult({ fase: 'downloading', filename: fileName });
+        ctx.progress(0, 'Baixando do YouTube');
+
+        try {
             // Iniciar download com yt-dlp
             const ytDlpArgs = [
                 '--format', `${quality}[ext=mp4]/best[ext=mp4]/best`,
@@ -211,170 +244,156 @@ class YouTubeDownloader {
                 '--embed-metadata',
                 '--add-metadata',
                 '--no-warnings',
+                '--newline',
                 url
             ];
 
-            const downloadProcess = spawn('yt-dlp', ytDlpArgs, {
-                stdio: ['ignore', 'pipe', 'pipe']
-            });
+            await new Promise((resolve, reject) => {
+                const downloadProcess = spawn('yt-dlp', ytDlpArgs, {
+                    stdio: ['ignore', 'pipe', 'pipe']
+                });
 
-            downloadData.process = downloadProcess;
+                this.processes.set(job.codigo, downloadProcess);
+                ctx.onCancel(() => {
+                    if (downloadProcess.exitCode === null) {
+                        downloadProcess.kill('SIGTERM');
+                        console.log(`🛑 Download cancelado - PID: ${downloadProcess.pid}`);
+                    }
+                });
 
-            downloadProcess.stdout.on('data', (data) => {
-                const output = data.toString();
-                console.log(`📊 yt-dlp output: ${output.trim()}`);
-                
-                // Extrair progresso se disponível
-                const progressMatch = output.match(/(\d+\.?\d*)%/);
-                if (progressMatch) {
-                    downloadData.progress = parseFloat(progressMatch[1]);
-                }
-            });
+                const onOutput = (data) => {
+                    // Extrair progresso se disponível
+                    const progressMatch = data.toString().match(/(\d+\.?\d*)%/);
+                    if (progressMatch) {
+                        ctx.progress(parseFloat(progressMatch[1]), 'Baixando do YouTube');
+                    }
+                };
 
-            downloadProcess.stderr.on('data', (data) => {
-                const output = data.toString();
-                console.log(`📊 yt-dlp stderr: ${output.trim()}`);
-                
-                // Extrair progresso do stderr também
-                const progressMatch = output.match(/(\d+\.?\d*)%/);
-                if (progressMatch) {
-                    downloadData.progress = parseFloat(progressMatch[1]);
-                }
-            });
+                downloadProcess.stdout.on('data', onOutput);
+                downloadProcess.stderr.on('data', onOutput);
 
-            downloadProcess.on('close', async (code) => {
-                try {
+                downloadProcess.on('close', (code) => {
+                    this.processes.delete(job.codigo);
                     if (code === 0) {
-                        console.log(`✅ Download concluído: ${fileName}`);
-                        downloadData.status = 'uploading';
-                        
-                        // Verificar se arquivo foi criado
-                        const stats = await fs.stat(tempFilePath);
-                        const fileSizeMB = Math.ceil(stats.size / (1024 * 1024));
-                        
-                        console.log(`📊 Arquivo baixado: ${fileName} (${fileSizeMB}MB)`);
-
-                        // Garantir estrutura no servidor
-                        await SSHManager.createCompleteUserStructure(serverId, userLogin, {
-                            bitrate: 2500,
-                            espectadores: 100,
-                            status_gravando: 'nao'
-                        });
-                        
-                        await SSHManager.createUserFolder(serverId, userLogin, folderName);
-
-                        // Upload para servidor via SSH
-                        await SSHManager.uploadFile(serverId, tempFilePath, remotePath);
-                        
-                        // Remover arquivo temporário
-                        await fs.unlink(tempFilePath);
-                        
-                        console.log(`📤 Arquivo enviado para servidor: ${remotePath}`);
-
-                        // Salvar no banco de dados
-                        const relativePath = `${userLogin}/${folderName}/${fileName}`;
-                        
-                        const [result] = await db.execute(
-                            `INSERT INTO videos (
-                                nome, url, caminho, duracao, tamanho_arquivo,
-                                codigo_cliente, pasta, bitrate_video, formato_original,
-                                largura, altura, is_mp4, compativel, origem
-                            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'mp4', 1920, 1080, 1, 'sim', 'youtube')`,
-                            [
-                                videoInfo.title,
-                                relativePath,
-                                remotePath,
-                                videoInfo.duration,
-                                stats.size,
-                                userId,
-                                destinationFolder,
-                                2500 // Bitrate padrão para vídeos do YouTube
-                            ]
-                        );
-
-                        // Atualizar espaço usado na pasta
-                        await db.execute(
-                            'UPDATE streamings SET espaco_usado = espaco_usado + ? WHERE codigo = ?',
-                            [fileSizeMB, destinationFolder]
-                        );
-
-                        downloadData.status = 'completed';
-                        downloadData.videoId = result.insertId;
-                        downloadData.finalSize = stats.size;
-
-                        console.log(`💾 Vídeo salvo no banco com ID: ${result.insertId}`);
-                        
+                        resolve();
                     } else {
-                        console.error(`❌ Erro no download (código ${code})`);
-                        downloadData.status = 'error';
-                        downloadData.error = `Download falhou com código ${code}`;
-                        
-                        // Limpar arquivo temporário se existir
-                        await fs.unlink(tempFilePath).catch(() => {});
+                        reject(new Error(`Download falhou com código ${code}`));
                     }
-                } catch (processError) {
-                    console.error('Erro no processamento pós-download:', processError);
-                    downloadData.status = 'error';
-                    downloadData.error = processError.message;
-                    
-                    // Limpar arquivo temporário
-                    await fs.unlink(tempFilePath).catch(() => {});
-                }
+                });
+
+                downloadProcess.on('error', (error) => {
+                    this.processes.delete(job.codigo);
+                    console.error('❌ Erro no processo yt-dlp:', error);
+                    reject(error);
+                });
             });
 
-            downloadProcess.on('error', async (error) => {
-                console.error('❌ Erro no processo yt-dlp:', error);
-                downloadData.status = 'error';
-                downloadData.error = error.message;
-                
-                await fs.unlink(tempFilePath).catch(() => {});
+            ctx.throwIfCancelled();
+            console.log(`✅ Download concluído: ${fileName}`);
+            ctx.setResult({ fase: 'uploading' });
+            ctx.progress(100, 'Enviando para o servidor');
+
+            // Verificar se arquivo foi criado
+            const stats = await fs.stat(tempFilePath);
+            const fileSizeMB = Math.ceil(stats.size / (1024 * 1024));
+            
+            console.log(`📊 Arquivo baixado: ${fileName} (${fileSizeMB}MB)`);
+            reservation = await StorageQuotaService.resize(userId, reservation, fileSizeMB);
+
+            // Garantir estrutura no servidor
+            await SSHManager.createCompleteUserStructure(serverId, userLogin, {
+                bitrate: 2500,
+                espectadores: 100,
+                status_gravando: 'nao'
             });
+            
+            await SSHManager.createUserFolder(serverId, userLogin, folderName);
+
+            // Upload para servidor via SSH
+            await SSHManager.uploadFile(serverId, tempFilePath, remotePath);
+            
+            console.log(`📤 Arquivo enviado para servidor: ${remotePath}`);
+
+            // Salvar no banco de dados
+            const relativePath = `${userLogin}/${folderName}/${fileName}`;
+            
+            const [result] = await db.execute(
+                `INSERT INTO videos (
+                    nome, url, caminho, duracao, tamanho_arquivo,
+                    codigo_cliente, pasta, bitrate_video, formato_original,
+                    largura, altura, is_mp4, compativel, origem
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'mp4', 1920, 1080, 1, 'sim', 'youtube')`,
+                [
+                    videoInfo.title,
+                    relativePath,
+                    remotePath,
+                    videoInfo.duration,
+                    stats.size,
+                    userId,
+                    destinationFolder,
+                    2500 // Bitrate padrão para vídeos do YouTube
+                ]
+            );
+
+            // Atualizar espaço usado na pasta
+            await StorageQuotaService.commit(reservation.codigo, fileSizeMB);
+
+            console.log(`💾 Vídeo salvo no banco com ID: ${result.insertId}`);
+            await VideoPreviewService.schedule(userId, result.insertId, { descricao: videoInfo.title });
 
             return {
-                success: true,
-                download_id: `${userId}_${Date.now()}`,
-                video_info: videoInfo,
-                estimated_size_mb: estimatedSizeMB
+                fase: 'completed',
+                filename: fileName,
+                video_id: result.insertId,
+                final_size: stats.size
             };
-
-        } catch (error) {
-            // Remover do mapa se deu erro
-            this.activeDownloads.delete(userId);
-            throw error;
+        } finally {
+            // Limpar arquivo temporário e a reserva não usada (também em erro ou cancelamento)
+            await StorageQuotaService.release(reservation.codigo);
+            await fs.unlink(tempFilePath).catch(() => {});
         }
     }
 
-    // Obter status do download
-    getDownloadStatus(userId) {
-        const downloadData = this.activeDownloads.get(userId);
+    // Obter status do download (tarefa em execução, senão a próxima da fila, senão a última)
+    async getDownloadStatus(userId) {
+        const job = await JobQueueService.findCurrent(userId, 'youtube');
         
-        if (!downloadData) {
+        if (!job) {
             return {
                 downloading: false,
                 status: 'idle'
             };
         }
 
-        const uptime = Math.floor((new Date().getTime() - downloadData.startTime.getTime()) / 1000);
+        const statusMap = {
+            pendente: 'queued',
+            concluido: 'completed',
+            erro: 'error',
+            cancelado: 'cancelled'
+        };
+        const resultado = job.resultado || {};
+        const startTime = job.data_inicio || job.data_criacao;
+        const uptime = Math.floor((Date.now() - new Date(startTime).getTime()) / 1000);
 
         return {
-            downloading: downloadData.status === 'downloading' || downloadData.status === 'uploading',
-            status: downloadData.status,
-            progress: downloadData.progress || 0,
-            filename: downloadData.fileName,
-            video_title: downloadData.videoInfo?.title,
+            downloading: job.status === 'pendente' || job.status === 'executando',
+            status: job.status === 'executando' ? (resultado.fase || 'downloading') : statusMap[job.status],
+            progress: job.progresso || 0,
+            filename: resultado.filename || null,
+            video_title: job.descricao,
             uptime: uptime,
-            error: downloadData.error || null,
-            final_size: downloadData.finalSize || null,
-            video_id: downloadData.videoId || null
+            error: job.erro || null,
+            final_size: resultado.final_size || null,
+            video_id: resultado.video_id || null,
+            job_id: job.codigo
         };
     }
 
-    // Cancelar download
+    // Cancelar download em andamento ou na fila
     async cancelDownload(userId) {
-        const downloadData = this.activeDownloads.get(userId);
+        const job = await JobQueueService.findCurrent(userId, 'youtube');
         
-        if (!downloadData) {
+        if (!job || !['pendente', 'executando'].includes(job.status)) {
             return {
                 success: true,
                 message: 'Nenhum download ativo encontrado'
@@ -382,19 +401,7 @@ class YouTubeDownloader {
         }
 
         try {
-            // Finalizar processo se estiver rodando
-            if (downloadData.process && downloadData.process.pid) {
-                process.kill(downloadData.process.pid, 'SIGTERM');
-                console.log(`🛑 Download cancelado - PID: ${downloadData.process.pid}`);
-            }
-
-            // Limpar arquivo temporário
-            if (downloadData.tempFilePath) {
-                await fs.unlink(downloadData.tempFilePath).catch(() => {});
-            }
-
-            // Remover do mapa
-            this.activeDownloads.delete(userId);
+            await JobQueueService.cancel(userId, job.codigo);
 
             return {
                 success: true,
@@ -429,56 +436,21 @@ class YouTubeDownloader {
         }
     }
 
-    // Processar fila de downloads
-    startQueueProcessor() {
-        setInterval(() => {
-            // Limpar downloads antigos (mais de 1 hora)
-            const now = new Date();
-            const maxAge = 60 * 60 * 1000; // 1 hora
-
-            for (const [userId, downloadData] of this.activeDownloads) {
-                if (now.getTime() - downloadData.startTime.getTime() > maxAge) {
-                    console.log(`🧹 Removendo download expirado para usuário ${userId}`);
-                    
-                    // Finalizar processo se ainda estiver rodando
-                    if (downloadData.process && downloadData.process.pid) {
-                        try {
-                            process.kill(downloadData.process.pid, 'SIGTERM');
-                        } catch (error) {
-                            // Processo já finalizado
-                        }
-                    }
-                    
-                    // Limpar arquivo temporário
-                    if (downloadData.tempFilePath) {
-                        fs.unlink(downloadData.tempFilePath).catch(() => {});
-                    }
-                    
-                    this.activeDownloads.delete(userId);
-                }
-            }
-        }, 5 * 60 * 1000); // A cada 5 minutos
-    }
-
-    // Limpar todos os downloads (para shutdown)
+    // Limpar todos os downloads (para shutdown); as tarefas voltam para a fila no próximo início
     async stopAllDownloads() {
         console.log('🛑 Finalizando todos os downloads ativos...');
         
-        for (const [userId, downloadData] of this.activeDownloads) {
+        for (const [jobId, downloadProcess] of this.processes) {
             try {
-                if (downloadData.process && downloadData.process.pid) {
-                    process.kill(downloadData.process.pid, 'SIGTERM');
-                }
-                
-                if (downloadData.tempFilePath) {
-                    await fs.unlink(downloadData.tempFilePath).catch(() => {});
+                if (downloadProcess.exitCode === null) {
+                    downloadProcess.kill('SIGTERM');
                 }
             } catch (error) {
-                console.error(`Erro ao finalizar download do usuário ${userId}:`, error);
+                console.error(`Erro ao finalizar download da tarefa ${jobId}:`, error);
             }
         }
         
-        this.activeDownloads.clear();
+        this.processes.clear();
     }
 
     // Obter lista de downloads recentes
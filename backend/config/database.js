@@ -38,7 +38,16 @@ async function testConnection() {
         ALTER TABLE videos 
         ADD COLUMN IF NOT EXISTS codec_video VARCHAR(50) DEFAULT 'unknown',
         ADD COLUMN IF NOT EXISTS largura INT DEFAULT 0,
-        ADD COLUMN IF NOT EXISTS altura INT DEFAULT 0
+        ADD COLUMN IF NOT EXISTS altura INT DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS codec_audio VARCHAR(50) DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS mtime_arquivo BIGINT DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS abr_smil VARCHAR(255) DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS abr_renditions TEXT DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS previews TEXT DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS loudness_lufs DECIMAL(5,1) DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS loudness_true_peak DECIMAL(5,1) DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS loudness_lra DECIMAL(5,1) DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS loudness_threshold DECIMAL(5,1) DEFAULT NULL
       `);
       console.log('✅ Colunas da tabela videos verificadas/criadas');
     } catch (alterError) {
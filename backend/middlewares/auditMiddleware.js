@@ -0,0 +1,54 @@
+const AuditService = require('../services/AuditService');
+const SubUserService = require('../services/SubUserService');
+
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const resolveActorName = async (req, actor) => {
+  if (actor.tipo === 'titular') return req.user.nome;
+  if (actor.tipo === 'chave_api') return req.apiKey ? `Chave ${req.apiKey.nome}` : null;
+
+  const subUser = await SubUserService.findRow('su.codigo = ?', [actor.codigo]);
+  return subUser ? `${subUser.nome} <${subUser.email}>` : null;
+};
+
+// Registra na auditoria toda ação de escrita autenticada, depois da resposta.
+// O usuário é preenchido pelo authMiddleware de cada rota, por isso a gravação
+// acontece no 'finish'; falhas ao gravar nunca afetam a requisição.
+const auditMiddleware = (req, res, next) => {
+  if (!AUDITED_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  res.on('finish', async () => {
+    if (!req.user || res.locals.skipAudit) return;
+
+    try {
+      const actor = AuditService.resolveActor(req.user);
+      const routePath = req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0];
+      const params = req.route ? req.params : {};
+
+      await AuditService.record({
+        tipoConta: req.user.tipo,
+        codigoConta: req.user.id,
+        codigoRevenda: req.user.tipo === 'streaming' ? req.user.codigo_cliente : null,
+        ator: actor,
+        atorNome: await resolveActorName(req, actor),
+        metodo: req.method,
+        acao: `${req.method} ${routePath}`,
+        recurso: routePath.replace(/^\/api\//, '').split('/')[0] || 'api',
+        recursoId: Object.values(params).join('/') || null,
+        statusHttp: res.statusCode,
+        dadosAnteriores: req.auditBefore,
+        dadosNovos: req.auditAfter !== undefined ? req.auditAfter : req.body,
+        ip: req.ip,
+        navegador: req.headers['user-agent']
+      });
+    } catch (error) {
+      console.error('Erro ao registrar auditoria:', error.message);
+    }
+  });
+
+  next();
+};
+
+module.exports = auditMiddleware;
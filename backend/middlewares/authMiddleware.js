@@ -1,8 +1,91 @@
 const jwt = require('jsonwebtoken');
 const db = require('../config/database');
+const SessionService = require('../services/SessionService');
+const ApiKeyService = require('../services/ApiKeyService');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'sua_chave_secreta_super_segura_aqui';
 
+// Buscar usuário ativo baseado no tipo
+const loadActiveUser = async (tipo, userId) => {
+  let rows = [];
+
+  if (tipo === 'revenda') {
+    [rows] = await db.execute(
+      'SELECT codigo, nome, email, usuario, streamings, espectadores, bitrate, espaco, status, "revenda" as tipo FROM revendas WHERE codigo = ? AND status = 1',
+      [userId]
+    );
+  } else if (tipo === 'streaming') {
+    [rows] = await db.execute(
+      `SELECT 
+        s.codigo, 
+        s.identificacao as nome, 
+        s.email, 
+        s.usuario,
+        1 as streamings, 
+        s.espectadores, 
+        s.bitrate, 
+        s.espaco, 
+        s.status,
+        "streaming" as tipo,
+        s.codigo_cliente,
+        s.codigo_servidor
+       FROM streamings s 
+       WHERE s.codigo_cliente = ? AND s.status = 1 LIMIT 1`,
+      [userId]
+    );
+  }
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+const buildRequestUser = (user) => ({
+  id: user.codigo,
+  nome: user.nome,
+  email: user.email,
+  usuario: user.usuario,
+  tipo: user.tipo || 'streaming', // Valor padrão se não estiver definido
+  streamings: user.streamings,
+  espectadores: user.espectadores,
+  bitrate: user.bitrate,
+  espaco: user.espaco,
+  codigo_cliente: user.codigo_cliente || null,
+  codigo_servidor: user.codigo_servidor || null
+});
+
+// Chave de API: só é aceita depois que requirePermission validou o escopo da área
+const authenticateApiKey = async (req, res, next) => {
+  if (!req.apiKey) {
+    return res.status(403).json({
+      error: 'Chave de API não permitida nesta rota',
+      details: 'Use um login no painel para acessar este recurso'
+    });
+  }
+
+  const user = await loadActiveUser(req.apiKey.tipo_usuario, req.apiKey.codigo_usuario);
+  if (!user) {
+    return res.status(401).json({ error: 'Usuário não encontrado ou inativo' });
+  }
+
+  await ApiKeyService.registerUse(req.apiKey.codigo, req.ip);
+
+  req.user = {
+    ...buildRequestUser(user),
+    session_id: null,
+    subusuario_id: null,
+    permissoes: ['*'],
+    api_key_id: req.apiKey.codigo,
+    escopos: req.apiKey.escopos
+  };
+
+  console.log('✅ Chave de API autenticada:', {
+    id: user.codigo,
+    chave: req.apiKey.nome,
+    path: req.path
+  });
+
+  next();
+};
+
 const authMiddleware = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -23,40 +106,28 @@ const authMiddleware = async (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
+
+    if (ApiKeyService.isApiKey(token)) {
+      return await authenticateApiKey(req, res, next);
+    }
     
     try {
       const decoded = jwt.verify(token, JWT_SECRET);
-      
-      let rows = [];
-      
-      // Buscar baseado no tipo de usuário
-      if (decoded.tipo === 'revenda') {
-        [rows] = await db.execute(
-          'SELECT codigo, nome, email, usuario, streamings, espectadores, bitrate, espaco, status, "revenda" as tipo FROM revendas WHERE codigo = ? AND status = 1',
-          [decoded.userId]
-        );
-      } else if (decoded.tipo === 'streaming') {
-        [rows] = await db.execute(
-          `SELECT 
-            s.codigo, 
-            s.identificacao as nome, 
-            s.email, 
-            s.usuario,
-            1 as streamings, 
-            s.espectadores, 
-            s.bitrate, 
-            s.espaco, 
-            s.status,
-            "streaming" as tipo,
-            s.codigo_cliente,
-            s.codigo_servidor
-           FROM streamings s 
-           WHERE s.codigo_cliente = ? AND s.status = 1 LIMIT 1`,
-          [decoded.userId]
-        );
+
+      // Rejeitar tokens de sessões revogadas (logout, troca de senha, vazamento)
+      const sessionActive = await SessionService.isSessionActive(decoded.sid);
+      if (!sessionActive) {
+        console.log('❌ Sessão encerrada:', {
+          userId: decoded.userId,
+          sessionId: decoded.sid || null,
+          path: req.path
+        });
+        return res.status(401).json({ error: 'Sessão encerrada', revoked: true });
       }
+      
+      const user = await loadActiveUser(decoded.tipo, decoded.userId);
 
-      if (rows.length === 0) {
+      if (!user) {
         console.log('❌ Usuário não encontrado:', {
           userId: decoded.userId,
           tipo: decoded.tipo,
@@ -65,19 +136,11 @@ const authMiddleware = async (req, res, next) => {
         return res.status(401).json({ error: 'Usuário não encontrado ou inativo' });
       }
 
-      const user = rows[0];
       req.user = {
-        id: user.codigo,
-        nome: user.nome,
-        email: user.email,
-        usuario: user.usuario,
-        tipo: user.tipo || 'streaming', // Valor padrão se não estiver definido
-        streamings: user.streamings,
-        espectadores: user.espectadores,
-        bitrate: user.bitrate,
-        espaco: user.espaco,
-        codigo_cliente: user.codigo_cliente || null,
-        codigo_servidor: user.codigo_servidor || null
+        ...buildRequestUser(user),
+        session_id: decoded.sid,
+        subusuario_id: decoded.subusuario || null,
+        permissoes: decoded.permissoes || ['*']
       };
 
       console.log('✅ Usuário autenticado:', {
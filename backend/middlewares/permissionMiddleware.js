@@ -0,0 +1,71 @@
+const jwt = require('jsonwebtoken');
+const ApiKeyService = require('../services/ApiKeyService');
+const SubUserService = require('../services/SubUserService');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'sua_chave_secreta_super_segura_aqui';
+
+// Permissão de perfil de operador exigida por cada área da API
+const ROLE_AREAS = {
+  videos: 'videos',
+  playlists: 'agendamentos',
+  agendamentos: 'agendamentos',
+  comerciais: 'agendamentos',
+  streaming: 'transmissao',
+  relay: 'transmissao',
+  estatisticas: 'estatisticas',
+  configuracoes: 'configuracoes',
+  revenda: 'revenda'
+};
+
+const denyAccess = (res, details) => res.status(403).json({ error: 'Acesso negado', details });
+
+// Restringe uma área da API para chaves de API (por escopo) e operadores (por perfil).
+// Tokens ausentes ou inválidos seguem adiante: a autenticação fica com as rotas.
+const requirePermission = (area) => async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  const token = authHeader.substring(7);
+
+  if (ApiKeyService.isApiKey(token)) {
+    try {
+      const apiKey = await ApiKeyService.findByKey(token);
+      if (!apiKey) {
+        return res.status(401).json({ error: 'Chave de API inválida ou revogada' });
+      }
+      if (!ApiKeyService.hasScope(apiKey.escopos, area, req.method)) {
+        return denyAccess(res, `A chave não possui o escopo ${area}:${['GET', 'HEAD'].includes(req.method) ? 'read' : 'write'}`);
+      }
+
+      // authMiddleware só aceita a chave depois desta verificação
+      req.apiKey = apiKey;
+      return next();
+    } catch (error) {
+      console.error('Erro ao validar chave de API:', error);
+      return res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return next();
+  }
+
+  if (!decoded.subusuario || SubUserService.hasPermission(decoded.permissoes, ROLE_AREAS[area], req.method)) {
+    return next();
+  }
+
+  console.log('❌ Operador sem permissão:', {
+    subusuario: decoded.subusuario,
+    area,
+    method: req.method,
+    path: req.originalUrl
+  });
+  denyAccess(res, `Seu perfil não tem permissão para esta ação (${ROLE_AREAS[area]})`);
+};
+
+module.exports = requirePermission;
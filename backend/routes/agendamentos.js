@@ -1,6 +1,8 @@
 const express = require('express');
 const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
+const AuditService = require('../services/AuditService');
+const ScheduleRecurrenceService = require('../services/ScheduleRecurrenceService');
 
 const router = express.Router();
 
@@ -55,6 +57,36 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
+// GET /api/agendamentos/preview - Ocorrências dos agendamentos (recorrências expandidas) entre from e to (YYYY-MM-DD)
+router.get('/preview', authMiddleware, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const preview = await ScheduleRecurrenceService.preview(req.user.id, { from, to });
+    res.json(preview);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Erro ao gerar prévia dos agendamentos:', err);
+    res.status(500).json({ error: 'Erro ao gerar prévia dos agendamentos', details: err.message });
+  }
+});
+
+// GET /api/agendamentos/grade - Grade do dia ou da semana (visao=dia|semana, data=YYYY-MM-DD) com o que vai ao ar
+router.get('/grade', authMiddleware, async (req, res) => {
+  try {
+    const { data, visao } = req.query;
+    const grade = await ScheduleRecurrenceService.grid(req.user.id, { data, visao });
+    res.json(grade);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Erro ao montar grade de programação:', err);
+    res.status(500).json({ error: 'Erro ao montar grade de programação', details: err.message });
+  }
+});
+
 // POST /api/agendamentos - Cria novo agendamento
 router.post('/', authMiddleware, async (req, res) => {
   try {
@@ -92,6 +124,23 @@ router.post('/', authMiddleware, async (req, res) => {
     // Processar dias da semana
     const diasString = dias_semana && Array.isArray(dias_semana) ? dias_semana.join(',') : '';
 
+    // Recusar sobreposição com agendamentos existentes (fim = início + duração da playlist)
+    const { conflitos } = await ScheduleRecurrenceService.findConflicts(userId, {
+      codigo_playlist: id_playlist,
+      frequencia: frequenciaValue,
+      data,
+      hora,
+      minuto,
+      dias: diasString
+    });
+
+    if (conflitos.length > 0) {
+      return res.status(409).json({
+        error: 'O agendamento se sobrepõe a outros agendamentos',
+        conflitos
+      });
+    }
+
     const [result] = await db.execute(
       `INSERT INTO playlists_agendamentos (
         codigo_stm, codigo_playlist, frequencia, data, hora, minuto,
@@ -132,6 +181,9 @@ router.post('/', authMiddleware, async (req, res) => {
       message: 'Agendamento criado com sucesso'
     });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error('Erro ao criar agendamento:', err);
     res.status(500).json({ error: 'Erro ao criar agendamento', details: err.message });
   }
@@ -145,7 +197,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
 
     // Verificar se agendamento pertence ao usuário
     const [agendamentoRows] = await db.execute(
-      'SELECT codigo FROM playlists_agendamentos WHERE codigo = ? AND codigo_stm = ?',
+      'SELECT * FROM playlists_agendamentos WHERE codigo = ? AND codigo_stm = ?',
       [agendamentoId, userId]
     );
 
@@ -153,11 +205,14 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Agendamento não encontrado' });
     }
 
+    AuditService.snapshot(req, agendamentoRows[0]);
+
     // Remover agendamento
     await db.execute(
       'DELETE FROM playlists_agendamentos WHERE codigo = ?',
       [agendamentoId]
     );
+    AuditService.saved(req, null);
 
     // Atualizar arquivo SMIL do usuário após remover agendamento
     try {
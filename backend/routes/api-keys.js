@@ -0,0 +1,101 @@
+const express = require('express');
+const authMiddleware = require('../middlewares/authMiddleware');
+const ApiKeyService = require('../services/ApiKeyService');
+const SessionService = require('../services/SessionService');
+
+const router = express.Router();
+
+const MAX_KEY_NAME_LENGTH = 100;
+
+// Chaves pertencem à conta: apenas o titular (revenda ou streaming) pode gerenciá-las
+const accountOwnerOnly = async (req, res, next) => {
+  try {
+    const session = await SessionService.getSession(req.user.session_id);
+    if (!session || session.tipo_usuario === 'subusuario') {
+      return res.status(403).json({ error: 'Apenas o titular da conta pode gerenciar chaves de API' });
+    }
+
+    req.keyOwner = { tipo: session.tipo_usuario, codigo: session.codigo_usuario };
+    next();
+  } catch (err) {
+    console.error('Erro ao identificar titular da conta:', err);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+};
+
+router.use(authMiddleware, accountOwnerOnly);
+
+// GET /api/api-keys/escopos - Áreas e escopos disponíveis
+router.get('/escopos', (req, res) => {
+  res.json(ApiKeyService.listScopes());
+});
+
+// GET /api/api-keys - Lista as chaves ativas da conta
+router.get('/', async (req, res) => {
+  try {
+    res.json(await ApiKeyService.list(req.keyOwner.tipo, req.keyOwner.codigo));
+  } catch (err) {
+    console.error('Erro ao buscar chaves de API:', err);
+    res.status(500).json({ error: 'Erro ao buscar chaves de API', details: err.message });
+  }
+});
+
+// POST /api/api-keys - Cria chave com nome e escopos (a chave é exibida só nesta resposta)
+router.post('/', async (req, res) => {
+  try {
+    const { nome, escopos, expira_em_dias } = req.body;
+
+    if (!nome || String(nome).length > MAX_KEY_NAME_LENGTH) {
+      return res.status(400).json({ error: `Nome é obrigatório (até ${MAX_KEY_NAME_LENGTH} caracteres)` });
+    }
+
+    const scopeError = ApiKeyService.validateScopes(escopos);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+
+    if (escopos.some(scope => scope.startsWith('revenda:')) && req.keyOwner.tipo !== 'revenda') {
+      return res.status(400).json({ error: 'Escopo revenda disponível apenas para revendas' });
+    }
+
+    const expiraEmDias = expira_em_dias ? parseInt(expira_em_dias) : 0;
+    if (expira_em_dias && (!expiraEmDias || expiraEmDias < 1)) {
+      return res.status(400).json({ error: 'expira_em_dias deve ser um número positivo' });
+    }
+
+    const created = await ApiKeyService.create(req.keyOwner.tipo, req.keyOwner.codigo, {
+      nome,
+      escopos: [...new Set(escopos)],
+      expiraEmDias
+    });
+
+    res.status(201).json({
+      success: true,
+      id: created.id,
+      key: created.key,
+      prefixo: created.prefixo,
+      message: 'Guarde esta chave: ela não será exibida novamente'
+    });
+  } catch (err) {
+    console.error('Erro ao criar chave de API:', err);
+    res.status(500).json({ error: 'Erro ao criar chave de API', details: err.message });
+  }
+});
+
+// DELETE /api/api-keys/:id - Revoga uma chave
+router.delete('/:id', async (req, res) => {
+  try {
+    const revoked = await ApiKeyService.revoke(req.keyOwner.tipo, req.keyOwner.codigo, req.params.id);
+
+    if (revoked === 0) {
+      return res.status(404).json({ error: 'Chave não encontrada' });
+    }
+
+    res.json({ success: true, message: 'Chave revogada com sucesso' });
+  } catch (err) {
+    console.error('Erro ao revogar chave de API:', err);
+    res.status(500).json({ error: 'Erro ao revogar chave de API', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const authMiddleware = require('../middlewares/authMiddleware');
+const AuditService = require('../services/AuditService');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 50000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Trilha de auditoria é da conta: operadores precisam de acesso completo
+const fullAccessOnly = (req, res, next) => {
+  if (!req.user.permissoes.includes('*')) {
+    return res.status(403).json({ error: 'Acesso negado', details: 'Seu perfil não pode consultar a auditoria' });
+  }
+  next();
+};
+
+router.use(authMiddleware, fullAccessOnly);
+
+const parseFilters = (query) => {
+  const { data_inicio, data_fim, ator_tipo, ator_codigo, recurso, metodo } = query;
+
+  if ((data_inicio && !DATE_PATTERN.test(data_inicio)) || (data_fim && !DATE_PATTERN.test(data_fim))) {
+    return { error: 'Datas devem estar no formato AAAA-MM-DD' };
+  }
+  if (ator_tipo && !['titular', 'subusuario', 'chave_api'].includes(ator_tipo)) {
+    return { error: 'ator_tipo deve ser titular, subusuario ou chave_api' };
+  }
+
+  return { filters: { data_inicio, data_fim, ator_tipo, ator_codigo, recurso, metodo } };
+};
+
+// GET /api/audit - Lista ações registradas (filtros: data_inicio, data_fim, ator_tipo, ator_codigo, recurso, metodo)
+router.get('/', async (req, res) => {
+  try {
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const { total, registros } = await AuditService.list(req.user, filters, {
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({ total, page, limit, registros });
+  } catch (err) {
+    console.error('Erro ao buscar auditoria:', err);
+    res.status(500).json({ error: 'Erro ao buscar auditoria', details: err.message });
+  }
+});
+
+// GET /api/audit/recursos - Tipos de recurso presentes na auditoria da conta
+router.get('/recursos', async (req, res) => {
+  try {
+    res.json(await AuditService.listResources(req.user));
+  } catch (err) {
+    console.error('Erro ao buscar recursos da auditoria:', err);
+    res.status(500).json({ error: 'Erro ao buscar recursos da auditoria', details: err.message });
+  }
+});
+
+// GET /api/audit/export.csv - Exporta a auditoria filtrada em CSV
+router.get('/export.csv', async (req, res) => {
+  try {
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rows = await AuditService.listForExport(req.user, filters, MAX_EXPORT_ROWS);
+    const fileName = `auditoria_${new Date().toISOString().split('T')[0]}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    // BOM para o Excel reconhecer UTF-8
+    res.send(`\uFEFF${AuditService.toCSV(rows)}`);
+  } catch (err) {
+    console.error('Erro ao exportar auditoria:', err);
+    res.status(500).json({ error: 'Erro ao exportar auditoria', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,76 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const db = require('../config/database');
+const authMiddleware = require('../middlewares/authMiddleware');
+const SessionService = require('../services/SessionService');
+const LoginLockoutService = require('../services/LoginLockoutService');
+const PasswordResetService = require('../services/PasswordResetService');
+const RevendaService = require('../services/RevendaService');
+const MailService = require('../services/MailService');
+const WowzaConfigManager = require('../config/WowzaConfigManager');
+const TwoFactorService = require('../services/TwoFactorService');
+const SubUserService = require('../services/SubUserService');
 
 const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET || 'sua_chave_secreta_super_segura_aqui';
 
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const MIN_PASSWORD_LENGTH = 8;
+
+// Resposta padrão para login bloqueado por excesso de tentativas
+const sendLockedResponse = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Muitas tentativas de login. Tente novamente mais tarde.',
+    retry_after: retryAfter
+  });
+};
+
+// Registrar acesso, abrir sessão e responder com os tokens
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Atualizar último acesso baseado no tipo de usuário
+  if (user.tipo === 'revenda') {
+    await db.execute(
+      'UPDATE revendas SET ultimo_acesso_data = NOW(), ultimo_acesso_ip = ? WHERE codigo = ?',
+      [req.ip, user.codigo]
+    );
+  } else if (user.tipo === 'subusuario') {
+    await SubUserService.updateLastAccess(user.codigo);
+  } else {
+    await db.execute(
+      'UPDATE streamings SET ultima_atividade = NOW() WHERE codigo = ?',
+      [user.codigo]
+    );
+  }
+
+  // Abrir sessão e gerar access token + refresh token
+  const session = await SessionService.createSession(user, req);
+
+  res.json({
+    success: true,
+    token: session.token,
+    refresh_token: session.refresh_token,
+    expires_in: session.expires_in,
+    ...extra,
+    user: {
+      id: user.tipo === 'subusuario' ? user.codigo_streaming : user.codigo,
+      nome: user.nome,
+      email: user.email,
+      usuario: user.usuario,
+      // Operadores usam o painel do streaming dono
+      tipo: user.tipo === 'subusuario' ? 'streaming' : user.tipo,
+      streamings: user.streamings,
+      espectadores: user.espectadores,
+      bitrate: user.bitrate,
+      espaco: user.espaco,
+      codigo_cliente: user.codigo_cliente || null,
+      codigo_servidor: user.codigo_servidor || null,
+      subusuario: user.tipo === 'subusuario' ? { id: user.codigo, perfil: user.perfil } : null,
+      permissoes: user.tipo === 'subusuario' ? user.permissoes : ['*']
+    }
+  });
+};
+
 // POST /api/auth/login
 router.post('/login', async (req, res) => {
   try {
@@ -16,6 +82,12 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Email/usuário e senha são obrigatórios' });
     }
 
+    // Verificar bloqueio por IP antes de consultar a conta
+    const ipRetryAfter = await LoginLockoutService.checkIp(req.ip);
+    if (ipRetryAfter > 0) {
+      return sendLockedResponse(res, ipRetryAfter);
+    }
+
     // Buscar primeiro em revendas
     let [rows] = await db.execute(
       'SELECT codigo, nome, email, usuario, senha, streamings, espectadores, bitrate, espaco, status, "revenda" as tipo FROM revendas WHERE (email = ? OR usuario = ?) AND status = 1',
@@ -45,7 +117,17 @@ router.post('/login', async (req, res) => {
       );
     }
 
+    // Por último, operadores (sub-usuários) de um streaming
+    if (rows.length === 0) {
+      const subUser = await SubUserService.findForLogin(loginInput);
+      rows = subUser ? [subUser] : [];
+    }
+
     if (rows.length === 0) {
+      const retryAfter = await LoginLockoutService.registerFailedAttempt(req);
+      if (retryAfter > 0) {
+        return sendLockedResponse(res, retryAfter);
+      }
       return res.status(401).json({ error: 'Credenciais inválidas' });
     }
 
@@ -55,66 +137,524 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Conta desativada' });
     }
 
+    // Verificar bloqueio da conta antes de testar a senha
+    const accountRetryAfter = await LoginLockoutService.checkAccount(user);
+    if (accountRetryAfter > 0) {
+      return sendLockedResponse(res, accountRetryAfter);
+    }
+
     // Verificar senha
     const isValidPassword = await bcrypt.compare(password, user.senha);
     
     if (!isValidPassword) {
+      const retryAfter = await LoginLockoutService.registerFailedAttempt(req, user);
+      if (retryAfter > 0) {
+        return sendLockedResponse(res, retryAfter);
+      }
       return res.status(401).json({ error: 'Credenciais inválidas' });
     }
 
-    // Atualizar último acesso baseado no tipo de usuário
-    if (user.tipo === 'revenda') {
-      await db.execute(
-        'UPDATE revendas SET ultimo_acesso_data = NOW(), ultimo_acesso_ip = ? WHERE codigo = ?',
-        [req.ip, user.codigo]
-      );
-    } else {
-      await db.execute(
-        'UPDATE streamings SET ultima_atividade = NOW() WHERE codigo = ?',
-        [user.codigo]
-      );
+    // Conta com 2FA: devolver desafio em vez do token de acesso. As falhas só são zeradas quando
+    // a sessão é emitida; senão a senha certa zeraria as tentativas de código do /2fa/verify
+    const twoFactor = await TwoFactorService.getLoginRequirement(user);
+    if (twoFactor) {
+      return res.json({
+        success: true,
+        two_factor_required: twoFactor === 'verify',
+        two_factor_setup_required: twoFactor === 'setup',
+        challenge_token: TwoFactorService.signChallenge(user, twoFactor === 'verify' ? 'mfa' : 'mfa_setup')
+      });
+    }
+
+    await LoginLockoutService.registerSuccess(req, user);
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Erro no login:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/refresh - Troca o refresh token por um novo par de tokens
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'Refresh token é obrigatório' });
+    }
+
+    const result = await SessionService.rotateSession(refresh_token, req);
+
+    if (!result.success) {
+      return res.status(401).json({ error: result.error, revoked: true });
     }
 
-    // Gerar token JWT
-    const token = jwt.sign(
-      { 
-        userId: user.codigo, 
-        email: user.email,
-        usuario: user.usuario,
-        tipo: user.tipo,
-        codigo_cliente: user.codigo_cliente || null,
-        codigo_servidor: user.codigo_servidor || null
-      },
-      JWT_SECRET,
-      { expiresIn: '7d' }
+    res.json({
+      success: true,
+      token: result.token,
+      refresh_token: result.refresh_token,
+      expires_in: result.expires_in
+    });
+  } catch (error) {
+    console.error('Erro ao renovar sessão:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/logout - Encerra a sessão atual
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await SessionService.revokeSession(req.user.session_id, 'logout');
+    res.json({ success: true, message: 'Sessão encerrada com sucesso' });
+  } catch (error) {
+    console.error('Erro no logout:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/logout-all - Encerra todas as sessões do usuário
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    const session = await SessionService.getSession(req.user.session_id);
+    const revoked = await SessionService.revokeAllSessions(session.tipo_usuario, session.codigo_usuario);
+
+    res.json({
+      success: true,
+      message: 'Todas as sessões foram encerradas',
+      sessions_revoked: revoked
+    });
+  } catch (error) {
+    console.error('Erro ao encerrar todas as sessões:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// GET /api/auth/sessions - Lista sessões ativas do usuário
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const session = await SessionService.getSession(req.user.session_id);
+    const sessions = await SessionService.listSessions(session.tipo_usuario, session.codigo_usuario);
+
+    res.json(sessions.map(item => ({
+      ...item,
+      atual: item.id === req.user.session_id
+    })));
+  } catch (error) {
+    console.error('Erro ao listar sessões:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Encerra uma sessão específica do usuário
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const current = await SessionService.getSession(req.user.session_id);
+    const target = await SessionService.getSession(req.params.id);
+
+    if (!target || target.tipo_usuario !== current.tipo_usuario || target.codigo_usuario !== current.codigo_usuario) {
+      return res.status(404).json({ error: 'Sessão não encontrada' });
+    }
+
+    await SessionService.revokeSession(target.codigo, 'revogada_usuario');
+    res.json({ success: true, message: 'Sessão encerrada com sucesso' });
+  } catch (error) {
+    console.error('Erro ao encerrar sessão:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Identificar o usuário do cadastro de 2FA: sessão autenticada ou desafio emitido no login
+const resolveTwoFactorUser = async (req, res, next) => {
+  try {
+    if (req.body && req.body.challenge_token) {
+      const challenge = TwoFactorService.verifyChallenge(req.body.challenge_token, 'mfa_setup');
+      if (!challenge) {
+        return res.status(401).json({ error: 'Desafio inválido ou expirado. Faça login novamente.' });
+      }
+
+      const user = await SessionService.loadUser(challenge.tipo, challenge.userId);
+      if (!user) {
+        return res.status(401).json({ error: 'Usuário não encontrado ou inativo' });
+      }
+
+      req.twoFactorUser = user;
+      req.viaChallenge = true;
+      return next();
+    }
+
+    authMiddleware(req, res, async () => {
+      try {
+        const session = await SessionService.getSession(req.user.session_id);
+        const user = await SessionService.loadUser(session.tipo_usuario, session.codigo_usuario);
+        if (!user) {
+          return res.status(401).json({ error: 'Usuário não encontrado ou inativo' });
+        }
+
+        req.twoFactorUser = user;
+        req.viaChallenge = false;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const PASSWORD_TABLES = {
+  revenda: 'revendas',
+  streaming: 'streamings',
+  subusuario: 'streamings_subusuarios'
+};
+
+const loadPasswordHash = async (tipo, userId) => {
+  const table = PASSWORD_TABLES[tipo];
+  const [rows] = await db.execute(`SELECT senha FROM ${table} WHERE codigo = ?`, [userId]);
+  return rows.length > 0 ? rows[0].senha : null;
+};
+
+// GET /api/auth/2fa/status - Situação do 2FA do usuário
+router.get('/2fa/status', resolveTwoFactorUser, async (req, res) => {
+  try {
+    const user = req.twoFactorUser;
+    const enabled = await TwoFactorService.isEnabled(user.tipo, user.codigo);
+
+    res.json({
+      enabled,
+      required: await TwoFactorService.isRequired(user),
+      recovery_codes_remaining: enabled ? await TwoFactorService.countRecoveryCodes(user.tipo, user.codigo) : 0
+    });
+  } catch (error) {
+    console.error('Erro ao buscar status do 2FA:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/2fa/setup - Gera segredo TOTP e URI para o QR code
+router.post('/2fa/setup', resolveTwoFactorUser, async (req, res) => {
+  try {
+    const user = req.twoFactorUser;
+    const result = await TwoFactorService.startEnrollment(
+      user.tipo,
+      user.codigo,
+      user.tipo === 'subusuario' ? user.email : (user.usuario || user.email)
     );
 
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
     res.json({
       success: true,
-      token,
-      user: {
-        id: user.codigo,
-        nome: user.nome,
-        email: user.email,
-        usuario: user.usuario,
-        tipo: user.tipo,
-        streamings: user.streamings,
-        espectadores: user.espectadores,
-        bitrate: user.bitrate,
-        espaco: user.espaco,
-        codigo_cliente: user.codigo_cliente || null,
-        codigo_servidor: user.codigo_servidor || null
+      secret: result.secret,
+      otpauth_uri: result.otpauth_uri
+    });
+  } catch (error) {
+    console.error('Erro ao iniciar cadastro do 2FA:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirma o primeiro código e ativa o 2FA
+router.post('/2fa/enable', resolveTwoFactorUser, async (req, res) => {
+  try {
+    const user = req.twoFactorUser;
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Código é obrigatório' });
+    }
+
+    const result = await TwoFactorService.confirmEnrollment(user.tipo, user.codigo, code);
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    // Cadastro obrigatório feito durante o login: concluir o login
+    if (req.viaChallenge) {
+      await LoginLockoutService.registerSuccess(req, user);
+      return await completeLogin(req, res, user, { recovery_codes: result.recovery_codes });
+    }
+
+    res.json({
+      success: true,
+      message: 'Autenticação em dois fatores ativada',
+      recovery_codes: result.recovery_codes
+    });
+  } catch (error) {
+    console.error('Erro ao ativar 2FA:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/2fa/verify - Segundo passo do login
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({ error: 'Desafio e código são obrigatórios' });
+    }
+
+    const challenge = TwoFactorService.verifyChallenge(challenge_token, 'mfa');
+    if (!challenge) {
+      return res.status(401).json({ error: 'Desafio inválido ou expirado. Faça login novamente.' });
+    }
+
+    const user = await SessionService.loadUser(challenge.tipo, challenge.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Usuário não encontrado ou inativo' });
+    }
+
+    const accountRetryAfter = await LoginLockoutService.checkAccount(user);
+    if (accountRetryAfter > 0) {
+      return sendLockedResponse(res, accountRetryAfter);
+    }
+
+    const valid = await TwoFactorService.verifyLogin(user.tipo, user.codigo, {
+      code,
+      recoveryCode: recovery_code
+    });
+
+    if (!valid) {
+      const retryAfter = await LoginLockoutService.registerFailedAttempt(req, user);
+      if (retryAfter > 0) {
+        return sendLockedResponse(res, retryAfter);
       }
+      return res.status(401).json({ error: 'Código inválido' });
+    }
+
+    await LoginLockoutService.registerSuccess(req, user);
+    await completeLogin(req, res, user, recovery_code ? {
+      recovery_codes_remaining: await TwoFactorService.countRecoveryCodes(user.tipo, user.codigo)
+    } : {});
+  } catch (error) {
+    console.error('Erro na verificação do 2FA:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Gera novos códigos de recuperação
+router.post('/2fa/recovery-codes', resolveTwoFactorUser, async (req, res) => {
+  try {
+    const user = req.twoFactorUser;
+
+    if (req.viaChallenge) {
+      return res.status(401).json({ error: 'Token de acesso requerido' });
+    }
+
+    if (!(await TwoFactorService.verifyLogin(user.tipo, user.codigo, { code: req.body.code }))) {
+      return res.status(401).json({ error: 'Código inválido' });
+    }
+
+    const recoveryCodes = await TwoFactorService.generateRecoveryCodes(user.tipo, user.codigo);
+    res.json({ success: true, recovery_codes: recoveryCodes });
+  } catch (error) {
+    console.error('Erro ao gerar códigos de recuperação:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/2fa/disable - Desativa o 2FA (exige senha e código)
+router.post('/2fa/disable', resolveTwoFactorUser, async (req, res) => {
+  try {
+    const user = req.twoFactorUser;
+    const { password, code, recovery_code } = req.body;
+
+    if (req.viaChallenge) {
+      return res.status(401).json({ error: 'Token de acesso requerido' });
+    }
+
+    if (await TwoFactorService.isRequired(user)) {
+      return res.status(403).json({ error: 'Sua revenda exige autenticação em dois fatores' });
+    }
+
+    const senhaHash = await loadPasswordHash(user.tipo, user.codigo);
+    if (!password || !senhaHash || !(await bcrypt.compare(password, senhaHash))) {
+      return res.status(401).json({ error: 'Senha incorreta' });
+    }
+
+    const valid = await TwoFactorService.verifyLogin(user.tipo, user.codigo, {
+      code,
+      recoveryCode: recovery_code
     });
+    if (!valid) {
+      return res.status(401).json({ error: 'Código inválido' });
+    }
+
+    await TwoFactorService.disable(user.tipo, user.codigo);
+    res.json({ success: true, message: 'Autenticação em dois fatores desativada' });
   } catch (error) {
-    console.error('Erro no login:', error);
+    console.error('Erro ao desativar 2FA:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/register - Auto-cadastro de streaming sob uma revenda
+router.post('/register', async (req, res) => {
+  try {
+    const { revenda: revendaId, nome, usuario, email, password } = req.body;
+
+    if (!revendaId || !nome || !usuario || !email || !password) {
+      return res.status(400).json({ error: 'Revenda, nome, usuário, email e senha são obrigatórios' });
+    }
+
+    if (!/^[a-z0-9_]{3,32}$/.test(usuario)) {
+      return res.status(400).json({ error: 'Usuário deve ter de 3 a 32 caracteres: letras minúsculas, números ou _' });
+    }
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'Email inválido' });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres` });
+    }
+
+    const revenda = await RevendaService.getRevenda(revendaId);
+    if (!revenda || revenda.status !== 1) {
+      return res.status(404).json({ error: 'Revenda não encontrada' });
+    }
+
+    const configuracoes = RevendaService.parseConfiguracoes(revenda.configuracoes);
+    if (!configuracoes.permitir_cadastro) {
+      return res.status(403).json({ error: 'Cadastro de novos usuários desativado por esta revenda' });
+    }
+
+    const quotaError = await RevendaService.checkQuota(revenda, {
+      espectadores: configuracoes.cadastro_espectadores,
+      bitrate: configuracoes.cadastro_bitrate,
+      espaco: configuracoes.cadastro_espaco
+    });
+    if (quotaError) {
+      return res.status(403).json({ error: quotaError });
+    }
+
+    if (await RevendaService.isUsuarioTaken(usuario, email)) {
+      return res.status(409).json({ error: 'Usuário ou email já cadastrado' });
+    }
+
+    const senhaHash = await bcrypt.hash(password, 10);
+    const serverId = await RevendaService.resolveServerId(revenda);
+
+    const [result] = await db.execute(
+      `INSERT INTO streamings (
+        codigo_cliente, codigo_servidor, usuario, senha, senha_transmissao,
+        espectadores, bitrate, espaco, ftp_dir, identificacao, email,
+        data_cadastro, aplicacao, status
+      ) VALUES (?, ?, ?, ?, '', ?, ?, ?, ?, ?, ?, NOW(), 'live', 1)`,
+      [
+        revenda.codigo,
+        serverId,
+        usuario,
+        senhaHash,
+        configuracoes.cadastro_espectadores,
+        configuracoes.cadastro_bitrate,
+        configuracoes.cadastro_espaco,
+        `/home/streaming/${usuario}`,
+        nome,
+        email
+      ]
+    );
+
+    try {
+      await WowzaConfigManager.createUserWowzaStructure(serverId, usuario, {
+        bitrate: configuracoes.cadastro_bitrate,
+        espectadores: configuracoes.cadastro_espectadores,
+        status_gravando: 'nao'
+      });
+    } catch (wowzaError) {
+      console.warn('Erro ao criar estrutura Wowza do novo usuário:', wowzaError.message);
+    }
+
+    try {
+      await MailService.send({
+        to: email,
+        subject: 'Sua conta de streaming foi criada',
+        text: `Olá ${nome},\n\nSua conta foi criada com o usuário "${usuario}".\nAcesse o painel em ${FRONTEND_URL}/login.`
+      });
+    } catch (mailError) {
+      console.warn('Erro ao enviar email de boas-vindas:', mailError.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      id: result.insertId,
+      message: 'Conta criada com sucesso'
+    });
+  } catch (error) {
+    console.error('Erro no cadastro:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
-// POST /api/auth/register
+// POST /api/auth/forgot-password - Envia link de redefinição de senha
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email é obrigatório' });
+    }
 
-// POST /api/auth/forgot-password
+    // Resposta idêntica exista ou não a conta, para não revelar emails cadastrados
+    const genericResponse = {
+      success: true,
+      message: 'Se o email estiver cadastrado, você receberá um link para redefinir a senha'
+    };
+
+    const account = await PasswordResetService.findAccountByEmail(email);
+    if (!account) {
+      return res.json(genericResponse);
+    }
+
+    const token = await PasswordResetService.createToken(account, req.ip);
+    const resetUrl = `${FRONTEND_URL}/reset-password?token=${token}`;
+
+    try {
+      await MailService.send({
+        to: account.email,
+        subject: 'Redefinição de senha',
+        text: `Olá ${account.nome},\n\nPara redefinir sua senha acesse o link abaixo em até ${PasswordResetService.tokenExpiresMinutes} minutos:\n${resetUrl}\n\nSe você não solicitou a redefinição, ignore este email.`
+      });
+    } catch (mailError) {
+      console.error('Erro ao enviar email de redefinição de senha:', mailError.message);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Erro ao solicitar redefinição de senha:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// POST /api/auth/reset-password - Redefine a senha com o token recebido por email
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token e nova senha são obrigatórios' });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres` });
+    }
+
+    const result = await PasswordResetService.resetPassword(token, password);
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ success: true, message: 'Senha redefinida com sucesso. Faça login novamente.' });
+  } catch (error) {
+    console.error('Erro ao redefinir senha:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
 
 // GET /api/auth/me
 router.get('/me', async (req, res) => {
@@ -136,6 +676,10 @@ router.get('/me', async (req, res) => {
       }
       return res.status(401).json({ error: 'Token inválido' });
     }
+
+    if (!(await SessionService.isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: 'Sessão encerrada', revoked: true });
+    }
     
     let rows = [];
     
@@ -177,10 +721,20 @@ router.get('/me', async (req, res) => {
       return res.status(401).json({ error: 'Conta desativada' });
     }
     
+    // Operador: identificar quem está usando o painel do streaming
+    let subusuario = null;
+    if (decoded.subusuario) {
+      const subUser = await SubUserService.loadUser(decoded.subusuario);
+      if (!subUser) {
+        return res.status(401).json({ error: 'Conta desativada' });
+      }
+      subusuario = { id: subUser.codigo, nome: subUser.nome, email: subUser.email, perfil: subUser.perfil };
+    }
+
     res.json({
       id: user.codigo,
-      nome: user.nome,
-      email: user.email,
+      nome: subusuario ? subusuario.nome : user.nome,
+      email: subusuario ? subusuario.email : user.email,
       usuario: user.usuario,
       tipo: user.tipo,
       streamings: user.streamings,
@@ -188,7 +742,9 @@ router.get('/me', async (req, res) => {
       bitrate: user.bitrate,
       espaco: user.espaco,
       codigo_cliente: user.codigo_cliente || null,
-      codigo_servidor: user.codigo_servidor || null
+      codigo_servidor: user.codigo_servidor || null,
+      subusuario,
+      permissoes: decoded.permissoes || ['*']
     });
   } catch (error) {
     console.error('Erro ao buscar usuário:', error);
@@ -1,9 +1,27 @@
 const express = require('express');
 const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
+const AsRunService = require('../services/AsRunService');
+const PlaylistSMILService = require('../services/PlaylistSMILService');
 
 const router = express.Router();
 
+// Os comerciais são intercalados no SMIL das playlists: regenerar depois de qualquer alteração
+const updateUserSMIL = async (req) => {
+  try {
+    const userLogin = req.user.email.split('@')[0];
+    const [serverRows] = await db.execute(
+      'SELECT codigo_servidor FROM streamings WHERE codigo_cliente = ? LIMIT 1',
+      [req.user.id]
+    );
+    const serverId = serverRows.length > 0 ? serverRows[0].codigo_servidor : 1;
+
+    await PlaylistSMILService.updateUserSMIL(req.user.id, userLogin, serverId);
+  } catch (smilError) {
+    console.warn('Erro ao atualizar arquivo SMIL:', smilError.message);
+  }
+};
+
 // GET /api/comerciais - Lista configurações de comerciais
 router.get('/', authMiddleware, async (req, res) => {
   try {
@@ -30,6 +48,40 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
+// GET /api/comerciais/exibicoes - Comprovação de veiculação: comerciais do as-run (from/to YYYY-MM-DD, id_config opcional)
+router.get('/exibicoes', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const period = await AsRunService.resolvePeriod(userId, req.query);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+
+    const { total, duracao_total, registros } = await AsRunService.list(userId, {
+      from: period.start,
+      to: period.end,
+      configId: req.query.id_config,
+      tipo: 'comercial'
+    }, { limit, offset: (page - 1) * limit });
+
+    res.json({
+      timezone: period.timeZone,
+      from: period.from,
+      to: period.to,
+      total,
+      duracao_total,
+      page,
+      limit,
+      exibicoes: AsRunService.withLocalTimes(registros, period.timeZone)
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Erro ao buscar exibições de comerciais:', err);
+    res.status(500).json({ error: 'Erro ao buscar exibições de comerciais', details: err.message });
+  }
+});
+
 // POST /api/comerciais - Cria configuração de comerciais
 router.post('/', authMiddleware, async (req, res) => {
   try {
@@ -55,6 +107,8 @@ router.post('/', authMiddleware, async (req, res) => {
       [userId, id_playlist, id_folder_comerciais, quantidade_comerciais || 1, intervalo_videos || 3, ativo ? 1 : 0]
     );
 
+    await updateUserSMIL(req);
+
     res.status(201).json({
       id: result.insertId,
       message: 'Configuração de comerciais criada com sucesso'
@@ -107,6 +161,7 @@ router.put('/:id', authMiddleware, async (req, res) => {
         `UPDATE comerciais_config SET ${updates.join(', ')} WHERE codigo = ?`,
         values
       );
+      await updateUserSMIL(req);
     }
 
     res.json({ success: true, message: 'Configuração atualizada com sucesso' });
@@ -138,6 +193,8 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       [comercialId]
     );
 
+    await updateUserSMIL(req);
+
     res.json({ success: true, message: 'Configuração removida com sucesso' });
   } catch (err) {
     console.error('Erro ao remover comerciais:', err);
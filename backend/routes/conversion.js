@@ -3,6 +3,11 @@ const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
 const VideoSSHManager = require('../config/VideoSSHManager');
 const SSHManager = require('../config/SSHManager');
+const JobQueueService = require('../services/JobQueueService');
+const VideoConversionService = require('../services/VideoConversionService');
+const WowzaConfigManager = require('../config/WowzaConfigManager');
+const VideoPreviewService = require('../services/VideoPreviewService');
+const LoudnessService = require('../services/LoudnessService');
 
 const router = express.Router();
 
@@ -38,6 +43,11 @@ router.get('/videos', authMiddleware, async (req, res) => {
         v.is_mp4,
         v.compativel,
         v.pasta,
+        v.abr_smil,
+        v.abr_renditions,
+        v.previews,
+        v.loudness_lufs,
+        v.loudness_true_peak,
         s.bitrate as user_bitrate_limit,
         s.identificacao as folder_name
        FROM videos v
@@ -117,6 +127,14 @@ router.get('/videos', authMiddleware, async (req, res) => {
           canConvert: true,
           description: 'Configure bitrate e resolução personalizados',
           customizable: true
+        },
+        {
+          quality: 'abr',
+          bitrate: VideoConversionService.buildLadder(userBitrateLimit, video.altura)[0].bitrate,
+          resolution: 'Múltiplas',
+          canConvert: true,
+          description: 'Várias qualidades com troca automática no player (HLS adaptativo)',
+          customizable: false
         }
       ];
 
@@ -141,7 +159,13 @@ router.get('/videos', authMiddleware, async (req, res) => {
         compatibility_status: compatibilityStatus,
         compatibility_message: compatibilityMessage,
         conversion_status: video.compativel === 'sim' && !needsConversion ? 'disponivel' : 'nao_iniciada',
-        folder_name: video.folder_name
+        folder_name: video.folder_name,
+        adaptive_url: video.abr_smil ?
+          WowzaConfigManager.buildVideoUrls(userLogin, video.folder_name, video.nome, null, { abrSmil: video.abr_smil }).adaptive : null,
+        abr_renditions: video.abr_renditions ? JSON.parse(video.abr_renditions) : null,
+        loudness_lufs: video.loudness_lufs !== null ? parseFloat(video.loudness_lufs) : null,
+        loudness_true_peak: video.loudness_true_peak !== null ? parseFloat(video.loudness_true_peak) : null,
+        ...VideoPreviewService.buildUrls(video.id, video.previews, { sessionId: req.user.session_id })
       };
     });
 
@@ -164,6 +188,7 @@ router.get('/qualities', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
     const userBitrateLimit = req.user.bitrate || 2500;
+    const abrLadder = VideoConversionService.buildLadder(userBitrateLimit);
 
     const qualities = [
       {
@@ -205,6 +230,19 @@ router.get('/qualities', authMiddleware, async (req, res) => {
         resolution: 'Personalizada',
         available: true,
         description: 'Configure bitrate e resolução personalizados'
+      },
+      {
+        quality: 'abr',
+        label: 'Adaptativo (ABR)',
+        bitrate: abrLadder[0].bitrate,
+        resolution: abrLadder.map(rung => rung.label).join(' / '),
+        available: true,
+        description: 'Gera uma versão por qualidade e um SMIL multi-bitrate; o player troca de qualidade conforme a conexão',
+        renditions: abrLadder.map(rung => ({
+          label: rung.label,
+          bitrate: rung.bitrate,
+          resolution: `${rung.width}x${rung.height}`
+        }))
       }
     ];
 
@@ -223,170 +261,11 @@ router.get('/qualities', authMiddleware, async (req, res) => {
   }
 });
 
-// POST /api/conversion/convert - Iniciar conversão de vídeo
+// POST /api/conversion/convert - Enfileirar conversão de vídeo
 router.post('/convert', authMiddleware, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const userLogin = req.user.email ? req.user.email.split('@')[0] : `user_${userId}`;
-    const { video_id, quality, custom_bitrate, custom_resolution, use_custom } = req.body;
-
-    if (!video_id) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'ID do vídeo é obrigatório' 
-      });
-    }
-
-    // Buscar dados do vídeo
-    const [videoRows] = await db.execute(
-      'SELECT * FROM videos WHERE id = ? AND codigo_cliente = ?',
-      [video_id, userId]
-    );
-
-    if (videoRows.length === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Vídeo não encontrado' 
-      });
-    }
-
-    const video = videoRows[0];
-    const userBitrateLimit = req.user.bitrate || 2500;
-
-    // Determinar configurações de conversão
-    let targetBitrate, targetResolution, qualityLabel;
-
-    if (use_custom || quality === 'custom') {
-      if (!custom_bitrate || !custom_resolution) {
-        return res.status(400).json({ 
-          success: false, 
-          error: 'Bitrate e resolução customizados são obrigatórios para conversão personalizada' 
-        });
-      }
-
-      if (custom_bitrate > userBitrateLimit) {
-        return res.status(400).json({ 
-          success: false, 
-          error: `Bitrate customizado (${custom_bitrate} kbps) excede o limite do plano (${userBitrateLimit} kbps)` 
-        });
-      }
-
-      targetBitrate = custom_bitrate;
-      targetResolution = custom_resolution;
-      qualityLabel = `Personalizado (${custom_bitrate} kbps)`;
-    } else {
-      // Qualidades predefinidas
-      const qualitySettings = {
-        baixa: { bitrate: 800, resolution: '854x480', label: 'Baixa (480p)' },
-        media: { bitrate: 1500, resolution: '1280x720', label: 'Média (720p)' },
-        alta: { bitrate: 2500, resolution: '1920x1080', label: 'Alta (1080p)' },
-        fullhd: { bitrate: Math.min(4000, userBitrateLimit), resolution: '1920x1080', label: 'Full HD (1080p+)' }
-      };
-
-      const settings = qualitySettings[quality];
-      if (!settings) {
-        return res.status(400).json({ 
-          success: false, 
-          error: 'Qualidade inválida' 
-        });
-      }
-
-      if (settings.bitrate > userBitrateLimit) {
-        return res.status(400).json({ 
-          success: false, 
-          error: `Qualidade selecionada excede o limite do plano (${userBitrateLimit} kbps)` 
-        });
-      }
-
-      targetBitrate = settings.bitrate;
-      targetResolution = settings.resolution;
-      qualityLabel = settings.label;
-    }
-
-    // Buscar servidor do usuário
-    const [serverRows] = await db.execute(
-      'SELECT codigo_servidor FROM streamings WHERE codigo_cliente = ? LIMIT 1',
-      [userId]
-    );
-
-    const serverId = serverRows.length > 0 ? serverRows[0].codigo_servidor : 1;
-
-    // Construir caminhos
-    const inputPath = video.caminho.startsWith('/usr/local/WowzaStreamingEngine/content') ? 
-      video.caminho : `/usr/local/WowzaStreamingEngine/content/${video.caminho}`;
-    
-    const outputPath = inputPath.replace(/\.[^/.]+$/, `_${targetBitrate}kbps.mp4`);
-
-    // Verificar se arquivo de entrada existe
-    const inputExists = await SSHManager.getFileInfo(serverId, inputPath);
-    if (!inputExists.exists) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Arquivo de vídeo não encontrado no servidor' 
-      });
-    }
-
-    // Verificar se conversão já existe
-    const outputExists = await SSHManager.getFileInfo(serverId, outputPath);
-    if (outputExists.exists) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Já existe uma conversão com essas configurações' 
-      });
-    }
-
-    // Comando FFmpeg para conversão
-    const [width, height] = targetResolution.split('x');
-    const ffmpegCommand = `ffmpeg -i "${inputPath}" -c:v libx264 -preset fast -crf 23 -b:v ${targetBitrate}k -maxrate ${targetBitrate}k -bufsize ${targetBitrate * 2}k -vf scale=${width}:${height} -c:a aac -b:a 128k -movflags +faststart "${outputPath}" -y 2>/dev/null && echo "CONVERSION_SUCCESS" || echo "CONVERSION_ERROR"`;
-
-    console.log(`🔄 Iniciando conversão: ${video.nome} -> ${qualityLabel}`);
-
-    // Executar conversão via SSH (assíncrono)
-    SSHManager.executeCommand(serverId, ffmpegCommand)
-      .then(result => {
-        if (result.stdout.includes('CONVERSION_SUCCESS')) {
-          console.log(`✅ Conversão concluída: ${video.nome} -> ${qualityLabel}`);
-          
-          // Atualizar banco com nova versão convertida
-          db.execute(
-            `INSERT INTO videos (
-              nome, url, caminho, duracao, tamanho_arquivo,
-              codigo_cliente, pasta, bitrate_video, formato_original,
-              largura, altura, is_mp4, compativel, qualidade_conversao
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'mp4', ?, ?, 1, 'sim', ?)`,
-            [
-              `${video.nome} (${qualityLabel})`,
-              video.url.replace(/\.[^/.]+$/, `_${targetBitrate}kbps.mp4`),
-              outputPath,
-              video.duracao,
-              0, // Tamanho será calculado depois
-              userId,
-              video.pasta,
-              targetBitrate,
-              width,
-              height,
-              qualityLabel
-            ]
-          ).catch(dbError => {
-            console.error('Erro ao salvar conversão no banco:', dbError);
-          });
-        } else {
-          console.error(`❌ Erro na conversão: ${video.nome}`);
-        }
-      })
-      .catch(conversionError => {
-        console.error('Erro na conversão:', conversionError);
-      });
-
-    res.json({
-      success: true,
-      message: `Conversão iniciada: ${video.nome} -> ${qualityLabel}`,
-      conversion_id: `${video_id}_${targetBitrate}`,
-      target_bitrate: targetBitrate,
-      target_resolution: targetResolution,
-      quality_label: qualityLabel
-    });
-
+    const result = await VideoConversionService.enqueue(req.user, req.body);
+    res.status(result.status).json(result.body);
   } catch (err) {
     console.error('Erro ao iniciar conversão:', err);
     res.status(500).json({ 
@@ -403,7 +282,33 @@ router.get('/status/:videoId', authMiddleware, async (req, res) => {
     const videoId = req.params.videoId;
     const userId = req.user.id;
 
-    // Buscar conversões do vídeo
+    // Conversão na fila de tarefas (referência: <id do vídeo>_<bitrate>)
+    const job = await JobQueueService.findCurrent(userId, 'conversao', { prefixo: `${parseInt(videoId)}_` });
+
+    if (job) {
+      const statusMap = {
+        pendente: 'na_fila',
+        executando: 'em_andamento',
+        concluido: 'concluida',
+        erro: 'erro',
+        cancelado: 'cancelada'
+      };
+
+      return res.json({
+        success: true,
+        conversion_status: {
+          status: statusMap[job.status],
+          progress: job.progresso,
+          quality: job.payload.quality_label,
+          bitrate: job.payload.target_bitrate,
+          file_size: job.resultado ? job.resultado.tamanho : 0,
+          job_id: job.codigo,
+          error: job.erro
+        }
+      });
+    }
+
+    // Conversões anteriores à fila de tarefas
     const [conversionRows] = await db.execute(
       `SELECT 
         id, nome, qualidade_conversao, bitrate_video,
@@ -515,11 +420,67 @@ router.delete('/:videoId', authMiddleware, async (req, res) => {
   }
 });
 
-// POST /api/conversion/batch - Conversão em lote
+// DELETE /api/conversion/abr/:videoId - Remover versões ABR (adaptativas) de um vídeo
+router.delete('/abr/:videoId', authMiddleware, async (req, res) => {
+  try {
+    const video = await VideoConversionService.removeAbr(req.user, req.params.videoId);
+
+    if (!video) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Versões adaptativas não encontradas' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Versões adaptativas removidas com sucesso'
+    });
+
+  } catch (err) {
+    console.error('Erro ao remover versões adaptativas:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Erro ao remover versões adaptativas', 
+      details: err.message 
+    });
+  }
+});
+
+// POST /api/conversion/loudness/analyze - Medir loudness (LUFS e pico real) dos vídeos
+router.post('/loudness/analyze', authMiddleware, async (req, res) => {
+  try {
+    const { video_ids, prioridade } = req.body;
+
+    if (!Array.isArray(video_ids) || video_ids.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Lista de vídeos é obrigatória' 
+      });
+    }
+
+    const results = await LoudnessService.enqueueAnalysis(req.user.id, video_ids, { prioridade });
+    const successCount = results.filter(r => r.success).length;
+
+    res.json({
+      success: true,
+      message: `${successCount} de ${video_ids.length} análises enfileiradas`,
+      results
+    });
+  } catch (err) {
+    console.error('Erro ao iniciar análise de loudness:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Erro ao iniciar análise de loudness', 
+      details: err.message 
+    });
+  }
+});
+
+// POST /api/conversion/batch - Conversão em lote (uma tarefa por vídeo)
 router.post('/batch', authMiddleware, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { video_ids, quality, custom_bitrate, custom_resolution } = req.body;
+    const { video_ids, mode, quality, custom_bitrate, custom_resolution, use_custom, prioridade, loudness_target, normalize_loudness } = req.body;
 
     if (!video_ids || !Array.isArray(video_ids) || video_ids.length === 0) {
       return res.status(400).json({ 
@@ -532,28 +493,21 @@ router.post('/batch', authMiddleware, async (req, res) => {
 
     for (const videoId of video_ids) {
       try {
-        // Fazer requisição individual para cada vídeo
-        const conversionResult = await new Promise((resolve, reject) => {
-          const mockReq = {
-            user: req.user,
-            body: { video_id: videoId, quality, custom_bitrate, custom_resolution }
-          };
-          
-          const mockRes = {
-            json: resolve,
-            status: () => ({ json: reject })
-          };
-
-          // Simular chamada individual
-          router.post('/convert', authMiddleware, async (mockReq, mockRes) => {
-            // Lógica de conversão individual aqui
-          });
+        const result = await VideoConversionService.enqueue(req.user, {
+          video_id: videoId,
+          mode,
+          quality,
+          custom_bitrate,
+          custom_resolution,
+          use_custom,
+          prioridade,
+          loudness_target: loudness_target ?? normalize_loudness
         });
 
         results.push({
           video_id: videoId,
-          success: true,
-          result: conversionResult
+          success: result.body.success,
+          ...(result.body.success ? { result: result.body } : { error: result.body.error })
         });
       } catch (error) {
         results.push({
@@ -112,25 +112,17 @@ router.post('/', authMiddleware, async (req, res) => {
       });
     }
 
-    // Verificar se já existe download ativo
-    const currentStatus = YouTubeDownloader.getDownloadStatus(userId);
-    if (currentStatus.downloading) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Já existe um download ativo. Aguarde a conclusão ou cancele o download atual.' 
-      });
-    }
-
-    // Iniciar download
+    // Enfileirar download (um por vez por usuário; os demais aguardam na fila)
     const downloadResult = await YouTubeDownloader.downloadVideo(userId, url, id_pasta, {
       quality,
       format,
-      audio_quality: 'best'
+      audio_quality: 'best',
+      prioridade: req.body.prioridade
     });
 
     res.json({
       success: true,
-      message: 'Download iniciado com sucesso',
+      message: 'Download adicionado à fila',
       download_data: downloadResult
     });
 
@@ -147,7 +139,7 @@ router.post('/', authMiddleware, async (req, res) => {
 router.get('/status', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
-    const status = YouTubeDownloader.getDownloadStatus(userId);
+    const status = await YouTubeDownloader.getDownloadStatus(userId);
 
     res.json({
       success: true,
@@ -282,7 +274,7 @@ router.delete('/clear-cache', authMiddleware, async (req, res) => {
     const userId = req.user.id;
     
     // Verificar se há download ativo
-    const currentStatus = YouTubeDownloader.getDownloadStatus(userId);
+    const currentStatus = await YouTubeDownloader.getDownloadStatus(userId);
     if (currentStatus.downloading) {
       return res.status(400).json({ 
         success: false, 
@@ -0,0 +1,43 @@
+const express = require('express');
+const authMiddleware = require('../middlewares/authMiddleware');
+const EventService = require('../services/EventService');
+const SessionService = require('../services/SessionService');
+
+const router = express.Router();
+
+// Conexões abertas conferem periodicamente se a sessão não foi encerrada (logout, troca de senha)
+const SESSION_CHECK_INTERVAL = 60 * 1000;
+
+// GET /api/events - Eventos em tempo real (Server-Sent Events): tarefas, relay e transmissão
+router.get('/', authMiddleware, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Intervalo de reconexão sugerido ao navegador
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = EventService.subscribe(req.user, res);
+
+  const sessionTimer = req.user.session_id ? setInterval(async () => {
+    try {
+      if (!await SessionService.isSessionActive(req.user.session_id)) {
+        res.write('event: session.revoked\ndata: {}\n\n');
+        res.end();
+      }
+    } catch (error) {
+      console.warn('Erro ao verificar sessão da conexão de eventos:', error.message);
+    }
+  }, SESSION_CHECK_INTERVAL) : null;
+
+  res.on('close', () => {
+    clearInterval(sessionTimer);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
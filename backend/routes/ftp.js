@@ -2,6 +2,7 @@ const express = require('express');
 const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
 const FTPManager = require('../config/FTPManager');
+const JobQueueService = require('../services/JobQueueService');
 
 const router = express.Router();
 
@@ -135,7 +136,7 @@ router.post('/migrate', authMiddleware, async (req, res) => {
 
     console.log(`📦 Iniciando migração de ${files.length} arquivo(s) para usuário ${userId}`);
 
-    const result = await FTPManager.migrateFiles(userId, files, destinationFolder);
+    const result = await FTPManager.migrateFiles(userId, files, destinationFolder, { prioridade: req.body.prioridade });
 
     res.json({
       success: true,
@@ -157,7 +158,7 @@ router.post('/migrate', authMiddleware, async (req, res) => {
 router.get('/migration-status', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
-    const status = FTPManager.getMigrationStatus(userId);
+    const status = await FTPManager.getMigrationStatus(userId);
 
     res.json({
       success: true,
@@ -278,12 +279,13 @@ router.post('/validate-connection', authMiddleware, async (req, res) => {
 router.get('/stats', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
+    const migrationStatus = await FTPManager.getMigrationStatus(userId);
     
     const stats = {
       active_connections: FTPManager.activeConnections.size,
-      active_migrations: FTPManager.activeMigrations.size,
+      active_migrations: await JobQueueService.countActive('ftp_migracao'),
       user_connected: FTPManager.activeConnections.has(userId),
-      user_migrating: FTPManager.activeMigrations.has(userId),
+      user_migrating: migrationStatus.migrating,
       connection_timeout: FTPManager.connectionTimeout / 1000 / 60, // em minutos
       last_cleanup: new Date().toISOString()
     };
@@ -569,11 +571,9 @@ router.get('/logs/:migrationId', authMiddleware, async (req, res) => {
     const { migrationId } = req.params;
     const userId = req.user.id;
 
-    // Por enquanto, retornar logs básicos
-    // Em uma implementação completa, você salvaria logs detalhados
-    const migrationData = FTPManager.activeMigrations.get(userId);
+    const job = await JobQueueService.get(userId, migrationId);
     
-    if (!migrationData) {
+    if (!job || job.tipo !== 'ftp_migracao') {
       return res.json({
         success: true,
         logs: [],
@@ -581,32 +581,41 @@ router.get('/logs/:migrationId', authMiddleware, async (req, res) => {
       });
     }
 
+    const migration = job.resultado || {};
+    const total = (job.payload.files || []).length;
+
     const logs = [
       {
-        timestamp: migrationData.startTime.toISOString(),
+        timestamp: new Date(job.data_criacao).toISOString(),
         level: 'info',
-        message: `Migração iniciada: ${migrationData.files.length} arquivo(s)`
+        message: `Migração iniciada: ${total} arquivo(s)`
       },
       {
         timestamp: new Date().toISOString(),
         level: 'info',
-        message: `Status atual: ${migrationData.status}`
+        message: `Status atual: ${job.status}`
       },
       {
         timestamp: new Date().toISOString(),
         level: 'info',
-        message: `Progresso: ${migrationData.completed}/${migrationData.files.length}`
+        message: `Progresso: ${migration.completed || 0}/${total}`
       }
     ];
 
     // Adicionar erros se houver
-    if (migrationData.errors && migrationData.errors.length > 0) {
-      migrationData.errors.forEach(error => {
-        logs.push({
-          timestamp: new Date().toISOString(),
-          level: 'error',
-          message: error
-        });
+    (migration.errors || []).forEach(error => {
+      logs.push({
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        message: error
+      });
+    });
+
+    if (job.erro) {
+      logs.push({
+        timestamp: new Date(job.data_fim || Date.now()).toISOString(),
+        level: 'error',
+        message: job.erro
       });
     }
 
@@ -624,34 +633,41 @@ router.get('/logs/:migrationId', authMiddleware, async (req, res) => {
   }
 });
 
-// POST /api/ftp/retry-failed - Tentar novamente arquivos que falharam
+// POST /api/ftp/retry-failed - Tentar novamente arquivos que falharam (nova migração)
 router.post('/retry-failed', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
-    const migrationData = FTPManager.activeMigrations.get(userId);
+    const job = await JobQueueService.findCurrent(userId, 'ftp_migracao');
 
-    if (!migrationData) {
+    if (!job) {
       return res.status(400).json({
         success: false,
-        error: 'Nenhuma migração ativa encontrada'
+        error: 'Nenhuma migração encontrada'
       });
     }
 
-    if (migrationData.status !== 'completed' && migrationData.status !== 'error') {
+    if (job.status === 'pendente' || job.status === 'executando') {
       return res.status(400).json({
         success: false,
         error: 'Migração ainda está em andamento'
       });
     }
 
-    // Resetar erros e tentar novamente
-    migrationData.errors = [];
-    migrationData.status = 'migrating';
+    const failedFiles = (job.resultado && job.resultado.failed_files) || [];
+    if (failedFiles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nenhum arquivo com falha para reprocessar'
+      });
+    }
+
+    const result = await FTPManager.migrateFiles(userId, failedFiles, job.payload.destination_folder);
 
     res.json({
       success: true,
       message: 'Tentativa de reprocessamento iniciada',
-      remaining_files: migrationData.files.length - migrationData.completed
+      migration_id: result.migration_id,
+      remaining_files: failedFiles.length
     });
   } catch (error) {
     console.error('Erro ao tentar novamente:', error);
@@ -0,0 +1,76 @@
+const express = require('express');
+const authMiddleware = require('../middlewares/authMiddleware');
+const JobQueueService = require('../services/JobQueueService');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// GET /api/jobs - Lista tarefas em segundo plano (filtros: tipo, status)
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { tipo, status } = req.query;
+
+    if (status && !JobQueueService.statuses.includes(status)) {
+      return res.status(400).json({ error: `status deve ser ${JobQueueService.statuses.join(', ')}` });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const { total, jobs } = await JobQueueService.list(req.user.id, { tipo, status }, {
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      total,
+      page,
+      limit,
+      jobs: jobs.map(job => JobQueueService.format(job))
+    });
+  } catch (err) {
+    console.error('Erro ao buscar tarefas:', err);
+    res.status(500).json({ error: 'Erro ao buscar tarefas', details: err.message });
+  }
+});
+
+// GET /api/jobs/:id - Status e progresso de uma tarefa
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const job = await JobQueueService.get(req.user.id, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+
+    res.json(JobQueueService.format(job));
+  } catch (err) {
+    console.error('Erro ao buscar tarefa:', err);
+    res.status(500).json({ error: 'Erro ao buscar tarefa', details: err.message });
+  }
+});
+
+// POST /api/jobs/:id/cancel - Cancela tarefa na fila ou em execução
+router.post('/:id/cancel', authMiddleware, async (req, res) => {
+  try {
+    const job = await JobQueueService.cancel(req.user.id, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+
+    res.json({
+      success: true,
+      message: job.status === 'cancelado' ? 'Tarefa cancelada' : 'Cancelamento solicitado',
+      job: JobQueueService.format(job)
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Erro ao cancelar tarefa:', err);
+    res.status(500).json({ error: 'Erro ao cancelar tarefa', details: err.message });
+  }
+});
+
+module.exports = router;
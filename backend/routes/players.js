@@ -2,9 +2,20 @@ const express = require('express');
 const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
 const path = require('path');
+const VideoPreviewService = require('../services/VideoPreviewService');
 
 const router = express.Router();
 
+// Pôster e miniaturas (WebVTT) do vídeo da playlist, quando já foram gerados
+const findPreviewUrls = async (pathVideo) => {
+  const relative = String(pathVideo || '').replace(/^\/+/, '');
+  const [rows] = await db.execute(
+    'SELECT id, previews FROM videos WHERE (url = ? OR caminho = ? OR caminho = ?) AND previews IS NOT NULL LIMIT 1',
+    [relative, pathVideo, `/home/streaming/${relative}`]
+  );
+  return rows.length > 0 ? VideoPreviewService.buildUrls(rows[0].id, rows[0].previews) : {};
+};
+
 // GET /api/players/iframe - Player iFrame
 router.get('/iframe', async (req, res) => {
   try {
@@ -13,6 +24,8 @@ router.get('/iframe', async (req, res) => {
     let videoUrl = '';
     let title = 'Player';
     let isLive = false;
+    let posterUrl = null;
+    let thumbnailsUrl = null;
     
     if (stream) {
       // Stream ao vivo
@@ -38,6 +51,7 @@ router.get('/iframe', async (req, res) => {
           if (videoRows.length > 0) {
             videoUrl = `/content${videoRows[0].path_video}`;
             title = videoRows[0].video;
+            ({ poster_url: posterUrl, thumbnails_vtt_url: thumbnailsUrl } = await findPreviewUrls(videoRows[0].path_video));
           }
         }
       } catch (error) {
@@ -54,6 +68,7 @@ router.get('/iframe', async (req, res) => {
         if (videoRows.length > 0) {
           videoUrl = `/content${videoRows[0].path_video}`;
           title = videoRows[0].video;
+          ({ poster_url: posterUrl, thumbnails_vtt_url: thumbnailsUrl } = await findPreviewUrls(videoRows[0].path_video));
         }
       } catch (error) {
         console.error('Erro ao carregar vídeo:', error);
@@ -147,6 +162,28 @@ router.get('/iframe', async (req, res) => {
             padding: 20px;
         }
         
+        .scrub-preview {
+            position: absolute;
+            bottom: 60px;
+            display: none;
+            border: 2px solid #fff;
+            border-radius: 3px;
+            background-color: #000;
+            background-repeat: no-repeat;
+            pointer-events: none;
+            z-index: 20;
+        }
+        
+        .scrub-preview span {
+            position: absolute;
+            bottom: 2px;
+            width: 100%;
+            color: #fff;
+            font-size: 12px;
+            text-align: center;
+            text-shadow: 0 0 3px #000;
+        }
+        
         .viewer-counter {
             position: absolute;
             top: 10px;
@@ -170,11 +207,12 @@ router.get('/iframe', async (req, res) => {
         </div>
         
         ${player_type === 'videojs' ? 
-          `<video id="video" class="video-js vjs-default-skin" controls autoplay muted playsinline data-setup='{"fluid": true}'>` :
-          `<video id="video" controls autoplay muted playsinline>`
+          `<video id="video" class="video-js vjs-default-skin" controls autoplay muted playsinline${posterUrl ? ` poster="${posterUrl}"` : ''} data-setup='{"fluid": true}'>` :
+          `<video id="video" controls autoplay muted playsinline${posterUrl ? ` poster="${posterUrl}"` : ''}>`
         }
             <p class="error-message">Seu navegador não suporta reprodução de vídeo.</p>
         </video>
+        ${thumbnailsUrl && !isLive ? '<div class="scrub-preview" id="scrub-preview"><span></span></div>' : ''}
         
         ${isLive ? '<div class="viewer-counter"><i class="fa fa-eye"></i> <span id="viewer-count">0</span></div>' : ''}
     </div>
@@ -183,6 +221,8 @@ router.get('/iframe', async (req, res) => {
         const video = document.getElementById('video');
         const videoUrl = '${videoUrl}';
         const isLive = ${isLive};
+        const thumbnailsUrl = ${thumbnailsUrl && !isLive ? `'${thumbnailsUrl}'` : 'null'};
+        let player = null;
         
         if (!videoUrl) {
             document.querySelector('.player-container').innerHTML = 
@@ -193,7 +233,7 @@ router.get('/iframe', async (req, res) => {
             
             if ('${player_type}' === 'videojs') {
                 // Usar Video.js
-                const player = videojs('video', {
+                player = videojs('video', {
                     html5: {
                         hls: {
                             overrideNative: true
@@ -271,6 +311,80 @@ router.get('/iframe', async (req, res) => {
             });
         }
         
+        // Miniaturas ao passar o mouse na barra de progresso (sprite + WebVTT com #xywh)
+        if (videoUrl && thumbnailsUrl) {
+            const parseTime = function(value) {
+                const parts = value.trim().split(':').map(parseFloat);
+                return parts.reduce(function(total, part) { return total * 60 + part; }, 0);
+            };
+            
+            const formatTime = function(seconds) {
+                const m = Math.floor(seconds / 60);
+                const s = Math.floor(seconds % 60);
+                return m + ':' + (s < 10 ? '0' : '') + s;
+            };
+            
+            fetch(thumbnailsUrl).then(function(response) {
+                return response.ok ? response.text() : '';
+            }).then(function(text) {
+                const cues = text.split(/\\r?\\n\\r?\\n/).map(function(block) {
+                    const lines = block.trim().split(/\\r?\\n/);
+                    const timing = lines.find(function(line) { return line.indexOf('-->') !== -1; });
+                    const target = lines[lines.length - 1];
+                    const match = target && target.match(/^(.*)#xywh=(\\d+),(\\d+),(\\d+),(\\d+)$/);
+                    if (!timing || !match) return null;
+                    const times = timing.split('-->');
+                    return {
+                        start: parseTime(times[0]),
+                        end: parseTime(times[1]),
+                        url: match[1],
+                        x: +match[2], y: +match[3], w: +match[4], h: +match[5]
+                    };
+                }).filter(Boolean);
+                
+                const preview = document.getElementById('scrub-preview');
+                if (!preview || cues.length === 0) return;
+                
+                const show = function(ratio, left) {
+                    const duration = video.duration || cues[cues.length - 1].end;
+                    const time = Math.max(0, Math.min(ratio, 1)) * duration;
+                    const cue = cues.find(function(item) { return time >= item.start && time < item.end; }) || cues[cues.length - 1];
+                    
+                    preview.style.width = cue.w + 'px';
+                    preview.style.height = cue.h + 'px';
+                    preview.style.backgroundImage = 'url("' + cue.url + '")';
+                    preview.style.backgroundPosition = '-' + cue.x + 'px -' + cue.y + 'px';
+                    preview.style.left = Math.max(0, Math.min(left - cue.w / 2, window.innerWidth - cue.w - 4)) + 'px';
+                    preview.firstChild.textContent = formatTime(time);
+                    preview.style.display = 'block';
+                };
+                
+                const hide = function() {
+                    preview.style.display = 'none';
+                };
+                
+                if (player) {
+                    // Video.js: barra de progresso do próprio player
+                    const bar = player.controlBar.progressControl.el();
+                    bar.addEventListener('mousemove', function(e) {
+                        const rect = bar.getBoundingClientRect();
+                        show((e.clientX - rect.left) / rect.width, e.clientX);
+                    });
+                    bar.addEventListener('mouseleave', hide);
+                } else {
+                    // Controles nativos: a linha do tempo fica na faixa inferior do vídeo
+                    video.addEventListener('mousemove', function(e) {
+                        const rect = video.getBoundingClientRect();
+                        if (e.clientY < rect.bottom - 40) return hide();
+                        show((e.clientX - rect.left) / rect.width, e.clientX);
+                    });
+                    video.addEventListener('mouseleave', hide);
+                }
+            }).catch(function(error) {
+                console.log('Miniaturas indisponíveis:', error);
+            });
+        }
+        
         // Tentar reproduzir automaticamente
         video.play().catch(function(error) {
             console.log('Autoplay falhou:', error);
@@ -2,6 +2,7 @@ const express = require('express');
 const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
 const PlaylistSMILService = require('../services/PlaylistSMILService');
+const LoudnessService = require('../services/LoudnessService');
 
 const router = express.Router();
 
@@ -236,6 +237,43 @@ router.delete('/:id', authMiddleware, async (req, res) => {
     res.status(500).json({ error: 'Erro ao remover playlist', details: err.message });
   }
 });
+// POST /api/playlists/:id/normalize - Normaliza o loudness de todos os vídeos da playlist (padrão -23 LUFS)
+router.post('/:id/normalize', authMiddleware, async (req, res) => {
+  try {
+    const playlistId = req.params.id;
+    const userId = req.user.id;
+
+    const [playlistRows] = await db.execute(
+      'SELECT id, nome FROM playlists WHERE id = ? AND codigo_stm = ?',
+      [playlistId, userId]
+    );
+
+    if (playlistRows.length === 0) {
+      return res.status(404).json({ error: 'Playlist não encontrada' });
+    }
+
+    const target = LoudnessService.parseTarget(req.body.loudness_target ?? LoudnessService.defaultTarget);
+    if (!target) {
+      return res.status(400).json({ error: LoudnessService.invalidTargetMessage() });
+    }
+
+    const results = await LoudnessService.normalizePlaylist(userId, playlistId, target, { prioridade: req.body.prioridade });
+    const queued = results.filter(r => r.status === 'enfileirado').length;
+
+    res.json({
+      success: true,
+      message: queued > 0 ?
+        `${queued} de ${results.length} vídeos da playlist ${playlistRows[0].nome} enfileirados para normalização` :
+        'Nenhum vídeo da playlist precisa de normalização',
+      loudness_target: target,
+      results
+    });
+  } catch (err) {
+    console.error('Erro ao normalizar playlist:', err);
+    res.status(500).json({ error: 'Erro ao normalizar playlist', details: err.message });
+  }
+});
+
 // POST /api/playlists/generate-smil - Gerar arquivo SMIL manualmente
 router.post('/generate-smil', authMiddleware, async (req, res) => {
   try {
@@ -0,0 +1,108 @@
+const express = require('express');
+const authMiddleware = require('../middlewares/authMiddleware');
+const AsRunService = require('../services/AsRunService');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const MAX_CSV_ROWS = 50000;
+const MAX_PDF_ROWS = 10000;
+
+// Filtros do as-run: from/to (YYYY-MM-DD no fuso da streaming), pasta (pasta de comerciais), tipo, origem
+const parseFilters = async (userId, query) => {
+  const { pasta, tipo, origem } = query;
+
+  if (pasta && !/^\d+$/.test(pasta)) {
+    throw Object.assign(new Error('pasta deve ser o código numérico da pasta de comerciais'), { status: 400 });
+  }
+  if (tipo && !AsRunService.tipos.includes(tipo)) {
+    throw Object.assign(new Error(`tipo deve ser ${AsRunService.tipos.join(', ')}`), { status: 400 });
+  }
+  if (origem && !AsRunService.origens.includes(origem)) {
+    throw Object.assign(new Error(`origem deve ser ${AsRunService.origens.join(' ou ')}`), { status: 400 });
+  }
+
+  const period = await AsRunService.resolvePeriod(userId, query);
+  // Filtrar por pasta só faz sentido para comerciais
+  const filters = { from: period.start, to: period.end, pasta, tipo: pasta ? 'comercial' : tipo, origem };
+  return { period, filters };
+};
+
+const sendError = (res, err, message) => {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`${message}:`, err);
+  res.status(500).json({ error: message, details: err.message });
+};
+
+// GET /api/relatorios/as-run - Itens que foram ao ar (filtros: from, to, pasta, tipo, origem)
+router.get('/as-run', authMiddleware, async (req, res) => {
+  try {
+    const { period, filters } = await parseFilters(req.user.id, req.query);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const { total, duracao_total, registros } = await AsRunService.list(req.user.id, filters, {
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      timezone: period.timeZone,
+      from: period.from,
+      to: period.to,
+      total,
+      duracao_total,
+      page,
+      limit,
+      registros: AsRunService.withLocalTimes(registros, period.timeZone)
+    });
+  } catch (err) {
+    sendError(res, err, 'Erro ao buscar relatório as-run');
+  }
+});
+
+// GET /api/relatorios/as-run/export.csv - Exporta o as-run filtrado em CSV
+router.get('/as-run/export.csv', authMiddleware, async (req, res) => {
+  try {
+    const { period, filters } = await parseFilters(req.user.id, req.query);
+    const { registros } = await AsRunService.list(req.user.id, filters, { limit: MAX_CSV_ROWS });
+    const fileName = `as-run_${period.from}_${period.to}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    // BOM para o Excel reconhecer UTF-8
+    res.send(`\uFEFF${AsRunService.toCSV(AsRunService.withLocalTimes(registros, period.timeZone))}`);
+  } catch (err) {
+    sendError(res, err, 'Erro ao exportar relatório as-run');
+  }
+});
+
+// GET /api/relatorios/as-run/export.pdf - Exporta o as-run filtrado em PDF
+router.get('/as-run/export.pdf', authMiddleware, async (req, res) => {
+  try {
+    const { period, filters } = await parseFilters(req.user.id, req.query);
+    const { total, registros } = await AsRunService.list(req.user.id, filters, { limit: MAX_PDF_ROWS });
+
+    const details = [`Período ${period.from} a ${period.to} (${period.timeZone})`];
+    if (filters.pasta) details.push(`pasta de comerciais ${filters.pasta}`);
+    if (filters.tipo) details.push(`tipo ${filters.tipo}`);
+    if (filters.origem) details.push(`origem ${filters.origem}`);
+    details.push(total > registros.length ? `${registros.length} de ${total} itens` : `${total} itens`);
+
+    const pdf = AsRunService.toPDF(AsRunService.withLocalTimes(registros, period.timeZone), {
+      title: 'Relatório de exibição (as-run)',
+      subtitle: details.join(' - ')
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="as-run_${period.from}_${period.to}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    sendError(res, err, 'Erro ao exportar relatório as-run');
+  }
+});
+
+module.exports = router;
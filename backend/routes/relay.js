@@ -1,6 +1,8 @@
 const express = require('express');
 const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
+const AuditService = require('../services/AuditService');
+const EventService = require('../services/EventService');
 const SSHManager = require('../config/SSHManager');
 const { spawn } = require('child_process');
 const fs = require('fs').promises;
@@ -11,6 +13,16 @@ const router = express.Router();
 // Mapa de processos ativos
 const activeRelays = new Map();
 
+// Mudança de estado do relay para o painel (/api/events)
+const publishRelayStatus = (userId, relayId, status, details = {}) => {
+  EventService.publish(userId, 'relay.status', {
+    id: relayId,
+    relay_status: status,
+    is_live: status === 'ativo',
+    ...details
+  });
+};
+
 // GET /api/relay/status - Verifica status do relay
 router.get('/status', authMiddleware, async (req, res) => {
   try {
@@ -68,6 +80,7 @@ router.get('/status', authMiddleware, async (req, res) => {
       );
       relay.status = 'erro';
       relay.erro_detalhes = 'Processo FFmpeg parou inesperadamente';
+      publishRelayStatus(userId, relay.id, 'erro', { relay_error_details: relay.erro_detalhes });
     }
 
     // Calcular uptime
@@ -296,11 +309,15 @@ router.post('/start', authMiddleware, async (req, res) => {
       ffmpegProcess.on('close', async (code) => {
         console.log(`🔚 Processo FFmpeg relay finalizado com código: ${code}`);
         
-        // Atualizar status no banco
-        await db.execute(
-          'UPDATE relay_config SET status = "erro", data_fim = NOW(), erro_detalhes = ? WHERE codigo = ?',
-          [`Processo finalizado com código ${code}. Erro: ${ffmpegError.slice(-500)}`, relayId]
+        // Atualizar status no banco (relay parado pelo usuário já está inativo)
+        const errorDetails = `Processo finalizado com código ${code}. Erro: ${ffmpegError.slice(-500)}`;
+        const [updateResult] = await db.execute(
+          'UPDATE relay_config SET status = "erro", data_fim = NOW(), erro_detalhes = ? WHERE codigo = ? AND status = "ativo"',
+          [errorDetails, relayId]
         );
+        if (updateResult.affectedRows > 0) {
+          publishRelayStatus(userId, relayId, 'erro', { relay_error_details: errorDetails });
+        }
 
         // Remover do mapa de processos ativos
         activeRelays.delete(userId);
@@ -310,10 +327,13 @@ router.post('/start', authMiddleware, async (req, res) => {
         console.error('❌ Erro no processo FFmpeg relay:', error);
         
         // Atualizar status no banco
-        await db.execute(
-          'UPDATE relay_config SET status = "erro", data_fim = NOW(), erro_detalhes = ? WHERE codigo = ?',
+        const [updateResult] = await db.execute(
+          'UPDATE relay_config SET status = "erro", data_fim = NOW(), erro_detalhes = ? WHERE codigo = ? AND status = "ativo"',
           [`Erro no processo: ${error.message}`, relayId]
         );
+        if (updateResult.affectedRows > 0) {
+          publishRelayStatus(userId, relayId, 'erro', { relay_error_details: `Erro no processo: ${error.message}` });
+        }
 
         // Remover do mapa de processos ativos
         activeRelays.delete(userId);
@@ -358,6 +378,11 @@ router.post('/start', authMiddleware, async (req, res) => {
       }
 
       console.log(`✅ Relay iniciado com sucesso - PID: ${ffmpegProcess.pid}`);
+      publishRelayStatus(userId, relayId, 'ativo', {
+        relay_url,
+        relay_type: relay_type || 'rtmp',
+        relay_started_at: new Date().toISOString()
+      });
 
       res.json({
         success: true,
@@ -377,6 +402,7 @@ router.post('/start', authMiddleware, async (req, res) => {
         'UPDATE relay_config SET status = "erro", erro_detalhes = ? WHERE codigo = ?',
         [`Erro ao iniciar FFmpeg: ${ffmpegError.message}`, relayId]
       );
+      publishRelayStatus(userId, relayId, 'erro', { relay_error_details: `Erro ao iniciar FFmpeg: ${ffmpegError.message}` });
 
       return res.status(500).json({
         success: false,
@@ -409,6 +435,7 @@ router.post('/stop', authMiddleware, async (req, res) => {
     }
 
     const relay = relayRows[0];
+    AuditService.snapshot(req, relay);
 
     // Parar processo FFmpeg se estiver rodando
     if (relay.processo_pid) {
@@ -437,6 +464,9 @@ router.post('/stop', authMiddleware, async (req, res) => {
       'UPDATE relay_config SET status = "inativo", data_fim = NOW() WHERE codigo = ?',
       [relay.codigo]
     );
+    const [savedRows] = await db.execute('SELECT codigo, processo_pid, status, data_fim FROM relay_config WHERE codigo = ?', [relay.codigo]);
+    AuditService.saved(req, savedRows[0]);
+    publishRelayStatus(userId, relay.codigo, 'inativo');
 
     res.json({
       success: true,
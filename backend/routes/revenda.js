@@ -0,0 +1,631 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const db = require('../config/database');
+const authMiddleware = require('../middlewares/authMiddleware');
+const AuditService = require('../services/AuditService');
+const LoginLockoutService = require('../services/LoginLockoutService');
+const PlanService = require('../services/PlanService');
+const RevendaService = require('../services/RevendaService');
+const SessionService = require('../services/SessionService');
+const WowzaConfigManager = require('../config/WowzaConfigManager');
+
+const router = express.Router();
+
+// Apenas revendas podem gerenciar seus clientes
+const revendaOnly = (req, res, next) => {
+  if (req.user.tipo !== 'revenda') {
+    return res.status(403).json({
+      success: false,
+      error: 'Acesso negado. Apenas revendas podem executar esta ação.'
+    });
+  }
+  next();
+};
+
+router.use(authMiddleware, revendaOnly);
+
+const MIN_PASSWORD_LENGTH = 8;
+const STATUS_ATIVO = 1;
+const STATUS_SUSPENSO = 2;
+
+// Ler limites do corpo da requisição; retorna erro quando algum valor é inválido
+const parseLimits = (body, current = {}) => {
+  const limits = {};
+  for (const key of ['espectadores', 'bitrate', 'espaco']) {
+    const value = typeof body[key] !== 'undefined' ? parseInt(body[key]) : current[key];
+    if (!value || value < 1) {
+      return { error: `Valor inválido para ${key}` };
+    }
+    limits[key] = value;
+  }
+  return { limits };
+};
+
+// Buscar streaming do cliente garantindo que pertence à revenda
+const loadStreaming = async (req, res) => {
+  const streaming = await RevendaService.getStreaming(req.user.id, req.params.id);
+  if (!streaming) {
+    res.status(404).json({ error: 'Streaming não encontrado' });
+  } else {
+    AuditService.snapshot(req, streaming);
+  }
+  return streaming;
+};
+
+// GET /api/revenda/bloqueios-login - Lista bloqueios de login dos clientes
+router.get('/bloqueios-login', async (req, res) => {
+  try {
+    const bloqueios = await LoginLockoutService.listForRevenda(req.user.id);
+    res.json(bloqueios);
+  } catch (err) {
+    console.error('Erro ao buscar bloqueios de login:', err);
+    res.status(500).json({ error: 'Erro ao buscar bloqueios de login', details: err.message });
+  }
+});
+
+// DELETE /api/revenda/bloqueios-login - Remove todos os bloqueios dos clientes
+router.delete('/bloqueios-login', async (req, res) => {
+  try {
+    const removed = await LoginLockoutService.clearAllForRevenda(req.user.id);
+    res.json({ success: true, message: 'Bloqueios removidos com sucesso', removed });
+  } catch (err) {
+    console.error('Erro ao remover bloqueios de login:', err);
+    res.status(500).json({ error: 'Erro ao remover bloqueios de login', details: err.message });
+  }
+});
+
+// DELETE /api/revenda/bloqueios-login/:id - Remove um bloqueio específico
+router.delete('/bloqueios-login/:id', async (req, res) => {
+  try {
+    const removed = await LoginLockoutService.clearForRevenda(req.user.id, req.params.id);
+
+    if (removed === 0) {
+      return res.status(404).json({ error: 'Bloqueio não encontrado' });
+    }
+
+    res.json({ success: true, message: 'Bloqueio removido com sucesso' });
+  } catch (err) {
+    console.error('Erro ao remover bloqueio de login:', err);
+    res.status(500).json({ error: 'Erro ao remover bloqueio de login', details: err.message });
+  }
+});
+
+// GET /api/revenda/configuracoes/cadastro - Configuração do auto-cadastro de clientes
+router.get('/configuracoes/cadastro', async (req, res) => {
+  try {
+    const configuracoes = await RevendaService.getConfiguracoes(req.user.id);
+
+    res.json({
+      permitir_cadastro: configuracoes.permitir_cadastro,
+      cadastro_espectadores: configuracoes.cadastro_espectadores,
+      cadastro_bitrate: configuracoes.cadastro_bitrate,
+      cadastro_espaco: configuracoes.cadastro_espaco,
+      codigo_revenda: req.user.id
+    });
+  } catch (err) {
+    console.error('Erro ao buscar configuração de cadastro:', err);
+    res.status(500).json({ error: 'Erro ao buscar configuração de cadastro', details: err.message });
+  }
+});
+
+// PUT /api/revenda/configuracoes/cadastro - Ativa/desativa o auto-cadastro e define limites iniciais
+router.put('/configuracoes/cadastro', async (req, res) => {
+  try {
+    const { permitir_cadastro, cadastro_espectadores, cadastro_bitrate, cadastro_espaco } = req.body;
+    const changes = {};
+
+    if (typeof permitir_cadastro !== 'undefined') {
+      changes.permitir_cadastro = !!permitir_cadastro;
+    }
+
+    // Limites iniciais não podem exceder os da própria revenda
+    const limits = {
+      cadastro_espectadores: [cadastro_espectadores, req.user.espectadores],
+      cadastro_bitrate: [cadastro_bitrate, req.user.bitrate],
+      cadastro_espaco: [cadastro_espaco, req.user.espaco]
+    };
+
+    for (const [key, [value, max]] of Object.entries(limits)) {
+      if (typeof value === 'undefined') continue;
+
+      const parsed = parseInt(value);
+      if (!parsed || parsed < 1 || parsed > max) {
+        return res.status(400).json({ error: `Valor inválido para ${key}. Máximo permitido: ${max}` });
+      }
+      changes[key] = parsed;
+    }
+
+    const configuracoes = await RevendaService.updateConfiguracoes(req.user.id, changes);
+
+    res.json({
+      success: true,
+      message: 'Configuração de cadastro atualizada com sucesso',
+      permitir_cadastro: configuracoes.permitir_cadastro,
+      cadastro_espectadores: configuracoes.cadastro_espectadores,
+      cadastro_bitrate: configuracoes.cadastro_bitrate,
+      cadastro_espaco: configuracoes.cadastro_espaco
+    });
+  } catch (err) {
+    console.error('Erro ao atualizar configuração de cadastro:', err);
+    res.status(500).json({ error: 'Erro ao atualizar configuração de cadastro', details: err.message });
+  }
+});
+
+// GET /api/revenda/configuracoes/2fa - Exigência de 2FA para os clientes
+router.get('/configuracoes/2fa', async (req, res) => {
+  try {
+    const configuracoes = await RevendaService.getConfiguracoes(req.user.id);
+    res.json({ exigir_2fa: !!configuracoes.exigir_2fa });
+  } catch (err) {
+    console.error('Erro ao buscar configuração de 2FA:', err);
+    res.status(500).json({ error: 'Erro ao buscar configuração de 2FA', details: err.message });
+  }
+});
+
+// PUT /api/revenda/configuracoes/2fa - Exige (ou não) 2FA no login dos clientes
+router.put('/configuracoes/2fa', async (req, res) => {
+  try {
+    const { exigir_2fa } = req.body;
+
+    if (typeof exigir_2fa === 'undefined') {
+      return res.status(400).json({ error: 'exigir_2fa é obrigatório' });
+    }
+
+    const configuracoes = await RevendaService.updateConfiguracoes(req.user.id, { exigir_2fa: !!exigir_2fa });
+
+    res.json({
+      success: true,
+      message: 'Configuração de 2FA atualizada com sucesso',
+      exigir_2fa: configuracoes.exigir_2fa
+    });
+  } catch (err) {
+    console.error('Erro ao atualizar configuração de 2FA:', err);
+    res.status(500).json({ error: 'Erro ao atualizar configuração de 2FA', details: err.message });
+  }
+});
+
+// GET /api/revenda/streamings - Lista os streamings dos clientes e o uso das cotas
+router.get('/streamings', async (req, res) => {
+  try {
+    const streamings = await RevendaService.listStreamings(req.user.id);
+    const usage = await RevendaService.getUsage(req.user.id);
+
+    res.json({
+      streamings,
+      cotas: {
+        streamings: { total: req.user.streamings, usado: usage.streamings },
+        espectadores: { total: req.user.espectadores, usado: usage.espectadores },
+        bitrate: { maximo: req.user.bitrate },
+        espaco: { total: req.user.espaco, usado: usage.espaco }
+      }
+    });
+  } catch (err) {
+    console.error('Erro ao buscar streamings da revenda:', err);
+    res.status(500).json({ error: 'Erro ao buscar streamings', details: err.message });
+  }
+});
+
+// GET /api/revenda/streamings/:id - Detalhes de um streaming
+router.get('/streamings/:id', async (req, res) => {
+  try {
+    const streaming = await loadStreaming(req, res);
+    if (!streaming) return;
+
+    res.json(streaming);
+  } catch (err) {
+    console.error('Erro ao buscar streaming:', err);
+    res.status(500).json({ error: 'Erro ao buscar streaming', details: err.message });
+  }
+});
+
+// POST /api/revenda/streamings - Cria e provisiona um streaming para um cliente
+router.post('/streamings', async (req, res) => {
+  try {
+    const { identificacao, usuario, email, senha } = req.body;
+
+    if (!identificacao || !usuario || !email || !senha) {
+      return res.status(400).json({ error: 'Identificação, usuário, email e senha são obrigatórios' });
+    }
+
+    if (!/^[a-z0-9_]{3,32}$/.test(usuario)) {
+      return res.status(400).json({ error: 'Usuário deve ter de 3 a 32 caracteres: letras minúsculas, números ou _' });
+    }
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'Email inválido' });
+    }
+
+    if (senha.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres` });
+    }
+
+    // Com plano informado os limites vêm do plano
+    let plan = null;
+    if (req.body.plano_id) {
+      plan = await PlanService.getStreamingPlan(req.body.plano_id);
+      if (!plan) {
+        return res.status(404).json({ error: 'Plano não encontrado' });
+      }
+    }
+
+    const { limits, error: limitsError } = plan
+      ? { limits: PlanService.streamingLimits(plan) }
+      : parseLimits(req.body);
+    if (limitsError) {
+      return res.status(400).json({ error: limitsError });
+    }
+
+    const revenda = await RevendaService.getRevenda(req.user.id);
+    const quotaError = await RevendaService.checkQuota(revenda, limits);
+    if (quotaError) {
+      return res.status(403).json({ error: quotaError });
+    }
+
+    if (await RevendaService.isUsuarioTaken(usuario, email)) {
+      return res.status(409).json({ error: 'Usuário ou email já cadastrado' });
+    }
+
+    const senhaHash = await bcrypt.hash(senha, 10);
+    const serverId = await RevendaService.resolveServerId(revenda);
+
+    const [result] = await db.execute(
+      `INSERT INTO streamings (
+        codigo_cliente, codigo_servidor, usuario, senha, senha_transmissao,
+        espectadores, bitrate, espaco, ftp_dir, identificacao, email,
+        data_cadastro, aplicacao, status, plano_id
+      ) VALUES (?, ?, ?, ?, '', ?, ?, ?, ?, ?, ?, NOW(), 'live', ?, ?)`,
+      [
+        revenda.codigo,
+        serverId,
+        usuario,
+        senhaHash,
+        limits.espectadores,
+        limits.bitrate,
+        limits.espaco,
+        `/home/streaming/${usuario}`,
+        identificacao,
+        email,
+        STATUS_ATIVO,
+        plan ? plan.codigo : null
+      ]
+    );
+
+    const provision = await WowzaConfigManager.createUserWowzaStructure(serverId, usuario, {
+      bitrate: limits.bitrate,
+      espectadores: limits.espectadores,
+      status_gravando: 'nao'
+    });
+
+    // Sem estrutura no servidor o streaming não funciona: desfazer o cadastro
+    if (!provision.success) {
+      await db.execute('DELETE FROM streamings WHERE codigo = ?', [result.insertId]);
+      return res.status(502).json({ error: 'Erro ao provisionar streaming no servidor', details: provision.error });
+    }
+
+    try {
+      await WowzaConfigManager.createFTPQuota(serverId, usuario, limits.espaco);
+    } catch (quotaFileError) {
+      console.warn('Erro ao criar quota FTP do streaming:', quotaFileError.message);
+    }
+
+    await RevendaService.syncUsage(revenda.codigo);
+
+    res.status(201).json({
+      success: true,
+      id: result.insertId,
+      message: 'Streaming criado com sucesso'
+    });
+  } catch (err) {
+    console.error('Erro ao criar streaming:', err);
+    res.status(500).json({ error: 'Erro ao criar streaming', details: err.message });
+  }
+});
+
+// PUT /api/revenda/streamings/:id - Altera dados e limites de um streaming
+router.put('/streamings/:id', async (req, res) => {
+  try {
+    const streaming = await loadStreaming(req, res);
+    if (!streaming) return;
+
+    const { identificacao, email, senha } = req.body;
+
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'Email inválido' });
+    }
+
+    if (senha && senha.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres` });
+    }
+
+    const { limits, error: limitsError } = parseLimits(req.body, streaming);
+    if (limitsError) {
+      return res.status(400).json({ error: limitsError });
+    }
+
+    const revenda = await RevendaService.getRevenda(req.user.id);
+    const quotaError = await RevendaService.checkQuota(revenda, limits, streaming.codigo);
+    if (quotaError) {
+      return res.status(403).json({ error: quotaError });
+    }
+
+    if (email && email !== streaming.email) {
+      const [emailRows] = await db.execute(
+        'SELECT codigo FROM streamings WHERE email = ? AND codigo <> ? LIMIT 1',
+        [email, streaming.codigo]
+      );
+      if (emailRows.length > 0) {
+        return res.status(409).json({ error: 'Email já cadastrado' });
+      }
+    }
+
+    // Limites alterados manualmente deixam de seguir o plano
+    const limitsChanged = ['espectadores', 'bitrate', 'espaco'].some(key => limits[key] !== streaming[key]);
+
+    await db.execute(
+      `UPDATE streamings SET identificacao = ?, email = ?, espectadores = ?, bitrate = ?, espaco = ?, plano_id = ?
+       WHERE codigo = ?`,
+      [
+        identificacao || streaming.identificacao,
+        email || streaming.email,
+        limits.espectadores,
+        limits.bitrate,
+        limits.espaco,
+        limitsChanged ? null : streaming.plano_id,
+        streaming.codigo
+      ]
+    );
+
+    if (senha) {
+      await db.execute('UPDATE streamings SET senha = ? WHERE codigo = ?', [await bcrypt.hash(senha, 10), streaming.codigo]);
+      await SessionService.revokeAllSessions('streaming', streaming.codigo, 'troca_senha');
+    }
+
+    if (limits.bitrate !== streaming.bitrate || limits.espectadores !== streaming.espectadores) {
+      const updated = await WowzaConfigManager.updateUserConfig(streaming.codigo_servidor, streaming.usuario, {
+        bitrate: limits.bitrate,
+        espectadores: limits.espectadores
+      });
+      if (!updated.success) {
+        console.warn('Erro ao atualizar configuração Wowza do streaming:', updated.error);
+      }
+    }
+
+    if (limits.espaco !== streaming.espaco) {
+      try {
+        await WowzaConfigManager.createFTPQuota(streaming.codigo_servidor, streaming.usuario, limits.espaco);
+      } catch (quotaFileError) {
+        console.warn('Erro ao atualizar quota FTP do streaming:', quotaFileError.message);
+      }
+    }
+
+    await RevendaService.syncUsage(req.user.id);
+    AuditService.saved(req, await RevendaService.getStreaming(req.user.id, streaming.codigo));
+
+    res.json({ success: true, message: 'Streaming atualizado com sucesso' });
+  } catch (err) {
+    console.error('Erro ao atualizar streaming:', err);
+    res.status(500).json({ error: 'Erro ao atualizar streaming', details: err.message });
+  }
+});
+
+// POST /api/revenda/streamings/:id/suspend - Suspende um streaming e encerra suas sessões
+router.post('/streamings/:id/suspend', async (req, res) => {
+  try {
+    const streaming = await loadStreaming(req, res);
+    if (!streaming) return;
+
+    if (streaming.status === STATUS_SUSPENSO) {
+      return res.status(400).json({ error: 'Streaming já está suspenso' });
+    }
+
+    await db.execute('UPDATE streamings SET status = ? WHERE codigo = ?', [STATUS_SUSPENSO, streaming.codigo]);
+    await SessionService.revokeAllSessions('streaming', streaming.codigo, 'suspensao');
+    AuditService.saved(req, await RevendaService.getStreaming(req.user.id, streaming.codigo));
+
+    res.json({ success: true, message: 'Streaming suspenso com sucesso' });
+  } catch (err) {
+    console.error('Erro ao suspender streaming:', err);
+    res.status(500).json({ error: 'Erro ao suspender streaming', details: err.message });
+  }
+});
+
+// POST /api/revenda/streamings/:id/activate - Reativa um streaming suspenso
+router.post('/streamings/:id/activate', async (req, res) => {
+  try {
+    const streaming = await loadStreaming(req, res);
+    if (!streaming) return;
+
+    if (streaming.status === STATUS_ATIVO) {
+      return res.status(400).json({ error: 'Streaming já está ativo' });
+    }
+
+    await db.execute('UPDATE streamings SET status = ? WHERE codigo = ?', [STATUS_ATIVO, streaming.codigo]);
+    AuditService.saved(req, await RevendaService.getStreaming(req.user.id, streaming.codigo));
+
+    res.json({ success: true, message: 'Streaming reativado com sucesso' });
+  } catch (err) {
+    console.error('Erro ao reativar streaming:', err);
+    res.status(500).json({ error: 'Erro ao reativar streaming', details: err.message });
+  }
+});
+
+// DELETE /api/revenda/streamings/:id - Remove o streaming e sua configuração no servidor
+router.delete('/streamings/:id', async (req, res) => {
+  try {
+    const streaming = await loadStreaming(req, res);
+    if (!streaming) return;
+
+    const removed = await WowzaConfigManager.removeUserStructure(streaming.codigo_servidor, streaming.usuario);
+    if (!removed.success) {
+      return res.status(502).json({ error: 'Erro ao remover streaming do servidor', details: removed.error });
+    }
+
+    await SessionService.revokeAllSessions('streaming', streaming.codigo, 'exclusao');
+
+    // Pastas (linhas de streamings sem senha do cliente), vídeos, playlists e agendamentos saem junto
+    const connection = await db.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.execute('DELETE FROM playlists_agendamentos WHERE codigo_stm = ?', [streaming.codigo]);
+      await connection.execute(
+        'DELETE FROM playlists_videos WHERE codigo_playlist IN (SELECT id FROM playlists WHERE codigo_stm = ?)',
+        [streaming.codigo]
+      );
+      await connection.execute('DELETE FROM playlists WHERE codigo_stm = ?', [streaming.codigo]);
+      await connection.execute('DELETE FROM videos WHERE codigo_cliente = ?', [streaming.codigo]);
+      await connection.execute("DELETE FROM streamings WHERE codigo_cliente = ? AND senha = ''", [streaming.codigo]);
+      await connection.execute('DELETE FROM streamings WHERE codigo = ?', [streaming.codigo]);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback().catch(() => { });
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    await RevendaService.syncUsage(req.user.id);
+    AuditService.saved(req, null);
+
+    res.json({ success: true, message: 'Streaming removido com sucesso' });
+  } catch (err) {
+    console.error('Erro ao remover streaming:', err);
+    res.status(500).json({ error: 'Erro ao remover streaming', details: err.message });
+  }
+});
+
+// GET /api/revenda/planos - Planos disponíveis para a revenda e para seus clientes
+router.get('/planos', async (req, res) => {
+  try {
+    const revenda = await RevendaService.getRevenda(req.user.id);
+
+    res.json({
+      plano_atual: revenda.plano_id,
+      planos_streaming: await PlanService.listStreamingPlans(),
+      planos_revenda: await PlanService.listRevendaPlans()
+    });
+  } catch (err) {
+    console.error('Erro ao buscar planos:', err);
+    res.status(500).json({ error: 'Erro ao buscar planos', details: err.message });
+  }
+});
+
+// GET /api/revenda/plano/preview?plano_id= - Efeito de trocar o plano da revenda
+router.get('/plano/preview', async (req, res) => {
+  try {
+    const plan = await PlanService.getRevendaPlan(req.query.plano_id);
+    if (!plan) {
+      return res.status(404).json({ error: 'Plano não encontrado' });
+    }
+
+    const revenda = await RevendaService.getRevenda(req.user.id);
+    res.json(await PlanService.previewRevendaPlan(revenda, plan));
+  } catch (err) {
+    console.error('Erro ao simular troca de plano:', err);
+    res.status(500).json({ error: 'Erro ao simular troca de plano', details: err.message });
+  }
+});
+
+// GET /api/revenda/subrevendas/:id/plano/preview?plano_id= - Efeito de trocar o plano de uma sub-revenda
+router.get('/subrevendas/:id/plano/preview', async (req, res) => {
+  try {
+    const subRevenda = await RevendaService.getSubRevenda(req.user.id, req.params.id);
+    if (!subRevenda) {
+      return res.status(404).json({ error: 'Sub-revenda não encontrada' });
+    }
+
+    const plan = await PlanService.getRevendaPlan(req.query.plano_id);
+    if (!plan) {
+      return res.status(404).json({ error: 'Plano não encontrado' });
+    }
+
+    const revenda = await RevendaService.getRevenda(req.user.id);
+    res.json(await PlanService.previewRevendaPlan(subRevenda, plan, revenda));
+  } catch (err) {
+    console.error('Erro ao simular troca de plano da sub-revenda:', err);
+    res.status(500).json({ error: 'Erro ao simular troca de plano da sub-revenda', details: err.message });
+  }
+});
+
+// PUT /api/revenda/subrevendas/:id/plano - Troca o plano de uma sub-revenda (a revenda não troca o próprio plano)
+router.put('/subrevendas/:id/plano', async (req, res) => {
+  try {
+    const subRevenda = await RevendaService.getSubRevenda(req.user.id, req.params.id);
+    if (!subRevenda) {
+      return res.status(404).json({ error: 'Sub-revenda não encontrada' });
+    }
+    AuditService.snapshot(req, subRevenda);
+
+    const plan = await PlanService.getRevendaPlan(req.body.plano_id);
+    if (!plan) {
+      return res.status(404).json({ error: 'Plano não encontrado' });
+    }
+
+    const revenda = await RevendaService.getRevenda(req.user.id);
+    const result = await PlanService.applyRevendaPlan(subRevenda, plan, revenda);
+
+    if (!result.success) {
+      return res.status(409).json({ error: result.error, preview: result.preview });
+    }
+    AuditService.saved(req, await RevendaService.getSubRevenda(req.user.id, subRevenda.codigo));
+
+    res.json({ success: true, message: `Plano ${plan.nome} aplicado com sucesso`, preview: result.preview });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Erro ao trocar plano da sub-revenda:', err);
+    res.status(500).json({ error: 'Erro ao trocar plano da sub-revenda', details: err.message });
+  }
+});
+
+// GET /api/revenda/streamings/:id/plano/preview?plano_id= - Efeito de trocar o plano de um cliente
+router.get('/streamings/:id/plano/preview', async (req, res) => {
+  try {
+    const streaming = await loadStreaming(req, res);
+    if (!streaming) return;
+
+    const plan = await PlanService.getStreamingPlan(req.query.plano_id);
+    if (!plan) {
+      return res.status(404).json({ error: 'Plano não encontrado' });
+    }
+
+    const revenda = await RevendaService.getRevenda(req.user.id);
+    res.json(await PlanService.previewStreamingPlan(revenda, streaming, plan));
+  } catch (err) {
+    console.error('Erro ao simular troca de plano:', err);
+    res.status(500).json({ error: 'Erro ao simular troca de plano', details: err.message });
+  }
+});
+
+// PUT /api/revenda/streamings/:id/plano - Aplica um plano ao cliente (forcar ignora espaço excedido)
+router.put('/streamings/:id/plano', async (req, res) => {
+  try {
+    const streaming = await loadStreaming(req, res);
+    if (!streaming) return;
+
+    const plan = await PlanService.getStreamingPlan(req.body.plano_id);
+    if (!plan) {
+      return res.status(404).json({ error: 'Plano não encontrado' });
+    }
+
+    const revenda = await RevendaService.getRevenda(req.user.id);
+    const result = await PlanService.applyStreamingPlan(revenda, streaming, plan, !!req.body.forcar);
+
+    if (!result.success) {
+      return res.status(409).json({ error: result.error, preview: result.preview });
+    }
+    AuditService.saved(req, await RevendaService.getStreaming(req.user.id, streaming.codigo));
+
+    res.json({
+      success: true,
+      message: `Plano ${plan.nome} aplicado com sucesso`,
+      preview: result.preview,
+      wowza_atualizado: result.wowza_atualizado
+    });
+  } catch (err) {
+    console.error('Erro ao aplicar plano ao streaming:', err);
+    res.status(500).json({ error: 'Erro ao aplicar plano', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const authMiddleware = require('../middlewares/authMiddleware');
+const StorageQuotaService = require('../services/StorageQuotaService');
+
+const router = express.Router();
+
+// GET /api/storage/usage - Espaço usado, reservado e livre por pasta e por tipo de arquivo
+router.get('/usage', authMiddleware, async (req, res) => {
+  try {
+    const usage = await StorageQuotaService.usage(req.user.id);
+    res.json({ success: true, ...usage });
+  } catch (err) {
+    console.error('Erro ao obter uso de armazenamento:', err);
+    res.status(500).json({ error: 'Erro ao obter uso de armazenamento', details: err.message });
+  }
+});
+
+module.exports = router;
@@ -3,9 +3,17 @@ const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
 const WowzaStreamingService = require('../config/WowzaStreamingService');
 const SSHManager = require('../config/SSHManager');
+const AuditService = require('../services/AuditService');
+const StreamStatusService = require('../services/StreamStatusService');
+const StorageQuotaService = require('../services/StorageQuotaService');
+const CommercialService = require('../services/CommercialService');
+const AsRunService = require('../services/AsRunService');
 
 const router = express.Router();
 
+// Gravação da transmissão reserva espaço para este tempo no bitrate permitido enquanto estiver ativa
+const RECORDING_RESERVE_MINUTES = parseInt(process.env.GRAVACAO_RESERVA_MINUTOS) || 60;
+
 // --- ROTA GET /obs-config - Configuração para OBS ---
 router.get('/obs-config', authMiddleware, async (req, res) => {
   try {
@@ -199,6 +207,9 @@ router.post('/obs-stop', authMiddleware, async (req, res) => {
 
     // Parar stream OBS
     const result = await wowzaService.stopOBSStream(userId);
+    if (result.success) {
+      StreamStatusService.notify(userId, 'stream.stopped', { stream_type: 'obs' });
+    }
 
     res.json({
       success: result.success,
@@ -246,111 +257,7 @@ router.get('/recordings', authMiddleware, async (req, res) => {
 // --- ROTA GET /status ---
 router.get('/status', authMiddleware, async (req, res) => {
   try {
-    const userId = req.user.id;
-    
-    // Inicializar serviço Wowza com dados do usuário
-    const wowzaService = new WowzaStreamingService();
-    const initialized = await wowzaService.initializeFromDatabase(userId);
-    
-    if (!initialized) {
-      return res.json({ 
-        success: true, 
-        is_live: false, 
-        transmission: null,
-        obs_stream: null
-      });
-    }
-
-    // Verificar também se há stream OBS ativo
-    const obsStats = await wowzaService.getOBSStreamStats(userId);
-    
-    const [transmissionRows] = await db.execute(
-      `SELECT 
-        t.codigo as id,
-        t.titulo,
-        t.status,
-        t.data_inicio,
-        t.codigo_playlist,
-        t.wowza_stream_id
-       FROM transmissoes t
-       WHERE t.codigo_stm = ? AND t.status = 'ativa'
-       ORDER BY t.data_inicio DESC
-       LIMIT 1`,
-      [userId]
-    );
-
-    // Se não há transmissão de playlist, verificar OBS
-    if (transmissionRows.length === 0 && obsStats.isLive) {
-      return res.json({
-        success: true,
-        is_live: true,
-        stream_type: 'obs',
-        obs_stream: {
-          is_live: obsStats.isLive,
-          viewers: obsStats.viewers,
-          bitrate: obsStats.bitrate,
-          uptime: obsStats.uptime,
-          recording: obsStats.recording,
-          platforms: obsStats.platforms || []
-        }
-      });
-    }
-
-    if (transmissionRows.length === 0) {
-      return res.json({ 
-        success: true, 
-        is_live: false, 
-        transmission: null,
-        obs_stream: obsStats.isLive ? {
-          is_live: obsStats.isLive,
-          viewers: obsStats.viewers,
-          bitrate: obsStats.bitrate,
-          uptime: obsStats.uptime,
-          recording: obsStats.recording,
-          platforms: obsStats.platforms || []
-        } : null
-      });
-    }
-
-    const transmission = transmissionRows[0];
-    const stats = await wowzaService.getStreamStats(transmission.wowza_stream_id);
-
-    const [platformRows] = await db.execute(
-      `SELECT 
-        tp.status,
-        up.platform_id,
-        p.nome,
-        p.codigo
-       FROM transmissoes_plataformas tp
-       JOIN user_platforms up ON tp.user_platform_id = up.codigo
-       JOIN plataformas p ON up.platform_id = p.codigo
-       WHERE tp.transmissao_id = ?`,
-      [transmission.id]
-    );
-
-    res.json({
-      success: true,
-      is_live: true,
-      stream_type: 'playlist',
-      transmission: {
-        ...transmission,
-        stats: {
-          viewers: stats.viewers,
-          bitrate: stats.bitrate,
-          uptime: stats.uptime,
-          isActive: stats.isActive,
-        },
-        platforms: platformRows.map(p => ({
-          user_platform: {
-            platform: {
-              nome: p.nome,
-              codigo: p.codigo,
-            }
-          },
-          status: p.status
-        }))
-      }
-    });
+    res.json(await StreamStatusService.getStatus(req.user.id));
   } catch (error) {
     console.error('Erro ao verificar status:', error);
     res.status(500).json({ success: false, error: 'Erro interno do servidor' });
@@ -380,7 +287,7 @@ router.post('/start', authMiddleware, async (req, res) => {
     // Buscar configurações do usuário
     const [userConfigRows] = await db.execute(
       `SELECT 
-        bitrate, espectadores, espaco, espaco_usado, aplicacao,
+        codigo, bitrate, espectadores, espaco, espaco_usado, aplicacao,
         status_gravando, transcoder, transcoder_qualidades
        FROM streamings 
        WHERE codigo_cliente = ? OR codigo = ? LIMIT 1`,
@@ -419,6 +326,19 @@ router.post('/start', authMiddleware, async (req, res) => {
       return res.status(400).json({ success: false, error: 'Playlist não possui vídeos' });
     }
 
+    // Intervalos comerciais da playlist (comerciais_config), continuando o rodízio do que já foi ao ar
+    const commercialEntry = await CommercialService.forPlaylist(userId, playlist_id);
+    const { items: programmedVideos } = CommercialService.weave(playlistVideos, commercialEntry, {
+      offset: commercialEntry ? await CommercialService.nextOffset(commercialEntry) : 0,
+      mapCommercial: video => ({
+        nome: video.nome,
+        video: video.nome,
+        url: video.url,
+        path_video: video.caminho,
+        duracao_segundos: video.duracao
+      })
+    });
+
     // Inicializar serviço Wowza com dados do usuário
     const wowzaService = new WowzaStreamingService();
     const initialized = await wowzaService.initializeFromDatabase(userId);
@@ -461,39 +381,80 @@ router.post('/start', authMiddleware, async (req, res) => {
     // Gerar streamId único
     const streamId = `stream_${userId}_${Date.now()}`;
 
-    // Iniciar stream no Wowza
-    const wowzaResult = await wowzaService.startPlaylistStream({
-      streamId,
-      userId,
-      userLogin,
-      userConfig: {
-        ...userConfig,
-        bitrate: allowedBitrate,
-        gravar_stream: enable_recording ? 'sim' : userConfig.status_gravando
-      },
-      playlistId: playlist_id,
-      videos: playlistVideos,
-      platforms: platforms.map(p => ({
-        platform: { codigo: p.codigo, nome: p.nome, rtmp_base_url: p.rtmp_base_url },
-        rtmp_url: p.rtmp_url,
-        stream_key: p.stream_key
-      }))
-    });
-
-    if (!wowzaResult.success) {
-      return res.status(500).json({ success: false, error: wowzaResult.error || 'Erro ao iniciar stream no Wowza' });
+    // Gravação só começa com espaço reservado; ao parar a transmissão a reserva vira o tamanho real do arquivo
+    const recording = enable_recording || userConfig.status_gravando !== 'nao';
+    let recordingReservation = null;
+    if (recording) {
+      try {
+        recordingReservation = await StorageQuotaService.reserve(
+          userId,
+          userConfig.codigo,
+          Math.ceil(allowedBitrate * RECORDING_RESERVE_MINUTES * 60 / 8 / 1024),
+          { origem: 'gravacao', referencia: streamId, ttlHoras: 24 }
+        );
+      } catch (quotaError) {
+        if (!quotaError.status) throw quotaError;
+        return res.status(quotaError.status).json({
+          success: false,
+          error: `Sem espaço para gravar a transmissão. ${quotaError.message}`
+        });
+      }
     }
 
-    // Salvar transmissão
-    const [transmissionResult] = await db.execute(
-      `INSERT INTO transmissoes (
-        codigo_stm, titulo, descricao, codigo_playlist, 
-        wowza_stream_id, status, data_inicio, settings, bitrate_usado
-      ) VALUES (?, ?, ?, ?, ?, 'ativa', NOW(), ?, ?)`,
-      [userId, titulo, descricao || '', playlist_id, streamId, JSON.stringify(settings), allowedBitrate]
-    );
+    // Falha no Wowza ou ao salvar a transmissão libera a reserva da gravação
+    let wowzaResult;
+    let transmissionId;
+    try {
+      // Iniciar stream no Wowza
+      wowzaResult = await wowzaService.startPlaylistStream({
+        streamId,
+        userId,
+        userLogin,
+        userConfig: {
+          ...userConfig,
+          bitrate: allowedBitrate,
+          gravar_stream: enable_recording ? 'sim' : userConfig.status_gravando
+        },
+        playlistId: playlist_id,
+        videos: programmedVideos,
+        platforms: platforms.map(p => ({
+          platform: { codigo: p.codigo, nome: p.nome, rtmp_base_url: p.rtmp_base_url },
+          rtmp_url: p.rtmp_url,
+          stream_key: p.stream_key
+        }))
+      });
+
+      if (!wowzaResult.success) {
+        await StorageQuotaService.release(recordingReservation?.codigo);
+        return res.status(500).json({ success: false, error: wowzaResult.error || 'Erro ao iniciar stream no Wowza' });
+      }
+
+      // Salvar transmissão (o nome do stream no Wowza identifica o arquivo da gravação ao parar)
+      const [transmissionResult] = await db.execute(
+        `INSERT INTO transmissoes (
+          codigo_stm, titulo, descricao, codigo_playlist, 
+          wowza_stream_id, status, data_inicio, settings, bitrate_usado
+        ) VALUES (?, ?, ?, ?, ?, 'ativa', NOW(), ?, ?)`,
+        [
+          userId, titulo, descricao || '', playlist_id, streamId,
+          JSON.stringify({ ...settings, wowza_stream_name: wowzaResult.data.streamName }),
+          allowedBitrate
+        ]
+      );
+
+      transmissionId = transmissionResult.insertId;
+    } catch (startError) {
+      await StorageQuotaService.release(recordingReservation?.codigo);
+      throw startError;
+    }
 
-    const transmissionId = transmissionResult.insertId;
+    // As-run da transmissão (vídeos e comerciais): os itens só são gravados enquanto o stream estiver no ar
+    AsRunService.track(userId, 'transmissao', streamId, wowzaResult.data.streamName, AsRunService.plan(programmedVideos, {
+      start: new Date(),
+      until: new Date(Date.now() + AsRunService.livePlanHours * 60 * 60 * 1000),
+      playlistId: playlist_id,
+      durationOf: video => parseInt(video.duracao_segundos) || 0
+    }));
 
     // Salvar plataformas conectadas na transmissão
     for (const platformId of platform_ids) {
@@ -505,6 +466,14 @@ router.post('/start', authMiddleware, async (req, res) => {
       );
     }
 
+    StreamStatusService.notify(userId, 'stream.started', {
+      stream_type: 'playlist',
+      transmission_id: transmissionId,
+      titulo,
+      wowza_stream_id: streamId,
+      bitrate: allowedBitrate
+    });
+
     res.json({
       success: true,
       transmission: {
@@ -546,6 +515,9 @@ router.post('/stop', authMiddleware, async (req, res) => {
     if (stream_type === 'obs') {
       // Parar stream OBS
       const result = await wowzaService.stopOBSStream(userId);
+      if (result.success) {
+        StreamStatusService.notify(userId, 'stream.stopped', { stream_type: 'obs' });
+      }
       
       return res.json({
         success: result.success,
@@ -567,8 +539,34 @@ router.post('/stop', authMiddleware, async (req, res) => {
       const wowzaResult = await wowzaService.stopStream(transmission.wowza_stream_id);
 
       await db.execute('UPDATE transmissoes SET status = "finalizada", data_fim = NOW() WHERE codigo = ?', [transmission_id]);
+      AsRunService.untrack(userId, 'transmissao', transmission.wowza_stream_id);
+
+      // Gravação encerrada: o tamanho real do arquivo entra no espaço usado no lugar da reserva
+      const recordingReservation = await StorageQuotaService.findActive(userId, 'gravacao', transmission.wowza_stream_id);
+      if (recordingReservation) {
+        let streamName = null;
+        try {
+          streamName = JSON.parse(transmission.settings || '{}').wowza_stream_name || null;
+        } catch (parseError) {
+          streamName = null;
+        }
+
+        const recordingSize = streamName
+          ? await wowzaService.getRecordingSizeMB(req.user.email.split('@')[0], streamName)
+          : null;
+        if (recordingSize === null) {
+          await StorageQuotaService.release(recordingReservation.codigo);
+        } else {
+          await StorageQuotaService.commit(recordingReservation.codigo, recordingSize);
+        }
+      }
       await db.execute('UPDATE transmissoes_plataformas SET status = "desconectada" WHERE transmissao_id = ?', [transmission_id]);
 
+      StreamStatusService.notify(userId, 'stream.stopped', {
+        stream_type: 'playlist',
+        transmission_id: transmission.codigo
+      });
+
       res.json({ success: true, message: 'Transmissão finalizada com sucesso', wowza_result: wowzaResult });
     }
   } catch (error) {
@@ -666,9 +664,10 @@ router.post('/configure-platform', authMiddleware, async (req, res) => {
 
     const platform = platformRows[0];
     const [existingRows] = await db.execute(
-      'SELECT codigo FROM user_platforms WHERE codigo_stm = ? AND platform_id = ?',
+      'SELECT * FROM user_platforms WHERE codigo_stm = ? AND platform_id = ?',
       [userId, platform_id]
     );
+    AuditService.snapshot(req, existingRows[0]);
 
     if (existingRows.length > 0) {
       console.log(`📝 Atualizando plataforma existente: ${platform.nome}`);
@@ -689,6 +688,12 @@ router.post('/configure-platform', authMiddleware, async (req, res) => {
       );
     }
 
+    const [savedRows] = await db.execute(
+      'SELECT * FROM user_platforms WHERE codigo_stm = ? AND platform_id = ?',
+      [userId, platform_id]
+    );
+    AuditService.saved(req, savedRows[0]);
+
     console.log(`✅ Plataforma ${platform.nome} configurada com sucesso`);
     res.json({ success: true, message: 'Plataforma configurada com sucesso' });
   } catch (error) {
@@ -703,6 +708,12 @@ router.delete('/user-platforms/:id', authMiddleware, async (req, res) => {
     const platformId = req.params.id;
     const userId = req.user.id;
 
+    const [platformRows] = await db.execute(
+      'SELECT * FROM user_platforms WHERE codigo = ? AND codigo_stm = ?',
+      [platformId, userId]
+    );
+    AuditService.snapshot(req, platformRows[0]);
+
     const [result] = await db.execute(
       'DELETE FROM user_platforms WHERE codigo = ? AND codigo_stm = ?',
       [platformId, userId]
@@ -711,6 +722,7 @@ router.delete('/user-platforms/:id', authMiddleware, async (req, res) => {
     if (result.affectedRows === 0) {
       return res.status(404).json({ success: false, error: 'Plataforma não encontrada' });
     }
+    AuditService.saved(req, null);
 
     res.json({ success: true, message: 'Plataforma removida com sucesso' });
   } catch (error) {
@@ -0,0 +1,241 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const authMiddleware = require('../middlewares/authMiddleware');
+const AuditService = require('../services/AuditService');
+const SessionService = require('../services/SessionService');
+const SubUserService = require('../services/SubUserService');
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Dono do streaming ou operador com permissão de gerenciar operadores
+const canManageSubUsers = (req, res, next) => {
+  if (req.user.tipo !== 'streaming') {
+    return res.status(403).json({ error: 'Operadores pertencem a uma conta de streaming' });
+  }
+  if (!SubUserService.hasPermission(req.user.permissoes, 'usuarios', req.method)) {
+    return res.status(403).json({ error: 'Acesso negado', details: 'Seu perfil não pode gerenciar operadores' });
+  }
+  next();
+};
+
+router.use(authMiddleware, canManageSubUsers);
+
+// Streaming dono da sessão (a sessão de um operador aponta para o operador)
+const resolveStreamingId = async (req) => {
+  const session = await SessionService.getSession(req.user.session_id);
+  if (session.tipo_usuario === 'subusuario') {
+    const subUser = await SubUserService.loadUser(session.codigo_usuario);
+    return subUser ? subUser.codigo_streaming : null;
+  }
+  return session.codigo_usuario;
+};
+
+// Operador do streaming que o usuário logado pode gerenciar: quem não tem '*' não mexe em
+// operadores com permissões além das suas (trocar a senha de um administrador daria acesso total)
+const loadSubUser = async (req, res) => {
+  const streamingId = await resolveStreamingId(req);
+  const subUser = await SubUserService.get(streamingId, req.params.id);
+  if (!subUser) {
+    res.status(404).json({ error: 'Operador não encontrado' });
+    return null;
+  }
+
+  const permissoes = await SubUserService.resolvePermissions(streamingId, subUser.perfil, subUser.codigo_perfil_acesso);
+  if (!SubUserService.canGrant(req.user.permissoes, permissoes)) {
+    res.status(403).json({ error: 'Acesso negado', details: 'Este operador tem permissões que seu perfil não tem' });
+    return null;
+  }
+
+  AuditService.snapshot(req, subUser);
+  return subUser;
+};
+
+// Perfil que o usuário logado pode atribuir; retorna a mensagem de erro e o status quando não pode
+const checkRoleGrant = async (req, streamingId, perfil, codigoPerfilAcesso) => {
+  const roleError = await SubUserService.validateRole(streamingId, perfil, codigoPerfilAcesso);
+  if (roleError) {
+    return { status: 400, error: roleError };
+  }
+
+  const permissoes = await SubUserService.resolvePermissions(streamingId, perfil, codigoPerfilAcesso);
+  if (!SubUserService.canGrant(req.user.permissoes, permissoes)) {
+    return { status: 403, error: 'Seu perfil não pode conceder permissões que você não tem' };
+  }
+  return null;
+};
+
+// GET /api/subusuarios/perfis - Perfis disponíveis para operadores
+router.get('/perfis', async (req, res) => {
+  try {
+    res.json(await SubUserService.listRoles(await resolveStreamingId(req)));
+  } catch (err) {
+    console.error('Erro ao buscar perfis de operadores:', err);
+    res.status(500).json({ error: 'Erro ao buscar perfis', details: err.message });
+  }
+});
+
+// GET /api/subusuarios - Lista operadores do streaming
+router.get('/', async (req, res) => {
+  try {
+    const streamingId = await resolveStreamingId(req);
+    res.json(await SubUserService.list(streamingId));
+  } catch (err) {
+    console.error('Erro ao buscar operadores:', err);
+    res.status(500).json({ error: 'Erro ao buscar operadores', details: err.message });
+  }
+});
+
+// POST /api/subusuarios - Cria operador com um perfil de acesso
+router.post('/', async (req, res) => {
+  try {
+    const { nome, email, senha, perfil, codigo_perfil_acesso } = req.body;
+
+    if (!nome || !email || !senha || !perfil) {
+      return res.status(400).json({ error: 'Nome, email, senha e perfil são obrigatórios' });
+    }
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'Email inválido' });
+    }
+
+    if (senha.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres` });
+    }
+
+    const streamingId = await resolveStreamingId(req);
+    const roleError = await checkRoleGrant(req, streamingId, perfil, codigo_perfil_acesso);
+    if (roleError) {
+      return res.status(roleError.status).json({ error: roleError.error });
+    }
+
+    if (await SubUserService.isEmailTaken(email)) {
+      return res.status(409).json({ error: 'Email já cadastrado' });
+    }
+
+    const id = await SubUserService.create(streamingId, {
+      nome,
+      email,
+      senhaHash: await bcrypt.hash(senha, 10),
+      perfil,
+      codigoPerfilAcesso: codigo_perfil_acesso
+    });
+
+    res.status(201).json({ success: true, id, message: 'Operador criado com sucesso' });
+  } catch (err) {
+    console.error('Erro ao criar operador:', err);
+    res.status(500).json({ error: 'Erro ao criar operador', details: err.message });
+  }
+});
+
+// PUT /api/subusuarios/:id - Altera dados, senha ou perfil do operador
+router.put('/:id', async (req, res) => {
+  try {
+    const subUser = await loadSubUser(req, res);
+    if (!subUser) return;
+
+    const { nome, email, senha, perfil, codigo_perfil_acesso } = req.body;
+    const changes = {};
+
+    if (nome) changes.nome = nome;
+
+    if (email && email !== subUser.email) {
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return res.status(400).json({ error: 'Email inválido' });
+      }
+      if (await SubUserService.isEmailTaken(email, subUser.codigo)) {
+        return res.status(409).json({ error: 'Email já cadastrado' });
+      }
+      changes.email = email;
+    }
+
+    if (senha) {
+      if (senha.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres` });
+      }
+      changes.senha = await bcrypt.hash(senha, 10);
+    }
+
+    if (perfil) {
+      if (req.user.subusuario_id === subUser.codigo) {
+        return res.status(403).json({ error: 'Você não pode alterar o próprio perfil' });
+      }
+      const roleError = await checkRoleGrant(req, subUser.codigo_streaming, perfil, codigo_perfil_acesso);
+      if (roleError) {
+        return res.status(roleError.status).json({ error: roleError.error });
+      }
+      changes.perfil = perfil;
+      changes.codigo_perfil_acesso = perfil === SubUserService.customRole ? codigo_perfil_acesso || null : null;
+    }
+
+    await SubUserService.update(subUser.codigo, changes);
+
+    // Permissões vão no token: nova senha ou novo perfil exigem novo login
+    if (changes.senha || changes.perfil) {
+      await SessionService.revokeAllSessions('subusuario', subUser.codigo, changes.senha ? 'troca_senha' : 'troca_perfil');
+    }
+    AuditService.saved(req, await SubUserService.get(subUser.codigo_streaming, subUser.codigo));
+
+    res.json({ success: true, message: 'Operador atualizado com sucesso' });
+  } catch (err) {
+    console.error('Erro ao atualizar operador:', err);
+    res.status(500).json({ error: 'Erro ao atualizar operador', details: err.message });
+  }
+});
+
+// POST /api/subusuarios/:id/suspend - Suspende o operador e encerra suas sessões
+router.post('/:id/suspend', async (req, res) => {
+  try {
+    const subUser = await loadSubUser(req, res);
+    if (!subUser) return;
+
+    await SubUserService.update(subUser.codigo, { status: 0 });
+    await SessionService.revokeAllSessions('subusuario', subUser.codigo, 'suspensao');
+    AuditService.saved(req, await SubUserService.get(subUser.codigo_streaming, subUser.codigo));
+
+    res.json({ success: true, message: 'Operador suspenso com sucesso' });
+  } catch (err) {
+    console.error('Erro ao suspender operador:', err);
+    res.status(500).json({ error: 'Erro ao suspender operador', details: err.message });
+  }
+});
+
+// POST /api/subusuarios/:id/activate - Reativa o operador
+router.post('/:id/activate', async (req, res) => {
+  try {
+    const subUser = await loadSubUser(req, res);
+    if (!subUser) return;
+
+    await SubUserService.update(subUser.codigo, { status: 1 });
+    AuditService.saved(req, await SubUserService.get(subUser.codigo_streaming, subUser.codigo));
+
+    res.json({ success: true, message: 'Operador reativado com sucesso' });
+  } catch (err) {
+    console.error('Erro ao reativar operador:', err);
+    res.status(500).json({ error: 'Erro ao reativar operador', details: err.message });
+  }
+});
+
+// DELETE /api/subusuarios/:id - Remove o operador
+router.delete('/:id', async (req, res) => {
+  try {
+    const subUser = await loadSubUser(req, res);
+    if (!subUser) return;
+
+    if (req.user.subusuario_id === subUser.codigo) {
+      return res.status(400).json({ error: 'Você não pode remover o próprio acesso' });
+    }
+
+    await SessionService.revokeAllSessions('subusuario', subUser.codigo, 'exclusao');
+    await SubUserService.remove(subUser.codigo);
+    AuditService.saved(req, null);
+
+    res.json({ success: true, message: 'Operador removido com sucesso' });
+  } catch (err) {
+    console.error('Erro ao remover operador:', err);
+    res.status(500).json({ error: 'Erro ao remover operador', details: err.message });
+  }
+});
+
+module.exports = router;
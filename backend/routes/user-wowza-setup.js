@@ -238,8 +238,19 @@ router.get('/urls/:folderName/:fileName', authMiddleware, async (req, res) => {
 
         const serverId = serverRows.length > 0 ? serverRows[0].codigo_servidor : 1;
 
+        // Versões ABR do vídeo, se já geradas
+        const [abrRows] = await db.execute(
+            `SELECT v.abr_smil FROM videos v
+             JOIN streamings s ON v.pasta = s.codigo
+             WHERE v.codigo_cliente = ? AND s.identificacao = ? AND v.nome = ? AND v.abr_smil IS NOT NULL
+             LIMIT 1`,
+            [userId, folderName, fileName]
+        );
+
         // Gerar URLs usando nova estrutura
-        const urls = WowzaConfigManager.buildVideoUrls(userLogin, folderName, fileName, serverId);
+        const urls = WowzaConfigManager.buildVideoUrls(userLogin, folderName, fileName, serverId, {
+            abrSmil: abrRows.length > 0 ? abrRows[0].abr_smil : null
+        });
 
         // Verificar se arquivo existe na nova estrutura
         const fullPath = `/home/streaming/${userLogin}/${folderName}/${fileName}`;
@@ -1,11 +1,97 @@
 const express = require('express');
+const path = require('path');
 const authMiddleware = require('../middlewares/authMiddleware');
 const VideoStreamingService = require('../services/VideoStreamingService');
+const PlaybackUrlService = require('../services/PlaybackUrlService');
+const VideoPreviewService = require('../services/VideoPreviewService');
 const SSHManager = require('../config/SSHManager');
 const db = require('../config/database');
 
 const router = express.Router();
 
+const MAX_SIGNED_URLS_PER_REQUEST = 50;
+
+// Logins (streamings.usuario) que o usuário logado pode reproduzir: a própria streaming ou, para
+// a revenda, as contas dos clientes (linhas sem senha são pastas). Códigos de revendas e de
+// streamings são numerados em tabelas diferentes, por isso a consulta depende do tipo
+const loadPlaybackLogins = async (user) => {
+    const [rows] = user.tipo === 'revenda'
+        ? await db.execute(
+            `SELECT DISTINCT usuario FROM streamings
+             WHERE codigo_cliente = ? AND senha <> '' AND usuario IS NOT NULL AND usuario <> ''`,
+            [user.id]
+        )
+        : await db.execute(
+            `SELECT usuario FROM streamings WHERE codigo = ? AND usuario IS NOT NULL AND usuario <> ''`,
+            [user.id]
+        );
+    return rows.map(row => row.usuario);
+};
+
+// Verifica se o caminho de reprodução pertence ao usuário logado: depois de normalizado, sem "..",
+// tem de começar em streaming/<login>/ de uma das streamings dele
+const ownsPlaybackPath = (logins, playbackPath) => {
+    let filePath;
+    if (playbackPath.startsWith('/content/')) {
+        filePath = playbackPath.replace(/^\/content\//, '');
+        if (!filePath.startsWith('streaming/')) filePath = `streaming/${filePath}`;
+    } else {
+        const videoId = playbackPath.split('/').pop();
+        filePath = Buffer.from(videoId, 'base64').toString('utf-8').replace(/^\/(home\/)?/, '');
+    }
+
+    if (filePath.split('/').includes('..')) return false;
+    const normalized = path.posix.normalize(filePath);
+    return logins.some(login => normalized.startsWith(`streaming/${login}/`));
+};
+
+// POST /api/video-stream/signed-url - Gera URLs de reprodução assinadas e com validade
+router.post('/signed-url', authMiddleware, async (req, res) => {
+    try {
+        const { url, urls, ttl, bind_ip } = req.body;
+        const requested = Array.isArray(urls) ? urls : [url];
+
+        if (requested.length === 0 || requested.length > MAX_SIGNED_URLS_PER_REQUEST || requested.some(item => !item)) {
+            return res.status(400).json({
+                error: `Informe url ou urls (até ${MAX_SIGNED_URLS_PER_REQUEST} caminhos)`
+            });
+        }
+
+        const logins = await loadPlaybackLogins(req.user);
+        const signed = [];
+        for (const item of requested) {
+            const playbackPath = PlaybackUrlService.normalizePath(item);
+
+            if (!PlaybackUrlService.isSignable(playbackPath)) {
+                return res.status(400).json({
+                    error: 'Caminho não suportado',
+                    details: 'Use /content/... ou /api/videos-ssh/stream/:videoId'
+                });
+            }
+            if (!ownsPlaybackPath(logins, playbackPath)) {
+                return res.status(403).json({ error: 'Acesso negado ao vídeo', path: playbackPath });
+            }
+
+            signed.push({
+                path: playbackPath,
+                ...PlaybackUrlService.sign(playbackPath, {
+                    ttl,
+                    ip: bind_ip ? req.ip : null,
+                    sessionId: req.user.session_id
+                })
+            });
+        }
+
+        res.json(Array.isArray(urls) ? { success: true, urls: signed } : { success: true, ...signed[0] });
+    } catch (error) {
+        console.error('Erro ao gerar URL assinada:', error);
+        res.status(500).json({
+            error: 'Erro ao gerar URL assinada',
+            details: error.message
+        });
+    }
+});
+
 // GET /api/video-stream/ssh/:videoId - Stream de vídeo via SSH com Range support
 router.get('/ssh/:videoId', authMiddleware, async (req, res) => {
     try {
@@ -331,6 +417,21 @@ router.get('/thumbnail/:videoId', authMiddleware, async (req, res) => {
     }
 });
 
+// GET /api/video-stream/previews/:videoId/:arquivo - Pôster, sprite ou WebVTT de miniaturas (URL assinada)
+router.get('/previews/:videoId/:arquivo', async (req, res) => {
+    try {
+        await VideoPreviewService.serve(req, res);
+    } catch (error) {
+        console.error('Erro ao servir prévia do vídeo:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                error: 'Erro ao servir prévia do vídeo',
+                details: error.message
+            });
+        }
+    }
+});
+
 // GET /api/video-stream/urls/:userLogin/:folderName/:fileName - Gerar URLs de streaming
 router.get('/urls/:userLogin/:folderName/:fileName', authMiddleware, async (req, res) => {
     try {
@@ -3,40 +3,119 @@ const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
 const VideoSSHManager = require('../config/VideoSSHManager');
 const SSHManager = require('../config/SSHManager');
+const AuditService = require('../services/AuditService');
+const PlaybackUrlService = require('../services/PlaybackUrlService');
+const VideoPreviewService = require('../services/VideoPreviewService');
+const SessionService = require('../services/SessionService');
+const jwt = require('jsonwebtoken');
 const fs = require('fs').promises;
 const path = require('path');
 
+const JWT_SECRET = process.env.JWT_SECRET || 'sua_chave_secreta_super_segura_aqui';
+
 const router = express.Router();
 
+// Autoriza reprodução por URL assinada (POST /api/video-stream/signed-url) ou token no header.
+// O token de login não é aceito na query. Retorna { userLogin, serverId, ... } ou null se já respondeu.
+const authorizePlayback = async (req, res, remotePath) => {
+  if (PlaybackUrlService.isSignedRequest(req)) {
+    const signatureError = await PlaybackUrlService.verify(req);
+    if (signatureError) {
+      res.status(signatureError.status).json(signatureError);
+      return null;
+    }
+
+    // A posse do vídeo foi verificada na emissão da URL
+    const loginMatch = remotePath.match(/(?:^|\/)streaming\/([^/]+)\//);
+    if (!loginMatch) {
+      res.status(403).json({ error: 'Acesso negado ao vídeo' });
+      return null;
+    }
+
+    const [serverRows] = await db.execute(
+      'SELECT codigo_servidor FROM streamings WHERE usuario = ? LIMIT 1',
+      [loginMatch[1]]
+    );
+    return {
+      userLogin: loginMatch[1],
+      serverId: serverRows.length > 0 ? serverRows[0].codigo_servidor : 1,
+      sessionId: req.query.sid || null,
+      boundIp: req.query.ip === '1' ? req.ip : null
+    };
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    console.log('❌ Acesso sem URL assinada para vídeo SSH:', {
+      path: req.path,
+      method: req.method,
+      hasQueryToken: !!req.query.token
+    });
+    res.status(401).json({
+      error: 'URL de reprodução assinada requerida',
+      details: 'Gere a URL em POST /api/video-stream/signed-url'
+    });
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(authHeader.substring(7), JWT_SECRET);
+  } catch (jwtError) {
+    console.error('Erro de autenticação no vídeo SSH:', jwtError.message);
+    res.status(401).json({ error: 'Token inválido' });
+    return null;
+  }
+
+  if (!(await SessionService.isSessionActive(decoded.sid))) {
+    res.status(401).json({ error: 'Sessão encerrada', revoked: true });
+    return null;
+  }
+
+  // Buscar dados do usuário
+  let userRows = [];
+  if (decoded.tipo === 'revenda') {
+    [userRows] = await db.execute(
+      'SELECT codigo, nome, email FROM revendas WHERE codigo = ? AND status = 1',
+      [decoded.userId]
+    );
+  } else {
+    [userRows] = await db.execute(
+      'SELECT codigo_cliente as codigo, identificacao as nome, email FROM streamings WHERE codigo_cliente = ? AND status = 1 LIMIT 1',
+      [decoded.userId]
+    );
+  }
+
+  if (userRows.length === 0) {
+    res.status(401).json({ error: 'Usuário não encontrado' });
+    return null;
+  }
+
+  const user = userRows[0];
+  const userLogin = user.email ? user.email.split('@')[0] : `user_${user.codigo}`;
+
+  // Verificar se o caminho pertence ao usuário (nova estrutura)
+  if (!remotePath.includes(`/home/streaming/${userLogin}/`) && !remotePath.includes(`streaming/${userLogin}/`)) {
+    res.status(403).json({ error: 'Acesso negado ao vídeo' });
+    return null;
+  }
+
+  const [serverRows] = await db.execute(
+    'SELECT codigo_servidor FROM streamings WHERE codigo_cliente = ? LIMIT 1',
+    [user.codigo]
+  );
+  return {
+    userLogin,
+    serverId: serverRows.length > 0 ? serverRows[0].codigo_servidor : 1,
+    sessionId: decoded.sid,
+    boundIp: null
+  };
+};
+
 // GET /api/videos-ssh/proxy-stream/:videoId - Stream direto via proxy (otimizado)
 router.get('/proxy-stream/:videoId', async (req, res) => {
   try {
     const videoId = req.params.videoId;
-    
-    // Verificar autenticação
-    let token = null;
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      token = authHeader.substring(7);
-    }
-    if (!token && req.query.token) {
-      token = req.query.token;
-    }
-    
-    if (!token) {
-      return res.status(401).json({ error: 'Token de acesso requerido' });
-    }
-
-    // Verificar e decodificar token
-    const jwt = require('jsonwebtoken');
-    const JWT_SECRET = process.env.JWT_SECRET || 'sua_chave_secreta_super_segura_aqui';
-    
-    let decoded;
-    try {
-      decoded = jwt.verify(token, JWT_SECRET);
-    } catch (jwtError) {
-      return res.status(401).json({ error: 'Token inválido' });
-    }
 
     // Decodificar videoId
     let remotePath;
@@ -46,11 +125,9 @@ router.get('/proxy-stream/:videoId', async (req, res) => {
       return res.status(400).json({ error: 'ID de vídeo inválido' });
     }
 
-    // Verificar se o caminho pertence ao usuário (nova estrutura)
-    const userLogin = decoded.email ? decoded.email.split('@')[0] : `user_${decoded.userId}`;
-    if (!remotePath.includes(`/home/streaming/${userLogin}/`) && !remotePath.includes(`streaming/${userLogin}/`)) {
-      return res.status(403).json({ error: 'Acesso negado ao vídeo' });
-    }
+    const playback = await authorizePlayback(req, res, remotePath);
+    if (!playback) return;
+    const { serverId } = playback;
 
     // Verificar se precisa converter para MP4
     const fileExtension = path.extname(remotePath).toLowerCase();
@@ -83,13 +160,6 @@ router.get('/proxy-stream/:videoId', async (req, res) => {
       }
     }
 
-    // Buscar servidor do usuário
-    const [serverRows] = await db.execute(
-      'SELECT codigo_servidor FROM streamings WHERE codigo_cliente = ? LIMIT 1',
-      [decoded.userId]
-    );
-    const serverId = serverRows.length > 0 ? serverRows[0].codigo_servidor : 1;
-
     // Configurar headers otimizados para streaming
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
@@ -244,63 +314,6 @@ router.get('/list', authMiddleware, async (req, res) => {
 router.get('/stream/:videoId', async (req, res) => {
   try {
     const videoId = req.params.videoId;
-    
-    // Verificar autenticação via token no query parameter ou header
-    let token = null;
-    
-    // Verificar token no header Authorization
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      token = authHeader.substring(7);
-    }
-    
-    // Verificar token no query parameter (para nova aba)
-    if (!token && req.query.token) {
-      token = req.query.token;
-    }
-    
-    if (!token) {
-      console.log('❌ Token de acesso não fornecido para vídeo SSH:', {
-        path: req.path,
-        method: req.method,
-        headers: Object.keys(req.headers),
-        query: Object.keys(req.query)
-      });
-      return res.status(401).json({ error: 'Token de acesso requerido' });
-    }
-
-    // Verificar e decodificar token
-    const jwt = require('jsonwebtoken');
-    const JWT_SECRET = process.env.JWT_SECRET || 'sua_chave_secreta_super_segura_aqui';
-    
-    let decoded;
-    try {
-      decoded = jwt.verify(token, JWT_SECRET);
-    } catch (jwtError) {
-      console.error('Erro de autenticação no vídeo SSH:', jwtError.message);
-      return res.status(401).json({ error: 'Token inválido' });
-    }
-
-    // Buscar dados do usuário
-    let userRows = [];
-    if (decoded.tipo === 'revenda') {
-      [userRows] = await db.execute(
-        'SELECT codigo, nome, email FROM revendas WHERE codigo = ? AND status = 1',
-        [decoded.userId]
-      );
-    } else {
-      [userRows] = await db.execute(
-        'SELECT codigo_cliente as codigo, identificacao as nome, email FROM streamings WHERE codigo_cliente = ? AND status = 1 LIMIT 1',
-        [decoded.userId]
-      );
-    }
-
-    if (userRows.length === 0) {
-      return res.status(401).json({ error: 'Usuário não encontrado' });
-    }
-
-    const user = userRows[0];
-    const userLogin = user.email ? user.email.split('@')[0] : `user_${user.codigo}`;
 
     // Decodificar videoId (base64)
     let remotePath;
@@ -310,20 +323,11 @@ router.get('/stream/:videoId', async (req, res) => {
       return res.status(400).json({ error: 'ID de vídeo inválido' });
     }
 
-    console.log(`🎥 Solicitação de stream SSH: ${remotePath} para usuário ${userLogin}`);
-
-    // Verificar se o caminho pertence ao usuário (nova estrutura)
-    if (!remotePath.includes(`/home/streaming/${userLogin}/`) && !remotePath.includes(`streaming/${userLogin}/`)) {
-      return res.status(403).json({ error: 'Acesso negado ao vídeo' });
-    }
-
-    // Buscar servidor do usuário
-    const [serverRows] = await db.execute(
-      'SELECT codigo_servidor FROM streamings WHERE codigo_cliente = ? LIMIT 1',
-      [user.codigo]
-    );
+    const playback = await authorizePlayback(req, res, remotePath);
+    if (!playback) return;
+    const { userLogin, serverId } = playback;
 
-    const serverId = serverRows.length > 0 ? serverRows[0].codigo_servidor : 1;
+    console.log(`🎥 Solicitação de stream SSH: ${remotePath} para usuário ${userLogin}`);
 
     // Verificar se arquivo existe no servidor
     const availability = await VideoSSHManager.checkVideoAvailability(serverId, remotePath);
@@ -440,7 +444,11 @@ router.get('/stream/:videoId', async (req, res) => {
         }
       } else if (streamResult.type === 'proxy') {
         // Usar proxy direto para arquivos grandes
-        const proxyUrl = `/api/videos-ssh/proxy-stream/${videoId}?token=${encodeURIComponent(token)}`;
+        // Nova URL assinada com as mesmas restrições (IP e sessão) da original
+        const { url: proxyUrl } = PlaybackUrlService.sign(`/api/videos-ssh/proxy-stream/${videoId}`, {
+          ip: playback.boundIp,
+          sessionId: playback.sessionId
+        });
         console.log(`🔄 Redirecionando para proxy direto: ${proxyUrl}`);
         res.redirect(proxyUrl);
       } else {
@@ -553,6 +561,9 @@ router.delete('/:videoId', authMiddleware, async (req, res) => {
 
     const serverId = serverRows.length > 0 ? serverRows[0].codigo_servidor : 1;
 
+    const [existingVideoRows] = await db.execute('SELECT * FROM videos WHERE caminho = ? LIMIT 1', [remotePath]);
+    AuditService.snapshot(req, existingVideoRows[0] || { caminho: remotePath });
+
     // Obter tamanho do arquivo antes de deletar
     let fileSize = 0;
     try {
@@ -565,6 +576,10 @@ router.delete('/:videoId', authMiddleware, async (req, res) => {
     const result = await VideoSSHManager.deleteVideoFromServer(serverId, remotePath);
 
     if (result.success) {
+      if (existingVideoRows[0]) {
+        await VideoPreviewService.remove(serverId, existingVideoRows[0]);
+      }
+
       // Remover do banco de dados se existir
       try {
         // Buscar vídeo no banco para obter tamanho exato
@@ -606,6 +621,8 @@ router.delete('/:videoId', authMiddleware, async (req, res) => {
           console.warn('Erro ao atualizar espaço usado:', updateError.message);
         }
       }
+      AuditService.saved(req, null);
+
       res.json({
         success: true,
         message: 'Vídeo removido com sucesso do servidor',
@@ -657,6 +674,13 @@ router.post('/sync-database', authMiddleware, async (req, res) => {
     // Listar vídeos do servidor
     const videos = await VideoSSHManager.listVideosFromServer(serverId, userLogin, folderName);
 
+    // Prévias (pôster/miniaturas) de arquivos que não mudaram são reaproveitadas
+    const [previousRows] = await db.execute(
+      'SELECT caminho, tamanho_arquivo, mtime_arquivo, previews FROM videos WHERE pasta = ? AND codigo_cliente = ? AND previews IS NOT NULL',
+      [folderId, userId]
+    );
+    const previousPreviews = new Map(previousRows.map(row => [row.caminho, row]));
+
     // Limpar vídeos antigos desta pasta do banco
     await db.execute(
       'DELETE FROM videos WHERE pasta = ? AND codigo_cliente = ?',
@@ -668,24 +692,34 @@ router.post('/sync-database', authMiddleware, async (req, res) => {
     for (const video of videos) {
       try {
         const relativePath = video.fullPath.replace('/usr/local/WowzaStreamingEngine/content/', '');
+        const previous = previousPreviews.get(video.fullPath);
+        const previews = previous && Number(previous.tamanho_arquivo) === video.size &&
+          Number(previous.mtime_arquivo) === video.mtime ? previous.previews : null;
         
         await db.execute(
           `INSERT INTO videos (
-            nome, url, caminho, duracao, tamanho_arquivo,
+            nome, url, caminho, duracao, tamanho_arquivo, mtime_arquivo,
             codigo_cliente, pasta, bitrate_video, formato_original,
-            largura, altura, is_mp4, compativel
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, '1920', '1080', ?, 'sim')`,
+            codec_video, codec_audio, largura, altura, is_mp4, compativel, previews
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             video.nome,
             relativePath,
             video.fullPath,
             video.duration,
             video.size,
+            video.mtime,
             userId,
             folderId,
             video.bitrate_video || 0,
             video.formato_original || 'unknown',
-            video.is_mp4 ? 1 : 0
+            video.codec_video,
+            video.codec_audio,
+            video.largura,
+            video.altura,
+            video.is_mp4 ? 1 : 0,
+            video.compativel,
+            previews
           ]
         );
         
@@ -703,6 +737,7 @@ router.post('/sync-database', authMiddleware, async (req, res) => {
     );
 
     console.log(`🔄 Sincronização concluída: ${videos.length} vídeos, ${totalMB}MB`);
+    await VideoPreviewService.scheduleMissing(userId);
 
     res.json({
       success: true,
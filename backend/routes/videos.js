@@ -6,6 +6,12 @@ const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
 const SSHManager = require('../config/SSHManager');
 const wowzaService = require('../config/WowzaStreamingService');
+const UploadSessionService = require('../services/UploadSessionService');
+const UrlImportService = require('../services/UrlImportService');
+const StorageQuotaService = require('../services/StorageQuotaService');
+const VideoPreviewService = require('../services/VideoPreviewService');
+const VideoEditService = require('../services/VideoEditService');
+const WowzaConfigManager = require('../config/WowzaConfigManager');
 const { spawn } = require('child_process');
 
 const router = express.Router();
@@ -113,6 +119,16 @@ const isCompatibleFormat = (formatName, extension) => {
   return compatibleFormats.includes(extension?.toLowerCase()?.replace('.', ''));
 };
 
+// Versões ABR gravadas pela conversão adaptativa (JSON em videos.abr_renditions)
+const parseAbrRenditions = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
 router.get('/', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
@@ -148,7 +164,12 @@ router.get('/', authMiddleware, async (req, res) => {
         is_mp4,
         compativel,
         largura,
-        altura
+        altura,
+        abr_smil,
+        abr_renditions,
+        previews,
+        loudness_lufs,
+        loudness_true_peak
        FROM videos 
        WHERE codigo_cliente = ? AND pasta = ?
        ORDER BY id DESC`,
@@ -233,7 +254,13 @@ router.get('/', authMiddleware, async (req, res) => {
         compatibility_status: compatibilityStatus,
         compatibility_message: compatibilityMessage,
         codec_compatible: codecCompatible,
-        format_compatible: formatCompatible
+        format_compatible: formatCompatible,
+        adaptive_url: video.abr_smil ?
+          WowzaConfigManager.buildVideoUrls(userLogin, folderName, video.nome, null, { abrSmil: video.abr_smil }).adaptive : null,
+        abr_renditions: parseAbrRenditions(video.abr_renditions),
+        loudness_lufs: video.loudness_lufs !== null ? parseFloat(video.loudness_lufs) : null,
+        loudness_true_peak: video.loudness_true_peak !== null ? parseFloat(video.loudness_true_peak) : null,
+        ...VideoPreviewService.buildUrls(video.id, video.previews, { sessionId: req.user.session_id })
       };
     });
 
@@ -245,240 +272,657 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
+const VIDEO_EXTENSIONS = [
+  '.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm', '.mkv',
+  '.3gp', '.3g2', '.ts', '.mpg', '.mpeg', '.ogv', '.m4v', '.asf'
+];
+
+// Buscar pasta do usuário e calcular espaço livre (descontando reservas, uploads retomáveis e importações em aberto)
+const loadUploadFolder = (userId, folderId, excludeReservationId = null) =>
+  StorageQuotaService.getFolderSpace(userId, folderId, excludeReservationId);
+
+const insufficientSpaceResponse = (userData, spaceMB) => ({
+  error: `Espaço insuficiente. Necessário: ${spaceMB}MB, Disponível: ${userData.availableSpace}MB`,
+  details: `Seu plano permite ${userData.espaco}MB de armazenamento. Atualmente você está usando ${userData.espaco_usado}MB${userData.reserved ? ` e ${userData.reserved}MB estão reservados por uploads em andamento` : ''}. Para enviar este arquivo, você precisa de mais ${spaceMB - userData.availableSpace}MB livres.`,
+  spaceInfo: {
+    required: spaceMB,
+    available: userData.availableSpace,
+    total: userData.espaco,
+    used: userData.espaco_usado,
+    reserved: userData.reserved,
+    percentage: Math.round((userData.espaco_usado / userData.espaco) * 100)
+  }
+});
+
+// Analisa o arquivo local com ffprobe, envia via SSH e registra o vídeo.
+// Usado pelo upload comum, pelo upload retomável e pela importação por URL; retorna { status, body }.
+// reservationId é a sessão/importação dona do arquivo, que não conta contra o próprio espaço.
+const storeUploadedVideo = async (user, { folderId, tempPath, fileName, originalName, size, reservationId = null, origem = 'upload' }) => {
+  const userId = user.id;
+  const userLogin = user.email.split('@')[0];
+
+  // Verificar se é um formato de vídeo válido
+  const fileExtension = path.extname(originalName).toLowerCase();
+
+  if (!VIDEO_EXTENSIONS.includes(fileExtension)) {
+    console.log(`❌ Extensão não suportada: ${fileExtension}`);
+    await fs.unlink(tempPath).catch(() => { });
+    return {
+      status: 400,
+      body: {
+        error: `Formato de arquivo não suportado: ${fileExtension}`,
+        details: `Formatos aceitos: ${VIDEO_EXTENSIONS.join(', ')}`
+      }
+    };
+  }
+
+  // Obter informações reais do vídeo usando ffprobe
+  let videoInfo = null;
+  let duracao = 0;
+  let bitrateVideo = 0;
+  let codecVideo = 'unknown';
+  let largura = 0;
+  let altura = 0;
+  let formatoOriginal = fileExtension.substring(1);
+  
+  try {
+    console.log(`🔍 Analisando vídeo: ${tempPath}`);
+    videoInfo = await getVideoInfo(tempPath);
+    
+    if (videoInfo.format) {
+      duracao = Math.floor(parseFloat(videoInfo.format.duration) || 0);
+      bitrateVideo = Math.floor(parseInt(videoInfo.format.bit_rate) / 1000) || 0; // Converter para kbps
+      formatoOriginal = videoInfo.format.format_name || fileExtension.substring(1);
+    }
+    
+    if (videoInfo.streams) {
+      const videoStream = videoInfo.streams.find(s => s.codec_type === 'video');
+      if (videoStream) {
+        codecVideo = videoStream.codec_name || 'unknown';
+        largura = videoStream.width || 0;
+        altura = videoStream.height || 0;
+        
+        // Se não conseguiu bitrate do format, tentar do stream
+        if (!bitrateVideo && videoStream.bit_rate) {
+          bitrateVideo = Math.floor(parseInt(videoStream.bit_rate) / 1000) || 0;
+        }
+      }
+    }
+    
+    console.log(`📊 Informações do vídeo:`, {
+      duracao,
+      bitrateVideo,
+      codecVideo,
+      largura,
+      altura,
+      formatoOriginal
+    });
+  } catch (probeError) {
+    console.warn('⚠️ Não foi possível analisar o vídeo com ffprobe:', probeError.message);
+    // Continuar com valores padrão
+  }
+  
+  const tamanho = size;
+
+  const userData = await loadUploadFolder(userId, folderId, reservationId);
+  if (!userData) {
+    console.log(`❌ Pasta ${folderId} não encontrada para usuário ${userId}`);
+    await fs.unlink(tempPath).catch(() => { });
+    return { status: 404, body: { error: 'Pasta não encontrada' } };
+  }
+
+  const serverId = userData.codigo_servidor || 1;
+  const folderName = userData.folder_name;
+
+  console.log(`📁 Pasta encontrada: ${folderName}, Servidor: ${serverId}`);
+
+  const spaceMB = Math.ceil(tamanho / (1024 * 1024));
+
+  // A reserva trava a pasta: dois envios simultâneos não passam juntos do limite
+  let reservation;
+  try {
+    reservation = await StorageQuotaService.reserve(userId, folderId, spaceMB, {
+      origem,
+      referencia: fileName,
+      excludeReservationId: reservationId
+    });
+  } catch (quotaError) {
+    if (!quotaError.insufficientSpace) throw quotaError;
+    console.log(`❌ Espaço insuficiente: ${spaceMB}MB necessário, ${quotaError.folder.availableSpace}MB disponível`);
+    await fs.unlink(tempPath).catch(() => { });
+    return { status: 400, body: insufficientSpaceResponse(quotaError.folder, spaceMB) };
+  }
+
+  // Estrutura correta: /home/streaming/[usuario]/[pasta]/arquivo
+  const remotePath = `/home/streaming/${userLogin}/${folderName}/${fileName}`;
+
+  // Construir caminho relativo para salvar no banco
+  const relativePath = `${userLogin}/${folderName}/${fileName}`;
+
+  // Nome do vídeo para salvar no banco
+  const videoTitle = originalName;
+
+  // Verificar compatibilidade
+  const isMP4 = fileExtension === '.mp4';
+  const codecCompatible = isCompatibleCodec(codecVideo);
+  const needsConversion = !isMP4 || !codecCompatible;
+  const userBitrateLimit = user.bitrate || 2500;
+  
+  // Status de compatibilidade
+  let compatibilityStatus = needsConversion ? 'nao' : 'sim';
+
+  let result;
+  try {
+    // Garantir que estrutura completa do usuário existe
+    await SSHManager.createCompleteUserStructure(serverId, userLogin, {
+      bitrate: user.bitrate || 2500,
+      espectadores: user.espectadores || 100,
+      status_gravando: 'nao'
+    });
+    await SSHManager.createUserFolder(serverId, userLogin, folderName);
+
+    await SSHManager.uploadFile(serverId, tempPath, remotePath);
+    await fs.unlink(tempPath);
+
+    console.log(`✅ Arquivo enviado para: ${remotePath}`);
+    console.log(`📂 Estrutura: /home/streaming/${userLogin}/${folderName}/${fileName}`);
+    console.log(`💾 Salvando no banco com path: ${relativePath}`);
+
+    // Salvar na tabela videos SEM conversão automática
+    [result] = await db.execute(
+      `INSERT INTO videos (
+        nome, descricao, url, caminho, duracao, tamanho_arquivo,
+        codigo_cliente, pasta, bitrate_video, formato_original, codec_video,
+        largura, altura, is_mp4, compativel, origem
+      ) VALUES (?, '', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        videoTitle,
+        relativePath,
+        remotePath,
+        duracao,
+        tamanho,
+        userId,
+        folderId,
+        bitrateVideo,
+        formatoOriginal,
+        codecVideo,
+        largura,
+        altura,
+        isMP4 ? 1 : 0,
+        compatibilityStatus,
+        origem
+      ]
+    );
+
+    // Atualizar espaço usado na pasta (confirma a reserva com o tamanho real)
+    await StorageQuotaService.commit(reservation.codigo, spaceMB);
+  } finally {
+    await StorageQuotaService.release(reservation.codigo);
+  }
+
+  console.log(`✅ Vídeo salvo no banco com ID: ${result.insertId}`);
+
+  // Pôster e miniaturas para o player ficam na fila em segundo plano
+  await VideoPreviewService.schedule(userId, result.insertId, { descricao: videoTitle });
+
+  // Atualizar arquivo SMIL do usuário após upload
+  try {
+    const PlaylistSMILService = require('../services/PlaylistSMILService');
+    await PlaylistSMILService.updateUserSMIL(userId, userLogin, serverId);
+    console.log(`✅ Arquivo SMIL atualizado após upload para usuário ${userLogin}`);
+  } catch (smilError) {
+    console.warn('Erro ao atualizar arquivo SMIL:', smilError.message);
+  }
+
+  // Determinar status de compatibilidade para resposta
+  let statusMessage = 'Vídeo compatível';
+  let statusColor = 'green';
+  
+  if (needsConversion) {
+    statusMessage = 'Necessário Conversão';
+    statusColor = 'red';
+  } else if (bitrateVideo > userBitrateLimit) {
+    statusMessage = 'Bitrate Alto';
+    statusColor = 'yellow';
+  }
+
+  return {
+    status: 201,
+    body: {
+      id: result.insertId,
+      nome: videoTitle,
+      url: relativePath,
+      path: remotePath,
+      originalFile: remotePath,
+      bitrate_video: bitrateVideo,
+      codec_video: codecVideo,
+      formato_original: fileExtension.substring(1),
+      largura: largura,
+      altura: altura,
+      is_mp4: fileExtension === '.mp4',
+      needs_conversion: needsConversion,
+      compatibility_status: statusMessage,
+      compatibility_color: statusColor,
+      duracao,
+      tamanho,
+      space_used_mb: spaceMB
+    }
+  };
+};
+
 router.post('/upload', authMiddleware, upload.single('video'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'Nenhum arquivo enviado' });
     }
 
-    const userId = req.user.id;
-    const userLogin = req.user.email.split('@')[0];
     const folderId = req.query.folder_id || 'default';
 
-    console.log(`📤 Upload iniciado - Usuário: ${userLogin}, Pasta: ${folderId}, Arquivo: ${req.file.originalname}`);
+    console.log(`📤 Upload iniciado - Usuário: ${req.user.email.split('@')[0]}, Pasta: ${folderId}, Arquivo: ${req.file.originalname}`);
     console.log(`📋 Tipo MIME: ${req.file.mimetype}, Tamanho: ${req.file.size} bytes`);
 
-    // Verificar se é um formato de vídeo válido
-    const videoExtensions = [
-      '.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm', '.mkv',
-      '.3gp', '.3g2', '.ts', '.mpg', '.mpeg', '.ogv', '.m4v', '.asf'
-    ];
-    const fileExtension = path.extname(req.file.originalname).toLowerCase();
+    const result = await storeUploadedVideo(req.user, {
+      folderId,
+      tempPath: req.file.path,
+      fileName: req.file.filename,
+      originalName: req.file.originalname,
+      size: req.file.size
+    });
 
-    if (!videoExtensions.includes(fileExtension)) {
-      console.log(`❌ Extensão não suportada: ${fileExtension}`);
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('Erro no upload:', err);
+    if (req.file?.path) {
       await fs.unlink(req.file.path).catch(() => { });
+    }
+    res.status(500).json({ error: 'Erro no upload do vídeo', details: err.message });
+  }
+});
+
+// Formato da resposta de uma sessão de upload retomável
+const formatUploadSession = (session) => ({
+  id: session.codigo,
+  folder_id: session.pasta,
+  nome: session.nome_original,
+  tamanho: session.tamanho_total,
+  offset: session.offset_atual,
+  percentual: session.tamanho_total > 0 ? Math.floor((session.offset_atual / session.tamanho_total) * 100) : 0,
+  status: session.status,
+  video_id: session.codigo_video,
+  expira_em: session.expira_em
+});
+
+const loadUploadSession = async (req, res) => {
+  const session = await UploadSessionService.get(req.user.id, req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ error: 'Sessão de upload não encontrada' });
+  }
+  return session;
+};
+
+// POST /api/videos/uploads - Cria sessão de upload retomável (reserva o espaço na pasta)
+router.post('/uploads', authMiddleware, async (req, res) => {
+  try {
+    const { nome, tamanho, folder_id } = req.body;
+    const size = parseInt(tamanho);
+
+    if (!nome || !folder_id || !size || size < 1) {
+      return res.status(400).json({ error: 'nome, tamanho (bytes) e folder_id são obrigatórios' });
+    }
+
+    if (size > UploadSessionService.maxUploadSize) {
+      return res.status(413).json({ error: 'Arquivo maior que o limite de 2GB' });
+    }
+
+    const fileExtension = path.extname(nome).toLowerCase();
+    if (!VIDEO_EXTENSIONS.includes(fileExtension)) {
       return res.status(400).json({
         error: `Formato de arquivo não suportado: ${fileExtension}`,
-        details: `Formatos aceitos: ${videoExtensions.join(', ')}`
+        details: `Formatos aceitos: ${VIDEO_EXTENSIONS.join(', ')}`
       });
     }
 
-    // Obter informações reais do vídeo usando ffprobe
-    let videoInfo = null;
-    let duracao = 0;
-    let bitrateVideo = 0;
-    let codecVideo = 'unknown';
-    let largura = 0;
-    let altura = 0;
-    let formatoOriginal = fileExtension.substring(1);
-    
+    // A sessão nasce com o espaço reservado (pasta travada): sessões simultâneas não passam do limite
+    let session;
     try {
-      console.log(`🔍 Analisando vídeo: ${req.file.path}`);
-      videoInfo = await getVideoInfo(req.file.path);
-      
-      if (videoInfo.format) {
-        duracao = Math.floor(parseFloat(videoInfo.format.duration) || 0);
-        bitrateVideo = Math.floor(parseInt(videoInfo.format.bit_rate) / 1000) || 0; // Converter para kbps
-        formatoOriginal = videoInfo.format.format_name || fileExtension.substring(1);
+      session = await UploadSessionService.create(req.user.id, {
+        folderId: folder_id,
+        originalName: nome,
+        size
+      });
+    } catch (quotaError) {
+      if (quotaError.insufficientSpace) {
+        return res.status(400).json(insufficientSpaceResponse(quotaError.folder, quotaError.requiredMB));
       }
-      
-      if (videoInfo.streams) {
-        const videoStream = videoInfo.streams.find(s => s.codec_type === 'video');
-        if (videoStream) {
-          codecVideo = videoStream.codec_name || 'unknown';
-          largura = videoStream.width || 0;
-          altura = videoStream.height || 0;
-          
-          // Se não conseguiu bitrate do format, tentar do stream
-          if (!bitrateVideo && videoStream.bit_rate) {
-            bitrateVideo = Math.floor(parseInt(videoStream.bit_rate) / 1000) || 0;
-          }
-        }
+      if (quotaError.status === 404) {
+        return res.status(404).json({ error: quotaError.message });
       }
-      
-      console.log(`📊 Informações do vídeo:`, {
-        duracao,
-        bitrateVideo,
-        codecVideo,
-        largura,
-        altura,
-        formatoOriginal
+      throw quotaError;
+    }
+
+    console.log(`📤 Sessão de upload criada: ${session.codigo} (${nome}, ${size} bytes)`);
+
+    res.setHeader('Location', `/api/videos/uploads/${session.codigo}`);
+    res.setHeader('Upload-Offset', '0');
+    res.status(201).json({
+      ...formatUploadSession(session),
+      chunk_size: UploadSessionService.recommendedChunkSize
+    });
+  } catch (err) {
+    console.error('Erro ao criar sessão de upload:', err);
+    res.status(500).json({ error: 'Erro ao criar sessão de upload', details: err.message });
+  }
+});
+
+// GET /api/videos/uploads - Sessões de upload em aberto do usuário
+router.get('/uploads', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await UploadSessionService.list(req.user.id);
+    res.json(sessions.map(session => formatUploadSession(session)));
+  } catch (err) {
+    console.error('Erro ao buscar sessões de upload:', err);
+    res.status(500).json({ error: 'Erro ao buscar sessões de upload', details: err.message });
+  }
+});
+
+// HEAD/GET /api/videos/uploads/:sessionId - Progresso (offset para retomar o envio)
+router.head('/uploads/:sessionId', authMiddleware, async (req, res) => {
+  try {
+    const session = await UploadSessionService.get(req.user.id, req.params.sessionId);
+    if (!session) {
+      return res.status(404).end();
+    }
+
+    res.setHeader('Upload-Offset', String(session.offset_atual));
+    res.setHeader('Upload-Length', String(session.tamanho_total));
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).end();
+  } catch (err) {
+    console.error('Erro ao consultar sessão de upload:', err);
+    res.status(500).end();
+  }
+});
+
+router.get('/uploads/:sessionId', authMiddleware, async (req, res) => {
+  try {
+    const session = await loadUploadSession(req, res);
+    if (!session) return;
+
+    res.setHeader('Upload-Offset', String(session.offset_atual));
+    res.json(formatUploadSession(session));
+  } catch (err) {
+    console.error('Erro ao consultar sessão de upload:', err);
+    res.status(500).json({ error: 'Erro ao consultar sessão de upload', details: err.message });
+  }
+});
+
+// PUT /api/videos/uploads/:sessionId - Envia um bloco (corpo binário) a partir do header Upload-Offset
+router.put('/uploads/:sessionId', authMiddleware, async (req, res) => {
+  // Blocos não entram na auditoria: a sessão e a finalização já registram o upload
+  res.locals.skipAudit = true;
+
+  try {
+    const session = await loadUploadSession(req, res);
+    if (!session) return;
+
+    if (session.status !== 'ativo') {
+      return res.status(409).json({ error: `Sessão de upload ${session.status}` });
+    }
+
+    const offset = parseInt(req.headers['upload-offset'] ?? req.query.offset);
+    if (Number.isNaN(offset)) {
+      return res.status(400).json({ error: 'Header Upload-Offset é obrigatório' });
+    }
+
+    // O bloco precisa continuar exatamente de onde o servidor parou
+    if (offset !== session.offset_atual) {
+      res.setHeader('Upload-Offset', String(session.offset_atual));
+      return res.status(409).json({
+        error: 'Offset não confere com o progresso salvo',
+        offset: session.offset_atual
       });
-    } catch (probeError) {
-      console.warn('⚠️ Não foi possível analisar o vídeo com ffprobe:', probeError.message);
-      // Continuar com valores padrão
     }
-    
-    const tamanho = req.file.size;
 
-    const [userRows] = await db.execute(
-      `SELECT 
-        s.codigo_servidor, s.identificacao as folder_name,
-        s.espaco, s.espaco_usado
-       FROM streamings s 
-       WHERE s.codigo = ? AND (s.codigo_cliente = ? OR s.codigo = ?)`,
-      [folderId, userId, userId]
+    const updated = await UploadSessionService.appendChunk(session, req);
+
+    res.setHeader('Upload-Offset', String(updated.offset_atual));
+    res.json(formatUploadSession(updated));
+  } catch (err) {
+    if (err.status) {
+      const current = await UploadSessionService.get(req.user.id, req.params.sessionId).catch(() => null);
+      if (current) res.setHeader('Upload-Offset', String(current.offset_atual));
+      return res.status(err.status).json({ error: err.message, offset: current ? current.offset_atual : undefined });
+    }
+    console.error('Erro ao receber bloco de upload:', err);
+    res.status(500).json({ error: 'Erro ao receber bloco de upload', details: err.message });
+  }
+});
+
+// POST /api/videos/uploads/:sessionId/finalize - Conclui o upload (ffprobe + envio ao servidor)
+router.post('/uploads/:sessionId/finalize', authMiddleware, async (req, res) => {
+  let session = null;
+  let claimed = false;
+  try {
+    session = await loadUploadSession(req, res);
+    if (!session) return;
+
+    if (session.status !== 'ativo') {
+      return res.status(409).json({ error: `Sessão de upload ${session.status}` });
+    }
+
+    if (session.offset_atual < session.tamanho_total) {
+      res.setHeader('Upload-Offset', String(session.offset_atual));
+      return res.status(409).json({
+        error: 'Upload incompleto',
+        offset: session.offset_atual,
+        tamanho: session.tamanho_total
+      });
+    }
+
+    claimed = await UploadSessionService.claimFinalize(session.codigo);
+    if (!claimed) {
+      return res.status(409).json({ error: 'Sessão de upload já está sendo finalizada' });
+    }
+    console.log(`📤 Finalizando upload retomável ${session.codigo}: ${session.nome_original}`);
+
+    const result = await storeUploadedVideo(req.user, {
+      folderId: session.pasta,
+      tempPath: UploadSessionService.tempPath(session.codigo),
+      fileName: session.nome_arquivo,
+      originalName: session.nome_original,
+      size: session.tamanho_total,
+      reservationId: session.codigo_reserva
+    });
+
+    // Recusas (formato, pasta, espaço) já removem o arquivo temporário
+    await UploadSessionService.close(
+      session.codigo,
+      result.status === 201 ? 'concluido' : 'cancelado',
+      result.status === 201 ? result.body.id : null
     );
-    if (userRows.length === 0) {
-      console.log(`❌ Pasta ${folderId} não encontrada para usuário ${userId}`);
-      return res.status(404).json({ error: 'Pasta não encontrada' });
+
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('Erro ao finalizar upload:', err);
+    // Falha no envio ao servidor: com o arquivo ainda no disco a sessão volta a ficar aberta
+    // para nova tentativa; sem ele não há o que retomar
+    if (claimed) {
+      const retryable = await UploadSessionService.hasFile(session.codigo);
+      const restore = retryable
+        ? UploadSessionService.setStatus(session.codigo, 'ativo')
+        : UploadSessionService.close(session.codigo, 'erro');
+      await restore.catch(() => { });
     }
+    res.status(500).json({ error: 'Erro ao finalizar upload', details: err.message });
+  }
+});
 
-    const userData = userRows[0];
-    const serverId = userData.codigo_servidor || 1;
-    const folderName = userData.folder_name;
+// DELETE /api/videos/uploads/:sessionId - Cancela o upload e libera o espaço reservado
+router.delete('/uploads/:sessionId', authMiddleware, async (req, res) => {
+  try {
+    const session = await loadUploadSession(req, res);
+    if (!session) return;
 
-    console.log(`📁 Pasta encontrada: ${folderName}, Servidor: ${serverId}`);
+    if (session.status !== 'ativo') {
+      return res.status(409).json({ error: `Sessão de upload ${session.status}` });
+    }
 
-    const spaceMB = Math.ceil(tamanho / (1024 * 1024));
-    const availableSpace = userData.espaco - userData.espaco_usado;
+    await UploadSessionService.cancel(session);
+    res.json({ success: true, message: 'Upload cancelado' });
+  } catch (err) {
+    console.error('Erro ao cancelar upload:', err);
+    res.status(500).json({ error: 'Erro ao cancelar upload', details: err.message });
+  }
+});
 
-    if (spaceMB > availableSpace) {
-      console.log(`❌ Espaço insuficiente: ${spaceMB}MB necessário, ${availableSpace}MB disponível`);
-      await fs.unlink(req.file.path).catch(() => { });
+// POST /api/videos/import-url - Importa vídeo de uma URL HTTP(S) ou objeto S3 para a pasta
+router.post('/import-url', authMiddleware, async (req, res) => {
+  try {
+    const { folder_id, url, s3 } = req.body;
+
+    if (!folder_id || (!url && !s3)) {
+      return res.status(400).json({ error: 'folder_id e url (ou dados do objeto s3) são obrigatórios' });
+    }
+
+    const currentStatus = UrlImportService.getStatus(req.user.id);
+    if (currentStatus.downloading) {
       return res.status(400).json({
-        error: `Espaço insuficiente. Necessário: ${spaceMB}MB, Disponível: ${availableSpace}MB`,
-        details: `Seu plano permite ${userData.espaco}MB de armazenamento. Atualmente você está usando ${userData.espaco_usado}MB. Para enviar este arquivo, você precisa de mais ${spaceMB - availableSpace}MB livres.`,
-        spaceInfo: {
-          required: spaceMB,
-          available: availableSpace,
-          total: userData.espaco,
-          used: userData.espaco_usado,
-          percentage: Math.round((userData.espaco_usado / userData.espaco) * 100)
-        }
+        error: 'Já existe uma importação ativa. Aguarde a conclusão ou cancele a importação atual.'
       });
     }
 
+    // Tamanho e nome vêm de um HEAD na origem, antes de qualquer download
+    const { source, originalName, size } = await UrlImportService.probe({ url, s3 });
+
+    const fileExtension = path.extname(originalName).toLowerCase();
+    if (!VIDEO_EXTENSIONS.includes(fileExtension)) {
+      return res.status(400).json({
+        error: `Formato de arquivo não suportado: ${fileExtension || originalName}`,
+        details: `Formatos aceitos: ${VIDEO_EXTENSIONS.join(', ')}`
+      });
+    }
+
+    if (size && size > UrlImportService.maxImportSize) {
+      return res.status(413).json({ error: 'Arquivo maior que o limite de 2GB' });
+    }
+
+    // Reserva com a pasta travada antes do download: importações simultâneas não passam do limite
+    const spaceMB = Math.ceil((size || 0) / (1024 * 1024));
+    let reservation;
     try {
-      // Garantir que estrutura completa do usuário existe
-      await SSHManager.createCompleteUserStructure(serverId, userLogin, {
-        bitrate: req.user.bitrate || 2500,
-        espectadores: req.user.espectadores || 100,
-        status_gravando: 'nao'
+      reservation = await StorageQuotaService.reserve(req.user.id, folder_id, spaceMB, {
+        origem: 'importacao_url',
+        referencia: originalName
       });
-      await SSHManager.createUserFolder(serverId, userLogin, folderName);
+    } catch (quotaError) {
+      if (!quotaError.insufficientSpace) throw quotaError;
+      return res.status(400).json(insufficientSpaceResponse(quotaError.folder, spaceMB));
+    }
 
-      // Estrutura correta: /home/streaming/[usuario]/[pasta]/arquivo
-      const remotePath = `/home/streaming/${userLogin}/${folderName}/${req.file.filename}`;
-      await SSHManager.uploadFile(serverId, req.file.path, remotePath);
-      await fs.unlink(req.file.path);
+    // Origem sem Content-Length: o download é interrompido ao passar do espaço livre
+    const maxBytes = Math.min(Math.max(reservation.folder.availableSpace, 0) * 1024 * 1024, UrlImportService.maxImportSize);
+    const user = req.user;
 
-      console.log(`✅ Arquivo enviado para: ${remotePath}`);
-      console.log(`📂 Estrutura: /home/streaming/${userLogin}/${folderName}/${req.file.filename}`);
+    let importData;
+    try {
+      importData = UrlImportService.startImport(user.id, {
+        source,
+        originalName,
+        fileName: UploadSessionService.buildFileName(originalName),
+        size,
+        folderId: folder_id,
+        maxBytes,
+        reservation
+      }, (downloaded) => storeUploadedVideo(user, {
+        folderId: downloaded.folderId,
+        tempPath: downloaded.tempFilePath,
+        fileName: downloaded.fileName,
+        originalName: downloaded.originalName,
+        size: downloaded.receivedBytes,
+        reservationId: downloaded.reservation.codigo,
+        origem: source.type
+      }));
+    } catch (startError) {
+      await StorageQuotaService.release(reservation.codigo);
+      throw startError;
+    }
 
-      // Construir caminho relativo para salvar no banco
-      const relativePath = `${userLogin}/${folderName}/${req.file.filename}`;
-      console.log(`💾 Salvando no banco com path: ${relativePath}`);
+    res.status(202).json({
+      success: true,
+      message: 'Importação iniciada com sucesso',
+      import_id: importData.id,
+      nome: originalName,
+      tamanho: size,
+      estimated_size_mb: size ? spaceMB : null
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Erro ao iniciar importação por URL:', err);
+    res.status(500).json({ error: 'Erro ao iniciar importação', details: err.message });
+  }
+});
 
-      // Nome do vídeo para salvar no banco
-      const videoTitle = req.file.originalname;
+// GET /api/videos/import-url/status - Progresso da importação (mesmo formato de /api/downloadyoutube/status)
+router.get('/import-url/status', authMiddleware, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...UrlImportService.getStatus(req.user.id)
+    });
+  } catch (err) {
+    console.error('Erro ao verificar status da importação:', err);
+    res.status(500).json({ success: false, error: 'Erro ao verificar status da importação' });
+  }
+});
 
-      // Verificar compatibilidade
-      const isMP4 = fileExtension === '.mp4';
-      const codecCompatible = isCompatibleCodec(codecVideo);
-      const formatCompatible = isCompatibleFormat(formatoOriginal, fileExtension);
-      const needsConversion = !isMP4 || !codecCompatible;
-      
-      // Status de compatibilidade
-      let compatibilityStatus = needsConversion ? 'nao' : 'sim';
-
-      // Salvar na tabela videos SEM conversão automática
-      const [result] = await db.execute(
-        `INSERT INTO videos (
-          nome, descricao, url, caminho, duracao, tamanho_arquivo,
-          codigo_cliente, pasta, bitrate_video, formato_original, codec_video,
-          largura, altura, is_mp4, compativel
-        ) VALUES (?, '', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          videoTitle,
-          relativePath,
-          remotePath,
-          duracao,
-          tamanho,
-          userId,
-          folderId,
-          bitrateVideo,
-          formatoOriginal,
-          codecVideo,
-          largura,
-          altura,
-          isMP4 ? 1 : 0,
-          compatibilityStatus
-        ]
-      );
-
-      // Atualizar espaço usado na pasta
-      await db.execute(
-        'UPDATE streamings SET espaco_usado = espaco_usado + ? WHERE codigo = ?',
-        [spaceMB, folderId]
-      );
-
-      console.log(`✅ Vídeo salvo no banco com ID: ${result.insertId}`);
-
-      // Atualizar arquivo SMIL do usuário após upload
-      try {
-        const PlaylistSMILService = require('../services/PlaylistSMILService');
-        await PlaylistSMILService.updateUserSMIL(userId, userLogin, serverId);
-        console.log(`✅ Arquivo SMIL atualizado após upload para usuário ${userLogin}`);
-      } catch (smilError) {
-        console.warn('Erro ao atualizar arquivo SMIL:', smilError.message);
-      }
-      // Construir URLs corretas SEM conversão automática
-      const finalRelativePath = relativePath;
+// POST /api/videos/import-url/cancel - Cancela a importação em andamento
+router.post('/import-url/cancel', authMiddleware, async (req, res) => {
+  try {
+    res.json(await UrlImportService.cancel(req.user.id));
+  } catch (err) {
+    console.error('Erro ao cancelar importação:', err);
+    res.status(500).json({ success: false, error: 'Erro ao cancelar importação' });
+  }
+});
 
-      // Determinar status de compatibilidade para resposta
-      let statusMessage = 'Vídeo compatível';
-      let statusColor = 'green';
-      
-      if (needsConversion) {
-        statusMessage = 'Necessário Conversão';
-        statusColor = 'red';
-      } else if (bitrateVideo > userBitrateLimit) {
-        statusMessage = 'Bitrate Alto';
-        statusColor = 'yellow';
-      }
+// POST /api/videos/:id/edit - Corta (trim), divide em clipes (split) ou junta vídeos da pasta (concat)
+// Corpo: { operacao: "trim", inicio, fim } | { operacao: "split", clipes: [{ inicio, fim, nome? }] } |
+// { operacao: "concat", videos: [ids] }; opcionais: nome, pasta_destino, prioridade
+router.post('/:id/edit', authMiddleware, async (req, res) => {
+  try {
+    const plan = await VideoEditService.plan(req.user, req.params.id, req.body);
+    if (plan.status) {
+      return res.status(plan.status).json(plan.body);
+    }
 
-      res.status(201).json({
-        id: result.insertId,
-        nome: videoTitle,
-        url: finalRelativePath,
-        path: remotePath,
-        originalFile: remotePath,
-        bitrate_video: bitrateVideo,
-        codec_video: codecVideo,
-        formato_original: fileExtension.substring(1),
-        largura: largura,
-        altura: altura,
-        is_mp4: fileExtension === '.mp4',
-        needs_conversion: needsConversion,
-        compatibility_status: statusMessage,
-        compatibility_color: statusColor,
-        duracao,
-        tamanho,
-        space_used_mb: spaceMB
-      });
-    } catch (uploadError) {
-      console.error('Erro durante upload:', uploadError);
-      await fs.unlink(req.file.path).catch(() => { });
-      throw uploadError;
+    const userData = await loadUploadFolder(req.user.id, plan.folderId);
+    if (!userData) {
+      return res.status(404).json({ success: false, error: 'Pasta de destino não encontrada' });
     }
-  } catch (err) {
-    console.error('Erro no upload:', err);
-    if (req.file?.path) {
-      await fs.unlink(req.file.path).catch(() => { });
+    if (plan.estimatedMB > userData.availableSpace) {
+      return res.status(400).json({ success: false, ...insufficientSpaceResponse(userData, plan.estimatedMB) });
     }
-    res.status(500).json({ error: 'Erro no upload do vídeo', details: err.message });
+
+    const job = await VideoEditService.enqueue(req.user, plan, { prioridade: req.body.prioridade });
+
+    res.status(202).json({
+      success: true,
+      message: `${plan.descricao} enfileirado`,
+      job_id: job.codigo,
+      operacao: plan.operacao,
+      arquivos: plan.payload.outputs.map(output => ({
+        nome: output.nome,
+        arquivo: output.arquivo,
+        inicio: output.inicio,
+        fim: output.fim
+      })),
+      estimated_size_mb: plan.estimatedMB
+    });
+  } catch (err) {
+    console.error('Erro ao iniciar edição de vídeo:', err);
+    res.status(500).json({ success: false, error: 'Erro ao iniciar edição de vídeo', details: err.message });
   }
 });
 
@@ -548,7 +992,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
 
     // Buscar dados do vídeo
     const [videoRows] = await db.execute(
-      'SELECT caminho, nome, tamanho_arquivo, pasta FROM videos WHERE id = ? AND (codigo_cliente = ? OR codigo_cliente IN (SELECT codigo FROM streamings WHERE codigo_cliente = ?))',
+      'SELECT id, caminho, url, nome, tamanho_arquivo, pasta, previews FROM videos WHERE id = ? AND (codigo_cliente = ? OR codigo_cliente IN (SELECT codigo FROM streamings WHERE codigo_cliente = ?))',
       [videoId, userId, userId]
     );
     if (videoRows.length === 0) {
@@ -587,6 +1031,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
     try {
       await SSHManager.deleteFile(serverId, remotePath);
       console.log(`✅ Arquivo remoto removido: ${remotePath}`);
+      await VideoPreviewService.remove(serverId, videoRows[0]);
       
       // Atualizar arquivo SMIL do usuário após remoção
       try {
@@ -607,10 +1052,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
     const spaceMB = Math.ceil((fileSize) / (1024 * 1024));
     
     // Atualizar espaço usado na pasta específica
-    await db.execute(
-      'UPDATE streamings SET espaco_usado = GREATEST(espaco_usado - ?, 0) WHERE codigo = ?',
-      [spaceMB, pasta]
-    );
+    await StorageQuotaService.adjust(pasta, -spaceMB);
     
     console.log(`📊 Espaço liberado: ${spaceMB}MB`);
 
@@ -3,6 +3,18 @@ const express = require('express');
   const path = require('path');
   const db = require('./config/database');
   const SSHManager = require('./config/SSHManager');
+  const SessionService = require('./services/SessionService');
+  const PlaybackUrlService = require('./services/PlaybackUrlService');
+  const JobQueueService = require('./services/JobQueueService');
+  const StreamStatusService = require('./services/StreamStatusService');
+  const EventService = require('./services/EventService');
+  const StorageQuotaService = require('./services/StorageQuotaService');
+  const PlaylistSMILService = require('./services/PlaylistSMILService');
+  const AsRunService = require('./services/AsRunService');
+  const UploadSessionService = require('./services/UploadSessionService');
+  const UrlImportService = require('./services/UrlImportService');
+  const requirePermission = require('./middlewares/permissionMiddleware');
+  const auditMiddleware = require('./middlewares/auditMiddleware');
 
 
   // Importar rotas
@@ -28,11 +40,22 @@ const userWowzaSetupRoutes = require('./routes/user-wowza-setup');
 const appMultiplataformaRoutes = require('./routes/app-multiplataforma');
 const appAndroidRoutes = require('./routes/app-android');
 const smilManagementRoutes = require('./routes/smil-management');
+const revendaRoutes = require('./routes/revenda');
+const subusuariosRoutes = require('./routes/subusuarios');
+const apiKeysRoutes = require('./routes/api-keys');
+const auditRoutes = require('./routes/audit');
+const jobsRoutes = require('./routes/jobs');
+const eventsRoutes = require('./routes/events');
+const storageRoutes = require('./routes/storage');
+const relatoriosRoutes = require('./routes/relatorios');
 
   const app = express();
   const PORT = process.env.PORT || 3001;
   const isProduction = process.env.NODE_ENV === 'production';
 
+  // Nginx faz proxy local: usar X-Forwarded-For para obter o IP real (bloqueio de login)
+  app.set('trust proxy', 'loopback');
+
   // Middlewares
   app.use(cors({
     origin: isProduction ? [
@@ -52,47 +75,48 @@ const smilManagementRoutes = require('./routes/smil-management');
   // Middleware personalizado para servir arquivos de vídeo
   app.use('/content', async (req, res, next) => {
     try {
-      // Verificar autenticação para acesso a vídeos
-      let token = null;
-      
-      // Verificar token no header Authorization
+      // Verificar autenticação: URL assinada (players, nova aba) ou token no header
       const authHeader = req.headers.authorization;
-      if (authHeader && authHeader.startsWith('Bearer ')) {
-        token = authHeader.substring(7);
-      }
-      
-      // Verificar token no query parameter (para nova aba)
-      if (!token && req.query.auth_token) {
-        token = req.query.auth_token;
-      }
-      
-      if (!token) {
-        console.log('❌ Token de acesso não fornecido para /content:', {
+
+      if (PlaybackUrlService.isSignedRequest(req)) {
+        const signatureError = await PlaybackUrlService.verify(req);
+        if (signatureError) {
+          console.log('❌ URL assinada recusada para /content:', { path: req.path, error: signatureError.error });
+          return res.status(signatureError.status).json(signatureError);
+        }
+      } else if (authHeader && authHeader.startsWith('Bearer ')) {
+        try {
+          const jwt = require('jsonwebtoken');
+          const JWT_SECRET = process.env.JWT_SECRET || 'sua_chave_secreta_super_segura_aqui';
+          const decoded = jwt.verify(authHeader.substring(7), JWT_SECRET);
+
+          if (!(await SessionService.isSessionActive(decoded.sid))) {
+            console.log('❌ Sessão encerrada para /content:', { userId: decoded.userId, path: req.path });
+            return res.status(401).json({ error: 'Sessão encerrada', revoked: true });
+          }
+
+          // Adicionar dados do usuário à requisição
+          req.user = decoded;
+          console.log('✅ Token validado para /content:', {
+            userId: decoded.userId,
+            email: decoded.email,
+            path: req.path
+          });
+        } catch (jwtError) {
+          console.error('Erro de autenticação no middleware de vídeo:', jwtError.message);
+          return res.status(401).json({ error: 'Token inválido' });
+        }
+      } else {
+        // O token de login não é mais aceito na query (?auth_token=)
+        console.log('❌ Acesso sem URL assinada para /content:', {
           path: req.path,
           method: req.method,
-          headers: Object.keys(req.headers),
-          query: Object.keys(req.query || {}),
-          hasAuthHeader: !!authHeader,
           hasQueryToken: !!req.query.auth_token
         });
-        return res.status(401).json({ error: 'Token de acesso requerido' });
-      }
-
-      try {
-        const jwt = require('jsonwebtoken');
-        const JWT_SECRET = process.env.JWT_SECRET || 'sua_chave_secreta_super_segura_aqui';
-        const decoded = jwt.verify(token, JWT_SECRET);
-        
-        // Adicionar dados do usuário à requisição
-        req.user = decoded;
-        console.log('✅ Token validado para /content:', {
-          userId: decoded.userId,
-          email: decoded.email,
-          path: req.path
+        return res.status(401).json({
+          error: 'URL de reprodução assinada requerida',
+          details: 'Gere a URL em POST /api/video-stream/signed-url'
         });
-      } catch (jwtError) {
-        console.error('Erro de autenticação no middleware de vídeo:', jwtError.message);
-        return res.status(401).json({ error: 'Token inválido' });
       }
 
       // Extrair informações do caminho
@@ -188,7 +212,7 @@ const smilManagementRoutes = require('./routes/smil-management');
         // Buscar servidor baseado no usuário logado
         const [userServerRows] = await db.execute(
           'SELECT codigo_servidor FROM streamings WHERE codigo_cliente = ? OR usuario = ? LIMIT 1',
-          [req.user.userId, userLogin]
+          [req.user ? req.user.userId : 0, userLogin]
         );
         
         if (userServerRows.length > 0) {
@@ -334,6 +358,9 @@ const smilManagementRoutes = require('./routes/smil-management');
         const jwt = require('jsonwebtoken');
         const JWT_SECRET = process.env.JWT_SECRET || 'sua_chave_secreta_super_segura_aqui';
         const decoded = jwt.verify(token, JWT_SECRET);
+        if (!(await SessionService.isSessionActive(decoded.sid))) {
+          return res.status(401).json({ error: 'Sessão encerrada', revoked: true });
+        }
         req.user = decoded;
       } catch (jwtError) {
         return res.status(401).json({ error: 'Token inválido' });
@@ -504,30 +531,41 @@ const smilManagementRoutes = require('./routes/smil-management');
     });
   }
 
-  // Rotas da API
+  // Auditoria de todas as ações de escrita (POST/PUT/PATCH/DELETE) da API
+  app.use('/api', auditMiddleware);
+
+  // Rotas da API (requirePermission limita operadores e chaves de API às áreas liberadas)
   app.use('/api/auth', authRoutes);
-  app.use('/api/folders', foldersRoutes);
-  app.use('/api/videos', videosRoutes);
-  app.use('/api/playlists', playlistsRoutes);
-  app.use('/api/agendamentos', agendamentosRoutes);
-  app.use('/api/comerciais', comerciaisRoutes);
-  app.use('/api/downloadyoutube', downloadyoutubeRoutes);
-  app.use('/api/espectadores', espectadoresRoutes);
-  app.use('/api/streaming', streamingRoutes);
-  app.use('/api/relay', relayRoutes);
-  app.use('/api/logos', logosRoutes);
-  app.use('/api/transmission-settings', transmissionSettingsRoutes);
-  app.use('/api/ftp', ftpRoutes);
+  app.use('/api/folders', requirePermission('videos'), foldersRoutes);
+  app.use('/api/videos', requirePermission('videos'), videosRoutes);
+  app.use('/api/playlists', requirePermission('playlists'), playlistsRoutes);
+  app.use('/api/agendamentos', requirePermission('agendamentos'), agendamentosRoutes);
+  app.use('/api/comerciais', requirePermission('comerciais'), comerciaisRoutes);
+  app.use('/api/downloadyoutube', requirePermission('videos'), downloadyoutubeRoutes);
+  app.use('/api/espectadores', requirePermission('estatisticas'), espectadoresRoutes);
+  app.use('/api/streaming', requirePermission('streaming'), streamingRoutes);
+  app.use('/api/relay', requirePermission('relay'), relayRoutes);
+  app.use('/api/logos', requirePermission('streaming'), logosRoutes);
+  app.use('/api/transmission-settings', requirePermission('streaming'), transmissionSettingsRoutes);
+  app.use('/api/ftp', requirePermission('videos'), ftpRoutes);
   app.use('/api/servers', serversRoutes);
- app.use('/api/players', playersRoutes);
- app.use('/api/videos-ssh', videosSSHRoutes);
- app.use('/api/user-settings', require('./routes/user-settings'));
- app.use('/api/conversion', conversionRoutes);
-app.use('/api/video-stream', videoStreamRoutes);
-app.use('/api/user-wowza-setup', userWowzaSetupRoutes);
-app.use('/api/app-multiplataforma', appMultiplataformaRoutes);
-app.use('/api/app-android', appAndroidRoutes);
-app.use('/api/smil-management', smilManagementRoutes);
+ app.use('/api/players', requirePermission('configuracoes'), playersRoutes);
+ app.use('/api/videos-ssh', requirePermission('videos'), videosSSHRoutes);
+ app.use('/api/user-settings', requirePermission('configuracoes'), require('./routes/user-settings'));
+ app.use('/api/conversion', requirePermission('videos'), conversionRoutes);
+app.use('/api/video-stream', requirePermission('videos'), videoStreamRoutes);
+app.use('/api/user-wowza-setup', requirePermission('configuracoes'), userWowzaSetupRoutes);
+app.use('/api/app-multiplataforma', requirePermission('configuracoes'), appMultiplataformaRoutes);
+app.use('/api/app-android', requirePermission('configuracoes'), appAndroidRoutes);
+app.use('/api/smil-management', requirePermission('playlists'), smilManagementRoutes);
+app.use('/api/revenda', requirePermission('revenda'), revendaRoutes);
+app.use('/api/subusuarios', subusuariosRoutes);
+app.use('/api/api-keys', apiKeysRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/jobs', requirePermission('videos'), jobsRoutes);
+app.use('/api/events', eventsRoutes);
+app.use('/api/storage', requirePermission('videos'), storageRoutes);
+app.use('/api/relatorios', requirePermission('estatisticas'), relatoriosRoutes);
 
   // Rota de teste
   app.get('/api/test', (req, res) => {
@@ -590,6 +628,29 @@ app.use('/api/smil-management', smilManagementRoutes);
         console.log(`🔧 API test: http://localhost:${PORT}/api/test`);
         console.log(`🔗 SSH Manager inicializado para uploads remotos`);
       });
+
+      // Conversões, downloads do YouTube e migrações FTP (inclusive as interrompidas por restart)
+      JobQueueService.start();
+
+      // Ping das conexões de /api/events e monitor de viewers e início/fim de transmissões
+      // para quem está com o painel aberto
+      EventService.start();
+      StreamStatusService.startMonitor();
+
+      // Reservas de espaço vencidas e conferência de espaco_usado com o disco
+      StorageQuotaService.start();
+
+      // Sessões de upload retomável paradas além do prazo
+      UploadSessionService.start();
+
+      // Importações por URL finalizadas saem da memória depois de 1 hora
+      UrlImportService.start();
+
+      // Agendamentos recorrentes: o SMIL acompanha a janela de ocorrências
+      PlaylistSMILService.startScheduleRefresh();
+
+      // As-run: grava o que está no ar conforme o stream é confirmado no Wowza
+      AsRunService.start();
       
       // Cleanup ao fechar aplicação
       process.on('SIGINT', () => {
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+const KEY_PREFIX = 'samk_';
+
+// Áreas da API liberáveis para chaves; cada uma aceita escopo :read ou :write
+const SCOPE_AREAS = {
+    videos: 'Pastas, vídeos, uploads, conversões e downloads',
+    playlists: 'Playlists',
+    agendamentos: 'Agendamentos de playlists',
+    comerciais: 'Inserção de comerciais',
+    streaming: 'Transmissão ao vivo, logos e configurações de transmissão',
+    relay: 'Relay RTMP',
+    estatisticas: 'Espectadores e estatísticas',
+    configuracoes: 'Players, apps e configurações do usuário',
+    revenda: 'Gerenciamento de clientes (apenas revendas)'
+};
+
+class ApiKeyService {
+    constructor() {
+        this.scopeAreas = SCOPE_AREAS;
+        this.tableReady = null;
+    }
+
+    async ensureTable() {
+        if (!this.tableReady) {
+            this.tableReady = db.execute(`
+                CREATE TABLE IF NOT EXISTS chaves_api (
+                    codigo INT AUTO_INCREMENT PRIMARY KEY,
+                    tipo_usuario VARCHAR(20) NOT NULL,
+                    codigo_usuario INT NOT NULL,
+                    nome VARCHAR(100) NOT NULL,
+                    prefixo VARCHAR(20) NOT NULL,
+                    chave_hash CHAR(64) NOT NULL,
+                    escopos TEXT NOT NULL,
+                    data_criacao DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    data_expiracao DATETIME DEFAULT NULL,
+                    ultimo_uso DATETIME DEFAULT NULL,
+                    ultimo_ip VARCHAR(45) DEFAULT NULL,
+                    revogada TINYINT(1) NOT NULL DEFAULT 0,
+                    data_revogacao DATETIME DEFAULT NULL,
+                    UNIQUE KEY idx_chaves_api_hash (chave_hash),
+                    KEY idx_chaves_api_usuario (tipo_usuario, codigo_usuario)
+                )
+            `).catch(error => {
+                this.tableReady = null;
+                throw error;
+            });
+        }
+        return this.tableReady;
+    }
+
+    isApiKey(token) {
+        return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+    }
+
+    hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    listScopes() {
+        return Object.entries(this.scopeAreas).map(([area, descricao]) => ({
+            area,
+            descricao,
+            escopos: [`${area}:read`, `${area}:write`]
+        }));
+    }
+
+    // Retorna mensagem de erro ou null quando todos os escopos são válidos
+    validateScopes(escopos) {
+        if (!Array.isArray(escopos) || escopos.length === 0) {
+            return 'Informe ao menos um escopo';
+        }
+
+        const invalid = escopos.filter(scope => {
+            const [area, level] = String(scope).split(':');
+            return !this.scopeAreas[area] || !['read', 'write'].includes(level);
+        });
+        return invalid.length > 0 ? `Escopos inválidos: ${invalid.join(', ')}` : null;
+    }
+
+    // Escrita exige :write; leitura aceita :read ou :write
+    hasScope(escopos, area, method) {
+        if (escopos.includes(`${area}:write`)) return true;
+
+        const readOnly = method === 'GET' || method === 'HEAD';
+        return readOnly && escopos.includes(`${area}:read`);
+    }
+
+    parseScopes(raw) {
+        try {
+            return JSON.parse(raw) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // A chave completa só é devolvida aqui; no banco fica apenas o hash
+    async create(tipo, userId, { nome, escopos, expiraEmDias }) {
+        await this.ensureTable();
+
+        const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+        const prefixo = key.substring(0, KEY_PREFIX.length + 8);
+
+        const [result] = await db.execute(
+            `INSERT INTO chaves_api (tipo_usuario, codigo_usuario, nome, prefixo, chave_hash, escopos, data_expiracao)
+             VALUES (?, ?, ?, ?, ?, ?, IF(? > 0, DATE_ADD(NOW(), INTERVAL ? DAY), NULL))`,
+            [tipo, userId, nome, prefixo, this.hashKey(key), JSON.stringify(escopos), expiraEmDias || 0, expiraEmDias || 0]
+        );
+
+        return { id: result.insertId, key, prefixo };
+    }
+
+    async list(tipo, userId) {
+        await this.ensureTable();
+        const [rows] = await db.execute(
+            `SELECT codigo as id, nome, prefixo, escopos, data_criacao, data_expiracao, ultimo_uso, ultimo_ip
+             FROM chaves_api
+             WHERE tipo_usuario = ? AND codigo_usuario = ? AND revogada = 0
+             ORDER BY data_criacao DESC`,
+            [tipo, userId]
+        );
+        return rows.map(row => ({ ...row, escopos: this.parseScopes(row.escopos) }));
+    }
+
+    async revoke(tipo, userId, keyId) {
+        await this.ensureTable();
+        const [result] = await db.execute(
+            `UPDATE chaves_api SET revogada = 1, data_revogacao = NOW()
+             WHERE codigo = ? AND tipo_usuario = ? AND codigo_usuario = ? AND revogada = 0`,
+            [keyId, tipo, userId]
+        );
+        return result.affectedRows;
+    }
+
+    // Buscar chave válida (não revogada nem expirada)
+    async findByKey(key) {
+        await this.ensureTable();
+        const [rows] = await db.execute(
+            `SELECT codigo, tipo_usuario, codigo_usuario, nome, escopos FROM chaves_api
+             WHERE chave_hash = ? AND revogada = 0
+               AND (data_expiracao IS NULL OR data_expiracao > NOW())`,
+            [this.hashKey(key)]
+        );
+        if (rows.length === 0) return null;
+
+        return { ...rows[0], escopos: this.parseScopes(rows[0].escopos) };
+    }
+
+    async registerUse(keyId, ip) {
+        await db.execute(
+            'UPDATE chaves_api SET ultimo_uso = NOW(), ultimo_ip = ? WHERE codigo = ?',
+            [ip || null, keyId]
+        );
+    }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,456 @@
+const db = require('../config/database');
+const WowzaStreamingService = require('../config/WowzaStreamingService');
+const ScheduleRecurrenceService = require('./ScheduleRecurrenceService');
+
+// Transmissão ao vivo não tem fim previsto: a programação acompanhada cobre este horizonte
+const LIVE_PLAN_HOURS = 24;
+const CHECK_INTERVAL_MS = parseInt(process.env.AS_RUN_CHECK_INTERVAL_MS) || 30000;
+const MAX_REPORT_DAYS = 366;
+
+// Origens e tipos de item registrados no as-run
+const ORIGENS = ['agendamento', 'transmissao'];
+const TIPOS = ['conteudo', 'comercial', 'finalizacao'];
+
+// PDF: A4 paisagem, Helvetica 8pt
+const PDF_PAGE = { width: 842, height: 595, margin: 36, fontSize: 8, lineHeight: 12 };
+const PDF_COLUMNS = [
+    { key: 'inicio_local', title: 'Início', width: 92 },
+    { key: 'fim_local', title: 'Fim', width: 92 },
+    { key: 'duracao', title: 'Duração (s)', width: 52 },
+    { key: 'tipo', title: 'Tipo', width: 60 },
+    { key: 'origem', title: 'Origem', width: 64 },
+    { key: 'agendamento_id', title: 'Agend.', width: 38 },
+    { key: 'playlist_nome', title: 'Playlist', width: 132 },
+    { key: 'video_nome', title: 'Vídeo', width: 240 }
+];
+
+// Texto para string literal do PDF (WinAnsiEncoding ~ latin1)
+const pdfText = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+
+// Corta o texto para caber na coluna (largura média da Helvetica ~0,5 em)
+const fitText = (value, width) => {
+    const text = String(value === null || value === undefined ? '' : value);
+    const maxChars = Math.floor(width / (PDF_PAGE.fontSize * 0.5));
+    return text.length > maxChars ? `${text.substring(0, maxChars - 2)}..` : text;
+};
+
+// Registro do que foi ao ar (as-run) na transmissão de cada usuário: um item por vídeo, com
+// início, fim, duração e origem (agendamento do SMIL ou transmissão de playlist do painel).
+// A programação planejada fica só em memória (track); a cada verificação o stream é consultado
+// no Wowza e só os itens do intervalo em que ele esteve no ar são gravados, com o fim estendido
+// a cada nova confirmação. Nada é gravado antes de acontecer.
+class AsRunService {
+    constructor() {
+        this.tableReady = null;
+        this.origens = ORIGENS;
+        this.tipos = TIPOS;
+        this.livePlanHours = LIVE_PLAN_HOURS;
+        this.checkInterval = CHECK_INTERVAL_MS;
+        this.timelines = new Map(); // `${userId}:${origem}:${referencia}` -> programação acompanhada
+        this.checkTimer = null;
+        this.checking = false;
+    }
+
+    async ensureTable() {
+        if (!this.tableReady) {
+            this.tableReady = db.execute(`
+                CREATE TABLE IF NOT EXISTS as_run (
+                    codigo BIGINT AUTO_INCREMENT PRIMARY KEY,
+                    codigo_stm INT NOT NULL,
+                    origem VARCHAR(20) NOT NULL,
+                    referencia VARCHAR(100) DEFAULT NULL,
+                    codigo_agendamento INT DEFAULT NULL,
+                    codigo_playlist INT NOT NULL,
+                    tipo VARCHAR(20) NOT NULL DEFAULT 'conteudo',
+                    codigo_config INT DEFAULT NULL,
+                    codigo_pasta INT DEFAULT NULL,
+                    codigo_video INT DEFAULT NULL,
+                    video_nome VARCHAR(255) NOT NULL,
+                    duracao INT NOT NULL DEFAULT 0,
+                    inicio DATETIME NOT NULL,
+                    fim DATETIME NOT NULL,
+                    KEY idx_as_run_stm (codigo_stm, inicio),
+                    KEY idx_as_run_pasta (codigo_pasta, inicio),
+                    KEY idx_as_run_config (codigo_config, inicio),
+                    KEY idx_as_run_referencia (origem, referencia)
+                )
+            `).catch(error => {
+                this.tableReady = null;
+                throw error;
+            });
+        }
+        return this.tableReady;
+    }
+
+    // Itens a partir de start; com until a lista é repetida (repeat do SMIL) até esse instante.
+    // Para no primeiro vídeo sem duração, quando o horário deixa de ser conhecido.
+    plan(items, { start, until = null, playlistId, agendamentoId = null, tipo = 'conteudo', durationOf = video => parseInt(video.duracao) || 0 }) {
+        const entries = [];
+        let time = start.getTime();
+        const limit = until ? until.getTime() : null;
+
+        do {
+            for (const item of items) {
+                if (limit !== null && time >= limit) return entries;
+                const duration = durationOf(item);
+                if (duration <= 0) return entries;
+
+                entries.push({
+                    codigo_agendamento: agendamentoId,
+                    codigo_playlist: playlistId,
+                    tipo: item.comercial ? 'comercial' : tipo,
+                    codigo_config: item.codigo_config || null,
+                    codigo_pasta: item.codigo_pasta || null,
+                    codigo_video: item.comercial ? item.codigo_video : (item.id || null),
+                    video_nome: item.nome || item.video || '',
+                    duracao: duration,
+                    inicio: new Date(time),
+                    fim: new Date(time + duration * 1000)
+                });
+                time += duration * 1000;
+            }
+        } while (limit !== null && time < limit);
+
+        return entries;
+    }
+
+    // Passa a acompanhar a programação de um stream (substitui a anterior da mesma origem/referência,
+    // mantendo os itens já confirmados). Agendamentos usam referencia null: um SMIL por usuário.
+    track(userId, origem, referencia, streamName, entries) {
+        const key = `${userId}:${origem}:${referencia}`;
+        const previous = this.timelines.get(key);
+
+        this.timelines.set(key, {
+            userId,
+            origem,
+            referencia,
+            streamName,
+            entries,
+            wowza: previous && previous.streamName === streamName ? previous.wowza : null,
+            confirmedAt: previous ? previous.confirmedAt : null,
+            recorded: previous ? previous.recorded : new Map()
+        });
+    }
+
+    untrack(userId, origem, referencia) {
+        this.timelines.delete(`${userId}:${origem}:${referencia}`);
+    }
+
+    start() {
+        if (this.checkTimer) return;
+
+        this.checkTimer = setInterval(() => {
+            // Uma verificação por vez: a próxima é pulada se a anterior ainda não terminou
+            if (this.checking) return;
+            this.checking = true;
+            this.checkTimelines()
+                .catch(error => console.error('Erro ao verificar as-run:', error))
+                .finally(() => { this.checking = false; });
+        }, this.checkInterval);
+    }
+
+    async checkTimelines(now = new Date()) {
+        for (const [key, timeline] of this.timelines) {
+            try {
+                await this.checkTimeline(timeline, now);
+            } catch (error) {
+                console.warn(`Erro ao verificar as-run do usuário ${timeline.userId}:`, error.message);
+            }
+
+            // Itens encerrados não voltam a ser atualizados; sem itens pela frente, a programação acabou
+            timeline.entries = timeline.entries.filter(entry => entry.fim > now);
+            const pending = new Set(timeline.entries.map(entry => this.entryKey(entry)));
+            for (const entryKey of timeline.recorded.keys()) {
+                if (!pending.has(entryKey)) timeline.recorded.delete(entryKey);
+            }
+            if (timeline.entries.length === 0) this.timelines.delete(key);
+        }
+    }
+
+    // O stream precisa estar publicado no Wowza; sem isso nenhum item é considerado exibido
+    async isLive(timeline) {
+        if (!timeline.wowza) {
+            const wowza = new WowzaStreamingService();
+            if (!(await wowza.initializeFromDatabase(timeline.userId))) return false;
+            timeline.wowza = wowza;
+        }
+        const status = await timeline.wowza.checkOBSStreamStatus(timeline.streamName);
+        return status.isLive === true;
+    }
+
+    // Grava os itens entre a confirmação anterior (ou agora, se o stream acabou de entrar) e agora
+    async checkTimeline(timeline, now) {
+        if (!(await this.isLive(timeline))) {
+            timeline.confirmedAt = null;
+            return;
+        }
+
+        const from = timeline.confirmedAt || now;
+        timeline.confirmedAt = now;
+        if (from >= now) return;
+
+        await this.ensureTable();
+        for (const entry of timeline.entries) {
+            if (entry.fim <= from || entry.inicio >= now) continue;
+
+            const entryKey = this.entryKey(entry);
+            const fim = entry.fim < now ? entry.fim : now;
+            const codigo = timeline.recorded.get(entryKey);
+
+            if (codigo) {
+                await db.execute(
+                    'UPDATE as_run SET fim = ?, duracao = TIMESTAMPDIFF(SECOND, inicio, ?) WHERE codigo = ?',
+                    [fim, fim, codigo]
+                );
+                continue;
+            }
+
+            const inicio = entry.inicio > from ? entry.inicio : from;
+            const [result] = await db.execute(
+                `INSERT INTO as_run (
+                    codigo_stm, origem, referencia, codigo_agendamento, codigo_playlist, tipo,
+                    codigo_config, codigo_pasta, codigo_video, video_nome, duracao, inicio, fim
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    timeline.userId,
+                    timeline.origem,
+                    entry.referencia || timeline.referencia,
+                    entry.codigo_agendamento,
+                    entry.codigo_playlist,
+                    entry.tipo,
+                    entry.codigo_config,
+                    entry.codigo_pasta,
+                    entry.codigo_video,
+                    entry.video_nome.substring(0, 255),
+                    Math.round((fim - inicio) / 1000),
+                    inicio,
+                    fim
+                ]
+            );
+            timeline.recorded.set(entryKey, result.insertId);
+        }
+    }
+
+    entryKey(entry) {
+        return `${entry.inicio.getTime()}:${entry.codigo_video}`;
+    }
+
+    // Último comercial da configuração que já foi ao ar (continuação do rodízio)
+    async lastCommercial(configId, now = new Date()) {
+        await this.ensureTable();
+        const [rows] = await db.execute(
+            `SELECT codigo_video FROM as_run
+             WHERE codigo_config = ? AND tipo = 'comercial' AND inicio <= ?
+             ORDER BY inicio DESC, codigo DESC
+             LIMIT 1`,
+            [configId, now]
+        );
+        return rows[0]?.codigo_video || null;
+    }
+
+    // Período do relatório em datas locais (YYYY-MM-DD, to inclusive) no fuso da streaming; padrão:
+    // últimos 7 dias. O fim é limitado a agora.
+    async resolvePeriod(userId, { from, to } = {}) {
+        const timeZone = await ScheduleRecurrenceService.getTimeZone(userId);
+        const toDate = to || ScheduleRecurrenceService.localDate(new Date(), timeZone);
+        const fromDate = from || ScheduleRecurrenceService.addDays(toDate, -6);
+
+        if (!ScheduleRecurrenceService.isDateString(fromDate) || !ScheduleRecurrenceService.isDateString(toDate)) {
+            throw Object.assign(new Error('from e to devem estar no formato YYYY-MM-DD'), { status: 400 });
+        }
+        if (toDate < fromDate) {
+            throw Object.assign(new Error('to deve ser igual ou posterior a from'), { status: 400 });
+        }
+        if (ScheduleRecurrenceService.addDays(fromDate, MAX_REPORT_DAYS) <= toDate) {
+            throw Object.assign(new Error(`O período máximo é de ${MAX_REPORT_DAYS} dias`), { status: 400 });
+        }
+
+        const end = ScheduleRecurrenceService.toInstant(ScheduleRecurrenceService.addDays(toDate, 1), 0, 0, timeZone);
+        return {
+            timeZone,
+            from: fromDate,
+            to: toDate,
+            start: ScheduleRecurrenceService.toInstant(fromDate, 0, 0, timeZone),
+            end: new Date(Math.min(end.getTime(), Date.now()))
+        };
+    }
+
+    withLocalTimes(rows, timeZone) {
+        return rows.map(row => ({
+            ...row,
+            inicio_local: ScheduleRecurrenceService.formatLocal(new Date(row.inicio), timeZone),
+            fim_local: ScheduleRecurrenceService.formatLocal(new Date(row.fim), timeZone)
+        }));
+    }
+
+    buildFilters(userId, { from, to, pasta, configId, tipo, origem }) {
+        const conditions = ['r.codigo_stm = ?', 'r.inicio >= ?', 'r.inicio < ?'];
+        const params = [userId, from, to];
+
+        if (pasta) {
+            conditions.push('r.codigo_pasta = ?');
+            params.push(pasta);
+        }
+        if (configId) {
+            conditions.push('r.codigo_config = ?');
+            params.push(configId);
+        }
+        if (tipo) {
+            conditions.push('r.tipo = ?');
+            params.push(tipo);
+        }
+        if (origem) {
+            conditions.push('r.origem = ?');
+            params.push(origem);
+        }
+
+        return { where: conditions.join(' AND '), params };
+    }
+
+    async list(userId, filters, { limit, offset = 0 }) {
+        await this.ensureTable();
+        const { where, params } = this.buildFilters(userId, filters);
+
+        const [countRows] = await db.execute(
+            `SELECT COUNT(*) as total, COALESCE(SUM(r.duracao), 0) as duracao_total FROM as_run r WHERE ${where}`,
+            params
+        );
+        const [rows] = await db.execute(
+            `SELECT
+                r.codigo as id,
+                r.inicio,
+                r.fim,
+                r.duracao,
+                r.tipo,
+                r.origem,
+                r.referencia,
+                r.codigo_agendamento as agendamento_id,
+                r.codigo_playlist as id_playlist,
+                p.nome as playlist_nome,
+                r.codigo_config as id_config,
+                r.codigo_pasta as id_pasta,
+                r.codigo_video as id_video,
+                r.video_nome
+             FROM as_run r
+             LEFT JOIN playlists p ON r.codigo_playlist = p.id
+             WHERE ${where}
+             ORDER BY r.inicio, r.codigo
+             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+            params
+        );
+
+        return {
+            total: countRows[0].total,
+            duracao_total: parseInt(countRows[0].duracao_total) || 0,
+            registros: rows
+        };
+    }
+
+    csvColumns() {
+        return ['inicio_local', 'fim_local', 'duracao', 'tipo', 'origem', 'agendamento_id', 'referencia', 'playlist_nome', 'id_pasta', 'id_video', 'video_nome'];
+    }
+
+    toCSV(rows) {
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const raw = value instanceof Date ? value.toISOString() : String(value);
+            // Nomes de vídeo e playlist vêm do usuário: = + - @ no início seriam executados como fórmula
+            const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+            return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const columns = this.csvColumns();
+        const lines = [columns.join(';')];
+        for (const row of rows) {
+            lines.push(columns.map(column => escape(row[column])).join(';'));
+        }
+        return lines.join('\n');
+    }
+
+    // PDF simples (só texto, Helvetica) com uma tabela paginada; title e subtitle no topo da 1ª página
+    toPDF(rows, { title, subtitle }) {
+        const { width, height, margin, fontSize, lineHeight } = PDF_PAGE;
+        const rowsPerPage = Math.floor((height - margin * 2 - lineHeight * 4) / lineHeight);
+        const pages = [];
+
+        for (let i = 0; i === 0 || i < rows.length; i += rowsPerPage) {
+            pages.push(rows.slice(i, i + rowsPerPage));
+        }
+
+        const textAt = (x, y, text, size = fontSize) => `BT /F1 ${size} Tf ${x} ${y} Td (${pdfText(text)}) Tj ET`;
+
+        const streams = pages.map((pageRows, pageIndex) => {
+            const commands = [];
+            let y = height - margin;
+
+            commands.push(textAt(margin, y, title, 12));
+            y -= lineHeight * 1.5;
+            commands.push(textAt(margin, y, `${subtitle} - página ${pageIndex + 1} de ${pages.length}`));
+            y -= lineHeight * 1.5;
+
+            let x = margin;
+            for (const column of PDF_COLUMNS) {
+                commands.push(textAt(x, y, column.title));
+                x += column.width;
+            }
+            y -= 3;
+            commands.push(`${margin} ${y} m ${width - margin} ${y} l S`);
+            y -= lineHeight - 3;
+
+            for (const row of pageRows) {
+                x = margin;
+                for (const column of PDF_COLUMNS) {
+                    commands.push(textAt(x, y, fitText(row[column.key], column.width - 4)));
+                    x += column.width;
+                }
+                y -= lineHeight;
+            }
+
+            return Buffer.from(commands.join('\n'), 'latin1');
+        });
+
+        // 1 catálogo, 2 páginas, 3 fonte, depois página + conteúdo para cada página
+        const objects = [];
+        const pageIds = pages.map((page, index) => 4 + index * 2);
+        objects[1] = Buffer.from('<< /Type /Catalog /Pages 2 0 R >>', 'latin1');
+        objects[2] = Buffer.from(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`, 'latin1');
+        objects[3] = Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>', 'latin1');
+        streams.forEach((stream, index) => {
+            const pageId = pageIds[index];
+            objects[pageId] = Buffer.from(
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`,
+                'latin1'
+            );
+            objects[pageId + 1] = Buffer.concat([
+                Buffer.from(`<< /Length ${stream.length} >>\nstream\n`, 'latin1'),
+                stream,
+                Buffer.from('\nendstream', 'latin1')
+            ]);
+        });
+
+        const chunks = [Buffer.from('%PDF-1.4\n', 'latin1')];
+        const offsets = [];
+        let size = chunks[0].length;
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = size;
+            const chunk = Buffer.concat([Buffer.from(`${id} 0 obj\n`, 'latin1'), objects[id], Buffer.from('\nendobj\n', 'latin1')]);
+            chunks.push(chunk);
+            size += chunk.length;
+        }
+
+        const xref = [`xref\n0 ${objects.length}\n0000000000 65535 f \n`];
+        for (let id = 1; id < objects.length; id++) {
+            xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        }
+        xref.push(`trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${size}\n%%EOF\n`);
+        chunks.push(Buffer.from(xref.join(''), 'latin1'));
+
+        return Buffer.concat(chunks);
+    }
+}
+
+module.exports = new AsRunService();
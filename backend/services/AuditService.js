@@ -0,0 +1,227 @@
+const db = require('../config/database');
+
+// Campos nunca gravados na auditoria (senhas, tokens, chaves de transmissão)
+const SECRET_FIELDS = /senha|password|token|secret|stream_key|recovery|^code$|^key$/i;
+const MAX_SNAPSHOT_LENGTH = 60000;
+const CSV_COLUMNS = [
+    'data', 'ator_tipo', 'ator_codigo', 'ator_nome', 'tipo_conta', 'codigo_conta',
+    'metodo', 'acao', 'recurso', 'recurso_id', 'status_http', 'ip', 'navegador',
+    'dados_anteriores', 'dados_novos'
+];
+
+// admin_logs exige um administrador (FK) e logs_streamings guarda só texto livre,
+// por isso a auditoria do painel tem tabela própria
+class AuditService {
+    constructor() {
+        this.csvColumns = CSV_COLUMNS;
+        this.tableReady = null;
+    }
+
+    async ensureTable() {
+        if (!this.tableReady) {
+            this.tableReady = db.execute(`
+                CREATE TABLE IF NOT EXISTS auditoria (
+                    codigo INT AUTO_INCREMENT PRIMARY KEY,
+                    data DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    tipo_conta VARCHAR(20) NOT NULL,
+                    codigo_conta INT NOT NULL,
+                    codigo_revenda INT DEFAULT NULL,
+                    ator_tipo VARCHAR(20) NOT NULL,
+                    ator_codigo INT NOT NULL,
+                    ator_nome VARCHAR(255) DEFAULT NULL,
+                    metodo VARCHAR(10) NOT NULL,
+                    acao VARCHAR(255) NOT NULL,
+                    recurso VARCHAR(50) NOT NULL,
+                    recurso_id VARCHAR(255) DEFAULT NULL,
+                    status_http SMALLINT NOT NULL,
+                    dados_anteriores MEDIUMTEXT DEFAULT NULL,
+                    dados_novos MEDIUMTEXT DEFAULT NULL,
+                    ip VARCHAR(45) DEFAULT NULL,
+                    navegador VARCHAR(255) DEFAULT NULL,
+                    KEY idx_auditoria_conta (tipo_conta, codigo_conta, data),
+                    KEY idx_auditoria_revenda (codigo_revenda, data)
+                ) DEFAULT CHARSET=utf8mb4
+            `).catch(error => {
+                this.tableReady = null;
+                throw error;
+            });
+        }
+        return this.tableReady;
+    }
+
+    // Copiar dados removendo campos sensíveis
+    sanitize(data) {
+        if (Array.isArray(data)) return data.map(item => this.sanitize(item));
+        if (!data || typeof data !== 'object') return data;
+        if (data instanceof Date) return data;
+
+        const clean = {};
+        for (const [field, value] of Object.entries(data)) {
+            clean[field] = SECRET_FIELDS.test(field) ? '[oculto]' : this.sanitize(value);
+        }
+        return clean;
+    }
+
+    serialize(data) {
+        if (data === undefined || data === null) return null;
+        if (typeof data === 'object' && !Array.isArray(data) && Object.keys(data).length === 0) return null;
+
+        const json = JSON.stringify(this.sanitize(data));
+        return json.length > MAX_SNAPSHOT_LENGTH ? `${json.substring(0, MAX_SNAPSHOT_LENGTH)}…` : json;
+    }
+
+    // Estado do recurso antes da alteração, gravado junto com a ação
+    snapshot(req, dados) {
+        req.auditBefore = dados;
+    }
+
+    // Estado do recurso como ficou gravado (null quando removido); sem ele a ação guarda os dados enviados
+    saved(req, dados) {
+        req.auditAfter = dados === undefined ? null : dados;
+    }
+
+    // Quem executou: titular da conta, operador ou chave de API
+    resolveActor(user) {
+        if (user.subusuario_id) return { tipo: 'subusuario', codigo: user.subusuario_id };
+        if (user.api_key_id) return { tipo: 'chave_api', codigo: user.api_key_id };
+        return { tipo: 'titular', codigo: user.id };
+    }
+
+    async record(entry) {
+        await this.ensureTable();
+        await db.execute(
+            `INSERT INTO auditoria (
+                tipo_conta, codigo_conta, codigo_revenda, ator_tipo, ator_codigo, ator_nome,
+                metodo, acao, recurso, recurso_id, status_http, dados_anteriores, dados_novos, ip, navegador
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                entry.tipoConta,
+                entry.codigoConta,
+                entry.codigoRevenda || null,
+                entry.ator.tipo,
+                entry.ator.codigo,
+                entry.atorNome || null,
+                entry.metodo,
+                entry.acao.substring(0, 255),
+                entry.recurso,
+                entry.recursoId ? String(entry.recursoId).substring(0, 255) : null,
+                entry.statusHttp,
+                this.serialize(entry.dadosAnteriores),
+                this.serialize(entry.dadosNovos),
+                entry.ip || null,
+                entry.navegador ? entry.navegador.substring(0, 255) : null
+            ]
+        );
+    }
+
+    // Revenda vê as próprias ações e as dos seus clientes; streaming vê as da conta
+    buildFilters(user, filters) {
+        const where = [];
+        const params = [];
+
+        if (user.tipo === 'revenda') {
+            where.push("((tipo_conta = 'revenda' AND codigo_conta = ?) OR codigo_revenda = ?)");
+            params.push(user.id, user.id);
+        } else {
+            where.push('tipo_conta = ? AND codigo_conta = ?');
+            params.push(user.tipo, user.id);
+        }
+
+        if (filters.data_inicio) {
+            where.push('data >= ?');
+            params.push(`${filters.data_inicio} 00:00:00`);
+        }
+        if (filters.data_fim) {
+            where.push('data <= ?');
+            params.push(`${filters.data_fim} 23:59:59`);
+        }
+        if (filters.ator_tipo) {
+            where.push('ator_tipo = ?');
+            params.push(filters.ator_tipo);
+        }
+        if (filters.ator_codigo) {
+            where.push('ator_codigo = ?');
+            params.push(parseInt(filters.ator_codigo) || 0);
+        }
+        if (filters.recurso) {
+            where.push('recurso = ?');
+            params.push(filters.recurso);
+        }
+        if (filters.metodo) {
+            where.push('metodo = ?');
+            params.push(String(filters.metodo).toUpperCase());
+        }
+
+        return { where: where.join(' AND '), params };
+    }
+
+    async list(user, filters, { limit, offset }) {
+        await this.ensureTable();
+        const { where, params } = this.buildFilters(user, filters);
+
+        const [[{ total }]] = await db.execute(`SELECT COUNT(*) as total FROM auditoria WHERE ${where}`, params);
+        const [rows] = await db.execute(
+            `SELECT codigo as id, data, tipo_conta, codigo_conta, ator_tipo, ator_codigo, ator_nome,
+                    metodo, acao, recurso, recurso_id, status_http, dados_anteriores, dados_novos, ip, navegador
+             FROM auditoria WHERE ${where}
+             ORDER BY data DESC, codigo DESC
+             LIMIT ${limit} OFFSET ${offset}`,
+            params
+        );
+
+        return { total, registros: rows.map(row => this.parseRow(row)) };
+    }
+
+    async listForExport(user, filters, limit) {
+        await this.ensureTable();
+        const { where, params } = this.buildFilters(user, filters);
+        const [rows] = await db.execute(
+            `SELECT data, tipo_conta, codigo_conta, ator_tipo, ator_codigo, ator_nome,
+                    metodo, acao, recurso, recurso_id, status_http, dados_anteriores, dados_novos, ip, navegador
+             FROM auditoria WHERE ${where}
+             ORDER BY data DESC, codigo DESC
+             LIMIT ${limit}`,
+            params
+        );
+        return rows;
+    }
+
+    async listResources(user) {
+        await this.ensureTable();
+        const { where, params } = this.buildFilters(user, {});
+        const [rows] = await db.execute(
+            `SELECT DISTINCT recurso FROM auditoria WHERE ${where} ORDER BY recurso`,
+            params
+        );
+        return rows.map(row => row.recurso);
+    }
+
+    parseRow(row) {
+        const parse = (raw) => {
+            try {
+                return raw ? JSON.parse(raw) : null;
+            } catch (error) {
+                return raw;
+            }
+        };
+        return { ...row, dados_anteriores: parse(row.dados_anteriores), dados_novos: parse(row.dados_novos) };
+    }
+
+    toCSV(rows) {
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const raw = value instanceof Date ? value.toISOString() : String(value);
+            // Planilhas executam células que começam com = + - @ como fórmula
+            const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+            return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [this.csvColumns.join(';')];
+        for (const row of rows) {
+            lines.push(this.csvColumns.map(column => escape(row[column])).join(';'));
+        }
+        return lines.join('\n');
+    }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,88 @@
+const db = require('../config/database');
+const AsRunService = require('./AsRunService');
+
+// Intervalos comerciais de comerciais_config: a cada intervalo_videos vídeos da playlist entram
+// quantidade_comerciais vídeos da pasta de comerciais, em rodízio. A exibição só entra no as-run
+// (AsRunService, tipo "comercial" com a pasta de origem) quando o stream é confirmado no ar, e é
+// isso que serve de comprovação de veiculação e de ponto de continuação do rodízio.
+class CommercialService {
+    // Configurações ativas do usuário com os vídeos da pasta de comerciais, por playlist
+    async loadConfigs(userId) {
+        const [configs] = await db.execute(
+            `SELECT codigo, codigo_playlist, codigo_pasta_comerciais, quantidade_comerciais, intervalo_videos
+             FROM comerciais_config
+             WHERE codigo_stm = ? AND ativo = 1
+             ORDER BY codigo`,
+            [userId]
+        );
+
+        const byPlaylist = new Map();
+        for (const config of configs) {
+            const playlistId = parseInt(config.codigo_playlist);
+            if (byPlaylist.has(playlistId)) continue;
+
+            const [commercials] = await db.execute(
+                `SELECT id, nome, url, caminho, duracao
+                 FROM videos
+                 WHERE codigo_cliente = ? AND pasta = ?
+                 ORDER BY id`,
+                [userId, config.codigo_pasta_comerciais]
+            );
+            if (commercials.length === 0) continue;
+
+            byPlaylist.set(playlistId, {
+                config,
+                commercials,
+                interval: Math.max(1, parseInt(config.intervalo_videos) || 3),
+                // Nunca mais comerciais por intervalo do que vídeos na pasta: evita repetir em sequência
+                perBreak: Math.min(commercials.length, Math.max(1, parseInt(config.quantidade_comerciais) || 1))
+            });
+        }
+        return byPlaylist;
+    }
+
+    async forPlaylist(userId, playlistId) {
+        const configs = await this.loadConfigs(userId);
+        return configs.get(parseInt(playlistId)) || null;
+    }
+
+    // Posição do rodízio logo depois do último comercial da configuração que foi ao ar
+    async nextOffset(entry) {
+        const lastVideo = await AsRunService.lastCommercial(entry.config.codigo);
+        if (!lastVideo) return 0;
+        const index = entry.commercials.findIndex(video => video.id === lastVideo);
+        return index + 1;
+    }
+
+    // Intercala os comerciais nos vídeos. Os itens de comercial levam comercial: true e os ids
+    // da configuração, da pasta e do vídeo; mapCommercial adapta o vídeo ao formato da lista recebida.
+    // Retorna a lista e a posição do rodízio para continuar na próxima chamada.
+    weave(videos, entry, { offset = 0, mapCommercial = video => video } = {}) {
+        if (!entry || videos.length === 0) return { items: videos, offset };
+
+        const total = entry.commercials.length;
+        const items = [];
+        let position = offset;
+
+        videos.forEach((video, index) => {
+            items.push(video);
+            if ((index + 1) % entry.interval !== 0) return;
+
+            for (let i = 0; i < entry.perBreak; i++) {
+                const commercial = entry.commercials[position % total];
+                position++;
+                items.push({
+                    ...mapCommercial(commercial),
+                    comercial: true,
+                    codigo_config: entry.config.codigo,
+                    codigo_pasta: entry.config.codigo_pasta_comerciais,
+                    codigo_video: commercial.id
+                });
+            }
+        });
+
+        return { items, offset: position % total };
+    }
+}
+
+module.exports = new CommercialService();
@@ -0,0 +1,103 @@
+const SubUserService = require('./SubUserService');
+
+// Área de permissão de operador exigida por cada família de evento (prefixo do tipo)
+const EVENT_AREAS = {
+    job: 'videos',
+    relay: 'transmissao',
+    stream: 'transmissao'
+};
+
+// Canal de eventos em tempo real (Server-Sent Events) para o painel.
+// As conexões ficam em memória por usuário: eventos publicados em outro processo não chegam aqui.
+class EventService {
+    constructor() {
+        this.clients = new Map(); // userId -> Set de conexões
+        this.nextClientId = 1;
+        this.nextEventId = 1;
+        this.heartbeatInterval = parseInt(process.env.EVENTS_HEARTBEAT_MS) || 25000;
+        this.heartbeatTimer = null;
+    }
+
+    // Comentário periódico mantém a conexão aberta em proxies com timeout de inatividade
+    start() {
+        if (this.heartbeatTimer) return;
+
+        this.heartbeatTimer = setInterval(() => {
+            for (const clients of this.clients.values()) {
+                for (const client of clients) {
+                    this.write(client, ': ping\n\n');
+                }
+            }
+        }, this.heartbeatInterval);
+    }
+
+    // Registra a resposta HTTP como assinante dos eventos do usuário; retorna a função de remoção
+    subscribe(user, res) {
+        const client = {
+            id: this.nextClientId++,
+            userId: user.id,
+            permissoes: user.subusuario_id ? user.permissoes : null,
+            res
+        };
+
+        if (!this.clients.has(client.userId)) {
+            this.clients.set(client.userId, new Set());
+        }
+        this.clients.get(client.userId).add(client);
+
+        this.send(client, 'ready', {
+            client_id: client.id,
+            heartbeat_ms: this.heartbeatInterval
+        });
+
+        return () => {
+            const clients = this.clients.get(client.userId);
+            if (!clients) return;
+            clients.delete(client);
+            if (clients.size === 0) {
+                this.clients.delete(client.userId);
+            }
+        };
+    }
+
+    hasSubscribers(userId) {
+        return this.clients.has(userId);
+    }
+
+    subscribedUsers() {
+        return [...this.clients.keys()];
+    }
+
+    // Operadores só recebem eventos das áreas liberadas no perfil
+    canReceive(client, type) {
+        if (!client.permissoes) return true;
+        const area = EVENT_AREAS[type.split('.')[0]];
+        return !area || SubUserService.hasPermission(client.permissoes, area, 'GET');
+    }
+
+    publish(userId, type, data = {}) {
+        const clients = this.clients.get(userId);
+        if (!clients) return;
+
+        for (const client of clients) {
+            if (this.canReceive(client, type)) {
+                this.send(client, type, data);
+            }
+        }
+    }
+
+    send(client, type, data) {
+        const payload = JSON.stringify({ ...data, timestamp: new Date().toISOString() });
+        this.write(client, `id: ${this.nextEventId++}\nevent: ${type}\ndata: ${payload}\n\n`);
+    }
+
+    write(client, chunk) {
+        try {
+            client.res.write(chunk);
+        } catch (error) {
+            console.warn(`Erro ao enviar evento para conexão #${client.id}:`, error.message);
+        }
+    }
+}
+
+module.exports = new EventService();
@@ -0,0 +1,578 @@
+const crypto = require('crypto');
+const os = require('os');
+const db = require('../config/database');
+const AuditService = require('./AuditService');
+const EventService = require('./EventService');
+
+const JOB_STATUSES = ['pendente', 'executando', 'concluido', 'erro', 'cancelado'];
+const TERMINAL_STATUSES = ['concluido', 'erro', 'cancelado'];
+const DEFAULT_PRIORITY = 5;
+const MAX_MESSAGE_LENGTH = 255;
+
+// Fila de tarefas em segundo plano gravada no banco (conversões, downloads do YouTube,
+// migrações FTP). Cada tipo registra um handler; a fila respeita prioridade, limite de
+// tarefas simultâneas por usuário e refaz as que falham com espera crescente. Tarefas
+// em execução mandam sinal de vida: se o processo cair (restart do PM2), elas voltam
+// para a fila quando o sinal para de chegar.
+class JobQueueService {
+    constructor() {
+        this.statuses = JOB_STATUSES;
+        this.handlers = new Map();
+        this.running = new Map();
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.maxConcurrent = parseInt(process.env.JOB_MAX_CONCURRENT) || 3;
+        this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 3000;
+        this.retentionDays = parseInt(process.env.JOB_RETENCAO_DIAS) || 30;
+        this.staleAfterSeconds = 120;
+        this.retryBaseSeconds = 30;
+        this.retryMaxSeconds = 30 * 60;
+        this.progressFlushMs = 2000;
+        this.cleanupInterval = 60 * 60 * 1000; // 1 hora
+        // Chave para dados sensíveis que precisam ficar no payload enquanto a tarefa não termina
+        this.payloadKey = crypto.createHash('sha256').update(
+            process.env.JOB_PAYLOAD_SECRET || process.env.JWT_SECRET || 'sua_chave_secreta_super_segura_aqui'
+        ).digest();
+        this.tableReady = null;
+        this.ticking = false;
+        this.started = false;
+    }
+
+    async ensureTable() {
+        if (!this.tableReady) {
+            this.tableReady = db.execute(`
+                CREATE TABLE IF NOT EXISTS jobs (
+                    codigo INT AUTO_INCREMENT PRIMARY KEY,
+                    codigo_cliente INT NOT NULL,
+                    tipo VARCHAR(30) NOT NULL,
+                    descricao VARCHAR(255) DEFAULT NULL,
+                    referencia VARCHAR(100) DEFAULT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'pendente',
+                    prioridade TINYINT NOT NULL DEFAULT 5,
+                    payload MEDIUMTEXT,
+                    resultado MEDIUMTEXT,
+                    progresso DECIMAL(5,1) NOT NULL DEFAULT 0,
+                    mensagem VARCHAR(255) DEFAULT NULL,
+                    erro TEXT,
+                    tentativas INT NOT NULL DEFAULT 0,
+                    max_tentativas INT NOT NULL DEFAULT 3,
+                    cancelar TINYINT(1) NOT NULL DEFAULT 0,
+                    worker VARCHAR(100) DEFAULT NULL,
+                    proxima_tentativa DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    data_criacao DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    data_inicio DATETIME DEFAULT NULL,
+                    data_fim DATETIME DEFAULT NULL,
+                    ultima_atividade DATETIME DEFAULT NULL,
+                    KEY idx_jobs_fila (status, proxima_tentativa, prioridade),
+                    KEY idx_jobs_cliente (codigo_cliente, tipo, status),
+                    KEY idx_jobs_referencia (tipo, referencia)
+                ) DEFAULT CHARSET=utf8mb4
+            `).catch(error => {
+                this.tableReady = null;
+                throw error;
+            });
+        }
+        return this.tableReady;
+    }
+
+    // Registra o executor de um tipo de tarefa.
+    // run(job, ctx) recebe ctx.progress(percentual, mensagem), ctx.setResult(dados),
+    // ctx.onCancel(fn), ctx.signal e ctx.throwIfCancelled(); o retorno vira o resultado.
+    // sanitizePayload(payload) remove dados sensíveis (ex.: senha FTP cifrada) quando a tarefa termina.
+    register(tipo, { run, concurrencyPerUser = 1, maxAttempts = 3, sanitizePayload = null }) {
+        this.handlers.set(tipo, { run, concurrencyPerUser, maxAttempts, sanitizePayload });
+    }
+
+    // Segredos no payload vão cifrados (AES-256-GCM) e só são abertos pelo executor
+    encryptSecret(value) {
+        if (value === null || value === undefined) return null;
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.payloadKey, iv);
+        const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join(':');
+    }
+
+    decryptSecret(value) {
+        if (!value) return null;
+        const [iv, tag, data] = String(value).split(':').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.payloadKey, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        setInterval(() => this.tick(), this.pollInterval);
+        setInterval(() => {
+            this.cleanupOld().catch(error => {
+                console.error('Erro ao limpar tarefas antigas:', error.message);
+            });
+        }, this.cleanupInterval);
+
+        console.log(`⚙️ Fila de tarefas iniciada (${this.workerId}, até ${this.maxConcurrent} simultâneas)`);
+        this.tick();
+    }
+
+    async enqueue(userId, tipo, payload, { descricao = null, referencia = null, prioridade = DEFAULT_PRIORITY, maxTentativas } = {}) {
+        const handler = this.handlers.get(tipo);
+        if (!handler) {
+            throw new Error(`Tipo de tarefa desconhecido: ${tipo}`);
+        }
+
+        await this.ensureTable();
+        const priority = Math.min(Math.max(parseInt(prioridade) || DEFAULT_PRIORITY, 0), 10);
+
+        const [result] = await db.execute(
+            `INSERT INTO jobs (codigo_cliente, tipo, descricao, referencia, prioridade, payload, max_tentativas)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                userId,
+                tipo,
+                descricao ? String(descricao).substring(0, 255) : null,
+                referencia !== null ? String(referencia) : null,
+                priority,
+                JSON.stringify(payload || {}),
+                maxTentativas || handler.maxAttempts
+            ]
+        );
+
+        console.log(`📥 Tarefa ${tipo} #${result.insertId} enfileirada para usuário ${userId}`);
+        this.publish(userId, result.insertId);
+        if (this.started) setImmediate(() => this.tick());
+
+        return this.get(userId, result.insertId);
+    }
+
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            await this.ensureTable();
+            await this.heartbeat();
+            await this.recoverStale();
+            await this.claimJobs();
+        } catch (error) {
+            console.error('Erro no processamento da fila de tarefas:', error.message);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    // Sinal de vida das tarefas deste processo e pedidos de cancelamento vindos de outro processo
+    async heartbeat() {
+        const ids = [...this.running.keys()];
+        if (ids.length === 0) return;
+
+        const placeholders = ids.map(() => '?').join(', ');
+        await db.execute(`UPDATE jobs SET ultima_atividade = NOW() WHERE codigo IN (${placeholders})`, ids);
+
+        const [cancelRows] = await db.execute(
+            `SELECT codigo FROM jobs WHERE codigo IN (${placeholders}) AND cancelar = 1`,
+            ids
+        );
+        cancelRows.forEach(row => this.abortLocal(row.codigo));
+    }
+
+    // Tarefas sem sinal de vida (processo reiniciado) voltam para a fila. A execução interrompida
+    // conta como tentativa, para uma tarefa que derruba o processo não voltar para sempre
+    async recoverStale() {
+        // O MySQL aplica as atribuições em ordem: status, data_fim e erro usam tentativas antes do incremento
+        const [result] = await db.execute(
+            `UPDATE jobs
+             SET status = CASE
+                     WHEN cancelar = 1 THEN 'cancelado'
+                     WHEN tentativas + 1 >= max_tentativas THEN 'erro'
+                     ELSE 'pendente'
+                 END,
+                 data_fim = IF(cancelar = 1 OR tentativas + 1 >= max_tentativas, NOW(), NULL),
+                 erro = IF(cancelar = 0 AND tentativas + 1 >= max_tentativas, 'Tarefa interrompida sem sinal de vida', erro),
+                 tentativas = IF(cancelar = 1, tentativas, tentativas + 1),
+                 worker = NULL
+             WHERE status = 'executando' AND ultima_atividade < DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+            [this.staleAfterSeconds]
+        );
+        if (result.affectedRows > 0) {
+            console.log(`♻️ ${result.affectedRows} tarefa(s) interrompida(s) devolvida(s) à fila ou encerrada(s)`);
+        }
+    }
+
+    async claimJobs() {
+        const types = [...this.handlers.keys()];
+        if (types.length === 0 || this.running.size >= this.maxConcurrent) return;
+
+        const [rows] = await db.execute(
+            `SELECT * FROM jobs
+             WHERE status = 'pendente' AND cancelar = 0 AND proxima_tentativa <= NOW()
+               AND tipo IN (${types.map(() => '?').join(', ')})
+             ORDER BY prioridade DESC, codigo ASC
+             LIMIT 50`,
+            types
+        );
+        if (rows.length === 0) return;
+
+        // Limite por usuário vale para todos os processos, por isso a contagem vem do banco
+        const [runningRows] = await db.execute(
+            `SELECT codigo_cliente, tipo, COUNT(*) as total FROM jobs
+             WHERE status = 'executando' GROUP BY codigo_cliente, tipo`
+        );
+        const runningCount = new Map(runningRows.map(row => [`${row.codigo_cliente}:${row.tipo}`, Number(row.total)]));
+
+        for (const row of rows) {
+            if (this.running.size >= this.maxConcurrent) break;
+
+            const handler = this.handlers.get(row.tipo);
+            const key = `${row.codigo_cliente}:${row.tipo}`;
+            if ((runningCount.get(key) || 0) >= handler.concurrencyPerUser) continue;
+
+            const [claim] = await db.execute(
+                `UPDATE jobs SET status = 'executando', worker = ?, data_inicio = NOW(), ultima_atividade = NOW()
+                 WHERE codigo = ? AND status = 'pendente' AND cancelar = 0`,
+                [this.workerId, row.codigo]
+            );
+            if (claim.affectedRows === 0) continue;
+
+            runningCount.set(key, (runningCount.get(key) || 0) + 1);
+            this.execute(this.parseRow({ ...row, status: 'executando' }), handler);
+        }
+    }
+
+    async execute(job, handler) {
+        const controller = new AbortController();
+        const entry = {
+            job,
+            controller,
+            cancelHandlers: [],
+            pending: {},
+            resultado: job.resultado,
+            lastFlush: 0,
+            flushTimer: null
+        };
+        this.running.set(job.codigo, entry);
+
+        const ctx = {
+            job,
+            signal: controller.signal,
+            isCancelled: () => controller.signal.aborted,
+            throwIfCancelled: () => {
+                if (controller.signal.aborted) {
+                    throw Object.assign(new Error('Tarefa cancelada'), { cancelled: true });
+                }
+            },
+            onCancel: (fn) => entry.cancelHandlers.push(fn),
+            progress: (progresso, mensagem) => this.report(entry, { progresso, mensagem }),
+            setResult: (resultado) => {
+                entry.resultado = { ...(entry.resultado || {}), ...resultado };
+                this.report(entry, { resultado: entry.resultado });
+            }
+        };
+
+        console.log(`▶️ Executando tarefa ${job.tipo} #${job.codigo} (tentativa ${job.tentativas + 1}/${job.max_tentativas})`);
+        this.publish(job.codigo_cliente, job.codigo);
+
+        try {
+            const resultado = await handler.run(job, ctx);
+            await this.flush(entry);
+            await this.finish(job, handler, 'concluido', {
+                resultado: resultado !== undefined ? resultado : entry.resultado,
+                progresso: 100
+            });
+            console.log(`✅ Tarefa ${job.tipo} #${job.codigo} concluída`);
+        } catch (error) {
+            await this.flush(entry).catch(() => { });
+
+            if (controller.signal.aborted) {
+                await this.finish(job, handler, 'cancelado', { erro: 'Cancelada pelo usuário' });
+                console.log(`🛑 Tarefa ${job.tipo} #${job.codigo} cancelada`);
+            } else {
+                await this.fail(job, handler, error);
+            }
+        } finally {
+            clearTimeout(entry.flushTimer);
+            this.running.delete(job.codigo);
+            if (this.started) setImmediate(() => this.tick());
+        }
+    }
+
+    // Progresso é gravado no máximo a cada progressFlushMs por tarefa
+    report(entry, changes) {
+        Object.assign(entry.pending, changes);
+
+        const wait = entry.lastFlush + this.progressFlushMs - Date.now();
+        if (wait <= 0) {
+            this.flush(entry).catch(error => {
+                console.warn(`Erro ao gravar progresso da tarefa #${entry.job.codigo}:`, error.message);
+            });
+        } else if (!entry.flushTimer) {
+            entry.flushTimer = setTimeout(() => {
+                this.flush(entry).catch(error => {
+                    console.warn(`Erro ao gravar progresso da tarefa #${entry.job.codigo}:`, error.message);
+                });
+            }, wait);
+        }
+    }
+
+    async flush(entry) {
+        clearTimeout(entry.flushTimer);
+        entry.flushTimer = null;
+        entry.lastFlush = Date.now();
+
+        const { progresso, mensagem, resultado } = entry.pending;
+        entry.pending = {};
+        if (progresso === undefined && mensagem === undefined && resultado === undefined) return;
+
+        await db.execute(
+            `UPDATE jobs SET
+                progresso = COALESCE(?, progresso),
+                mensagem = COALESCE(?, mensagem),
+                resultado = COALESCE(?, resultado),
+                ultima_atividade = NOW()
+             WHERE codigo = ?`,
+            [
+                progresso !== undefined && progresso !== null ? Math.min(Math.max(Number(progresso) || 0, 0), 100) : null,
+                mensagem ? String(mensagem).substring(0, MAX_MESSAGE_LENGTH) : null,
+                resultado !== undefined ? JSON.stringify(resultado) : null,
+                entry.job.codigo
+            ]
+        );
+        this.publish(entry.job.codigo_cliente, entry.job.codigo);
+    }
+
+    async finish(job, handler, status, { resultado, erro = null, progresso = null, tentativas = job.tentativas }) {
+        const payload = handler.sanitizePayload ? handler.sanitizePayload(job.payload) : job.payload;
+
+        await db.execute(
+            `UPDATE jobs SET
+                status = ?, data_fim = NOW(), worker = NULL, tentativas = ?,
+                resultado = COALESCE(?, resultado),
+                progresso = COALESCE(?, progresso),
+                erro = ?, payload = ?
+             WHERE codigo = ?`,
+            [
+                status,
+                tentativas,
+                resultado !== undefined && resultado !== null ? JSON.stringify(resultado) : null,
+                progresso,
+                erro,
+                JSON.stringify(payload || {}),
+                job.codigo
+            ]
+        );
+        this.publish(job.codigo_cliente, job.codigo);
+    }
+
+    // Erros com retryable = false encerram a tarefa na hora; os demais tentam de novo com espera crescente
+    async fail(job, handler, error) {
+        const attempts = job.tentativas + 1;
+        const message = error.message || 'Erro desconhecido';
+
+        if (error.retryable !== false && attempts < job.max_tentativas) {
+            const delay = Math.min(this.retryBaseSeconds * 2 ** (attempts - 1), this.retryMaxSeconds);
+            await db.execute(
+                `UPDATE jobs SET
+                    status = 'pendente', worker = NULL, tentativas = ?, erro = ?,
+                    proxima_tentativa = DATE_ADD(NOW(), INTERVAL ? SECOND)
+                 WHERE codigo = ?`,
+                [attempts, message, delay, job.codigo]
+            );
+            this.publish(job.codigo_cliente, job.codigo);
+            console.warn(`⚠️ Tarefa ${job.tipo} #${job.codigo} falhou (${message}); nova tentativa em ${delay}s`);
+            return;
+        }
+
+        await this.finish(job, handler, 'erro', { erro: message, tentativas: attempts });
+        console.error(`❌ Tarefa ${job.tipo} #${job.codigo} falhou definitivamente:`, message);
+    }
+
+    // Estado atual da tarefa para o painel (/api/events); só consulta o banco se houver alguém ouvindo
+    publish(userId, jobId) {
+        if (!EventService.hasSubscribers(userId)) return;
+
+        this.get(userId, jobId)
+            .then(job => {
+                if (job) EventService.publish(userId, 'job.updated', this.format(job));
+            })
+            .catch(error => {
+                console.warn(`Erro ao publicar evento da tarefa #${jobId}:`, error.message);
+            });
+    }
+
+    abortLocal(jobId) {
+        const entry = this.running.get(Number(jobId));
+        if (!entry || entry.controller.signal.aborted) return;
+
+        entry.controller.abort();
+        for (const fn of entry.cancelHandlers) {
+            Promise.resolve()
+                .then(fn)
+                .catch(error => console.warn(`Erro ao interromper tarefa #${jobId}:`, error.message));
+        }
+    }
+
+    // Pendentes são canceladas na hora; em execução recebem o pedido (vale para qualquer processo)
+    async cancel(userId, jobId) {
+        const job = await this.get(userId, jobId);
+        if (!job) return null;
+
+        if (TERMINAL_STATUSES.includes(job.status)) {
+            throw Object.assign(new Error(`Tarefa já ${job.status === 'erro' ? 'finalizada com erro' : job.status}`), { status: 409 });
+        }
+
+        const [result] = await db.execute(
+            `UPDATE jobs SET status = 'cancelado', cancelar = 1, data_fim = NOW(), erro = 'Cancelada pelo usuário'
+             WHERE codigo = ? AND status = 'pendente'`,
+            [job.codigo]
+        );
+
+        if (result.affectedRows === 0) {
+            await db.execute('UPDATE jobs SET cancelar = 1 WHERE codigo = ?', [job.codigo]);
+            this.abortLocal(job.codigo);
+        }
+
+        this.publish(userId, job.codigo);
+        return this.get(userId, job.codigo);
+    }
+
+    async cleanupOld() {
+        await this.ensureTable();
+        const [result] = await db.execute(
+            `DELETE FROM jobs
+             WHERE status IN ('concluido', 'erro', 'cancelado')
+               AND data_fim < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+            [this.retentionDays]
+        );
+        if (result.affectedRows > 0) {
+            console.log(`🗑️ ${result.affectedRows} tarefa(s) antiga(s) removida(s)`);
+        }
+    }
+
+    parseRow(row) {
+        const parseJson = (value) => {
+            if (!value) return null;
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return null;
+            }
+        };
+
+        return {
+            ...row,
+            payload: parseJson(row.payload) || {},
+            resultado: parseJson(row.resultado),
+            progresso: Number(row.progresso) || 0,
+            tentativas: Number(row.tentativas) || 0,
+            max_tentativas: Number(row.max_tentativas) || 1
+        };
+    }
+
+    async get(userId, jobId) {
+        await this.ensureTable();
+        const [rows] = await db.execute(
+            'SELECT * FROM jobs WHERE codigo = ? AND codigo_cliente = ?',
+            [jobId, userId]
+        );
+        return rows.length > 0 ? this.parseRow(rows[0]) : null;
+    }
+
+    // Tarefa mais relevante de um tipo: a em execução, senão a próxima da fila, senão a última.
+    // Filtra pela referência exata ou pelo início dela (ex.: '12_' para as conversões do vídeo 12).
+    async findCurrent(userId, tipo, { referencia = null, prefixo = null } = {}) {
+        await this.ensureTable();
+
+        let filter = '';
+        const params = [userId, tipo];
+        if (referencia !== null) {
+            filter = 'AND referencia = ?';
+            params.push(String(referencia));
+        } else if (prefixo !== null) {
+            filter = 'AND referencia LIKE ?';
+            params.push(`${String(prefixo).replace(/[\\%_]/g, '\\$&')}%`);
+        }
+
+        const [rows] = await db.execute(
+            `SELECT * FROM jobs
+             WHERE codigo_cliente = ? AND tipo = ? ${filter}
+             ORDER BY (status = 'executando') DESC, (status = 'pendente') DESC, codigo DESC
+             LIMIT 1`,
+            params
+        );
+        return rows.length > 0 ? this.parseRow(rows[0]) : null;
+    }
+
+    async hasActive(userId, tipo, referencia) {
+        await this.ensureTable();
+        const [rows] = await db.execute(
+            `SELECT codigo FROM jobs
+             WHERE codigo_cliente = ? AND tipo = ? AND referencia = ? AND status IN ('pendente', 'executando')
+             LIMIT 1`,
+            [userId, tipo, String(referencia)]
+        );
+        return rows.length > 0;
+    }
+
+    async countActive(tipo) {
+        await this.ensureTable();
+        const [rows] = await db.execute(
+            `SELECT COUNT(*) as total FROM jobs WHERE tipo = ? AND status IN ('pendente', 'executando')`,
+            [tipo]
+        );
+        return Number(rows[0].total);
+    }
+
+    async list(userId, { tipo, status } = {}, { limit = 50, offset = 0 } = {}) {
+        await this.ensureTable();
+
+        const conditions = ['codigo_cliente = ?'];
+        const params = [userId];
+        if (tipo) {
+            conditions.push('tipo = ?');
+            params.push(tipo);
+        }
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+        const where = conditions.join(' AND ');
+
+        const [countRows] = await db.execute(`SELECT COUNT(*) as total FROM jobs WHERE ${where}`, params);
+        const [rows] = await db.execute(
+            `SELECT * FROM jobs WHERE ${where}
+             ORDER BY (status = 'executando') DESC, (status = 'pendente') DESC, codigo DESC
+             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+            params
+        );
+
+        return {
+            total: Number(countRows[0].total),
+            jobs: rows.map(row => this.parseRow(row))
+        };
+    }
+
+    // Formato público (payload sem senhas/chaves)
+    format(job) {
+        return {
+            id: job.codigo,
+            tipo: job.tipo,
+            descricao: job.descricao,
+            referencia: job.referencia,
+            status: job.status,
+            prioridade: job.prioridade,
+            progresso: job.progresso,
+            mensagem: job.mensagem,
+            erro: job.erro,
+            tentativas: job.tentativas,
+            max_tentativas: job.max_tentativas,
+            proxima_tentativa: job.status === 'pendente' ? job.proxima_tentativa : null,
+            cancelamento_solicitado: Boolean(job.cancelar),
+            payload: AuditService.sanitize(job.payload),
+            resultado: job.resultado,
+            data_criacao: job.data_criacao,
+            data_inicio: job.data_inicio,
+            data_fim: job.data_fim
+        };
+    }
+}
+
+module.exports = new JobQueueService();
@@ -0,0 +1,193 @@
+const db = require('../config/database');
+
+class LoginLockoutService {
+    constructor() {
+        this.maxAttemptsPerAccount = parseInt(process.env.LOGIN_MAX_TENTATIVAS_CONTA) || 5;
+        this.maxAttemptsPerIp = parseInt(process.env.LOGIN_MAX_TENTATIVAS_IP) || 20;
+        this.attemptWindowMinutes = 15;
+        this.baseLockSeconds = 60;
+        this.maxLockSeconds = 24 * 60 * 60;
+        this.columnsReady = null;
+    }
+
+    // Colunas de controle de bloqueio que não existem no schema original
+    async ensureColumns() {
+        if (!this.columnsReady) {
+            this.columnsReady = db.execute(`
+                ALTER TABLE bloqueios_login
+                ADD COLUMN IF NOT EXISTS bloqueado_ate DATETIME DEFAULT NULL,
+                ADD COLUMN IF NOT EXISTS bloqueios INT NOT NULL DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS codigo_subusuario INT NOT NULL DEFAULT 0
+            `).catch(error => {
+                this.columnsReady = null;
+                throw error;
+            });
+        }
+        return this.columnsReady;
+    }
+
+    // Linhas por IP usam codigo_cliente = 0 e codigo_stm = 0; operadores são
+    // contados à parte do streaming dono pela coluna codigo_subusuario
+    accountKey(user) {
+        if (user.tipo === 'revenda') {
+            return { codigoCliente: user.codigo, codigoStm: 0, codigoSubusuario: 0 };
+        }
+        if (user.tipo === 'subusuario') {
+            return { codigoCliente: user.codigo_cliente || 0, codigoStm: user.codigo_streaming, codigoSubusuario: user.codigo };
+        }
+        return { codigoCliente: user.codigo_cliente || 0, codigoStm: user.codigo, codigoSubusuario: 0 };
+    }
+
+    ipKey() {
+        return { codigoCliente: 0, codigoStm: 0, codigoSubusuario: 0 };
+    }
+
+    async findRow(key, ip) {
+        const isIpKey = key.codigoCliente === 0 && key.codigoStm === 0;
+        const [rows] = await db.execute(
+            `SELECT *,
+                TIMESTAMPDIFF(SECOND, NOW(), bloqueado_ate) as segundos_bloqueio,
+                TIMESTAMPDIFF(SECOND, data, NOW()) as segundos_ultima_tentativa
+             FROM bloqueios_login
+             WHERE ${isIpKey
+                ? 'codigo_cliente = 0 AND codigo_stm = 0 AND ip = ?'
+                : 'codigo_cliente = ? AND codigo_stm = ? AND codigo_subusuario = ?'}
+             LIMIT 1`,
+            isIpKey ? [ip] : [key.codigoCliente, key.codigoStm, key.codigoSubusuario]
+        );
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    // Segundos restantes de bloqueio (0 quando liberado)
+    remainingSeconds(row) {
+        if (!row || !row.segundos_bloqueio) return 0;
+        return row.segundos_bloqueio > 0 ? row.segundos_bloqueio : 0;
+    }
+
+    async checkIp(ip) {
+        await this.ensureColumns();
+        return this.remainingSeconds(await this.findRow(this.ipKey(), ip));
+    }
+
+    async checkAccount(user) {
+        await this.ensureColumns();
+        return this.remainingSeconds(await this.findRow(this.accountKey(user), null));
+    }
+
+    // Registrar falha e aplicar bloqueio com backoff exponencial ao atingir o limite
+    async registerFailure(key, ip, navegador, maxAttempts) {
+        const row = await this.findRow(key, ip);
+
+        if (!row) {
+            await db.execute(
+                `INSERT INTO bloqueios_login (codigo_cliente, codigo_stm, codigo_subusuario, data, ip, navegador, tentativas, bloqueios)
+                 VALUES (?, ?, ?, NOW(), ?, ?, 1, 0)`,
+                [key.codigoCliente, key.codigoStm, key.codigoSubusuario, ip, navegador]
+            );
+            return 0;
+        }
+
+        const windowExpired = row.segundos_ultima_tentativa > this.attemptWindowMinutes * 60;
+        const attempts = windowExpired && !this.remainingSeconds(row) ? 1 : row.tentativas + 1;
+
+        if (attempts < maxAttempts) {
+            await db.execute(
+                'UPDATE bloqueios_login SET tentativas = ?, data = NOW(), ip = ?, navegador = ? WHERE codigo = ?',
+                [attempts, ip, navegador, row.codigo]
+            );
+            return 0;
+        }
+
+        const lockSeconds = Math.min(this.baseLockSeconds * Math.pow(2, row.bloqueios || 0), this.maxLockSeconds);
+        await db.execute(
+            `UPDATE bloqueios_login SET
+                tentativas = 0, data = NOW(), ip = ?, navegador = ?,
+                bloqueios = bloqueios + 1, bloqueado_ate = DATE_ADD(NOW(), INTERVAL ? SECOND)
+             WHERE codigo = ?`,
+            [ip, navegador, lockSeconds, row.codigo]
+        );
+
+        console.warn(`🔒 Login bloqueado por ${lockSeconds}s (cliente ${key.codigoCliente}, stm ${key.codigoStm}, ip ${ip})`);
+        return lockSeconds;
+    }
+
+    // Registrar tentativa inválida para o IP e, se identificada, para a conta
+    async registerFailedAttempt(req, user = null) {
+        await this.ensureColumns();
+
+        const ip = req.ip || '000.000.000.000';
+        const navegador = (req.headers['user-agent'] || '').substring(0, 255);
+
+        const ipLock = await this.registerFailure(this.ipKey(), ip, navegador, this.maxAttemptsPerIp);
+        const accountLock = user
+            ? await this.registerFailure(this.accountKey(user), ip, navegador, this.maxAttemptsPerAccount)
+            : 0;
+
+        return Math.max(ipLock, accountLock);
+    }
+
+    // Login bem-sucedido zera só o contador da conta. O do IP expira sozinho pela janela de tentativas:
+    // zerá-lo permitiria que quem tem uma conta válida recomeçasse a força bruta contra as outras
+    async registerSuccess(req, user) {
+        await this.ensureColumns();
+
+        const key = this.accountKey(user);
+        await db.execute(
+            'DELETE FROM bloqueios_login WHERE codigo_cliente = ? AND codigo_stm = ? AND codigo_subusuario = ?',
+            [key.codigoCliente, key.codigoStm, key.codigoSubusuario]
+        );
+    }
+
+    // Bloqueios das contas de streaming de uma revenda
+    async listForRevenda(revendaId) {
+        await this.ensureColumns();
+
+        const [rows] = await db.execute(
+            `SELECT
+                b.codigo as id,
+                b.codigo_stm,
+                b.codigo_subusuario,
+                s.usuario,
+                s.identificacao,
+                b.ip,
+                b.navegador,
+                b.tentativas,
+                b.bloqueios,
+                b.data as ultima_tentativa,
+                b.bloqueado_ate,
+                TIMESTAMPDIFF(SECOND, NOW(), b.bloqueado_ate) as segundos_bloqueio
+             FROM bloqueios_login b
+             LEFT JOIN streamings s ON s.codigo = b.codigo_stm
+             WHERE b.codigo_cliente = ? AND b.codigo_stm > 0
+             ORDER BY b.data DESC`,
+            [revendaId]
+        );
+
+        return rows.map(({ segundos_bloqueio, ...row }) => {
+            const retryAfter = this.remainingSeconds({ segundos_bloqueio });
+            return { ...row, bloqueado: retryAfter > 0, retry_after: retryAfter };
+        });
+    }
+
+    async clearForRevenda(revendaId, lockoutId) {
+        await this.ensureColumns();
+
+        const [result] = await db.execute(
+            'DELETE FROM bloqueios_login WHERE codigo = ? AND codigo_cliente = ? AND codigo_stm > 0',
+            [lockoutId, revendaId]
+        );
+        return result.affectedRows;
+    }
+
+    async clearAllForRevenda(revendaId) {
+        await this.ensureColumns();
+
+        const [result] = await db.execute(
+            'DELETE FROM bloqueios_login WHERE codigo_cliente = ? AND codigo_stm > 0',
+            [revendaId]
+        );
+        return result.affectedRows;
+    }
+}
+
+module.exports = new LoginLockoutService();
@@ -0,0 +1,299 @@
+const path = require('path');
+const db = require('../config/database');
+const SSHManager = require('../config/SSHManager');
+const JobQueueService = require('./JobQueueService');
+const StorageQuotaService = require('./StorageQuotaService');
+
+const STREAMING_BASE_PATH = '/home/streaming';
+const DEFAULT_TARGET = -23; // EBU R128
+const TARGET_MIN = -31;
+const TARGET_MAX = -10;
+const TRUE_PEAK_LIMIT = -1.5;
+const LOUDNESS_RANGE = 11;
+const TOLERANCE_LU = 1;
+const AUDIO_BITRATE = 128;
+
+// Loudness (EBU R128) dos vídeos: a análise mede o volume integrado (LUFS), o pico real
+// (dBTP), a faixa (LRA) e o limiar com o filtro loudnorm do FFmpeg e grava em videos.
+// As medições alimentam a normalização em duas passagens (linear), usada pela conversão
+// e pela normalização de playlists, que troca só o áudio dos vídeos mantendo o arquivo.
+class LoudnessService {
+    constructor() {
+        this.defaultTarget = DEFAULT_TARGET;
+
+        JobQueueService.register('loudness', {
+            run: (job, ctx) => this.run(job, ctx),
+            concurrencyPerUser: 1,
+            maxAttempts: 2
+        });
+    }
+
+    // Alvo em LUFS do corpo da requisição; undefined quando não pedido, null quando inválido
+    parseTarget(value) {
+        if (value === undefined || value === null || value === '' || value === false) return undefined;
+        if (value === true) return DEFAULT_TARGET;
+
+        const target = Math.round(parseFloat(value));
+        return Number.isFinite(target) && target >= TARGET_MIN && target <= TARGET_MAX ? target : null;
+    }
+
+    invalidTargetMessage() {
+        return `Alvo de loudness inválido: use um valor entre ${TARGET_MIN} e ${TARGET_MAX} LUFS (ex.: -23 ou -16)`;
+    }
+
+    resolveRemotePath(video) {
+        const caminho = video.caminho || video.url || '';
+        return caminho.startsWith('/') ? caminho : `${STREAMING_BASE_PATH}/${caminho}`;
+    }
+
+    // Medições gravadas no vídeo, no formato aceito por buildFilter; null se ainda não analisado
+    fromRow(video) {
+        if (video.loudness_lufs === null || video.loudness_lufs === undefined) return null;
+        return {
+            input_i: parseFloat(video.loudness_lufs),
+            input_tp: parseFloat(video.loudness_true_peak),
+            input_lra: parseFloat(video.loudness_lra),
+            input_thresh: parseFloat(video.loudness_threshold)
+        };
+    }
+
+    // Primeira passagem do loudnorm: o FFmpeg imprime as medições em JSON ao final do stderr
+    async analyze(serverId, remotePath) {
+        const result = await SSHManager.executeCommand(serverId,
+            `ffmpeg -hide_banner -nostats -i "${remotePath}" -map 0:a:0 -af loudnorm=I=${DEFAULT_TARGET}:TP=${TRUE_PEAK_LIMIT}:LRA=${LOUDNESS_RANGE}:print_format=json -f null - 2>&1 | tail -n 14`
+        );
+
+        const match = result.stdout.match(/\{[\s\S]*\}/);
+        if (!match) {
+            throw Object.assign(new Error('O vídeo não tem áudio ou não pôde ser analisado'), { retryable: false });
+        }
+
+        const data = JSON.parse(match[0]);
+        const measured = {
+            input_i: parseFloat(data.input_i),
+            input_tp: parseFloat(data.input_tp),
+            input_lra: parseFloat(data.input_lra),
+            input_thresh: parseFloat(data.input_thresh)
+        };
+
+        // Áudio mudo resulta em -inf
+        if (!Number.isFinite(measured.input_i)) {
+            throw Object.assign(new Error('Áudio sem volume mensurável (silêncio)'), { retryable: false });
+        }
+        return measured;
+    }
+
+    async saveMeasurements(videoId, measured) {
+        await db.execute(
+            `UPDATE videos SET loudness_lufs = ?, loudness_true_peak = ?, loudness_lra = ?, loudness_threshold = ?
+             WHERE id = ?`,
+            [
+                measured.input_i,
+                Number.isFinite(measured.input_tp) ? measured.input_tp : null,
+                Number.isFinite(measured.input_lra) ? measured.input_lra : null,
+                Number.isFinite(measured.input_thresh) ? measured.input_thresh : null,
+                videoId
+            ]
+        );
+    }
+
+    // Mede e grava quando o vídeo ainda não tem medições
+    async ensureMeasurements(serverId, video) {
+        const stored = this.fromRow(video);
+        if (stored) return stored;
+
+        const measured = await this.analyze(serverId, this.resolveRemotePath(video));
+        await this.saveMeasurements(video.id, measured);
+        return measured;
+    }
+
+    // Segunda passagem: com as medições o loudnorm aplica ganho linear, sem compressão dinâmica
+    buildFilter(target, measured) {
+        const params = [`I=${target}`, `TP=${TRUE_PEAK_LIMIT}`, `LRA=${LOUDNESS_RANGE}`];
+        if (measured) {
+            params.push(`measured_I=${measured.input_i}`);
+            if (Number.isFinite(measured.input_tp)) params.push(`measured_TP=${measured.input_tp}`);
+            if (Number.isFinite(measured.input_lra)) params.push(`measured_LRA=${measured.input_lra}`);
+            if (Number.isFinite(measured.input_thresh)) params.push(`measured_thresh=${measured.input_thresh}`);
+            params.push('linear=true');
+        }
+        return `loudnorm=${params.join(':')},aresample=48000`;
+    }
+
+    isNormalized(video, target) {
+        const measured = this.fromRow(video);
+        return Boolean(measured) && Math.abs(measured.input_i - target) <= TOLERANCE_LU &&
+            (!Number.isFinite(measured.input_tp) || measured.input_tp <= TRUE_PEAK_LIMIT + 0.5);
+    }
+
+    async getServerId(userId) {
+        const [serverRows] = await db.execute(
+            'SELECT codigo_servidor FROM streamings WHERE codigo_cliente = ? LIMIT 1',
+            [userId]
+        );
+        return serverRows.length > 0 ? serverRows[0].codigo_servidor : 1;
+    }
+
+    // Enfileira a análise dos vídeos do usuário; retorna um resultado por vídeo
+    async enqueueAnalysis(userId, videoIds, { prioridade } = {}) {
+        const results = [];
+
+        for (const videoId of videoIds) {
+            const [videoRows] = await db.execute(
+                'SELECT id, nome FROM videos WHERE id = ? AND codigo_cliente = ?',
+                [videoId, userId]
+            );
+            if (videoRows.length === 0) {
+                results.push({ video_id: videoId, success: false, error: 'Vídeo não encontrado' });
+                continue;
+            }
+            if (await JobQueueService.hasActive(userId, 'loudness', `${videoId}_analise`)) {
+                results.push({ video_id: videoId, success: false, error: 'Análise já está na fila' });
+                continue;
+            }
+
+            const job = await JobQueueService.enqueue(userId, 'loudness', { modo: 'analise', video_id: videoRows[0].id }, {
+                descricao: `Análise de loudness: ${videoRows[0].nome}`,
+                referencia: `${videoId}_analise`,
+                prioridade
+            });
+            results.push({ video_id: videoRows[0].id, success: true, job_id: job.codigo });
+        }
+
+        return results;
+    }
+
+    // "Normalizar tudo" da playlist: só os vídeos fora do alvo entram na fila.
+    // O áudio é refeito no próprio arquivo (vídeo copiado), então a playlist e o SMIL não mudam.
+    async normalizePlaylist(userId, playlistId, target, { prioridade } = {}) {
+        const [videoRows] = await db.execute(
+            `SELECT id, nome, is_mp4, loudness_lufs, loudness_true_peak, loudness_lra, loudness_threshold
+             FROM videos WHERE playlist_id = ? AND codigo_cliente = ?
+             ORDER BY id`,
+            [playlistId, userId]
+        );
+
+        const results = [];
+        for (const video of videoRows) {
+            if (this.isNormalized(video, target)) {
+                results.push({ video_id: video.id, nome: video.nome, status: 'ja_normalizado' });
+                continue;
+            }
+            if (video.is_mp4 !== 1) {
+                results.push({ video_id: video.id, nome: video.nome, status: 'ignorado', error: 'Converta o vídeo para MP4 antes de normalizar' });
+                continue;
+            }
+            if (await JobQueueService.hasActive(userId, 'loudness', `${video.id}_normalizar`)) {
+                results.push({ video_id: video.id, nome: video.nome, status: 'na_fila' });
+                continue;
+            }
+
+            const job = await JobQueueService.enqueue(userId, 'loudness', {
+                modo: 'normalizar',
+                video_id: video.id,
+                target,
+                playlist_id: playlistId
+            }, {
+                descricao: `Normalização (${target} LUFS): ${video.nome}`,
+                referencia: `${video.id}_normalizar`,
+                prioridade
+            });
+            results.push({ video_id: video.id, nome: video.nome, status: 'enfileirado', job_id: job.codigo });
+        }
+
+        return results;
+    }
+
+    // Executor da tarefa: análise (grava as medições) ou normalização no próprio arquivo
+    async run(job, ctx) {
+        const { modo, video_id } = job.payload;
+
+        const [videoRows] = await db.execute('SELECT * FROM videos WHERE id = ? AND codigo_cliente = ?', [video_id, job.codigo_cliente]);
+        if (videoRows.length === 0) {
+            throw Object.assign(new Error('Vídeo não encontrado'), { retryable: false });
+        }
+
+        const video = videoRows[0];
+        const serverId = await this.getServerId(job.codigo_cliente);
+        const remotePath = this.resolveRemotePath(video);
+
+        if (modo === 'analise') {
+            ctx.progress(0, 'Medindo loudness');
+            const measured = await this.analyze(serverId, remotePath);
+            await this.saveMeasurements(video.id, measured);
+
+            console.log(`🔊 Loudness de ${video.nome}: ${measured.input_i} LUFS, pico ${measured.input_tp} dBTP`);
+            return { video_id: video.id, lufs: measured.input_i, true_peak: measured.input_tp, lra: measured.input_lra };
+        }
+
+        return this.runNormalize(job, ctx, video, serverId, remotePath);
+    }
+
+    async runNormalize(job, ctx, video, serverId, remotePath) {
+        ctx.progress(0, 'Medindo loudness');
+        const measured = await this.ensureMeasurements(serverId, video);
+        ctx.throwIfCancelled();
+
+        // A cópia temporária ocupa o tamanho do original até a troca
+        const reservation = await StorageQuotaService.reserve(job.codigo_cliente, video.pasta, Math.ceil((parseInt(video.tamanho_arquivo) || 0) / (1024 * 1024)), {
+            origem: 'loudness',
+            referencia: job.codigo
+        });
+        try {
+            return await this.replaceAudio(job, ctx, video, serverId, remotePath, measured);
+        } finally {
+            await StorageQuotaService.release(reservation.codigo);
+        }
+    }
+
+    async replaceAudio(job, ctx, video, serverId, remotePath, measured) {
+        const { target } = job.payload;
+        const VideoConversionService = require('./VideoConversionService');
+        const tempPath = `${path.posix.dirname(remotePath)}/.normalizando_${job.codigo}_${path.posix.basename(remotePath)}`;
+        const success = await VideoConversionService.executeFfmpeg(job, ctx, {
+            serverId,
+            args: `-i "${remotePath}" -map 0:v:0? -map 0:a:0 -c:v copy -af ${this.buildFilter(target, measured)} -c:a aac -b:a ${AUDIO_BITRATE}k -movflags +faststart "${tempPath}"`,
+            durationSeconds: parseInt(video.duracao) || 0,
+            mensagem: `Normalizando áudio para ${target} LUFS`
+        });
+
+        if (!success) {
+            await SSHManager.executeCommand(serverId, `rm -f "${tempPath}"; true`).catch(() => { });
+            ctx.throwIfCancelled();
+            throw new Error(`Erro ao normalizar ${video.nome}`);
+        }
+
+        // Troca atômica no mesmo diretório; o mtime novo é gravado para a sincronização SSH não refazer a análise
+        const swap = await SSHManager.executeCommand(serverId,
+            `mv -f "${tempPath}" "${remotePath}" && chmod 644 "${remotePath}" && stat -c "%s %Y" "${remotePath}"`
+        );
+        const [size, mtime] = swap.stdout.trim().split(' ').map(value => parseInt(value));
+
+        await db.execute(
+            'UPDATE videos SET tamanho_arquivo = ?, mtime_arquivo = ? WHERE id = ?',
+            [size || video.tamanho_arquivo, mtime || null, video.id]
+        );
+
+        // Nova medição confirma o resultado e evita normalizar de novo
+        ctx.progress(99, 'Conferindo loudness');
+        const result = await this.analyze(serverId, remotePath);
+        await this.saveMeasurements(video.id, result);
+
+        const deltaMB = Math.ceil((size || 0) / (1024 * 1024)) - Math.ceil((parseInt(video.tamanho_arquivo) || 0) / (1024 * 1024));
+        if (size) {
+            await StorageQuotaService.adjust(video.pasta, deltaMB);
+        }
+
+        console.log(`🔊 Áudio normalizado: ${video.nome} (${measured.input_i} -> ${result.input_i} LUFS)`);
+
+        return {
+            video_id: video.id,
+            lufs_original: measured.input_i,
+            lufs: result.input_i,
+            true_peak: result.input_tp,
+            tamanho: size || null
+        };
+    }
+}
+
+module.exports = new LoudnessService();
@@ -0,0 +1,98 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Driver SMTP (produção) usando nodemailer
+const smtpDriver = {
+    transporter: null,
+
+    async send(message) {
+        if (!this.transporter) {
+            const nodemailer = require('nodemailer');
+            this.transporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER ? {
+                    user: process.env.SMTP_USER,
+                    pass: process.env.SMTP_PASS
+                } : undefined
+            });
+        }
+
+        const info = await this.transporter.sendMail(message);
+        return { id: info.messageId };
+    }
+};
+
+// Driver de arquivo para testes locais: grava cada email em MAIL_FILE_DIR
+const fileDriver = {
+    async send(message) {
+        const dir = process.env.MAIL_FILE_DIR || '/tmp/samcast-mail';
+        await fs.mkdir(dir, { recursive: true });
+
+        const id = `${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+        const filePath = path.join(dir, `${id}.eml`);
+        const content = [
+            `From: ${message.from}`,
+            `To: ${message.to}`,
+            `Subject: ${message.subject}`,
+            `Date: ${new Date().toUTCString()}`,
+            '',
+            message.text
+        ].join('\n');
+
+        await fs.writeFile(filePath, content, 'utf8');
+        console.log(`📧 Email gravado em: ${filePath}`);
+        return { id, path: filePath };
+    }
+};
+
+// Driver de console para desenvolvimento
+const consoleDriver = {
+    async send(message) {
+        console.log(`📧 Email para ${message.to} | ${message.subject}\n${message.text}`);
+        return { id: `console_${Date.now()}` };
+    }
+};
+
+class MailService {
+    constructor() {
+        this.drivers = new Map([
+            ['smtp', smtpDriver],
+            ['file', fileDriver],
+            ['console', consoleDriver]
+        ]);
+        this.from = process.env.MAIL_FROM || 'SamCast <no-reply@samhost.wcore.com.br>';
+    }
+
+    // Permite registrar outros transportes (ex.: API de terceiros)
+    registerDriver(name, driver) {
+        if (!driver || typeof driver.send !== 'function') {
+            throw new Error(`Driver de email inválido: ${name}`);
+        }
+        this.drivers.set(name, driver);
+    }
+
+    getDriver() {
+        const name = process.env.MAIL_DRIVER || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+        const driver = this.drivers.get(name);
+
+        if (!driver) {
+            throw new Error(`Driver de email não encontrado: ${name}`);
+        }
+        return driver;
+    }
+
+    async send({ to, subject, text, html }) {
+        const message = { from: this.from, to, subject, text, html };
+
+        try {
+            return await this.getDriver().send(message);
+        } catch (error) {
+            console.error(`Erro ao enviar email para ${to}:`, error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const db = require('../config/database');
+const SessionService = require('./SessionService');
+const SubUserService = require('./SubUserService');
+
+const PASSWORD_TABLES = {
+    revenda: 'revendas',
+    streaming: 'streamings',
+    subusuario: 'streamings_subusuarios'
+};
+
+class PasswordResetService {
+    constructor() {
+        this.tokenExpiresMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+        this.tableReady = null;
+    }
+
+    async ensureTable() {
+        if (!this.tableReady) {
+            this.tableReady = db.execute(`
+                CREATE TABLE IF NOT EXISTS recuperacao_senha (
+                    codigo INT AUTO_INCREMENT PRIMARY KEY,
+                    tipo_usuario VARCHAR(20) NOT NULL,
+                    codigo_usuario INT NOT NULL,
+                    token_hash CHAR(64) NOT NULL,
+                    ip VARCHAR(45) DEFAULT NULL,
+                    data_criacao DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    expira_em DATETIME NOT NULL,
+                    data_uso DATETIME DEFAULT NULL,
+                    UNIQUE KEY idx_recuperacao_token (token_hash),
+                    KEY idx_recuperacao_usuario (tipo_usuario, codigo_usuario)
+                )
+            `).catch(error => {
+                this.tableReady = null;
+                throw error;
+            });
+        }
+        return this.tableReady;
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Buscar conta pelo email (mesma ordem do login: revendas, streamings, operadores)
+    async findAccountByEmail(email) {
+        const [revendaRows] = await db.execute(
+            'SELECT codigo, nome, email, "revenda" as tipo FROM revendas WHERE email = ? AND status = 1 LIMIT 1',
+            [email]
+        );
+        if (revendaRows.length > 0) return revendaRows[0];
+
+        const [streamingRows] = await db.execute(
+            // Linhas sem senha são pastas do cliente e repetem o email dele
+            `SELECT codigo, identificacao as nome, email, "streaming" as tipo FROM streamings
+             WHERE email = ? AND status = 1 AND senha <> '' LIMIT 1`,
+            [email]
+        );
+        if (streamingRows.length > 0) return streamingRows[0];
+
+        const subUser = await SubUserService.findForLogin(email);
+        return subUser ? { codigo: subUser.codigo, nome: subUser.nome, email: subUser.email, tipo: subUser.tipo } : null;
+    }
+
+    // Gerar token de uso único; tokens anteriores do usuário deixam de valer
+    async createToken(account, ip) {
+        await this.ensureTable();
+
+        await db.execute(
+            `UPDATE recuperacao_senha SET data_uso = NOW()
+             WHERE tipo_usuario = ? AND codigo_usuario = ? AND data_uso IS NULL`,
+            [account.tipo, account.codigo]
+        );
+
+        const token = crypto.randomBytes(32).toString('hex');
+        await db.execute(
+            `INSERT INTO recuperacao_senha (tipo_usuario, codigo_usuario, token_hash, ip, expira_em)
+             VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+            [account.tipo, account.codigo, this.hashToken(token), ip || null, this.tokenExpiresMinutes]
+        );
+
+        return token;
+    }
+
+    // Consumir token e gravar a nova senha
+    async resetPassword(token, newPassword) {
+        await this.ensureTable();
+
+        const [rows] = await db.execute(
+            `SELECT codigo, tipo_usuario, codigo_usuario FROM recuperacao_senha
+             WHERE token_hash = ? AND data_uso IS NULL AND expira_em > NOW()`,
+            [this.hashToken(token)]
+        );
+
+        if (rows.length === 0) {
+            return { success: false, error: 'Token inválido ou expirado' };
+        }
+
+        const reset = rows[0];
+
+        // Marcar como usado antes de alterar a senha para impedir reutilização concorrente
+        const [claim] = await db.execute(
+            'UPDATE recuperacao_senha SET data_uso = NOW() WHERE codigo = ? AND data_uso IS NULL',
+            [reset.codigo]
+        );
+        if (claim.affectedRows === 0) {
+            return { success: false, error: 'Token inválido ou expirado' };
+        }
+
+        const senhaHash = await bcrypt.hash(newPassword, 10);
+        const table = PASSWORD_TABLES[reset.tipo_usuario];
+        await db.execute(
+            `UPDATE ${table} SET senha = ? WHERE codigo = ?`,
+            [senhaHash, reset.codigo_usuario]
+        );
+
+        // Senha trocada: encerrar sessões abertas com a senha antiga
+        await SessionService.revokeAllSessions(reset.tipo_usuario, reset.codigo_usuario, 'troca_senha');
+
+        return { success: true };
+    }
+}
+
+module.exports = new PasswordResetService();
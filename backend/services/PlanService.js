@@ -0,0 +1,231 @@
+const db = require('../config/database');
+const WowzaConfigManager = require('../config/WowzaConfigManager');
+const RevendaService = require('./RevendaService');
+
+class PlanService {
+    async listStreamingPlans() {
+        const [rows] = await db.execute(
+            `SELECT codigo, nome, descricao, espectadores, bitrate, espaco_ftp, preco
+             FROM planos_streaming WHERE ativo = 1 ORDER BY preco, nome`
+        );
+        return rows;
+    }
+
+    async listRevendaPlans() {
+        const [rows] = await db.execute(
+            `SELECT codigo, nome, descricao, subrevendas, streamings, espectadores, bitrate,
+                    espaco_ftp, transmissao_srt, preco
+             FROM planos_revenda WHERE ativo = 1 ORDER BY preco, nome`
+        );
+        return rows;
+    }
+
+    async getStreamingPlan(planId) {
+        const [rows] = await db.execute(
+            'SELECT * FROM planos_streaming WHERE codigo = ? AND ativo = 1',
+            [planId]
+        );
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    async getRevendaPlan(planId) {
+        const [rows] = await db.execute(
+            'SELECT * FROM planos_revenda WHERE codigo = ? AND ativo = 1',
+            [planId]
+        );
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    // Limites do plano no formato das colunas de streamings/revendas
+    streamingLimits(plan) {
+        return {
+            espectadores: plan.espectadores,
+            bitrate: plan.bitrate,
+            espaco: plan.espaco_ftp
+        };
+    }
+
+    classifyChange(current, limits) {
+        const keys = Object.keys(limits);
+        if (keys.every(key => limits[key] === current[key])) return 'igual';
+        if (keys.every(key => limits[key] >= current[key])) return 'upgrade';
+        if (keys.every(key => limits[key] <= current[key])) return 'downgrade';
+        return 'alteracao';
+    }
+
+    // Efeito de trocar o plano de um streaming: vídeos acima do novo bitrate,
+    // espaço ocupado acima da nova cota e cotas da revenda
+    async previewStreamingPlan(revenda, streaming, plan) {
+        const limits = this.streamingLimits(plan);
+        const current = {
+            espectadores: streaming.espectadores,
+            bitrate: streaming.bitrate,
+            espaco: streaming.espaco
+        };
+
+        const [videosAcimaBitrate] = await db.execute(
+            `SELECT id, nome, bitrate_video FROM videos
+             WHERE codigo_cliente = ? AND bitrate_video > ?
+             ORDER BY bitrate_video DESC`,
+            [streaming.codigo, limits.bitrate]
+        );
+
+        const [usageRows] = await db.execute(
+            'SELECT COALESCE(SUM(tamanho_arquivo), 0) as total FROM videos WHERE codigo_cliente = ?',
+            [streaming.codigo]
+        );
+        const espacoUsadoMB = Math.ceil(Number(usageRows[0].total) / (1024 * 1024));
+
+        const bloqueios = [];
+        const quotaError = await RevendaService.checkQuota(revenda, limits, streaming.codigo);
+        if (quotaError) {
+            bloqueios.push(quotaError);
+        }
+        if (espacoUsadoMB > limits.espaco) {
+            bloqueios.push(`Espaço usado (${espacoUsadoMB} MB) excede o espaço do plano (${limits.espaco} MB)`);
+        }
+
+        const avisos = [];
+        if (videosAcimaBitrate.length > 0) {
+            avisos.push(`${videosAcimaBitrate.length} vídeo(s) acima de ${limits.bitrate} kbps precisarão ser convertidos`);
+        }
+
+        return {
+            plano: { codigo: plan.codigo, nome: plan.nome },
+            tipo: this.classifyChange(current, limits),
+            atual: current,
+            novo: limits,
+            espaco_usado_mb: espacoUsadoMB,
+            videos_acima_bitrate: videosAcimaBitrate,
+            cota_revenda_excedida: !!quotaError,
+            avisos,
+            bloqueios,
+            pode_aplicar: bloqueios.length === 0
+        };
+    }
+
+    // Aplicar plano ao streaming e regenerar Application.xml e .ftpquota
+    async applyStreamingPlan(revenda, streaming, plan, force = false) {
+        const preview = await this.previewStreamingPlan(revenda, streaming, plan);
+
+        // A cota da revenda nunca pode ser ultrapassada; espaço excedido pode ser forçado
+        if (preview.cota_revenda_excedida || (!preview.pode_aplicar && !force)) {
+            return { success: false, error: preview.bloqueios[0], preview };
+        }
+
+        await db.execute(
+            'UPDATE streamings SET plano_id = ?, espectadores = ?, bitrate = ?, espaco = ? WHERE codigo = ?',
+            [plan.codigo, preview.novo.espectadores, preview.novo.bitrate, preview.novo.espaco, streaming.codigo]
+        );
+
+        const wowzaConfig = await WowzaConfigManager.updateUserConfig(streaming.codigo_servidor, streaming.usuario, {
+            bitrate: preview.novo.bitrate,
+            espectadores: preview.novo.espectadores
+        });
+        if (!wowzaConfig.success) {
+            console.warn(`Erro ao regenerar Application.xml de ${streaming.usuario}:`, wowzaConfig.error);
+        }
+
+        try {
+            await WowzaConfigManager.createFTPQuota(streaming.codigo_servidor, streaming.usuario, preview.novo.espaco);
+        } catch (error) {
+            console.warn(`Erro ao regenerar .ftpquota de ${streaming.usuario}:`, error.message);
+        }
+
+        await RevendaService.syncUsage(revenda.codigo);
+
+        console.log(`📦 Plano ${plan.nome} aplicado ao streaming ${streaming.usuario} (${preview.tipo})`);
+        return {
+            success: true,
+            preview,
+            wowza_atualizado: wowzaConfig.success
+        };
+    }
+
+    // Efeito de trocar o plano da revenda sobre os clientes já criados; com parent (revenda que
+    // atribui o plano) os limites do plano não podem passar dos da própria revenda
+    async previewRevendaPlan(revenda, plan, parent = null) {
+        const limits = {
+            streamings: plan.streamings,
+            espectadores: plan.espectadores,
+            bitrate: plan.bitrate,
+            espaco: plan.espaco_ftp
+        };
+        const current = {
+            streamings: revenda.streamings,
+            espectadores: revenda.espectadores,
+            bitrate: revenda.bitrate,
+            espaco: revenda.espaco
+        };
+
+        const usage = await RevendaService.getUsage(revenda.codigo);
+        const streamings = await RevendaService.listStreamings(revenda.codigo);
+        const streamingsAcimaBitrate = streamings
+            .filter(streaming => streaming.bitrate > limits.bitrate)
+            .map(streaming => ({ codigo: streaming.codigo, usuario: streaming.usuario, bitrate: streaming.bitrate }));
+
+        const bloqueios = [];
+        if (usage.streamings > limits.streamings) {
+            bloqueios.push(`A revenda possui ${usage.streamings} streamings e o plano permite ${limits.streamings}`);
+        }
+        if (usage.espectadores > limits.espectadores) {
+            bloqueios.push(`Espectadores distribuídos (${usage.espectadores}) excedem o plano (${limits.espectadores})`);
+        }
+        if (usage.espaco > limits.espaco) {
+            bloqueios.push(`Espaço distribuído (${usage.espaco} MB) excede o plano (${limits.espaco} MB)`);
+        }
+        if (streamingsAcimaBitrate.length > 0) {
+            bloqueios.push(`${streamingsAcimaBitrate.length} streaming(s) com bitrate acima de ${limits.bitrate} kbps`);
+        }
+        if (parent) {
+            for (const key of ['streamings', 'espectadores', 'bitrate', 'espaco']) {
+                if (limits[key] > parent[key]) {
+                    bloqueios.push(`O plano excede o limite de ${key} da sua revenda (${parent[key]})`);
+                }
+            }
+        }
+
+        return {
+            plano: { codigo: plan.codigo, nome: plan.nome },
+            tipo: this.classifyChange(current, limits),
+            atual: current,
+            novo: { ...limits, subrevendas: plan.subrevendas },
+            uso: usage,
+            streamings_acima_bitrate: streamingsAcimaBitrate,
+            bloqueios,
+            pode_aplicar: bloqueios.length === 0
+        };
+    }
+
+    // Só a revenda superior aplica o plano de uma sub-revenda: a própria revenda não troca o seu
+    async applyRevendaPlan(revenda, plan, parent) {
+        if (!parent || parent.codigo === revenda.codigo) {
+            throw Object.assign(new Error('A revenda não pode alterar o próprio plano'), { status: 403 });
+        }
+
+        const preview = await this.previewRevendaPlan(revenda, plan, parent);
+        if (!preview.pode_aplicar) {
+            return { success: false, error: preview.bloqueios[0], preview };
+        }
+
+        await db.execute(
+            `UPDATE revendas SET plano_id = ?, streamings = ?, espectadores = ?, bitrate = ?,
+                    espaco = ?, subrevendas = ?
+             WHERE codigo = ?`,
+            [
+                plan.codigo,
+                preview.novo.streamings,
+                preview.novo.espectadores,
+                preview.novo.bitrate,
+                preview.novo.espaco,
+                preview.novo.subrevendas,
+                revenda.codigo
+            ]
+        );
+
+        console.log(`📦 Plano ${plan.nome} aplicado à revenda ${revenda.codigo} (${preview.tipo})`);
+        return { success: true, preview };
+    }
+}
+
+module.exports = new PlanService();
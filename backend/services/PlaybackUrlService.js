@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const SessionService = require('./SessionService');
+
+const DEFAULT_TTL_SECONDS = 3 * 60 * 60;
+const MAX_TTL_SECONDS = 24 * 60 * 60;
+
+// Caminhos que aceitam URL assinada no lugar do token de sessão
+const SIGNABLE_PATHS = [/^\/content\//, /^\/api\/videos-ssh\/(proxy-)?stream\/[^/]+$/];
+
+// URLs de reprodução assinadas com HMAC: valem para um único caminho, até a
+// expiração e, opcionalmente, para um único IP. O token de login nunca vai na URL.
+class PlaybackUrlService {
+    constructor() {
+        this.secret = process.env.PLAYBACK_URL_SECRET ||
+            process.env.JWT_SECRET ||
+            'sua_chave_secreta_super_segura_aqui';
+        this.defaultTtl = parseInt(process.env.PLAYBACK_URL_TTL) || DEFAULT_TTL_SECONDS;
+        this.maxTtl = MAX_TTL_SECONDS;
+    }
+
+    // Caminho sem query string e decodificado, igual na emissão e na verificação
+    normalizePath(url) {
+        const pathOnly = String(url || '').split('?')[0].split('#')[0];
+        try {
+            return decodeURIComponent(pathOnly);
+        } catch (error) {
+            return pathOnly;
+        }
+    }
+
+    isSignable(path) {
+        return SIGNABLE_PATHS.some(pattern => pattern.test(path));
+    }
+
+    isSignedRequest(req) {
+        return Boolean(req.query && req.query.sig);
+    }
+
+    computeSignature(path, expires, ip, sessionId) {
+        return crypto
+            .createHmac('sha256', this.secret)
+            .update([path, expires, ip || '', sessionId || ''].join('\n'))
+            .digest('hex');
+    }
+
+    // Gera a URL assinada; sessionId faz a URL cair junto com a sessão (logout)
+    sign(url, { ttl, ip, sessionId } = {}) {
+        const path = this.normalizePath(url);
+        const seconds = Math.min(Math.max(parseInt(ttl) || this.defaultTtl, 60), this.maxTtl);
+        const expires = Math.floor(Date.now() / 1000) + seconds;
+
+        const params = new URLSearchParams({ exp: String(expires) });
+        if (ip) params.set('ip', '1');
+        if (sessionId) params.set('sid', String(sessionId));
+        params.set('sig', this.computeSignature(path, expires, ip, sessionId));
+
+        const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+        return { url: `${encodedPath}?${params.toString()}`, expires_at: new Date(expires * 1000) };
+    }
+
+    // Retorna null quando válida ou { status, error } para responder
+    async verify(req) {
+        const { exp, sig, sid } = req.query;
+        const expires = parseInt(exp);
+
+        if (!expires || !/^[a-f0-9]{64}$/.test(String(sig))) {
+            return { status: 401, error: 'URL assinada inválida' };
+        }
+        if (expires < Math.floor(Date.now() / 1000)) {
+            return { status: 401, error: 'URL de reprodução expirada', expired: true };
+        }
+
+        const path = this.normalizePath(req.originalUrl);
+        const ip = req.query.ip === '1' ? req.ip : null;
+        const expected = this.computeSignature(path, expires, ip, sid);
+
+        if (!crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(String(sig), 'hex'))) {
+            return { status: 403, error: 'Assinatura inválida para este caminho ou IP' };
+        }
+
+        if (sid && !(await SessionService.isSessionActive(sid))) {
+            return { status: 401, error: 'Sessão encerrada', revoked: true };
+        }
+
+        return null;
+    }
+}
+
+module.exports = new PlaybackUrlService();
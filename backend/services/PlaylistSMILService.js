@@ -1,6 +1,9 @@
 const SSHManager = require('../config/SSHManager');
 const WowzaConfigManager = require('../config/WowzaConfigManager');
 const db = require('../config/database');
+const ScheduleRecurrenceService = require('./ScheduleRecurrenceService');
+const CommercialService = require('./CommercialService');
+const AsRunService = require('./AsRunService');
 
 class PlaylistSMILService {
     constructor() {
@@ -14,6 +17,8 @@ class PlaylistSMILService {
 {{PLAYLISTS_CONTENT}}
 </body>
 </smil>`;
+        this.refreshTimer = null;
+        this.refreshIntervalHours = parseInt(process.env.AGENDAMENTO_SMIL_ATUALIZAR_HORAS) || 6;
     }
 
     // Gerar arquivo SMIL para um usuário específico
@@ -37,22 +42,8 @@ class PlaylistSMILService {
                 [userId]
             );
 
-            // Buscar agendamentos ativos do usuário
-            const [agendamentoRows] = await db.execute(
-                `SELECT 
-                    pa.codigo_playlist,
-                    pa.data,
-                    pa.hora,
-                    pa.minuto,
-                    pa.shuffle,
-                    pa.frequencia,
-                    p.nome as playlist_nome
-                 FROM playlists_agendamentos pa
-                 JOIN playlists p ON pa.codigo_playlist = p.id
-                 WHERE pa.codigo_stm = ? AND pa.data >= CURDATE()
-                 ORDER BY pa.data, pa.hora, pa.minuto`,
-                [userId]
-            );
+            // Ocorrências dos agendamentos (regras recorrentes expandidas) na janela atual
+            const { timeZone, occurrences } = await ScheduleRecurrenceService.upcoming(userId);
             if (playlistRows.length === 0) {
                 console.log(`⚠️ Usuário ${userLogin} não possui playlists`);
                 // Criar arquivo SMIL vazio mesmo sem playlists
@@ -61,6 +52,7 @@ class PlaylistSMILService {
                 
                 try {
                     await this.saveSMILToServer(serverId, userLogin, emptySmilContent, smilPath);
+                    this.recordAsRun(userId, userLogin, []);
                 } catch (smilError) {
                     console.warn('Aviso: Não foi possível criar arquivo SMIL:', smilError.message);
                     // Continuar sem falhar
@@ -76,13 +68,15 @@ class PlaylistSMILService {
             }
 
             // Gerar conteúdo SMIL baseado no formato do exemplo
-            let smilContent = this.generateSMILFromTemplate(userLogin, playlistRows, agendamentoRows, userId);
+            const asRun = [];
+            let smilContent = await this.generateSMILFromTemplate(userLogin, playlistRows, occurrences, userId, timeZone, asRun);
 
             // Salvar arquivo no servidor
             const smilPath = `/home/streaming/${userLogin}/playlists_agendamentos.smil`;
             
             try {
                 await this.saveSMILToServer(serverId, userLogin, smilContent, smilPath);
+                this.recordAsRun(userId, userLogin, asRun);
             } catch (smilError) {
                 console.warn('Aviso: Não foi possível salvar arquivo SMIL:', smilError.message);
                 // Continuar sem falhar
@@ -93,7 +87,7 @@ class PlaylistSMILService {
                 success: true, 
                 smil_path: smilPath,
                 playlists_count: playlistRows.length,
-                agendamentos_count: agendamentoRows.length,
+                agendamentos_count: occurrences.length,
                 total_videos: smilContent.split('<video').length - 1
             };
 
@@ -111,7 +105,7 @@ class PlaylistSMILService {
     }
 
     // Gerar SMIL baseado no formato do exemplo fornecido
-    async generateSMILFromTemplate(userLogin, playlists, agendamentos, userId) {
+    async generateSMILFromTemplate(userLogin, playlists, occurrences, userId, timeZone, asRun = null) {
         try {
             let smilContent = `<?xml version="1.0" encoding="UTF-8"?>
 <smil title="${userLogin}">
@@ -121,42 +115,130 @@ class PlaylistSMILService {
 
 `;
 
-            // Processar agendamentos para gerar playlists no formato correto
-            for (const agendamento of agendamentos) {
-                const playlistName = agendamento.playlist_nome.toLowerCase().replace(/[^a-z0-9]/g, '');
-                const scheduledDateTime = `${agendamento.data} ${agendamento.hora.toString().padStart(2, '0')}:${agendamento.minuto.toString().padStart(2, '0')}:00`;
-                const repeat = agendamento.shuffle === 'sim' ? 'true' : 'true'; // Sempre true por padrão
-                
-                smilContent += `<playlist name="${playlistName}" playOnStream="${userLogin}" repeat="${repeat}" scheduled="${scheduledDateTime}">\n`;
-                
-                // Buscar vídeos da playlist
+            smilContent += await this.buildScheduledPlaylists(userLogin, userId, occurrences, timeZone, asRun);
+
+            smilContent += `</body>
+</smil>`;
+
+            return smilContent;
+        } catch (error) {
+            console.error('Erro ao gerar SMIL do template:', error);
+            return this.generateEmptySMIL(userLogin);
+        }
+    }
+
+    // Um <playlist scheduled=...> por ocorrência; o nome leva data e hora para não se repetir.
+    // Com shuffle a ordem dos vídeos vem da semente da ocorrência. Com finalização por playlist a
+    // principal toca uma vez (repeat="false") e a de finalização entra agendada no fim dela,
+    // repetindo até a próxima ocorrência; sem duração conhecida a principal continua em loop.
+    // Comerciais de comerciais_config entram a cada intervalo_videos vídeos. Os itens planejados
+    // vão para asRun, que o chamador entrega ao AsRunService depois de salvar o arquivo.
+    async buildScheduledPlaylists(userLogin, userId, occurrences, timeZone, asRun = null) {
+        const videosByPlaylist = new Map();
+        let content = '';
+
+        const loadVideos = async (playlistId) => {
+            if (!videosByPlaylist.has(playlistId)) {
                 const [videoRows] = await db.execute(
-                    `SELECT v.nome, v.url, v.caminho, v.duracao 
+                    `SELECT v.id, v.nome, v.url, v.caminho, v.duracao 
                      FROM videos v 
                      WHERE v.playlist_id = ? AND v.codigo_cliente = ?
                      ORDER BY v.id`,
-                    [agendamento.codigo_playlist, userId]
+                    [playlistId, userId]
                 );
+                videosByPlaylist.set(playlistId, videoRows);
+            }
+            return videosByPlaylist.get(playlistId);
+        };
 
-                // Adicionar vídeos no formato correto
-                for (const video of videoRows) {
-                    const videoPath = this.buildVideoPathForSMIL(video, userLogin);
-                    const duration = video.duracao || -1;
-                    
-                    smilContent += `<video length="${duration}" src="mp4:${videoPath}" start="0"></video>\n`;
-                }
-                
-                smilContent += `</playlist>\n\n`;
+        const renderPlaylist = (name, scheduledDateTime, repeat, videos) => {
+            let playlist = `<playlist name="${name}" playOnStream="${userLogin}" repeat="${repeat}" scheduled="${scheduledDateTime}">\n`;
+            for (const video of videos) {
+                const videoPath = this.buildVideoPathForSMIL(video, userLogin);
+                const duration = video.duracao || -1;
+
+                playlist += `<video length="${duration}" src="mp4:${videoPath}" start="0"></video>\n`;
             }
+            return playlist + `</playlist>\n\n`;
+        };
 
-            smilContent += `</body>
-</smil>`;
+        const playlistName = (nome, scheduledDateTime) =>
+            `${String(nome || '').toLowerCase().replace(/[^a-z0-9]/g, '')}_${scheduledDateTime.replace(/\D/g, '').substring(0, 12)}`;
 
-            return smilContent;
-        } catch (error) {
-            console.error('Erro ao gerar SMIL do template:', error);
-            return this.generateEmptySMIL(userLogin);
+        const commercialConfigs = await CommercialService.loadConfigs(userId);
+        const commercialOffsets = new Map();
+        const windowEnd = new Date(Date.now() + ScheduleRecurrenceService.windowDays * 24 * 60 * 60 * 1000);
+        // A programação acompanhada pelo as-run é refeita a cada atualização do SMIL; basta cobrir duas atualizações
+        const asRunEnd = new Date(Date.now() + this.refreshIntervalHours * 2 * 60 * 60 * 1000);
+
+        // Intercala os comerciais da playlist (se houver configuração), continuando o rodízio
+        const withCommercials = async (playlistId, videos) => {
+            const entry = commercialConfigs.get(parseInt(playlistId));
+            if (!entry) return videos;
+
+            if (!commercialOffsets.has(entry.config.codigo)) {
+                commercialOffsets.set(entry.config.codigo, await CommercialService.nextOffset(entry));
+            }
+            const { items, offset } = CommercialService.weave(videos, entry, { offset: commercialOffsets.get(entry.config.codigo) });
+            commercialOffsets.set(entry.config.codigo, offset);
+            return items;
+        };
+
+        const planAsRun = (items, start, until, playlistId, occurrence, tipo) => {
+            if (!asRun || start >= asRunEnd) return;
+            const planned = AsRunService.plan(items, {
+                start,
+                until: until < asRunEnd ? until : asRunEnd,
+                playlistId,
+                agendamentoId: occurrence.agendamento_id,
+                tipo
+            });
+            asRun.push(...planned.map(item => ({ ...item, referencia: String(occurrence.agendamento_id) })));
+        };
+
+        for (let i = 0; i < occurrences.length; i++) {
+            const occurrence = occurrences[i];
+            const next = occurrences[i + 1];
+            const start = new Date(occurrence.inicio);
+            const nextStart = next ? new Date(next.inicio) : windowEnd;
+            const scheduledDateTime = ScheduleRecurrenceService.formatScheduled(occurrence, timeZone);
+
+            let videos = await loadVideos(occurrence.codigo_playlist);
+            if (occurrence.shuffle) {
+                videos = ScheduleRecurrenceService.seededShuffle(videos, occurrence.seed);
+            }
+            videos = await withCommercials(occurrence.codigo_playlist, videos);
+
+            // Fim da principal (com os comerciais): só conhecido quando todos os vídeos têm duração
+            const totalDuration = videos.every(video => video.duracao > 0)
+                ? videos.reduce((sum, video) => sum + video.duracao, 0)
+                : 0;
+            const end = new Date(start.getTime() + totalDuration * 1000);
+            const fallbackVideos = occurrence.finalizacao === 'playlist' &&
+                occurrence.codigo_playlist_finalizacao &&
+                totalDuration > 0 &&
+                end < nextStart
+                ? await loadVideos(occurrence.codigo_playlist_finalizacao)
+                : [];
+            const useFallback = fallbackVideos.length > 0;
+
+            content += renderPlaylist(playlistName(occurrence.playlist_nome, scheduledDateTime), scheduledDateTime, useFallback ? 'false' : 'true', videos);
+            planAsRun(videos, start, useFallback ? end : nextStart, occurrence.codigo_playlist, occurrence, 'conteudo');
+
+            if (useFallback) {
+                const fallbackDateTime = ScheduleRecurrenceService.formatScheduled({ inicio: end.toISOString() }, timeZone);
+                const fallbackItems = await withCommercials(occurrence.codigo_playlist_finalizacao, fallbackVideos);
+                content += renderPlaylist(`${playlistName(occurrence.playlist_finalizacao_nome, fallbackDateTime)}_fim`, fallbackDateTime, 'true', fallbackItems);
+                planAsRun(fallbackItems, end, nextStart, occurrence.codigo_playlist_finalizacao, occurrence, 'finalizacao');
+            }
         }
+
+        return content;
+    }
+
+    // Programação do SMIL salvo para o as-run; os itens só são gravados quando o stream está no ar
+    recordAsRun(userId, userLogin, entries) {
+        AsRunService.track(userId, 'agendamento', null, userLogin, entries);
     }
 
     // Gerar SMIL vazio
@@ -176,22 +258,7 @@ class PlaylistSMILService {
         try {
             console.log(`📄 Gerando SMIL de agendamentos para usuário: ${userLogin}`);
 
-            // Buscar agendamentos ativos do usuário
-            const [agendamentoRows] = await db.execute(
-                `SELECT 
-                    pa.codigo_playlist,
-                    pa.data,
-                    pa.hora,
-                    pa.minuto,
-                    pa.shuffle,
-                    pa.frequencia,
-                    p.nome as playlist_nome
-                 FROM playlists_agendamentos pa
-                 JOIN playlists p ON pa.codigo_playlist = p.id
-                 WHERE pa.codigo_stm = ? AND pa.data >= CURDATE()
-                 ORDER BY pa.data, pa.hora, pa.minuto`,
-                [userId]
-            );
+            const { timeZone, occurrences } = await ScheduleRecurrenceService.upcoming(userId);
 
             let smilContent = `<?xml version="1.0" encoding="UTF-8"?>
 <smil title="${userLogin}">
@@ -201,33 +268,8 @@ class PlaylistSMILService {
 
 `;
 
-            // Processar cada agendamento
-            for (const agendamento of agendamentoRows) {
-                const playlistName = agendamento.playlist_nome.toLowerCase().replace(/[^a-z0-9]/g, '');
-                const scheduledDateTime = `${agendamento.data} ${agendamento.hora.toString().padStart(2, '0')}:${agendamento.minuto.toString().padStart(2, '0')}:00`;
-                const repeat = 'true'; // Sempre true conforme exemplo
-                
-                smilContent += `<playlist name="${playlistName}" playOnStream="${userLogin}" repeat="${repeat}" scheduled="${scheduledDateTime}">\n`;
-                
-                // Buscar vídeos da playlist
-                const [videoRows] = await db.execute(
-                    `SELECT v.nome, v.url, v.caminho, v.duracao 
-                     FROM videos v 
-                     WHERE v.playlist_id = ? AND v.codigo_cliente = ?
-                     ORDER BY v.id`,
-                    [agendamento.codigo_playlist, userId]
-                );
-
-                // Adicionar vídeos no formato do exemplo
-                for (const video of videoRows) {
-                    const videoPath = this.buildVideoPathForSMIL(video, userLogin);
-                    const duration = video.duracao || -1;
-                    
-                    smilContent += `<video length="${duration}" src="mp4:${videoPath}" start="0"></video>\n`;
-                }
-                
-                smilContent += `</playlist>\n\n`;
-            }
+            const asRun = [];
+            smilContent += await this.buildScheduledPlaylists(userLogin, userId, occurrences, timeZone, asRun);
 
             smilContent += `</body>
 </smil>`;
@@ -235,12 +277,13 @@ class PlaylistSMILService {
             // Salvar arquivo no servidor
             const smilPath = `/home/streaming/${userLogin}/playlists_agendamentos.smil`;
             await this.saveSMILToServer(serverId, userLogin, smilContent, smilPath);
+            this.recordAsRun(userId, userLogin, asRun);
 
             console.log(`✅ Arquivo SMIL de agendamentos gerado: ${smilPath}`);
             return { 
                 success: true, 
                 smil_path: smilPath,
-                agendamentos_count: agendamentoRows.length,
+                agendamentos_count: occurrences.length,
                 total_videos: smilContent.split('<video').length - 1
             };
 
@@ -299,14 +342,7 @@ class PlaylistSMILService {
         try {
             const SSHManager = require('../config/SSHManager');
             
-            // Verificar se arquivo já existe
-            const fileExists = await SSHManager.getFileInfo(serverId, smilPath);
-            if (fileExists.exists) {
-                console.log(`📄 Arquivo SMIL já existe: ${smilPath}`);
-                return { success: true, path: smilPath };
-            }
-
-            // Criar arquivo temporário local
+            // Criar arquivo temporário local (o SMIL existente é sobrescrito: a janela de agendamentos muda a cada geração)
             const tempFile = `/tmp/playlists_agendamentos_${userLogin}_${Date.now()}.smil`;
             const fs = require('fs').promises;
             await fs.writeFile(tempFile, smilContent, 'utf8');
@@ -386,6 +422,45 @@ class PlaylistSMILService {
             .replace(/'/g, '&#39;');
     }
 
+    // A janela de agendamentos anda com o tempo: o SMIL de quem tem agendamentos recorrentes
+    // ou futuros é refeito periodicamente
+    startScheduleRefresh() {
+        if (this.refreshTimer) return;
+
+        // Também na subida do servidor: a programação acompanhada pelo as-run fica só em memória
+        this.refreshScheduledSMIL().catch(error => {
+            console.error('Erro ao atualizar SMIL de agendamentos:', error.message);
+        });
+
+        this.refreshTimer = setInterval(() => {
+            this.refreshScheduledSMIL().catch(error => {
+                console.error('Erro ao atualizar SMIL de agendamentos:', error.message);
+            });
+        }, this.refreshIntervalHours * 60 * 60 * 1000);
+    }
+
+    async refreshScheduledSMIL() {
+        const [userRows] = await db.execute(
+            `SELECT DISTINCT codigo_stm as user_id
+             FROM playlists_agendamentos
+             WHERE frequencia IN (1, 2) OR data >= DATE_SUB(CURDATE(), INTERVAL 1 DAY)`
+        );
+
+        for (const { user_id: userId } of userRows) {
+            const [streamingRows] = await db.execute(
+                'SELECT email, codigo_servidor FROM streamings WHERE codigo_cliente = ? AND email IS NOT NULL LIMIT 1',
+                [userId]
+            );
+            if (streamingRows.length === 0) continue;
+
+            const userLogin = streamingRows[0].email.split('@')[0];
+            await this.generateUserSMIL(userId, userLogin, streamingRows[0].codigo_servidor || 1);
+        }
+
+        console.log(`🗓️ SMIL de agendamentos atualizado para ${userRows.length} usuário(s)`);
+        return userRows.length;
+    }
+
     // Gerar SMIL para todos os usuários (manutenção)
     async generateAllUsersSMIL() {
         try {
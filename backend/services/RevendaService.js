@@ -0,0 +1,177 @@
+const db = require('../config/database');
+const SubUserService = require('./SubUserService');
+
+// Linhas de streamings sem senha são pastas, não contas de clientes
+const CLIENT_STREAMINGS = "codigo_cliente = ? AND senha <> ''";
+
+class RevendaService {
+    constructor() {
+        // Valores usados quando a revenda ainda não configurou o cadastro
+        this.defaultConfiguracoes = {
+            permitir_cadastro: false,
+            cadastro_espectadores: 100,
+            cadastro_bitrate: 2500,
+            cadastro_espaco: 1000,
+            exigir_2fa: false
+        };
+    }
+
+    async getRevenda(revendaId) {
+        const [rows] = await db.execute(
+            `SELECT codigo, nome, email, streamings, espectadores, bitrate, espaco,
+                    codigo_wowza_servidor, configuracoes, status, plano_id
+             FROM revendas WHERE codigo = ?`,
+            [revendaId]
+        );
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    // Sub-revenda criada pela revenda; nunca a própria revenda
+    async getSubRevenda(revendaId, subRevendaId) {
+        const [rows] = await db.execute(
+            `SELECT codigo, nome, email, streamings, espectadores, bitrate, espaco,
+                    codigo_wowza_servidor, configuracoes, status, plano_id
+             FROM revendas WHERE codigo = ? AND codigo_revenda = ? AND codigo <> ?`,
+            [subRevendaId, revendaId, revendaId]
+        );
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    parseConfiguracoes(raw) {
+        let configuracoes = {};
+        try {
+            configuracoes = raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            console.error('Erro ao parsear configurações da revenda:', error);
+        }
+        return { ...this.defaultConfiguracoes, ...configuracoes };
+    }
+
+    async getConfiguracoes(revendaId) {
+        const revenda = await this.getRevenda(revendaId);
+        return revenda ? this.parseConfiguracoes(revenda.configuracoes) : null;
+    }
+
+    // Mesclar alterações no JSON de configurações preservando as demais chaves
+    async updateConfiguracoes(revendaId, changes) {
+        const revenda = await this.getRevenda(revendaId);
+        if (!revenda) return null;
+
+        let stored = {};
+        try {
+            stored = revenda.configuracoes ? JSON.parse(revenda.configuracoes) : {};
+        } catch (error) {
+            console.error('Erro ao parsear configurações da revenda:', error);
+        }
+
+        const updated = { ...stored, ...changes };
+        await db.execute(
+            'UPDATE revendas SET configuracoes = ? WHERE codigo = ?',
+            [JSON.stringify(updated), revendaId]
+        );
+
+        return { ...this.defaultConfiguracoes, ...updated };
+    }
+
+    async listStreamings(revendaId) {
+        const [rows] = await db.execute(
+            `SELECT codigo, codigo_servidor, usuario, identificacao, email, espectadores,
+                    bitrate, espaco, espaco_usado, data_cadastro, status, plano_id
+             FROM streamings WHERE ${CLIENT_STREAMINGS}
+             ORDER BY identificacao`,
+            [revendaId]
+        );
+        return rows;
+    }
+
+    async getStreaming(revendaId, streamingId) {
+        const [rows] = await db.execute(
+            `SELECT codigo, codigo_servidor, usuario, identificacao, email, espectadores,
+                    bitrate, espaco, espaco_usado, data_cadastro, status, plano_id
+             FROM streamings WHERE codigo = ? AND ${CLIENT_STREAMINGS}`,
+            [streamingId, revendaId]
+        );
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    // Recursos já distribuídos aos clientes (opcionalmente ignorando um streaming em edição)
+    async getUsage(revendaId, excludeStreamingId = null) {
+        const [rows] = await db.execute(
+            `SELECT COUNT(*) as streamings,
+                    COALESCE(SUM(espectadores), 0) as espectadores,
+                    COALESCE(SUM(espaco), 0) as espaco
+             FROM streamings WHERE ${CLIENT_STREAMINGS} AND codigo <> ?`,
+            [revendaId, excludeStreamingId || 0]
+        );
+        return {
+            streamings: Number(rows[0].streamings),
+            espectadores: Number(rows[0].espectadores),
+            espaco: Number(rows[0].espaco)
+        };
+    }
+
+    // Validar limites do streaming contra as cotas da revenda.
+    // Espectadores e espaço são somados entre os clientes; bitrate é o máximo por streaming.
+    async checkQuota(revenda, limits, excludeStreamingId = null) {
+        const usage = await this.getUsage(revenda.codigo, excludeStreamingId);
+
+        if (!excludeStreamingId && usage.streamings >= revenda.streamings) {
+            return `Limite de streamings da revenda atingido (${revenda.streamings})`;
+        }
+        if (usage.espectadores + limits.espectadores > revenda.espectadores) {
+            return `Limite de espectadores excedido. Disponível: ${Math.max(revenda.espectadores - usage.espectadores, 0)}`;
+        }
+        if (limits.bitrate > revenda.bitrate) {
+            return `Bitrate máximo permitido: ${revenda.bitrate} kbps`;
+        }
+        if (usage.espaco + limits.espaco > revenda.espaco) {
+            return `Limite de espaço excedido. Disponível: ${Math.max(revenda.espaco - usage.espaco, 0)} MB`;
+        }
+        return null;
+    }
+
+    // Manter os contadores de uso da revenda em dia
+    async syncUsage(revendaId) {
+        const usage = await this.getUsage(revendaId);
+        await db.execute(
+            `UPDATE revendas SET streamings_usadas = ?, espectadores_usados = ?, espaco_usado = ?
+             WHERE codigo = ?`,
+            [usage.streamings, usage.espectadores, usage.espaco, revendaId]
+        );
+        return usage;
+    }
+
+    // Servidor da revenda ou o servidor ativo menos carregado
+    async resolveServerId(revenda) {
+        if (revenda.codigo_wowza_servidor) {
+            return revenda.codigo_wowza_servidor;
+        }
+
+        const [bestServerRows] = await db.execute(
+            `SELECT codigo FROM wowza_servers
+             WHERE status = 'ativo'
+             ORDER BY streamings_ativas ASC, load_cpu ASC
+             LIMIT 1`
+        );
+        return bestServerRows.length > 0 ? bestServerRows[0].codigo : 1;
+    }
+
+    async isUsuarioTaken(usuario, email) {
+        const [streamingRows] = await db.execute(
+            'SELECT codigo FROM streamings WHERE usuario = ? OR email = ? LIMIT 1',
+            [usuario, email]
+        );
+        if (streamingRows.length > 0) return true;
+
+        const [revendaRows] = await db.execute(
+            'SELECT codigo FROM revendas WHERE usuario = ? OR email = ? LIMIT 1',
+            [usuario, email]
+        );
+        if (revendaRows.length > 0) return true;
+
+        // Operadores também entram pelo email
+        return SubUserService.isEmailTaken(email);
+    }
+}
+
+module.exports = new RevendaService();
@@ -0,0 +1,461 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PREVIEW_DAYS = 62;
+const MAX_CONFLICT_DAYS = 366;
+
+// playlists_agendamentos.frequencia
+const FREQUENCIAS = { 1: 'diariamente', 2: 'dias_da_semana', 3: 'uma_vez' };
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Expande as regras de playlists_agendamentos (diariamente, dias da semana, uma vez) em
+// ocorrências concretas numa janela de datas. Data, hora e minuto da regra são horário
+// local do fuso da streaming (streamings.timezone); "dias" usa 0 = domingo ... 6 = sábado.
+class ScheduleRecurrenceService {
+    constructor() {
+        this.windowDays = parseInt(process.env.AGENDAMENTO_JANELA_DIAS) || 7;
+        // Fuso em que o Wowza lê o "scheduled" do SMIL; sem ele vale o fuso da própria streaming
+        this.serverTimeZone = process.env.WOWZA_TIMEZONE || null;
+        this.maxPreviewDays = MAX_PREVIEW_DAYS;
+    }
+
+    isValidTimeZone(timeZone) {
+        if (!timeZone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Fuso da própria streaming (codigo_cliente aponta para revendas ou para a dona de pastas)
+    async getTimeZone(userId) {
+        const [rows] = await db.execute(
+            'SELECT timezone FROM streamings WHERE codigo = ?',
+            [userId]
+        );
+        const timeZone = rows[0]?.timezone;
+        return this.isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+    }
+
+    zonedParts(date, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(date);
+        const map = Object.fromEntries(parts.map(part => [part.type, part.value]));
+        return {
+            year: parseInt(map.year),
+            month: parseInt(map.month),
+            day: parseInt(map.day),
+            hour: parseInt(map.hour),
+            minute: parseInt(map.minute),
+            second: parseInt(map.second)
+        };
+    }
+
+    offsetMs(date, timeZone) {
+        const p = this.zonedParts(date, timeZone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+    }
+
+    // Horário local (data YYYY-MM-DD + hora/minuto) no fuso -> instante; no horário de verão a
+    // segunda tentativa acerta o deslocamento do próprio dia
+    toInstant(dateStr, hour, minute, timeZone) {
+        const [year, month, day] = dateStr.split('-').map(value => parseInt(value));
+        const guess = Date.UTC(year, month - 1, day, hour, minute);
+        const firstOffset = this.offsetMs(new Date(guess), timeZone);
+        let instant = guess - firstOffset;
+        const secondOffset = this.offsetMs(new Date(instant), timeZone);
+        if (secondOffset !== firstOffset) instant = guess - secondOffset;
+        return new Date(instant);
+    }
+
+    formatLocal(date, timeZone) {
+        const p = this.zonedParts(date, timeZone);
+        return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+    }
+
+    localDate(date, timeZone) {
+        return this.formatLocal(date, timeZone).substring(0, 10);
+    }
+
+    // DATE do MySQL chega como Date (pool em UTC) ou string
+    toDateString(value) {
+        if (value instanceof Date) return value.toISOString().substring(0, 10);
+        return String(value || '').substring(0, 10);
+    }
+
+    addDays(dateStr, days) {
+        const [year, month, day] = dateStr.split('-').map(value => parseInt(value));
+        return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().substring(0, 10);
+    }
+
+    weekday(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(value => parseInt(value));
+        return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    }
+
+    isDateString(value) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(Date.parse(`${value}T00:00:00Z`));
+    }
+
+    // "1,3,5" -> {1,3,5}; 7 também é aceito como domingo
+    parseDays(dias) {
+        return new Set(String(dias || '')
+            .split(',')
+            .map(value => parseInt(value))
+            .filter(value => value >= 0 && value <= 7)
+            .map(value => value % 7));
+    }
+
+    frequencyName(frequencia) {
+        return FREQUENCIAS[parseInt(frequencia)] || 'uma_vez';
+    }
+
+    // Semente do embaralhamento de uma ocorrência: a mesma regra no mesmo horário gera sempre a mesma ordem
+    shuffleSeed(agendamentoId, start) {
+        return crypto.createHash('md5').update(`${agendamentoId}|${start.toISOString()}`).digest().readUInt32BE(0);
+    }
+
+    // Fisher-Yates com mulberry32 a partir da semente; não altera a lista recebida
+    seededShuffle(items, seed) {
+        let state = seed >>> 0;
+        const random = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    async loadRules(userId) {
+        const [rows] = await db.execute(
+            `SELECT
+                pa.codigo,
+                pa.codigo_playlist,
+                pa.frequencia,
+                pa.data,
+                pa.hora,
+                pa.minuto,
+                pa.dias,
+                pa.shuffle,
+                pa.finalizacao,
+                pa.codigo_playlist_finalizacao,
+                p.nome as playlist_nome,
+                pf.nome as playlist_finalizacao_nome
+             FROM playlists_agendamentos pa
+             JOIN playlists p ON pa.codigo_playlist = p.id
+             LEFT JOIN playlists pf ON pa.codigo_playlist_finalizacao = pf.id
+             WHERE pa.codigo_stm = ?`,
+            [userId]
+        );
+        return rows;
+    }
+
+    // Ocorrências das regras com início em [from, to), ordenadas pelo horário
+    expand(rules, { from, to, timeZone }) {
+        const firstDay = this.localDate(new Date(from.getTime() - DAY_MS), timeZone);
+        const lastDay = this.localDate(new Date(to.getTime() + DAY_MS), timeZone);
+        const occurrences = [];
+
+        for (const rule of rules) {
+            const ruleStart = this.toDateString(rule.data);
+            if (!this.isDateString(ruleStart)) continue;
+
+            const frequency = this.frequencyName(rule.frequencia);
+            const hour = parseInt(rule.hora) || 0;
+            const minute = parseInt(rule.minuto) || 0;
+            const days = frequency === 'dias_da_semana' ? this.parseDays(rule.dias) : null;
+
+            const dates = [];
+            if (frequency === 'uma_vez') {
+                dates.push(ruleStart);
+            } else {
+                for (let day = ruleStart > firstDay ? ruleStart : firstDay; day <= lastDay; day = this.addDays(day, 1)) {
+                    if (!days || days.has(this.weekday(day))) dates.push(day);
+                }
+            }
+
+            for (const day of dates) {
+                const start = this.toInstant(day, hour, minute, timeZone);
+                if (start < from || start >= to) continue;
+
+                occurrences.push({
+                    agendamento_id: rule.codigo,
+                    frequencia: frequency,
+                    codigo_playlist: rule.codigo_playlist,
+                    playlist_nome: rule.playlist_nome,
+                    inicio: start.toISOString(),
+                    inicio_local: this.formatLocal(start, timeZone),
+                    shuffle: rule.shuffle === 'sim',
+                    seed: rule.shuffle === 'sim' ? this.shuffleSeed(rule.codigo, start) : null,
+                    finalizacao: rule.finalizacao,
+                    codigo_playlist_finalizacao: parseInt(rule.codigo_playlist_finalizacao) || null,
+                    playlist_finalizacao_nome: rule.playlist_finalizacao_nome || null
+                });
+            }
+        }
+
+        return occurrences.sort((a, b) => a.inicio.localeCompare(b.inicio) || a.agendamento_id - b.agendamento_id);
+    }
+
+    // Janela do SMIL: ocorrências dos próximos windowDays dias mais a última que já começou,
+    // que é a que o Wowza mantém no ar até a próxima
+    async upcoming(userId, now = new Date()) {
+        const timeZone = await this.getTimeZone(userId);
+        const rules = await this.loadRules(userId);
+        const occurrences = this.expand(rules, {
+            from: new Date(now.getTime() - 7 * DAY_MS),
+            to: new Date(now.getTime() + this.windowDays * DAY_MS),
+            timeZone
+        });
+
+        const started = occurrences.filter(occurrence => new Date(occurrence.inicio) <= now);
+        const future = occurrences.filter(occurrence => new Date(occurrence.inicio) > now);
+        const current = started[started.length - 1];
+
+        return {
+            timeZone,
+            occurrences: current ? [current, ...future] : future
+        };
+    }
+
+    // Linha do tempo para /api/agendamentos/preview; from/to são datas locais (YYYY-MM-DD), to inclusive
+    async preview(userId, { from, to } = {}) {
+        const timeZone = await this.getTimeZone(userId);
+        const fromDate = from || this.localDate(new Date(), timeZone);
+        const toDate = to || this.addDays(fromDate, this.windowDays - 1);
+
+        if (!this.isDateString(fromDate) || !this.isDateString(toDate)) {
+            throw Object.assign(new Error('from e to devem estar no formato YYYY-MM-DD'), { status: 400 });
+        }
+        if (toDate < fromDate) {
+            throw Object.assign(new Error('to deve ser igual ou posterior a from'), { status: 400 });
+        }
+        if (Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`) >= this.maxPreviewDays * DAY_MS) {
+            throw Object.assign(new Error(`O período máximo é de ${this.maxPreviewDays} dias`), { status: 400 });
+        }
+
+        const rules = await this.loadRules(userId);
+        const occurrences = this.expand(rules, {
+            from: this.toInstant(fromDate, 0, 0, timeZone),
+            to: this.toInstant(this.addDays(toDate, 1), 0, 0, timeZone),
+            timeZone
+        });
+
+        return { timezone: timeZone, from: fromDate, to: toDate, total: occurrences.length, ocorrencias: occurrences };
+    }
+
+    // Duração total (segundos) de cada playlist, somando a duracao dos vídeos que o SMIL toca
+    async loadDurations(userId, playlistIds) {
+        const ids = [...new Set(playlistIds.map(id => parseInt(id)).filter(Boolean))];
+        const durations = new Map(ids.map(id => [id, 0]));
+        if (ids.length === 0) return durations;
+
+        const [rows] = await db.execute(
+            `SELECT playlist_id, COALESCE(SUM(duracao), 0) as duracao
+             FROM videos
+             WHERE codigo_cliente = ? AND playlist_id IN (${ids.map(() => '?').join(',')})
+             GROUP BY playlist_id`,
+            [userId, ...ids]
+        );
+        for (const row of rows) durations.set(parseInt(row.playlist_id), parseInt(row.duracao) || 0);
+        return durations;
+    }
+
+    withEnd(occurrence, durations, timeZone) {
+        const duration = durations.get(parseInt(occurrence.codigo_playlist)) || 0;
+        const end = new Date(new Date(occurrence.inicio).getTime() + duration * 1000);
+        return { ...occurrence, duracao: duration, fim: end.toISOString(), fim_local: this.formatLocal(end, timeZone) };
+    }
+
+    overlaps(a, b) {
+        return a.inicio === b.inicio || (a.inicio < b.fim && b.inicio < a.fim);
+    }
+
+    // Ocorrências de um agendamento novo que se sobrepõem às dos agendamentos existentes.
+    // O fim de cada ocorrência é o início mais a duração total da playlist. Um agendamento
+    // recorrente é comparado até uma semana depois da data mais distante entre os existentes,
+    // o que cobre todas as combinações de dias da semana.
+    async findConflicts(userId, rule, { excludeId = null, now = new Date() } = {}) {
+        const [playlistRows] = await db.execute(
+            'SELECT id, nome FROM playlists WHERE id = ? AND codigo_stm = ?',
+            [rule.codigo_playlist, userId]
+        );
+        if (playlistRows.length === 0) {
+            throw Object.assign(new Error('Playlist não encontrada'), { status: 404 });
+        }
+
+        const timeZone = await this.getTimeZone(userId);
+        const existing = (await this.loadRules(userId)).filter(item => item.codigo !== excludeId);
+        const candidate = { ...rule, codigo: null, playlist_nome: playlistRows[0].nome };
+
+        const today = this.localDate(now, timeZone);
+        const candidateStart = this.toDateString(candidate.data);
+        const once = this.frequencyName(candidate.frequencia) === 'uma_vez';
+        const firstDay = once || candidateStart > today ? candidateStart : today;
+        let lastDay = this.addDays(firstDay, 1);
+
+        if (!once) {
+            lastDay = this.addDays(firstDay, 8);
+            for (const item of existing) {
+                const start = this.toDateString(item.data);
+                if (this.isDateString(start) && this.addDays(start, 8) > lastDay) lastDay = this.addDays(start, 8);
+            }
+            const limit = this.addDays(firstDay, MAX_CONFLICT_DAYS);
+            if (lastDay > limit) lastDay = limit;
+        }
+
+        const durations = await this.loadDurations(userId, [candidate, ...existing].map(item => item.codigo_playlist));
+        const maxDuration = Math.max(0, ...durations.values());
+        const from = this.toInstant(firstDay, 0, 0, timeZone);
+        const to = this.toInstant(lastDay, 0, 0, timeZone);
+
+        const own = this.expand([candidate], { from, to, timeZone })
+            .map(occurrence => this.withEnd(occurrence, durations, timeZone));
+        const others = this.expand(existing, { from: new Date(from.getTime() - maxDuration * 1000), to, timeZone })
+            .map(occurrence => this.withEnd(occurrence, durations, timeZone));
+
+        const conflicts = [];
+        const seen = new Set();
+        for (const occurrence of own) {
+            for (const other of others) {
+                if (!this.overlaps(occurrence, other)) continue;
+                // Uma entrada por par de horários locais: recorrências repetem o mesmo choque toda semana
+                const key = `${other.agendamento_id}|${occurrence.inicio_local.substring(11)}|${other.inicio_local.substring(11)}|${this.weekday(occurrence.inicio_local.substring(0, 10))}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                conflicts.push({
+                    inicio: occurrence.inicio,
+                    fim: occurrence.fim,
+                    inicio_local: occurrence.inicio_local,
+                    fim_local: occurrence.fim_local,
+                    agendamento_id: other.agendamento_id,
+                    codigo_playlist: other.codigo_playlist,
+                    playlist_nome: other.playlist_nome,
+                    conflito_inicio: other.inicio,
+                    conflito_fim: other.fim,
+                    conflito_inicio_local: other.inicio_local,
+                    conflito_fim_local: other.fim_local
+                });
+            }
+        }
+
+        return { timezone: timeZone, duracao: durations.get(parseInt(candidate.codigo_playlist)) || 0, conflitos: conflicts };
+    }
+
+    // Grade resolvida (dia ou semana, a partir de domingo) do que vai ao ar. Cada ocorrência fica
+    // no ar até a próxima: primeiro a playlist principal ("principal"), depois, se ela acabar antes,
+    // a playlist de finalização ("finalizacao") ou a principal repetida ("repeticao"). Os itens são
+    // cortados na virada do dia para montar a grade.
+    async grid(userId, { data, visao = 'dia' } = {}) {
+        if (!['dia', 'semana'].includes(visao)) {
+            throw Object.assign(new Error('visao deve ser dia ou semana'), { status: 400 });
+        }
+
+        const timeZone = await this.getTimeZone(userId);
+        const reference = data || this.localDate(new Date(), timeZone);
+        if (!this.isDateString(reference)) {
+            throw Object.assign(new Error('data deve estar no formato YYYY-MM-DD'), { status: 400 });
+        }
+
+        const firstDay = visao === 'semana' ? this.addDays(reference, -this.weekday(reference)) : reference;
+        const days = visao === 'semana' ? 7 : 1;
+        const gridStart = this.toInstant(firstDay, 0, 0, timeZone);
+        const gridEnd = this.toInstant(this.addDays(firstDay, days), 0, 0, timeZone);
+
+        const rules = await this.loadRules(userId);
+        // Uma semana para trás acha a ocorrência que já está no ar quando a grade começa
+        const occurrences = this.expand(rules, {
+            from: new Date(gridStart.getTime() - 7 * DAY_MS),
+            to: gridEnd,
+            timeZone
+        });
+        const durations = await this.loadDurations(userId, occurrences.map(occurrence => occurrence.codigo_playlist));
+
+        const segments = [];
+        occurrences.forEach((occurrence, index) => {
+            const start = new Date(occurrence.inicio);
+            const next = occurrences[index + 1] ? new Date(occurrences[index + 1].inicio) : gridEnd;
+            if (next <= gridStart || next <= start) return;
+
+            const duration = durations.get(parseInt(occurrence.codigo_playlist)) || 0;
+            const mainEnd = duration > 0 ? new Date(Math.min(start.getTime() + duration * 1000, next.getTime())) : next;
+            const base = {
+                agendamento_id: occurrence.agendamento_id,
+                frequencia: occurrence.frequencia,
+                shuffle: occurrence.shuffle,
+                ocorrencia_inicio: occurrence.inicio
+            };
+
+            segments.push({ ...base, tipo: 'principal', codigo_playlist: occurrence.codigo_playlist, playlist_nome: occurrence.playlist_nome, start, end: mainEnd });
+            if (mainEnd >= next) return;
+
+            if (occurrence.finalizacao === 'playlist' && occurrence.codigo_playlist_finalizacao) {
+                segments.push({ ...base, tipo: 'finalizacao', codigo_playlist: occurrence.codigo_playlist_finalizacao, playlist_nome: occurrence.playlist_finalizacao_nome, start: mainEnd, end: next });
+            } else {
+                segments.push({ ...base, tipo: 'repeticao', codigo_playlist: occurrence.codigo_playlist, playlist_nome: occurrence.playlist_nome, start: mainEnd, end: next });
+            }
+        });
+
+        const grid = [];
+        for (let i = 0; i < days; i++) {
+            const day = this.addDays(firstDay, i);
+            const dayStart = this.toInstant(day, 0, 0, timeZone);
+            const dayEnd = this.toInstant(this.addDays(day, 1), 0, 0, timeZone);
+            const items = [];
+
+            for (const { start, end, ...segment } of segments) {
+                const itemStart = start > dayStart ? start : dayStart;
+                const itemEnd = end < dayEnd ? end : dayEnd;
+                if (itemStart >= itemEnd) continue;
+
+                items.push({
+                    ...segment,
+                    inicio: itemStart.toISOString(),
+                    fim: itemEnd.toISOString(),
+                    inicio_local: this.formatLocal(itemStart, timeZone),
+                    fim_local: this.formatLocal(itemEnd, timeZone),
+                    continua: end > dayEnd
+                });
+            }
+
+            grid.push({ data: day, dia_semana: this.weekday(day), itens: items });
+        }
+
+        return {
+            timezone: timeZone,
+            visao,
+            from: firstDay,
+            to: this.addDays(firstDay, days - 1),
+            dias: grid
+        };
+    }
+
+    // Valor do atributo "scheduled" do SMIL
+    formatScheduled(occurrence, timeZone) {
+        return this.formatLocal(new Date(occurrence.inicio), this.serverTimeZone || timeZone);
+    }
+}
+
+module.exports = new ScheduleRecurrenceService();
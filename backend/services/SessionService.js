@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const SubUserService = require('./SubUserService');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'sua_chave_secreta_super_segura_aqui';
+
+class SessionService {
+    constructor() {
+        this.accessTokenExpiresIn = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+        this.refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+        this.tableReady = null;
+    }
+
+    // Criar tabela de sessões caso ainda não exista
+    async ensureTable() {
+        if (!this.tableReady) {
+            this.tableReady = db.execute(`
+                CREATE TABLE IF NOT EXISTS sessoes_usuarios (
+                    codigo INT AUTO_INCREMENT PRIMARY KEY,
+                    tipo_usuario VARCHAR(20) NOT NULL,
+                    codigo_usuario INT NOT NULL,
+                    refresh_token_hash CHAR(64) NOT NULL,
+                    ip VARCHAR(45) DEFAULT NULL,
+                    navegador VARCHAR(255) DEFAULT NULL,
+                    data_criacao DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    ultimo_uso DATETIME DEFAULT NULL,
+                    expira_em DATETIME NOT NULL,
+                    revogada TINYINT(1) NOT NULL DEFAULT 0,
+                    data_revogacao DATETIME DEFAULT NULL,
+                    motivo_revogacao VARCHAR(50) DEFAULT NULL,
+                    KEY idx_sessoes_usuario (tipo_usuario, codigo_usuario),
+                    KEY idx_sessoes_expira (expira_em)
+                )
+            `).catch(error => {
+                this.tableReady = null;
+                throw error;
+            });
+        }
+        return this.tableReady;
+    }
+
+    hashToken(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+
+    // Refresh token no formato <id da sessão>.<segredo aleatório>
+    parseRefreshToken(refreshToken) {
+        if (typeof refreshToken !== 'string') return null;
+
+        const [sessionId, secret] = refreshToken.split('.');
+        if (!/^\d+$/.test(sessionId || '') || !secret) return null;
+
+        return { sessionId: parseInt(sessionId), secret };
+    }
+
+    // Gerar access token curto vinculado à sessão.
+    // Operadores recebem o token do streaming dono, com o operador e suas permissões anexados.
+    signAccessToken(user, sessionId) {
+        const isSubUser = user.tipo === 'subusuario';
+
+        return jwt.sign(
+            {
+                userId: isSubUser ? user.codigo_streaming : user.codigo,
+                email: isSubUser ? user.email_streaming : user.email,
+                usuario: user.usuario,
+                tipo: isSubUser ? 'streaming' : user.tipo,
+                codigo_cliente: user.codigo_cliente || null,
+                codigo_servidor: user.codigo_servidor || null,
+                subusuario: isSubUser ? user.codigo : null,
+                permissoes: isSubUser ? user.permissoes : ['*'],
+                sid: sessionId
+            },
+            JWT_SECRET,
+            { expiresIn: this.accessTokenExpiresIn }
+        );
+    }
+
+    // Abrir nova sessão e emitir par de tokens
+    async createSession(user, req) {
+        await this.ensureTable();
+
+        const secret = crypto.randomBytes(32).toString('hex');
+        const [result] = await db.execute(
+            `INSERT INTO sessoes_usuarios (
+                tipo_usuario, codigo_usuario, refresh_token_hash, ip, navegador, ultimo_uso, expira_em
+            ) VALUES (?, ?, ?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? DAY))`,
+            [
+                user.tipo,
+                user.codigo,
+                this.hashToken(secret),
+                req.ip || null,
+                (req.headers['user-agent'] || '').substring(0, 255),
+                this.refreshTokenDays
+            ]
+        );
+
+        const sessionId = result.insertId;
+        return {
+            sessionId,
+            token: this.signAccessToken(user, sessionId),
+            refresh_token: `${sessionId}.${secret}`,
+            expires_in: this.accessTokenExpiresIn
+        };
+    }
+
+    // Trocar refresh token por um novo par (rotação)
+    async rotateSession(refreshToken, req) {
+        await this.ensureTable();
+
+        const parsed = this.parseRefreshToken(refreshToken);
+        if (!parsed) {
+            return { success: false, error: 'Refresh token inválido' };
+        }
+
+        const [rows] = await db.execute(
+            `SELECT codigo, tipo_usuario, codigo_usuario, refresh_token_hash, revogada,
+                    expira_em < NOW() as expirada
+             FROM sessoes_usuarios WHERE codigo = ?`,
+            [parsed.sessionId]
+        );
+
+        if (rows.length === 0) {
+            return { success: false, error: 'Sessão não encontrada' };
+        }
+
+        const session = rows[0];
+
+        if (session.revogada === 1 || session.expirada === 1) {
+            return { success: false, error: 'Sessão encerrada' };
+        }
+
+        const providedHash = this.hashToken(parsed.secret);
+        const hashMatches = crypto.timingSafeEqual(
+            Buffer.from(providedHash),
+            Buffer.from(session.refresh_token_hash)
+        );
+
+        if (!hashMatches) {
+            // Refresh token antigo reutilizado: possível vazamento, encerrar a sessão
+            console.warn(`⚠️ Reutilização de refresh token detectada na sessão ${session.codigo}`);
+            await this.revokeSession(session.codigo, 'reutilizacao_token');
+            return { success: false, error: 'Sessão encerrada' };
+        }
+
+        const user = await this.loadUser(session.tipo_usuario, session.codigo_usuario);
+        if (!user) {
+            await this.revokeSession(session.codigo, 'usuario_inativo');
+            return { success: false, error: 'Usuário não encontrado ou inativo' };
+        }
+
+        // Troca condicionada ao hash lido: se outra rotação com o mesmo token chegou antes, é reutilização
+        const secret = crypto.randomBytes(32).toString('hex');
+        const [result] = await db.execute(
+            `UPDATE sessoes_usuarios SET
+                refresh_token_hash = ?, ip = ?, ultimo_uso = NOW(),
+                expira_em = DATE_ADD(NOW(), INTERVAL ? DAY)
+             WHERE codigo = ? AND refresh_token_hash = ? AND revogada = 0`,
+            [this.hashToken(secret), req.ip || null, this.refreshTokenDays, session.codigo, providedHash]
+        );
+
+        if (result.affectedRows === 0) {
+            console.warn(`⚠️ Reutilização de refresh token detectada na sessão ${session.codigo}`);
+            await this.revokeSession(session.codigo, 'reutilizacao_token');
+            return { success: false, error: 'Sessão encerrada' };
+        }
+
+        return {
+            success: true,
+            user,
+            token: this.signAccessToken(user, session.codigo),
+            refresh_token: `${session.codigo}.${secret}`,
+            expires_in: this.accessTokenExpiresIn
+        };
+    }
+
+    // Buscar usuário ativo para reemitir o access token
+    async loadUser(tipo, userId) {
+        if (tipo === 'subusuario') {
+            return SubUserService.loadUser(userId);
+        }
+
+        let rows = [];
+
+        if (tipo === 'revenda') {
+            [rows] = await db.execute(
+                'SELECT codigo, nome, email, usuario, streamings, espectadores, bitrate, espaco, status, "revenda" as tipo FROM revendas WHERE codigo = ? AND status = 1',
+                [userId]
+            );
+        } else if (tipo === 'streaming') {
+            [rows] = await db.execute(
+                `SELECT
+                    s.codigo,
+                    s.identificacao as nome,
+                    s.email,
+                    s.usuario,
+                    1 as streamings,
+                    s.espectadores,
+                    s.bitrate,
+                    s.espaco,
+                    s.status,
+                    "streaming" as tipo,
+                    s.codigo_cliente,
+                    s.codigo_servidor
+                 FROM streamings s
+                 WHERE s.codigo = ? AND s.status = 1`,
+                [userId]
+            );
+        }
+
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    // Verificar se a sessão do access token continua válida
+    async isSessionActive(sessionId) {
+        if (!sessionId) return false;
+
+        await this.ensureTable();
+        const [rows] = await db.execute(
+            'SELECT codigo FROM sessoes_usuarios WHERE codigo = ? AND revogada = 0 AND expira_em > NOW()',
+            [sessionId]
+        );
+        return rows.length > 0;
+    }
+
+    async revokeSession(sessionId, motivo = 'logout') {
+        await this.ensureTable();
+        const [result] = await db.execute(
+            `UPDATE sessoes_usuarios SET revogada = 1, data_revogacao = NOW(), motivo_revogacao = ?
+             WHERE codigo = ? AND revogada = 0`,
+            [motivo, sessionId]
+        );
+        return result.affectedRows;
+    }
+
+    // Encerrar todas as sessões de um usuário ("sair de todos os dispositivos")
+    async revokeAllSessions(tipo, userId, motivo = 'logout_todos') {
+        await this.ensureTable();
+        const [result] = await db.execute(
+            `UPDATE sessoes_usuarios SET revogada = 1, data_revogacao = NOW(), motivo_revogacao = ?
+             WHERE tipo_usuario = ? AND codigo_usuario = ? AND revogada = 0`,
+            [motivo, tipo, userId]
+        );
+        return result.affectedRows;
+    }
+
+    async getSession(sessionId) {
+        await this.ensureTable();
+        const [rows] = await db.execute(
+            'SELECT codigo, tipo_usuario, codigo_usuario FROM sessoes_usuarios WHERE codigo = ?',
+            [sessionId]
+        );
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    async listSessions(tipo, userId) {
+        await this.ensureTable();
+        const [rows] = await db.execute(
+            `SELECT codigo as id, ip, navegador, data_criacao, ultimo_uso, expira_em
+             FROM sessoes_usuarios
+             WHERE tipo_usuario = ? AND codigo_usuario = ? AND revogada = 0 AND expira_em > NOW()
+             ORDER BY ultimo_uso DESC`,
+            [tipo, userId]
+        );
+        return rows;
+    }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,383 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const SSHManager = require('../config/SSHManager');
+
+const STREAMING_BASE_PATH = '/home/streaming';
+const DU_BATCH_SIZE = 50;
+
+const toMB = (bytes) => Math.ceil((Number(bytes) || 0) / (1024 * 1024));
+
+// Cota de armazenamento por pasta (streamings.espaco / espaco_usado). Toda gravação
+// (upload, YouTube, FTP, conversão, edição, gravação da transmissão) reserva o espaço
+// antes de escrever e confirma o tamanho real ao final; o que não for confirmado é
+// liberado. Sessões de upload retomável e importações por URL reservam ao serem criadas
+// (a importação sem tamanho conhecido reserva quando a origem informa). A reserva é feita
+// numa transação com a pasta travada, então duas gravações simultâneas não passam do
+// limite. De tempos em tempos espaco_usado é conferido com o "du" do servidor.
+class StorageQuotaService {
+    constructor() {
+        this.reservationTtlHours = parseInt(process.env.ESPACO_RESERVA_TTL_HORAS) || 12;
+        this.reconcileIntervalHours = parseInt(process.env.ESPACO_RECONCILIAR_HORAS) || 6;
+        this.cleanupInterval = 15 * 60 * 1000; // 15 minutos
+        this.lastReconcile = null;
+        this.reconciling = false;
+        this.tableReady = null;
+        this.started = false;
+    }
+
+    async ensureTable() {
+        if (!this.tableReady) {
+            this.tableReady = db.execute(`
+                CREATE TABLE IF NOT EXISTS espaco_reservas (
+                    codigo CHAR(36) PRIMARY KEY,
+                    codigo_cliente INT NOT NULL,
+                    pasta INT NOT NULL,
+                    tamanho_mb INT NOT NULL,
+                    origem VARCHAR(30) NOT NULL,
+                    referencia VARCHAR(100) DEFAULT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'ativa',
+                    data_criacao DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    expira_em DATETIME DEFAULT NULL,
+                    data_fim DATETIME DEFAULT NULL,
+                    KEY idx_espaco_reservas_pasta (pasta, status),
+                    KEY idx_espaco_reservas_expiracao (status, expira_em)
+                )
+            `).catch(error => {
+                this.tableReady = null;
+                throw error;
+            });
+        }
+        return this.tableReady;
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        setInterval(() => {
+            this.expireReservations().catch(error => {
+                console.error('Erro ao expirar reservas de espaço:', error.message);
+            });
+        }, this.cleanupInterval);
+
+        setInterval(() => {
+            this.reconcile().catch(error => {
+                console.error('Erro ao reconciliar espaço usado:', error.message);
+            });
+        }, this.reconcileIntervalHours * 60 * 60 * 1000);
+
+        console.log(`💽 Cota de armazenamento: reconciliação a cada ${this.reconcileIntervalHours}h`);
+    }
+
+    // Espaço da pasta já descontando reservas em aberto. excludeReservationId não conta contra si mesma.
+    async loadFolder(executor, userId, folderId, excludeReservationId = null, lock = false) {
+        await this.ensureTable();
+        const [rows] = await executor.execute(
+            `SELECT codigo, codigo_cliente, codigo_servidor, identificacao as folder_name, espaco, espaco_usado
+             FROM streamings
+             WHERE codigo = ? AND (codigo_cliente = ? OR codigo = ?)${lock ? ' FOR UPDATE' : ''}`,
+            [folderId, userId, userId]
+        );
+        if (rows.length === 0) return null;
+
+        const [reservedRows] = await executor.execute(
+            `SELECT COALESCE(SUM(tamanho_mb), 0) as reservado
+             FROM espaco_reservas
+             WHERE pasta = ? AND status = 'ativa' AND codigo <> ?`,
+            [folderId, excludeReservationId || '']
+        );
+
+        const reserved = parseInt(reservedRows[0].reservado) || 0;
+        const folder = rows[0];
+
+        return {
+            ...folder,
+            espaco: Number(folder.espaco) || 0,
+            espaco_usado: Number(folder.espaco_usado) || 0,
+            reserved,
+            availableSpace: (Number(folder.espaco) || 0) - (Number(folder.espaco_usado) || 0) - reserved
+        };
+    }
+
+    getFolderSpace(userId, folderId, excludeReservationId = null) {
+        return this.loadFolder(db, userId, folderId, excludeReservationId);
+    }
+
+    insufficientSpaceError(folder, sizeMB) {
+        return Object.assign(
+            new Error(`Espaço insuficiente. Necessário: ${sizeMB}MB, Disponível: ${Math.max(folder.availableSpace, 0)}MB`),
+            { status: 400, retryable: false, insufficientSpace: true, folder, requiredMB: sizeMB }
+        );
+    }
+
+    // Reserva sizeMB na pasta ou lança erro com status 400 (sem espaço) / 404 (pasta não encontrada)
+    async reserve(userId, folderId, sizeMB, { origem, referencia = null, excludeReservationId = null, ttlHoras } = {}) {
+        const size = Math.max(Math.ceil(Number(sizeMB) || 0), 0);
+        const ttl = ttlHoras === undefined ? this.reservationTtlHours : ttlHoras;
+        const connection = await db.pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const folder = await this.loadFolder(connection, userId, folderId, excludeReservationId, true);
+            if (!folder) {
+                throw Object.assign(new Error('Pasta não encontrada'), { status: 404, retryable: false });
+            }
+            if (size > folder.availableSpace) {
+                throw this.insufficientSpaceError(folder, size);
+            }
+
+            const codigo = crypto.randomUUID();
+            await connection.execute(
+                `INSERT INTO espaco_reservas (codigo, codigo_cliente, pasta, tamanho_mb, origem, referencia, expira_em)
+                 VALUES (?, ?, ?, ?, ?, ?, ${ttl ? 'DATE_ADD(NOW(), INTERVAL ? HOUR)' : 'NULL'})`,
+                [codigo, userId, folderId, size, origem, referencia ? String(referencia).substring(0, 100) : null, ...(ttl ? [ttl] : [])]
+            );
+
+            await connection.commit();
+            return { codigo, pasta: Number(folderId), tamanho_mb: size, origem, referencia, folder };
+        } catch (error) {
+            await connection.rollback().catch(() => { });
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // A estimativa ficou abaixo do tamanho real: troca a reserva por uma do tamanho certo
+    async resize(userId, reservation, sizeMB) {
+        if (Math.ceil(Number(sizeMB) || 0) <= reservation.tamanho_mb) return reservation;
+
+        const resized = await this.reserve(userId, reservation.pasta, sizeMB, {
+            origem: reservation.origem,
+            referencia: reservation.referencia,
+            excludeReservationId: reservation.codigo
+        });
+        await this.release(reservation.codigo);
+        return resized;
+    }
+
+    // Confirma a reserva com o tamanho real gravado; false se ela já foi confirmada, liberada ou expirou
+    async commit(reservationId, sizeMB) {
+        if (!reservationId) return false;
+        await this.ensureTable();
+        const size = Math.max(Math.ceil(Number(sizeMB) || 0), 0);
+        const connection = await db.pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            const [rows] = await connection.execute(
+                'SELECT pasta, status FROM espaco_reservas WHERE codigo = ? FOR UPDATE',
+                [reservationId]
+            );
+            if (rows.length === 0 || rows[0].status !== 'ativa') {
+                await connection.rollback();
+                console.warn(`⚠️ Reserva de espaço ${reservationId} não está ativa; uso de ${size}MB lançado direto`);
+                if (rows.length > 0 && rows[0].status !== 'confirmada') {
+                    await this.adjust(rows[0].pasta, size);
+                }
+                return false;
+            }
+
+            await connection.execute(
+                'UPDATE streamings SET espaco_usado = espaco_usado + ? WHERE codigo = ?',
+                [size, rows[0].pasta]
+            );
+            await connection.execute(
+                `UPDATE espaco_reservas SET status = 'confirmada', tamanho_mb = ?, data_fim = NOW() WHERE codigo = ?`,
+                [size, reservationId]
+            );
+
+            await connection.commit();
+            return true;
+        } catch (error) {
+            await connection.rollback().catch(() => { });
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Libera a reserva que não foi confirmada (falha, cancelamento); sem efeito depois do commit
+    async release(reservationId) {
+        if (!reservationId) return;
+        try {
+            await this.ensureTable();
+            await db.execute(
+                `UPDATE espaco_reservas SET status = 'liberada', data_fim = NOW() WHERE codigo = ? AND status = 'ativa'`,
+                [reservationId]
+            );
+        } catch (error) {
+            console.error('Erro ao liberar reserva de espaço:', error.message);
+        }
+    }
+
+    async findActive(userId, origem, referencia) {
+        await this.ensureTable();
+        const [rows] = await db.execute(
+            `SELECT codigo, pasta, tamanho_mb FROM espaco_reservas
+             WHERE codigo_cliente = ? AND origem = ? AND referencia = ? AND status = 'ativa'
+             ORDER BY data_criacao DESC LIMIT 1`,
+            [userId, origem, String(referencia)]
+        );
+        return rows[0] || null;
+    }
+
+    // Ajuste direto de espaco_usado (remoção de arquivos, alteração no próprio arquivo)
+    async adjust(folderId, deltaMB) {
+        const delta = Math.round(Number(deltaMB) || 0);
+        if (!folderId || delta === 0) return;
+        await db.execute(
+            'UPDATE streamings SET espaco_usado = GREATEST(espaco_usado + ?, 0) WHERE codigo = ?',
+            [delta, folderId]
+        );
+    }
+
+    async expireReservations() {
+        await this.ensureTable();
+        const [result] = await db.execute(
+            `UPDATE espaco_reservas SET status = 'expirada', data_fim = NOW()
+             WHERE status = 'ativa' AND expira_em IS NOT NULL AND expira_em < NOW()`
+        );
+        if (result.affectedRows > 0) {
+            console.log(`🗑️ ${result.affectedRows} reserva(s) de espaço expirada(s)`);
+        }
+        await db.execute(
+            `DELETE FROM espaco_reservas WHERE status <> 'ativa' AND data_fim < DATE_SUB(NOW(), INTERVAL 30 DAY)`
+        );
+        return result.affectedRows;
+    }
+
+    folderPath(folder) {
+        const login = folder.usuario || (folder.email ? folder.email.split('@')[0] : `user_${folder.codigo_cliente}`);
+        return `${STREAMING_BASE_PATH}/${login}/${folder.identificacao}`;
+    }
+
+    // Confere espaco_usado com o "du" de cada pasta no servidor. Pastas com reserva ativa
+    // ficam para a próxima rodada: o arquivo pode já estar no disco sem ter sido confirmado.
+    async reconcile({ userId = null } = {}) {
+        if (this.reconciling) return { pastas: 0, corrigidas: 0 };
+        this.reconciling = true;
+
+        try {
+            await this.ensureTable();
+            const [folders] = await db.execute(
+                `SELECT s.codigo, s.codigo_cliente, s.codigo_servidor, s.identificacao, s.usuario, s.email, s.espaco_usado
+                 FROM streamings s
+                 WHERE s.identificacao IS NOT NULL AND s.identificacao <> ''
+                   ${userId ? 'AND (s.codigo_cliente = ? OR s.codigo = ?)' : ''}
+                   AND NOT EXISTS (
+                     SELECT 1 FROM espaco_reservas r WHERE r.pasta = s.codigo AND r.status = 'ativa'
+                   )`,
+                userId ? [userId, userId] : []
+            );
+
+            const byServer = new Map();
+            for (const folder of folders) {
+                const serverId = folder.codigo_servidor || 1;
+                if (!byServer.has(serverId)) byServer.set(serverId, []);
+                byServer.get(serverId).push(folder);
+            }
+
+            let corrected = 0;
+            for (const [serverId, serverFolders] of byServer) {
+                for (let i = 0; i < serverFolders.length; i += DU_BATCH_SIZE) {
+                    const batch = serverFolders.slice(i, i + DU_BATCH_SIZE);
+                    const paths = new Map(batch.map(folder => [this.folderPath(folder), folder]));
+
+                    let output = '';
+                    try {
+                        const quoted = [...paths.keys()].map(folderPath => `"${folderPath.replace(/(["\\$`])/g, '\\$1')}"`);
+                        const result = await SSHManager.executeCommand(serverId, `du -sm ${quoted.join(' ')} 2>/dev/null || true`);
+                        output = result.stdout;
+                    } catch (error) {
+                        console.warn(`⚠️ Não foi possível medir as pastas no servidor ${serverId}:`, error.message);
+                        continue;
+                    }
+
+                    for (const line of output.split('\n')) {
+                        const match = line.match(/^(\d+)\s+(.+)$/);
+                        if (!match) continue;
+                        const folder = paths.get(match[2].trim().replace(/\/$/, ''));
+                        if (!folder) continue;
+
+                        const usedMB = parseInt(match[1]);
+                        if (usedMB !== (Number(folder.espaco_usado) || 0)) {
+                            await db.execute('UPDATE streamings SET espaco_usado = ? WHERE codigo = ?', [usedMB, folder.codigo]);
+                            console.log(`📊 Espaço da pasta ${folder.identificacao} reconciliado: ${folder.espaco_usado}MB → ${usedMB}MB`);
+                            corrected++;
+                        }
+                    }
+                }
+            }
+
+            this.lastReconcile = new Date();
+            return { pastas: folders.length, corrigidas: corrected };
+        } finally {
+            this.reconciling = false;
+        }
+    }
+
+    // Uso por pasta e por tipo de arquivo (extensão) para /api/storage/usage
+    async usage(userId) {
+        await this.ensureTable();
+        const [folders] = await db.execute(
+            `SELECT codigo, identificacao, espaco, espaco_usado
+             FROM streamings WHERE codigo_cliente = ? OR codigo = ?
+             ORDER BY identificacao`,
+            [userId, userId]
+        );
+
+        const pastas = [];
+        for (const folder of folders) {
+            const space = await this.getFolderSpace(userId, folder.codigo);
+            const [fileRows] = await db.execute(
+                `SELECT COUNT(*) as arquivos, COALESCE(SUM(tamanho_arquivo), 0) as bytes
+                 FROM videos WHERE pasta = ? AND codigo_cliente = ?`,
+                [folder.codigo, userId]
+            );
+            pastas.push({
+                id: folder.codigo,
+                nome: folder.identificacao,
+                total_mb: space.espaco,
+                usado_mb: space.espaco_usado,
+                reservado_mb: space.reserved,
+                disponivel_mb: Math.max(space.availableSpace, 0),
+                percentual: space.espaco > 0 ? Math.round((space.espaco_usado / space.espaco) * 100) : 0,
+                arquivos: parseInt(fileRows[0].arquivos) || 0,
+                arquivos_mb: toMB(fileRows[0].bytes)
+            });
+        }
+
+        const [typeRows] = await db.execute(
+            `SELECT LOWER(SUBSTRING_INDEX(COALESCE(NULLIF(caminho, ''), url), '.', -1)) as extensao,
+                    COUNT(*) as arquivos, COALESCE(SUM(tamanho_arquivo), 0) as bytes
+             FROM videos WHERE codigo_cliente = ?
+             GROUP BY extensao
+             ORDER BY bytes DESC`,
+            [userId]
+        );
+
+        const total = pastas.reduce((sum, pasta) => sum + pasta.total_mb, 0);
+        const used = pastas.reduce((sum, pasta) => sum + pasta.usado_mb, 0);
+        const reserved = pastas.reduce((sum, pasta) => sum + pasta.reservado_mb, 0);
+
+        return {
+            total_mb: total,
+            usado_mb: used,
+            reservado_mb: reserved,
+            disponivel_mb: Math.max(total - used - reserved, 0),
+            percentual: total > 0 ? Math.round((used / total) * 100) : 0,
+            pastas,
+            tipos: typeRows.map(row => ({
+                extensao: row.extensao,
+                arquivos: parseInt(row.arquivos) || 0,
+                tamanho_mb: toMB(row.bytes)
+            })),
+            ultima_reconciliacao: this.lastReconcile ? this.lastReconcile.toISOString() : null
+        };
+    }
+}
+
+module.exports = new StorageQuotaService();
@@ -0,0 +1,190 @@
+const db = require('../config/database');
+const WowzaStreamingService = require('../config/WowzaStreamingService');
+const EventService = require('./EventService');
+
+// Status da transmissão do usuário (playlist ou OBS) e monitor que publica mudanças
+// e contagem de espectadores para quem está conectado em /api/events
+class StreamStatusService {
+    constructor() {
+        this.monitorInterval = parseInt(process.env.STREAM_MONITOR_INTERVAL_MS) || 15000;
+        this.lastStatus = new Map(); // userId -> último status publicado
+        this.monitoring = false;
+        this.checking = false;
+    }
+
+    formatOBSStream(obsStats) {
+        return {
+            is_live: obsStats.isLive,
+            viewers: obsStats.viewers,
+            bitrate: obsStats.bitrate,
+            uptime: obsStats.uptime,
+            recording: obsStats.recording,
+            platforms: obsStats.platforms || []
+        };
+    }
+
+    // Mesmo formato de GET /api/streaming/status
+    async getStatus(userId) {
+        // Inicializar serviço Wowza com dados do usuário
+        const wowzaService = new WowzaStreamingService();
+        const initialized = await wowzaService.initializeFromDatabase(userId);
+
+        if (!initialized) {
+            return {
+                success: true,
+                is_live: false,
+                transmission: null,
+                obs_stream: null
+            };
+        }
+
+        // Verificar também se há stream OBS ativo
+        const obsStats = await wowzaService.getOBSStreamStats(userId);
+
+        const [transmissionRows] = await db.execute(
+            `SELECT
+                t.codigo as id,
+                t.titulo,
+                t.status,
+                t.data_inicio,
+                t.codigo_playlist,
+                t.wowza_stream_id
+             FROM transmissoes t
+             WHERE t.codigo_stm = ? AND t.status = 'ativa'
+             ORDER BY t.data_inicio DESC
+             LIMIT 1`,
+            [userId]
+        );
+
+        // Se não há transmissão de playlist, verificar OBS
+        if (transmissionRows.length === 0 && obsStats.isLive) {
+            return {
+                success: true,
+                is_live: true,
+                stream_type: 'obs',
+                obs_stream: this.formatOBSStream(obsStats)
+            };
+        }
+
+        if (transmissionRows.length === 0) {
+            return {
+                success: true,
+                is_live: false,
+                transmission: null,
+                obs_stream: obsStats.isLive ? this.formatOBSStream(obsStats) : null
+            };
+        }
+
+        const transmission = transmissionRows[0];
+        const stats = await wowzaService.getStreamStats(transmission.wowza_stream_id);
+
+        const [platformRows] = await db.execute(
+            `SELECT
+                tp.status,
+                up.platform_id,
+                p.nome,
+                p.codigo
+             FROM transmissoes_plataformas tp
+             JOIN user_platforms up ON tp.user_platform_id = up.codigo
+             JOIN plataformas p ON up.platform_id = p.codigo
+             WHERE tp.transmissao_id = ?`,
+            [transmission.id]
+        );
+
+        return {
+            success: true,
+            is_live: true,
+            stream_type: 'playlist',
+            transmission: {
+                ...transmission,
+                stats: {
+                    viewers: stats.viewers,
+                    bitrate: stats.bitrate,
+                    uptime: stats.uptime,
+                    isActive: stats.isActive,
+                },
+                platforms: platformRows.map(p => ({
+                    user_platform: {
+                        platform: {
+                            nome: p.nome,
+                            codigo: p.codigo,
+                        }
+                    },
+                    status: p.status
+                }))
+            }
+        };
+    }
+
+    // Eventos de início/fim disparados pelas rotas; o monitor recomeça a comparação do zero
+    notify(userId, type, data) {
+        this.lastStatus.delete(userId);
+        EventService.publish(userId, type, data);
+    }
+
+    startMonitor() {
+        if (this.monitoring) return;
+        this.monitoring = true;
+
+        setInterval(() => {
+            // Com o Wowza lento a verificação pode passar do intervalo: pula até a anterior terminar
+            if (this.checking) return;
+            this.checking = true;
+            this.checkSubscribers()
+                .catch(error => {
+                    console.error('Erro no monitor de transmissões:', error);
+                })
+                .finally(() => {
+                    this.checking = false;
+                });
+        }, this.monitorInterval);
+    }
+
+    // Só consulta o Wowza para usuários com o painel aberto
+    async checkSubscribers() {
+        const userIds = EventService.subscribedUsers();
+
+        for (const userId of this.lastStatus.keys()) {
+            if (!userIds.includes(userId)) this.lastStatus.delete(userId);
+        }
+
+        for (const userId of userIds) {
+            try {
+                await this.checkUser(userId);
+            } catch (error) {
+                console.warn(`Erro ao verificar transmissão do usuário ${userId}:`, error.message);
+            }
+        }
+    }
+
+    async checkUser(userId) {
+        const previous = this.lastStatus.get(userId);
+        const status = await this.getStatus(userId);
+        this.lastStatus.set(userId, status);
+
+        const liveStats = (data) => {
+            if (!data || !data.is_live) return null;
+            return data.stream_type === 'obs' ? data.obs_stream : data.transmission.stats;
+        };
+
+        const current = liveStats(status);
+        const before = liveStats(previous);
+
+        // Início/fim detectado pelo monitor (ex.: OBS conectado fora do painel)
+        if (!previous || previous.is_live !== status.is_live || previous.stream_type !== status.stream_type) {
+            if (previous) EventService.publish(userId, 'stream.status', status);
+            return;
+        }
+
+        if (current && (current.viewers !== before.viewers || current.bitrate !== before.bitrate)) {
+            EventService.publish(userId, 'stream.viewers', {
+                stream_type: status.stream_type,
+                viewers: current.viewers,
+                bitrate: current.bitrate,
+                uptime: current.uptime
+            });
+        }
+    }
+}
+
+module.exports = new StreamStatusService();
@@ -0,0 +1,283 @@
+const db = require('../config/database');
+
+// Perfis padrão dos operadores; permissões são as áreas do painel liberadas.
+// 'visualizar' libera apenas leitura (GET) de todas as áreas e '*' libera tudo.
+const ROLES = {
+    administrador: {
+        nome: 'Administrador',
+        descricao: 'Acesso completo, inclusive gerenciamento de operadores',
+        permissoes: ['*']
+    },
+    editor_agendamentos: {
+        nome: 'Editor de agendamentos',
+        descricao: 'Playlists, agendamentos e comerciais',
+        permissoes: ['agendamentos', 'visualizar']
+    },
+    uploader: {
+        nome: 'Uploader',
+        descricao: 'Envio e organização de vídeos',
+        permissoes: ['videos', 'visualizar']
+    },
+    visualizador: {
+        nome: 'Visualizador',
+        descricao: 'Somente leitura e estatísticas',
+        permissoes: ['estatisticas', 'visualizar']
+    }
+};
+
+// Perfil que usa um conjunto de permissões cadastrado em perfis_acesso
+const CUSTOM_ROLE = 'personalizado';
+
+// Conjuntos que o streaming pode dar aos operadores: os próprios e os globais (da administração)
+// marcados como atribuíveis; os demais perfis globais são da equipe administrativa
+const ASSIGNABLE_PROFILES = '(codigo_streaming = ? OR (codigo_streaming IS NULL AND atribuivel_operadores = 1))';
+
+class SubUserService {
+    constructor() {
+        this.roles = ROLES;
+        this.customRole = CUSTOM_ROLE;
+        this.tableReady = null;
+        this.profileColumnsReady = null;
+    }
+
+    async ensureTable() {
+        if (!this.tableReady) {
+            this.tableReady = db.execute(`
+                CREATE TABLE IF NOT EXISTS streamings_subusuarios (
+                    codigo INT AUTO_INCREMENT PRIMARY KEY,
+                    codigo_streaming INT NOT NULL,
+                    nome VARCHAR(255) NOT NULL,
+                    email VARCHAR(255) NOT NULL,
+                    senha VARCHAR(255) NOT NULL,
+                    perfil VARCHAR(50) NOT NULL,
+                    codigo_perfil_acesso INT DEFAULT NULL,
+                    status TINYINT(1) NOT NULL DEFAULT 1,
+                    data_cadastro DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    ultimo_acesso DATETIME DEFAULT NULL,
+                    UNIQUE KEY idx_subusuarios_email (email),
+                    KEY idx_subusuarios_streaming (codigo_streaming)
+                )
+            `).catch(error => {
+                this.tableReady = null;
+                throw error;
+            });
+        }
+        return this.tableReady;
+    }
+
+    // Dono e liberação para operadores não existem no schema original de perfis_acesso
+    async ensureProfileColumns() {
+        if (!this.profileColumnsReady) {
+            this.profileColumnsReady = db.execute(`
+                ALTER TABLE perfis_acesso
+                ADD COLUMN IF NOT EXISTS codigo_streaming INT DEFAULT NULL,
+                ADD COLUMN IF NOT EXISTS atribuivel_operadores TINYINT(1) NOT NULL DEFAULT 0
+            `).catch(error => {
+                this.profileColumnsReady = null;
+                throw error;
+            });
+        }
+        return this.profileColumnsReady;
+    }
+
+    // Perfis padrão e conjuntos ativos de perfis_acesso que o streaming pode atribuir
+    async listRoles(streamingId) {
+        await this.ensureProfileColumns();
+        const [profiles] = await db.execute(
+            `SELECT codigo, nome, descricao, permissoes FROM perfis_acesso
+             WHERE ativo = 1 AND ${ASSIGNABLE_PROFILES} ORDER BY nome`,
+            [streamingId]
+        );
+
+        return {
+            padrao: Object.entries(this.roles).map(([perfil, role]) => ({ perfil, ...role })),
+            personalizados: profiles.map(profile => ({
+                codigo_perfil_acesso: profile.codigo,
+                nome: profile.nome,
+                descricao: profile.descricao,
+                permissoes: this.parsePermissions(profile.permissoes)
+            }))
+        };
+    }
+
+    // perfis_acesso.permissoes pode ser uma lista ou um objeto { area: true }
+    parsePermissions(raw) {
+        let parsed = raw;
+        try {
+            parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        } catch (error) {
+            console.error('Erro ao parsear permissões do perfil:', error);
+            return [];
+        }
+
+        if (Array.isArray(parsed)) return parsed.map(String);
+        if (parsed && typeof parsed === 'object') {
+            return Object.keys(parsed).filter(key => parsed[key]);
+        }
+        return [];
+    }
+
+    // Um conjunto que deixou de ser atribuível ao streaming não concede mais nada
+    async resolvePermissions(streamingId, perfil, codigoPerfilAcesso) {
+        if (perfil === CUSTOM_ROLE) {
+            await this.ensureProfileColumns();
+            const [rows] = await db.execute(
+                `SELECT permissoes FROM perfis_acesso WHERE codigo = ? AND ativo = 1 AND ${ASSIGNABLE_PROFILES}`,
+                [codigoPerfilAcesso, streamingId]
+            );
+            return rows.length > 0 ? this.parsePermissions(rows[0].permissoes) : [];
+        }
+        return this.roles[perfil] ? this.roles[perfil].permissoes : [];
+    }
+
+    // Validar perfil informado ao criar/alterar operador
+    async validateRole(streamingId, perfil, codigoPerfilAcesso) {
+        if (perfil === CUSTOM_ROLE) {
+            await this.ensureProfileColumns();
+            const [rows] = await db.execute(
+                `SELECT codigo FROM perfis_acesso WHERE codigo = ? AND ativo = 1 AND ${ASSIGNABLE_PROFILES}`,
+                [codigoPerfilAcesso || 0, streamingId]
+            );
+            return rows.length > 0 ? null : 'Perfil de acesso não encontrado';
+        }
+        return this.roles[perfil] ? null : `Perfil inválido. Use: ${[...Object.keys(this.roles), CUSTOM_ROLE].join(', ')}`;
+    }
+
+    hasPermission(permissoes, area, method) {
+        if (!Array.isArray(permissoes)) return false;
+        if (permissoes.includes('*') || permissoes.includes(area)) return true;
+
+        const readOnly = method === 'GET' || method === 'HEAD';
+        return readOnly && permissoes.includes('visualizar') && area !== 'usuarios';
+    }
+
+    // Quem não tem '*' só concede as permissões que já possui (e só gerencia operadores nesse limite)
+    canGrant(permissoes, concedidas) {
+        if (!Array.isArray(permissoes)) return false;
+        if (permissoes.includes('*')) return true;
+        return !concedidas.includes('*') && concedidas.every(permission => permissoes.includes(permission));
+    }
+
+    // Montar usuário no formato do login a partir do operador e do streaming dono
+    async buildUser(row) {
+        return {
+            codigo: row.codigo,
+            nome: row.nome,
+            email: row.email,
+            senha: row.senha,
+            usuario: row.usuario,
+            streamings: 1,
+            espectadores: row.espectadores,
+            bitrate: row.bitrate,
+            espaco: row.espaco,
+            status: row.status === 1 && row.status_streaming === 1 ? 1 : 0,
+            tipo: 'subusuario',
+            codigo_streaming: row.codigo_streaming,
+            email_streaming: row.email_streaming,
+            codigo_cliente: row.codigo_cliente,
+            codigo_servidor: row.codigo_servidor,
+            perfil: row.perfil,
+            permissoes: await this.resolvePermissions(row.codigo_streaming, row.perfil, row.codigo_perfil_acesso)
+        };
+    }
+
+    async findRow(where, params) {
+        await this.ensureTable();
+        const [rows] = await db.execute(
+            `SELECT su.codigo, su.codigo_streaming, su.nome, su.email, su.senha, su.perfil,
+                    su.codigo_perfil_acesso, su.status,
+                    s.usuario, s.email as email_streaming, s.espectadores, s.bitrate, s.espaco,
+                    s.status as status_streaming, s.codigo_cliente, s.codigo_servidor
+             FROM streamings_subusuarios su
+             JOIN streamings s ON s.codigo = su.codigo_streaming
+             WHERE ${where}
+             LIMIT 1`,
+            params
+        );
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    async findForLogin(email) {
+        const row = await this.findRow('su.email = ? AND su.status = 1 AND s.status = 1', [email]);
+        return row ? this.buildUser(row) : null;
+    }
+
+    // Usado na renovação de sessão
+    async loadUser(subUserId) {
+        const row = await this.findRow('su.codigo = ? AND su.status = 1 AND s.status = 1', [subUserId]);
+        return row ? this.buildUser(row) : null;
+    }
+
+    async list(streamingId) {
+        await this.ensureTable();
+        const [rows] = await db.execute(
+            `SELECT codigo, nome, email, perfil, codigo_perfil_acesso, status, data_cadastro, ultimo_acesso
+             FROM streamings_subusuarios WHERE codigo_streaming = ? ORDER BY nome`,
+            [streamingId]
+        );
+        return rows;
+    }
+
+    async get(streamingId, subUserId) {
+        await this.ensureTable();
+        const [rows] = await db.execute(
+            `SELECT codigo, codigo_streaming, nome, email, perfil, codigo_perfil_acesso, status, data_cadastro, ultimo_acesso
+             FROM streamings_subusuarios WHERE codigo = ? AND codigo_streaming = ?`,
+            [subUserId, streamingId]
+        );
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    // Email identifica o login, então não pode repetir em nenhum tipo de conta
+    async isEmailTaken(email, excludeSubUserId = null) {
+        await this.ensureTable();
+        const [subUserRows] = await db.execute(
+            'SELECT codigo FROM streamings_subusuarios WHERE email = ? AND codigo <> ? LIMIT 1',
+            [email, excludeSubUserId || 0]
+        );
+        if (subUserRows.length > 0) return true;
+
+        const [streamingRows] = await db.execute('SELECT codigo FROM streamings WHERE email = ? LIMIT 1', [email]);
+        if (streamingRows.length > 0) return true;
+
+        const [revendaRows] = await db.execute('SELECT codigo FROM revendas WHERE email = ? LIMIT 1', [email]);
+        return revendaRows.length > 0;
+    }
+
+    async create(streamingId, { nome, email, senhaHash, perfil, codigoPerfilAcesso }) {
+        await this.ensureTable();
+        const [result] = await db.execute(
+            `INSERT INTO streamings_subusuarios (codigo_streaming, nome, email, senha, perfil, codigo_perfil_acesso)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [streamingId, nome, email, senhaHash, perfil, perfil === CUSTOM_ROLE ? codigoPerfilAcesso : null]
+        );
+        return result.insertId;
+    }
+
+    async update(subUserId, changes) {
+        const fields = [];
+        const values = [];
+
+        for (const [column, value] of Object.entries(changes)) {
+            fields.push(`${column} = ?`);
+            values.push(value);
+        }
+        if (fields.length === 0) return;
+
+        await db.execute(
+            `UPDATE streamings_subusuarios SET ${fields.join(', ')} WHERE codigo = ?`,
+            [...values, subUserId]
+        );
+    }
+
+    async updateLastAccess(subUserId) {
+        await db.execute('UPDATE streamings_subusuarios SET ultimo_acesso = NOW() WHERE codigo = ?', [subUserId]);
+    }
+
+    async remove(subUserId) {
+        await this.ensureTable();
+        await db.execute('DELETE FROM streamings_subusuarios WHERE codigo = ?', [subUserId]);
+    }
+}
+
+module.exports = new SubUserService();
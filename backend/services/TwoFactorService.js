@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const RevendaService = require('./RevendaService');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'sua_chave_secreta_super_segura_aqui';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TwoFactorService {
+    constructor() {
+        this.issuer = process.env.TOTP_ISSUER || 'SamCast';
+        this.period = 30;
+        this.digits = 6;
+        this.window = 1; // Aceitar um passo antes/depois para tolerar relógio dessincronizado
+        this.recoveryCodesCount = 10;
+        this.challengeExpiresIn = '5m';
+        this.tablesReady = null;
+    }
+
+    async ensureTables() {
+        if (!this.tablesReady) {
+            this.tablesReady = (async () => {
+                await db.execute(`
+                    CREATE TABLE IF NOT EXISTS autenticacao_2fa (
+                        codigo INT AUTO_INCREMENT PRIMARY KEY,
+                        tipo_usuario VARCHAR(20) NOT NULL,
+                        codigo_usuario INT NOT NULL,
+                        segredo VARCHAR(64) NOT NULL,
+                        ativo TINYINT(1) NOT NULL DEFAULT 0,
+                        ultimo_passo BIGINT NOT NULL DEFAULT 0,
+                        data_criacao DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                        data_ativacao DATETIME DEFAULT NULL,
+                        UNIQUE KEY idx_2fa_usuario (tipo_usuario, codigo_usuario)
+                    )
+                `);
+                await db.execute(`
+                    CREATE TABLE IF NOT EXISTS autenticacao_2fa_recuperacao (
+                        codigo INT AUTO_INCREMENT PRIMARY KEY,
+                        tipo_usuario VARCHAR(20) NOT NULL,
+                        codigo_usuario INT NOT NULL,
+                        codigo_hash CHAR(64) NOT NULL,
+                        data_uso DATETIME DEFAULT NULL,
+                        KEY idx_2fa_recuperacao_usuario (tipo_usuario, codigo_usuario)
+                    )
+                `);
+            })().catch(error => {
+                this.tablesReady = null;
+                throw error;
+            });
+        }
+        return this.tablesReady;
+    }
+
+    base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+        return output;
+    }
+
+    base32Decode(input) {
+        const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) throw new Error('Segredo base32 inválido');
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+        return Buffer.from(bytes);
+    }
+
+    // HOTP (RFC 4226) para um contador
+    hotp(secret, counter) {
+        const counterBuffer = Buffer.alloc(8);
+        counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+        const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counterBuffer).digest();
+        const offset = hmac[hmac.length - 1] & 0xf;
+        const binary = ((hmac[offset] & 0x7f) << 24)
+            | (hmac[offset + 1] << 16)
+            | (hmac[offset + 2] << 8)
+            | hmac[offset + 3];
+
+        return (binary % Math.pow(10, this.digits)).toString().padStart(this.digits, '0');
+    }
+
+    // TOTP (RFC 6238): retorna o passo aceito ou null
+    verifyCode(secret, code, lastStep = 0) {
+        const normalized = String(code || '').replace(/\s/g, '');
+        if (!/^\d+$/.test(normalized) || normalized.length !== this.digits) return null;
+
+        const currentStep = Math.floor(Date.now() / 1000 / this.period);
+        for (let offset = -this.window; offset <= this.window; offset++) {
+            const step = currentStep + offset;
+            // Impedir reutilização de um código já aceito
+            if (step <= lastStep) continue;
+
+            const expected = this.hotp(secret, step);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    buildOtpauthUri(secret, accountName) {
+        const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: this.issuer,
+            algorithm: 'SHA1',
+            digits: String(this.digits),
+            period: String(this.period)
+        });
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    async getRecord(tipo, userId) {
+        await this.ensureTables();
+        const [rows] = await db.execute(
+            'SELECT * FROM autenticacao_2fa WHERE tipo_usuario = ? AND codigo_usuario = ?',
+            [tipo, userId]
+        );
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    async isEnabled(tipo, userId) {
+        const record = await this.getRecord(tipo, userId);
+        return !!record && record.ativo === 1;
+    }
+
+    // 2FA obrigatório para clientes de streaming (e seus operadores) quando a revenda exigir
+    async isRequired(user) {
+        if (!['streaming', 'subusuario'].includes(user.tipo) || !user.codigo_cliente) return false;
+
+        const configuracoes = await RevendaService.getConfiguracoes(user.codigo_cliente);
+        return !!(configuracoes && configuracoes.exigir_2fa);
+    }
+
+    // 'verify' quando precisa do código, 'setup' quando precisa cadastrar, null quando dispensado
+    async getLoginRequirement(user) {
+        if (await this.isEnabled(user.tipo, user.codigo)) return 'verify';
+        if (await this.isRequired(user)) return 'setup';
+        return null;
+    }
+
+    signChallenge(user, purpose) {
+        return jwt.sign(
+            { userId: user.codigo, tipo: user.tipo, purpose },
+            JWT_SECRET,
+            { expiresIn: this.challengeExpiresIn }
+        );
+    }
+
+    // Validar token de desafio emitido no primeiro passo do login
+    verifyChallenge(token, purpose) {
+        try {
+            const decoded = jwt.verify(token, JWT_SECRET);
+            return decoded.purpose === purpose ? decoded : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Gerar (ou regenerar) segredo pendente de confirmação
+    async startEnrollment(tipo, userId, accountName) {
+        const existing = await this.getRecord(tipo, userId);
+        if (existing && existing.ativo === 1) {
+            return { success: false, error: 'Autenticação em dois fatores já está ativa' };
+        }
+
+        const secret = this.base32Encode(crypto.randomBytes(20));
+
+        if (existing) {
+            await db.execute(
+                'UPDATE autenticacao_2fa SET segredo = ?, ultimo_passo = 0, data_criacao = NOW() WHERE codigo = ?',
+                [secret, existing.codigo]
+            );
+        } else {
+            await db.execute(
+                'INSERT INTO autenticacao_2fa (tipo_usuario, codigo_usuario, segredo) VALUES (?, ?, ?)',
+                [tipo, userId, secret]
+            );
+        }
+
+        return {
+            success: true,
+            secret,
+            otpauth_uri: this.buildOtpauthUri(secret, accountName)
+        };
+    }
+
+    // Confirmar cadastro com o primeiro código e ativar
+    async confirmEnrollment(tipo, userId, code) {
+        const record = await this.getRecord(tipo, userId);
+        if (!record) {
+            return { success: false, error: 'Cadastro de 2FA não iniciado' };
+        }
+        if (record.ativo === 1) {
+            return { success: false, error: 'Autenticação em dois fatores já está ativa' };
+        }
+
+        const step = this.verifyCode(record.segredo, code, record.ultimo_passo);
+        if (step === null) {
+            return { success: false, error: 'Código inválido' };
+        }
+
+        await db.execute(
+            'UPDATE autenticacao_2fa SET ativo = 1, ultimo_passo = ?, data_ativacao = NOW() WHERE codigo = ?',
+            [step, record.codigo]
+        );
+
+        const recoveryCodes = await this.generateRecoveryCodes(tipo, userId);
+        return { success: true, recovery_codes: recoveryCodes };
+    }
+
+    // Validar código TOTP ou código de recuperação no login
+    async verifyLogin(tipo, userId, { code, recoveryCode }) {
+        const record = await this.getRecord(tipo, userId);
+        if (!record || record.ativo !== 1) return false;
+
+        if (recoveryCode) {
+            return this.consumeRecoveryCode(tipo, userId, recoveryCode);
+        }
+
+        const step = this.verifyCode(record.segredo, code, record.ultimo_passo);
+        if (step === null) return false;
+
+        // Atualização condicional evita que o mesmo código seja aceito em requisições simultâneas
+        const [result] = await db.execute(
+            'UPDATE autenticacao_2fa SET ultimo_passo = ? WHERE codigo = ? AND ultimo_passo < ?',
+            [step, record.codigo, step]
+        );
+        return result.affectedRows > 0;
+    }
+
+    hashRecoveryCode(code) {
+        return crypto.createHash('sha256')
+            .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+            .digest('hex');
+    }
+
+    // Gerar novos códigos de recuperação; os anteriores são descartados
+    async generateRecoveryCodes(tipo, userId) {
+        await this.ensureTables();
+        await db.execute(
+            'DELETE FROM autenticacao_2fa_recuperacao WHERE tipo_usuario = ? AND codigo_usuario = ?',
+            [tipo, userId]
+        );
+
+        const codes = [];
+        for (let i = 0; i < this.recoveryCodesCount; i++) {
+            const raw = crypto.randomBytes(5).toString('hex');
+            const code = `${raw.substring(0, 5)}-${raw.substring(5)}`;
+            codes.push(code);
+
+            await db.execute(
+                'INSERT INTO autenticacao_2fa_recuperacao (tipo_usuario, codigo_usuario, codigo_hash) VALUES (?, ?, ?)',
+                [tipo, userId, this.hashRecoveryCode(code)]
+            );
+        }
+        return codes;
+    }
+
+    async consumeRecoveryCode(tipo, userId, code) {
+        await this.ensureTables();
+        const [result] = await db.execute(
+            `UPDATE autenticacao_2fa_recuperacao SET data_uso = NOW()
+             WHERE tipo_usuario = ? AND codigo_usuario = ? AND codigo_hash = ? AND data_uso IS NULL
+             LIMIT 1`,
+            [tipo, userId, this.hashRecoveryCode(code)]
+        );
+        return result.affectedRows > 0;
+    }
+
+    async countRecoveryCodes(tipo, userId) {
+        await this.ensureTables();
+        const [rows] = await db.execute(
+            `SELECT COUNT(*) as total FROM autenticacao_2fa_recuperacao
+             WHERE tipo_usuario = ? AND codigo_usuario = ? AND data_uso IS NULL`,
+            [tipo, userId]
+        );
+        return rows[0].total;
+    }
+
+    async disable(tipo, userId) {
+        await this.ensureTables();
+        await db.execute(
+            'DELETE FROM autenticacao_2fa WHERE tipo_usuario = ? AND codigo_usuario = ?',
+            [tipo, userId]
+        );
+        await db.execute(
+            'DELETE FROM autenticacao_2fa_recuperacao WHERE tipo_usuario = ? AND codigo_usuario = ?',
+            [tipo, userId]
+        );
+    }
+}
+
+module.exports = new TwoFactorService();
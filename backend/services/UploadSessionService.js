@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const db = require('../config/database');
+const StorageQuotaService = require('./StorageQuotaService');
+
+const SESSIONS_DIR = '/tmp/video-uploads/sessoes';
+const MAX_UPLOAD_SIZE = 2 * 1024 * 1024 * 1024;
+const RECOMMENDED_CHUNK_SIZE = 8 * 1024 * 1024;
+
+// Sessões de upload retomável: o arquivo é montado em partes no disco local e,
+// ao finalizar, segue o mesmo caminho do upload comum (ffprobe + envio via SSH).
+// Cada sessão aberta tem uma reserva no StorageQuotaService (codigo_reserva), liberada quando
+// a sessão é concluída, cancelada ou expira; o envio ao servidor confirma o tamanho real.
+class UploadSessionService {
+    constructor() {
+        this.sessionsDir = SESSIONS_DIR;
+        this.maxUploadSize = MAX_UPLOAD_SIZE;
+        this.recommendedChunkSize = RECOMMENDED_CHUNK_SIZE;
+        this.sessionTtlHours = parseInt(process.env.UPLOAD_SESSION_TTL_HORAS) || 24;
+        this.cleanupInterval = 30 * 60 * 1000; // 30 minutos
+        this.writing = new Set();
+        this.tableReady = null;
+        this.cleanupTimer = null;
+    }
+
+    async ensureTable() {
+        if (!this.tableReady) {
+            this.tableReady = db.execute(`
+                CREATE TABLE IF NOT EXISTS uploads_sessoes (
+                    codigo CHAR(36) PRIMARY KEY,
+                    codigo_cliente INT NOT NULL,
+                    pasta INT NOT NULL,
+                    nome_original VARCHAR(255) NOT NULL,
+                    nome_arquivo VARCHAR(255) NOT NULL,
+                    tamanho_total BIGINT NOT NULL,
+                    offset_atual BIGINT NOT NULL DEFAULT 0,
+                    status VARCHAR(20) NOT NULL DEFAULT 'ativo',
+                    codigo_reserva CHAR(36) DEFAULT NULL,
+                    codigo_video INT DEFAULT NULL,
+                    data_criacao DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    ultima_atividade DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    KEY idx_uploads_sessoes_pasta (pasta, status),
+                    KEY idx_uploads_sessoes_atividade (status, ultima_atividade)
+                )
+            `).catch(error => {
+                this.tableReady = null;
+                throw error;
+            });
+        }
+        return this.tableReady;
+    }
+
+    start() {
+        if (this.cleanupTimer) return;
+
+        this.cleanupTimer = setInterval(() => {
+            this.cleanupExpired().catch(error => {
+                console.error('Erro ao limpar sessões de upload:', error.message);
+            });
+        }, this.cleanupInterval);
+    }
+
+    tempPath(sessionId) {
+        return path.join(this.sessionsDir, `${sessionId}.part`);
+    }
+
+    // Mesmo padrão de nome usado pelo multer no upload comum
+    buildFileName(originalName) {
+        const sanitizedName = originalName
+            .replace(/[^a-zA-Z0-9.-]/g, '_')
+            .replace(/_{2,}/g, '_');
+        return `${Date.now()}_${sanitizedName}`;
+    }
+
+    // Reserva o tamanho declarado antes de criar a sessão; lança o erro do StorageQuotaService
+    // (400 sem espaço, 404 pasta não encontrada). A reserva não expira sozinha: segue a sessão.
+    async create(userId, { folderId, originalName, size }) {
+        await this.ensureTable();
+        await fs.mkdir(this.sessionsDir, { recursive: true });
+
+        const sessionId = crypto.randomUUID();
+        const fileName = this.buildFileName(originalName);
+        const reservation = await StorageQuotaService.reserve(userId, folderId, Math.ceil(size / (1024 * 1024)), {
+            origem: 'upload_sessao',
+            referencia: sessionId,
+            ttlHoras: 0
+        });
+
+        try {
+            await fs.writeFile(this.tempPath(sessionId), '');
+            await db.execute(
+                `INSERT INTO uploads_sessoes (codigo, codigo_cliente, pasta, nome_original, nome_arquivo, tamanho_total, codigo_reserva)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [sessionId, userId, folderId, originalName, fileName, size, reservation.codigo]
+            );
+        } catch (error) {
+            await StorageQuotaService.release(reservation.codigo);
+            await this.removeFile(sessionId);
+            throw error;
+        }
+
+        return this.get(userId, sessionId);
+    }
+
+    async get(userId, sessionId) {
+        await this.ensureTable();
+        const [rows] = await db.execute(
+            `SELECT codigo, codigo_cliente, pasta, nome_original, nome_arquivo, tamanho_total, offset_atual,
+                    status, codigo_reserva, codigo_video, data_criacao, ultima_atividade,
+                    DATE_ADD(ultima_atividade, INTERVAL ? HOUR) as expira_em
+             FROM uploads_sessoes WHERE codigo = ? AND codigo_cliente = ?`,
+            [this.sessionTtlHours, sessionId, userId]
+        );
+        if (rows.length === 0) return null;
+
+        return {
+            ...rows[0],
+            tamanho_total: Number(rows[0].tamanho_total),
+            offset_atual: Number(rows[0].offset_atual)
+        };
+    }
+
+    async list(userId) {
+        await this.ensureTable();
+        const [rows] = await db.execute(
+            `SELECT codigo, pasta, nome_original, tamanho_total, offset_atual, status, data_criacao, ultima_atividade
+             FROM uploads_sessoes
+             WHERE codigo_cliente = ? AND status = 'ativo'
+             ORDER BY data_criacao DESC`,
+            [userId]
+        );
+        return rows;
+    }
+
+    // Acrescenta um bloco ao arquivo; o offset salvo é sempre o tamanho real em disco,
+    // então uma conexão interrompida no meio do bloco ainda aproveita o que chegou
+    async appendChunk(session, stream) {
+        if (this.writing.has(session.codigo)) {
+            throw Object.assign(new Error('Já existe um envio em andamento para esta sessão'), { status: 409 });
+        }
+
+        this.writing.add(session.codigo);
+        const filePath = this.tempPath(session.codigo);
+        const remaining = session.tamanho_total - session.offset_atual;
+
+        try {
+            await new Promise((resolve, reject) => {
+                const output = fsSync.createWriteStream(filePath, { flags: 'a' });
+                let received = 0;
+
+                stream.on('data', (chunk) => {
+                    received += chunk.length;
+                    if (received > remaining) {
+                        stream.unpipe(output);
+                        output.end();
+                        reject(Object.assign(new Error('O bloco ultrapassa o tamanho declarado do arquivo'), { status: 413 }));
+                    }
+                });
+                stream.on('aborted', () => {
+                    output.end();
+                    reject(Object.assign(new Error('Envio do bloco interrompido'), { status: 400 }));
+                });
+                output.on('finish', resolve);
+                output.on('error', reject);
+                stream.pipe(output);
+            });
+        } finally {
+            this.writing.delete(session.codigo);
+            await this.syncOffset(session);
+        }
+
+        return this.get(session.codigo_cliente, session.codigo);
+    }
+
+    // Corta o que passou do tamanho declarado e grava o offset real
+    async syncOffset(session) {
+        const filePath = this.tempPath(session.codigo);
+        let size = 0;
+        try {
+            size = (await fs.stat(filePath)).size;
+            if (size > session.tamanho_total) {
+                await fs.truncate(filePath, session.tamanho_total);
+                size = session.tamanho_total;
+            }
+        } catch (error) {
+            console.warn(`Arquivo da sessão de upload ${session.codigo} não encontrado:`, error.message);
+        }
+
+        await db.execute(
+            'UPDATE uploads_sessoes SET offset_atual = ?, ultima_atividade = NOW() WHERE codigo = ?',
+            [size, session.codigo]
+        );
+    }
+
+    // Passa a sessão de 'ativo' para 'finalizando'; false se outra finalização chegou antes
+    async claimFinalize(sessionId) {
+        const [result] = await db.execute(
+            "UPDATE uploads_sessoes SET status = 'finalizando', ultima_atividade = NOW() WHERE codigo = ? AND status = 'ativo'",
+            [sessionId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    async hasFile(sessionId) {
+        return fs.access(this.tempPath(sessionId)).then(() => true, () => false);
+    }
+
+    async setStatus(sessionId, status, videoId = null) {
+        await db.execute(
+            'UPDATE uploads_sessoes SET status = ?, codigo_video = COALESCE(?, codigo_video), ultima_atividade = NOW() WHERE codigo = ?',
+            [status, videoId, sessionId]
+        );
+    }
+
+    async removeFile(sessionId) {
+        await fs.unlink(this.tempPath(sessionId)).catch(() => { });
+    }
+
+    // Encerra a sessão (concluido, cancelado, erro, expirado) e libera a reserva dela
+    async close(sessionId, status, videoId = null) {
+        await this.setStatus(sessionId, status, videoId);
+        const [rows] = await db.execute('SELECT codigo_reserva FROM uploads_sessoes WHERE codigo = ?', [sessionId]);
+        if (rows.length > 0) {
+            await StorageQuotaService.release(rows[0].codigo_reserva);
+        }
+    }
+
+    async cancel(session) {
+        await this.removeFile(session.codigo);
+        await this.close(session.codigo, 'cancelado');
+    }
+
+    // Sessões paradas além do prazo liberam o espaço reservado e o arquivo parcial
+    async cleanupExpired() {
+        await this.ensureTable();
+        const [rows] = await db.execute(
+            `SELECT codigo FROM uploads_sessoes
+             WHERE status = 'ativo' AND ultima_atividade < DATE_SUB(NOW(), INTERVAL ? HOUR)`,
+            [this.sessionTtlHours]
+        );
+
+        for (const row of rows) {
+            if (this.writing.has(row.codigo)) continue;
+            await this.removeFile(row.codigo);
+            await this.close(row.codigo, 'expirado');
+            console.log(`🗑️ Sessão de upload expirada removida: ${row.codigo}`);
+        }
+
+        return rows.length;
+    }
+}
+
+module.exports = new UploadSessionService();
@@ -0,0 +1,476 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const StorageQuotaService = require('./StorageQuotaService');
+
+const IMPORT_DIR = '/tmp/video-uploads/importacoes';
+const MAX_IMPORT_SIZE = 2 * 1024 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+// Tipos de conteúdo usados para deduzir a extensão quando a URL não tem uma
+const CONTENT_TYPE_EXTENSIONS = {
+    'video/mp4': '.mp4',
+    'video/quicktime': '.mov',
+    'video/x-msvideo': '.avi',
+    'video/x-ms-wmv': '.wmv',
+    'video/x-flv': '.flv',
+    'video/webm': '.webm',
+    'video/x-matroska': '.mkv',
+    'video/3gpp': '.3gp',
+    'video/mp2t': '.ts',
+    'video/mpeg': '.mpg',
+    'video/ogg': '.ogv',
+    'video/x-m4v': '.m4v'
+};
+
+// Faixas que não são internet pública: rede local, loopback, link-local, CGNAT, reservadas,
+// multicast e os prefixos IPv6 que embutem um IPv4 (NAT64, 6to4, Teredo, compatível)
+const BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'], ['10.0.0.0', 8, 'ipv4'], ['100.64.0.0', 10, 'ipv4'], ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'], ['172.16.0.0', 12, 'ipv4'], ['192.0.0.0', 24, 'ipv4'], ['192.0.2.0', 24, 'ipv4'],
+    ['192.88.99.0', 24, 'ipv4'], ['192.168.0.0', 16, 'ipv4'], ['198.18.0.0', 15, 'ipv4'], ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'], ['224.0.0.0', 4, 'ipv4'], ['240.0.0.0', 4, 'ipv4'],
+    ['::', 96, 'ipv6'], ['64:ff9b::', 96, 'ipv6'], ['64:ff9b:1::', 48, 'ipv6'], ['100::', 64, 'ipv6'],
+    ['2001::', 32, 'ipv6'], ['2001:db8::', 32, 'ipv6'], ['2002::', 16, 'ipv6'], ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'], ['fec0::', 10, 'ipv6'], ['ff00::', 8, 'ipv6']
+];
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix, type] of BLOCKED_RANGES) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, type);
+}
+
+// Importação de vídeos a partir de uma URL HTTP(S) ou de um objeto em storage
+// compatível com S3. Um download por usuário, com progresso em memória no mesmo
+// formato do YouTubeDownloader; o arquivo baixado segue o caminho do upload comum.
+class UrlImportService {
+    constructor() {
+        this.activeImports = new Map();
+        this.importDir = IMPORT_DIR;
+        this.maxImportSize = MAX_IMPORT_SIZE;
+        this.allowPrivateHosts = process.env.URL_IMPORT_ALLOW_PRIVATE === 'true';
+        this.cleanupTimer = null;
+    }
+
+    start() {
+        if (this.cleanupTimer) return;
+
+        this.cleanupTimer = setInterval(() => {
+            // Remover importações finalizadas há mais de 1 hora
+            const maxAge = 60 * 60 * 1000;
+            for (const [userId, importData] of this.activeImports) {
+                if (!this.isRunning(importData) && Date.now() - importData.startTime.getTime() > maxAge) {
+                    this.activeImports.delete(userId);
+                }
+            }
+        }, 5 * 60 * 1000);
+    }
+
+    isRunning(importData) {
+        return importData.status === 'downloading' || importData.status === 'uploading';
+    }
+
+    // Monta a requisição de origem: URL direta ou objeto S3 (endpoint + bucket + chave)
+    buildSource({ url, s3 }) {
+        if (s3) {
+            const { endpoint, bucket, key, access_key_id, secret_access_key, region = 'us-east-1' } = s3;
+            if (!endpoint || !bucket || !key || !access_key_id || !secret_access_key) {
+                throw Object.assign(new Error('Para S3 informe endpoint, bucket, key, access_key_id e secret_access_key'), { status: 400 });
+            }
+
+            const objectPath = `/${bucket}/${key.replace(/^\/+/, '')}`
+                .split('/')
+                .map(segment => encodeURIComponent(segment))
+                .join('/');
+
+            return {
+                type: 's3',
+                url: this.parseUrl(`${endpoint.replace(/\/+$/, '')}${objectPath}`),
+                credentials: { accessKeyId: access_key_id, secretAccessKey: secret_access_key, region }
+            };
+        }
+
+        if (!url) {
+            throw Object.assign(new Error('Informe a URL do arquivo ou os dados do objeto S3'), { status: 400 });
+        }
+
+        return { type: 'url', url: this.parseUrl(url), credentials: null };
+    }
+
+    parseUrl(value) {
+        let parsed;
+        try {
+            parsed = new URL(value);
+        } catch (error) {
+            throw Object.assign(new Error('URL inválida'), { status: 400 });
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw Object.assign(new Error('A URL deve usar HTTP ou HTTPS'), { status: 400 });
+        }
+        return parsed;
+    }
+
+    // IPv4 mapeado em IPv6 (::ffff:7f00:1 ou ::ffff:127.0.0.1) volta a ser IPv4 antes da verificação
+    normalizeAddress(address) {
+        const mapped = address.match(/^(?:0{0,4}:)+ffff:(?:([\d.]+)|([\da-f]{1,4}):([\da-f]{1,4}))$/i);
+        if (mapped && mapped[1] && net.isIPv4(mapped[1])) {
+            return { address: mapped[1], family: 4 };
+        }
+        if (mapped && mapped[2]) {
+            const high = parseInt(mapped[2], 16);
+            const low = parseInt(mapped[3], 16);
+            return { address: [high >> 8, high & 255, low >> 8, low & 255].join('.'), family: 4 };
+        }
+        return { address, family: net.isIP(address) };
+    }
+
+    isBlockedAddress({ address, family }) {
+        return family !== 4 && family !== 6
+            ? true
+            : BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+    }
+
+    // Bloqueia endereços internos para a importação não servir de ponte para a rede local.
+    // Retorna o endereço verificado, ao qual a conexão deve ser feita (null se hosts internos são permitidos)
+    async assertPublicHost(url) {
+        if (this.allowPrivateHosts) return null;
+
+        const hostname = url.hostname.replace(/^\[|\]$/g, '');
+        const found = net.isIP(hostname)
+            ? [{ address: hostname }]
+            : await dns.lookup(hostname, { all: true }).catch(() => []);
+        const addresses = found.map(entry => this.normalizeAddress(entry.address));
+
+        if (addresses.length === 0) {
+            throw Object.assign(new Error(`Não foi possível resolver o host ${hostname}`), { status: 400 });
+        }
+        if (addresses.some(entry => this.isBlockedAddress(entry))) {
+            throw Object.assign(new Error('Endereços de rede interna não são permitidos'), { status: 400 });
+        }
+        return addresses[0];
+    }
+
+    // Agente que conecta sempre no endereço já verificado, sem nova resolução de DNS
+    // (evita que o host troque de IP entre a verificação e a conexão)
+    pinnedAgent(url, resolved) {
+        if (!resolved) return undefined;
+
+        const lookup = (hostname, options, callback) => {
+            if (typeof options === 'function') {
+                callback = options;
+                options = {};
+            }
+            if (this.isBlockedAddress(resolved)) {
+                callback(Object.assign(new Error('Endereços de rede interna não são permitidos'), { status: 400 }));
+                return;
+            }
+            if (options && options.all) {
+                callback(null, [{ address: resolved.address, family: resolved.family }]);
+            } else {
+                callback(null, resolved.address, resolved.family);
+            }
+        };
+        return url.protocol === 'https:'
+            ? new https.Agent({ lookup })
+            : new http.Agent({ lookup });
+    }
+
+    // Assinatura AWS Signature V4 (requisições sem corpo)
+    signS3Request(method, url, credentials) {
+        const now = new Date();
+        const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.substring(0, 8);
+        const scope = `${dateStamp}/${credentials.region}/s3/aws4_request`;
+
+        const headers = {
+            host: url.host,
+            'x-amz-content-sha256': EMPTY_PAYLOAD_HASH,
+            'x-amz-date': amzDate
+        };
+        const signedHeaders = Object.keys(headers).sort().join(';');
+        const canonicalHeaders = Object.keys(headers).sort().map(name => `${name}:${headers[name]}\n`).join('');
+
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            '',
+            canonicalHeaders,
+            signedHeaders,
+            EMPTY_PAYLOAD_HASH
+        ].join('\n');
+
+        const stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            scope,
+            crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+        ].join('\n');
+
+        const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+        const signingKey = hmac(hmac(hmac(hmac(`AWS4${credentials.secretAccessKey}`, dateStamp), credentials.region), 's3'), 'aws4_request');
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        return {
+            'x-amz-content-sha256': EMPTY_PAYLOAD_HASH,
+            'x-amz-date': amzDate,
+            Authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        };
+    }
+
+    // Segue os redirecionamentos manualmente para verificar o host de cada salto
+    async request(source, method, signal) {
+        let url = source.url;
+
+        for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+            const resolved = await this.assertPublicHost(url);
+            const headers = source.credentials ? this.signS3Request(method, url, source.credentials) : {};
+            const response = await fetch(url.toString(), {
+                method,
+                headers,
+                signal,
+                agent: this.pinnedAgent(url, resolved),
+                redirect: 'manual',
+                timeout: method === 'HEAD' ? 30000 : 0
+            });
+
+            const location = response.headers.get('location');
+            if (response.status < 300 || response.status >= 400 || !location) {
+                return response;
+            }
+
+            // Objetos S3 assinados não podem seguir redirecionamentos (a assinatura é do caminho original)
+            if (source.credentials) {
+                throw new Error('A origem S3 respondeu com um redirecionamento');
+            }
+            if (response.body) response.body.resume();
+            url = this.parseUrl(new URL(location, url).toString());
+        }
+
+        throw new Error(`Mais de ${MAX_REDIRECTS} redirecionamentos`);
+    }
+
+    // Nome original a partir do Content-Disposition, do caminho da URL ou do Content-Type
+    resolveFileName(url, response) {
+        const disposition = response.headers.get('content-disposition') || '';
+        const dispositionMatch = disposition.match(/filename\*=UTF-8''([^;]+)|filename="?([^";]+)"?/i);
+        let name = null;
+
+        if (dispositionMatch) {
+            try {
+                name = decodeURIComponent(dispositionMatch[1] || dispositionMatch[2]);
+            } catch (error) {
+                name = dispositionMatch[1] || dispositionMatch[2];
+            }
+        }
+        if (!name) {
+            try {
+                name = decodeURIComponent(path.basename(url.pathname));
+            } catch (error) {
+                name = path.basename(url.pathname);
+            }
+        }
+        name = name || 'video';
+
+        if (!path.extname(name)) {
+            const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+            name += CONTENT_TYPE_EXTENSIONS[contentType] || '';
+        }
+
+        return name;
+    }
+
+    // Consulta tamanho e nome do arquivo antes de baixar (HEAD)
+    async probe(params) {
+        const source = this.buildSource(params);
+
+        let response;
+        try {
+            response = await this.request(source, 'HEAD');
+        } catch (error) {
+            if (error.status) throw error;
+            throw Object.assign(new Error(`Não foi possível acessar a origem: ${error.message}`), { status: 400 });
+        }
+
+        if (!response.ok) {
+            throw Object.assign(new Error(`A origem respondeu com status ${response.status}`), { status: 400 });
+        }
+
+        const size = parseInt(response.headers.get('content-length'));
+        return {
+            source,
+            originalName: this.resolveFileName(source.url, response),
+            size: Number.isNaN(size) ? null : size
+        };
+    }
+
+    // Inicia o download em segundo plano; onDownloaded recebe o arquivo local e devolve o vídeo salvo.
+    // reservation é a reserva do StorageQuotaService feita ao criar a importação, liberada ao final
+    // (o envio ao servidor confirma o tamanho real). maxBytes limita origens que não informam o tamanho.
+    startImport(userId, { source, originalName, fileName, size, folderId, maxBytes, reservation }, onDownloaded) {
+        if (this.activeImports.has(userId) && this.isRunning(this.activeImports.get(userId))) {
+            throw Object.assign(new Error('Já existe uma importação ativa. Aguarde a conclusão ou cancele a importação atual.'), { status: 400 });
+        }
+
+        const importData = {
+            id: crypto.randomUUID(),
+            userId,
+            type: source.type,
+            sourceUrl: source.type === 's3' ? `${source.url.origin}${source.url.pathname}` : source.url.toString(),
+            originalName,
+            fileName,
+            folderId,
+            tempFilePath: path.join(this.importDir, `${userId}_${fileName}`),
+            expectedSize: size,
+            maxBytes,
+            reservation,
+            receivedBytes: 0,
+            startTime: new Date(),
+            status: 'downloading',
+            progress: 0,
+            controller: new AbortController()
+        };
+
+        this.activeImports.set(userId, importData);
+        console.log(`⬇️ Iniciando importação por URL: ${importData.sourceUrl}`);
+
+        this.run(source, importData, onDownloaded).catch(async (error) => {
+            if (importData.status === 'cancelled') return;
+            console.error('❌ Erro na importação por URL:', error.message);
+            importData.status = 'error';
+            importData.error = error.message;
+            await fs.unlink(importData.tempFilePath).catch(() => { });
+        }).finally(() => StorageQuotaService.release(importData.reservation && importData.reservation.codigo));
+
+        return importData;
+    }
+
+    async run(source, importData, onDownloaded) {
+        await fs.mkdir(this.importDir, { recursive: true });
+
+        const response = await this.request(source, 'GET', importData.controller.signal);
+        if (!response.ok) {
+            throw new Error(`A origem respondeu com status ${response.status}`);
+        }
+
+        // Tamanho só conhecido no GET: a reserva passa a cobri-lo antes de gravar qualquer byte
+        const contentLength = parseInt(response.headers.get('content-length'));
+        if (!Number.isNaN(contentLength) && !importData.expectedSize) {
+            importData.expectedSize = contentLength;
+            importData.reservation = await StorageQuotaService.resize(
+                importData.userId,
+                importData.reservation,
+                Math.ceil(contentLength / (1024 * 1024))
+            );
+        }
+        const limit = importData.expectedSize || importData.maxBytes;
+
+        await new Promise((resolve, reject) => {
+            const output = fsSync.createWriteStream(importData.tempFilePath);
+
+            response.body.on('data', (chunk) => {
+                importData.receivedBytes += chunk.length;
+                if (importData.receivedBytes > limit) {
+                    importData.controller.abort();
+                    response.body.unpipe(output);
+                    output.end();
+                    reject(new Error(importData.expectedSize
+                        ? 'A origem enviou mais dados que o tamanho informado'
+                        : `Arquivo excede o espaço disponível (${Math.floor(limit / (1024 * 1024))}MB)`));
+                    return;
+                }
+                if (importData.expectedSize) {
+                    importData.progress = Math.floor((importData.receivedBytes / importData.expectedSize) * 1000) / 10;
+                }
+            });
+            response.body.on('error', reject);
+            output.on('finish', resolve);
+            output.on('error', reject);
+            response.body.pipe(output);
+        });
+
+        if (importData.status === 'cancelled') return;
+
+        console.log(`✅ Importação baixada: ${importData.originalName} (${importData.receivedBytes} bytes)`);
+        importData.status = 'uploading';
+        importData.progress = 100;
+
+        const result = await onDownloaded(importData);
+        if (result.status !== 201) {
+            throw new Error(result.body.error || 'Erro ao salvar vídeo importado');
+        }
+
+        importData.status = 'completed';
+        importData.videoId = result.body.id;
+        importData.finalSize = importData.receivedBytes;
+        importData.video = result.body;
+    }
+
+    // Mesmo formato de GET /api/downloadyoutube/status
+    getStatus(userId) {
+        const importData = this.activeImports.get(userId);
+
+        if (!importData) {
+            return {
+                downloading: false,
+                status: 'idle'
+            };
+        }
+
+        return {
+            downloading: this.isRunning(importData),
+            status: importData.status,
+            progress: importData.progress || 0,
+            filename: importData.fileName,
+            video_title: importData.originalName,
+            uptime: Math.floor((Date.now() - importData.startTime.getTime()) / 1000),
+            error: importData.error || null,
+            final_size: importData.finalSize || null,
+            video_id: importData.videoId || null,
+            import_id: importData.id,
+            source_type: importData.type,
+            source_url: importData.sourceUrl,
+            folder_id: importData.folderId,
+            bytes_received: importData.receivedBytes,
+            bytes_total: importData.expectedSize || null
+        };
+    }
+
+    async cancel(userId) {
+        const importData = this.activeImports.get(userId);
+
+        if (!importData || !this.isRunning(importData)) {
+            return {
+                success: true,
+                message: 'Nenhuma importação ativa encontrada'
+            };
+        }
+
+        // Após o download o envio ao servidor já está em curso e não pode ser interrompido
+        if (importData.status === 'uploading') {
+            return {
+                success: false,
+                error: 'O arquivo já está sendo enviado ao servidor'
+            };
+        }
+
+        importData.status = 'cancelled';
+        importData.controller.abort();
+        await fs.unlink(importData.tempFilePath).catch(() => { });
+        await StorageQuotaService.release(importData.reservation && importData.reservation.codigo);
+        this.activeImports.delete(userId);
+        console.log(`🛑 Importação por URL cancelada: ${importData.sourceUrl}`);
+
+        return {
+            success: true,
+            message: 'Importação cancelada com sucesso'
+        };
+    }
+}
+
+module.exports = new UrlImportService();
@@ -0,0 +1,569 @@
+const fs = require('fs').promises;
+const path = require('path');
+const db = require('../config/database');
+const SSHManager = require('../config/SSHManager');
+const JobQueueService = require('./JobQueueService');
+const VideoPreviewService = require('./VideoPreviewService');
+const LoudnessService = require('./LoudnessService');
+const StorageQuotaService = require('./StorageQuotaService');
+
+const WOWZA_CONTENT_PATH = '/usr/local/WowzaStreamingEngine/content';
+const STREAMING_BASE_PATH = '/home/streaming';
+const PROGRESS_POLL_MS = 5000;
+
+// Degraus do modo adaptativo (ABR); só entram os que cabem no bitrate do plano e na resolução original
+const ABR_LADDER = [
+    { label: '1080p', width: 1920, height: 1080, bitrate: 4000, audioBitrate: 128 },
+    { label: '720p', width: 1280, height: 720, bitrate: 2500, audioBitrate: 128 },
+    { label: '480p', width: 854, height: 480, bitrate: 1200, audioBitrate: 128 },
+    { label: '360p', width: 640, height: 360, bitrate: 700, audioBitrate: 96 },
+    { label: '240p', width: 426, height: 240, bitrate: 400, audioBitrate: 96 }
+];
+const ABR_LABEL = 'Adaptativo (ABR)';
+
+// Conversão de vídeos com FFmpeg no servidor do usuário, executada pela fila de tarefas
+// (tipo 'conversao'). O PID e o progresso do FFmpeg ficam em arquivos temporários no
+// servidor para a tarefa poder acompanhar e interromper a conversão.
+// No modo ABR o vídeo vira várias versões (uma por degrau) e um SMIL multi-bitrate do Wowza.
+class VideoConversionService {
+    constructor() {
+        JobQueueService.register('conversao', {
+            run: (job, ctx) => this.run(job, ctx),
+            concurrencyPerUser: 1,
+            maxAttempts: 2
+        });
+    }
+
+    // Degraus do ABR para o plano do usuário; sempre sobra ao menos o menor, limitado ao plano
+    buildLadder(userBitrateLimit, sourceHeight = 0) {
+        const ladder = ABR_LADDER.filter(rung =>
+            rung.bitrate <= userBitrateLimit && (!sourceHeight || rung.height <= sourceHeight)
+        );
+        if (ladder.length > 0) return ladder;
+
+        const lowest = ABR_LADDER[ABR_LADDER.length - 1];
+        return [{ ...lowest, bitrate: Math.min(lowest.bitrate, userBitrateLimit) }];
+    }
+
+    // Configurações de uma conversão a partir do corpo de POST /api/conversion/convert
+    resolveSettings(user, { quality, custom_bitrate, custom_resolution, use_custom }) {
+        const userBitrateLimit = user.bitrate || 2500;
+
+        if (use_custom || quality === 'custom') {
+            if (!custom_bitrate || !custom_resolution) {
+                return { error: 'Bitrate e resolução customizados são obrigatórios para conversão personalizada' };
+            }
+
+            if (custom_bitrate > userBitrateLimit) {
+                return { error: `Bitrate customizado (${custom_bitrate} kbps) excede o limite do plano (${userBitrateLimit} kbps)` };
+            }
+
+            if (!/^\d{2,5}x\d{2,5}$/.test(custom_resolution)) {
+                return { error: 'Resolução deve estar no formato LARGURAxALTURA' };
+            }
+
+            return {
+                targetBitrate: parseInt(custom_bitrate),
+                targetResolution: custom_resolution,
+                qualityLabel: `Personalizado (${custom_bitrate} kbps)`
+            };
+        }
+
+        // Qualidades predefinidas
+        const qualitySettings = {
+            baixa: { bitrate: 800, resolution: '854x480', label: 'Baixa (480p)' },
+            media: { bitrate: 1500, resolution: '1280x720', label: 'Média (720p)' },
+            alta: { bitrate: 2500, resolution: '1920x1080', label: 'Alta (1080p)' },
+            fullhd: { bitrate: Math.min(4000, userBitrateLimit), resolution: '1920x1080', label: 'Full HD (1080p+)' }
+        };
+
+        const settings = qualitySettings[quality];
+        if (!settings) {
+            return { error: 'Qualidade inválida' };
+        }
+
+        if (settings.bitrate > userBitrateLimit) {
+            return { error: `Qualidade selecionada excede o limite do plano (${userBitrateLimit} kbps)` };
+        }
+
+        return {
+            targetBitrate: settings.bitrate,
+            targetResolution: settings.resolution,
+            qualityLabel: settings.label
+        };
+    }
+
+    // Valida o pedido e enfileira a conversão; retorna { status, body } para a rota
+    async enqueue(user, body) {
+        const userId = user.id;
+        const { video_id, prioridade } = body;
+
+        if (!video_id) {
+            return { status: 400, body: { success: false, error: 'ID do vídeo é obrigatório' } };
+        }
+
+        // Buscar dados do vídeo
+        const [videoRows] = await db.execute(
+            'SELECT * FROM videos WHERE id = ? AND codigo_cliente = ?',
+            [video_id, userId]
+        );
+
+        if (videoRows.length === 0) {
+            return { status: 404, body: { success: false, error: 'Vídeo não encontrado' } };
+        }
+
+        const video = videoRows[0];
+        const isAbr = body.mode === 'abr' || body.quality === 'abr';
+        const settings = isAbr ? {} : this.resolveSettings(user, body);
+        if (settings.error) {
+            return { status: 400, body: { success: false, error: settings.error } };
+        }
+        const { targetBitrate, targetResolution, qualityLabel } = settings;
+
+        // Normalização de loudness opcional (EBU R128), em LUFS
+        const loudnessTarget = LoudnessService.parseTarget(body.loudness_target ?? body.normalize_loudness);
+        if (loudnessTarget === null) {
+            return { status: 400, body: { success: false, error: LoudnessService.invalidTargetMessage() } };
+        }
+        const loudnessSuffix = loudnessTarget !== undefined ? `_${Math.abs(loudnessTarget)}lufs` : '';
+
+        // Buscar servidor do usuário
+        const [serverRows] = await db.execute(
+            'SELECT codigo_servidor FROM streamings WHERE codigo_cliente = ? LIMIT 1',
+            [userId]
+        );
+
+        const serverId = serverRows.length > 0 ? serverRows[0].codigo_servidor : 1;
+
+        // Construir caminhos
+        const inputPath = video.caminho.startsWith(WOWZA_CONTENT_PATH) ?
+            video.caminho : `${WOWZA_CONTENT_PATH}/${video.caminho}`;
+
+        const outputPath = inputPath.replace(/\.[^/.]+$/, `_${targetBitrate}kbps${loudnessSuffix}.mp4`);
+
+        // Verificar se arquivo de entrada existe
+        const inputExists = await SSHManager.getFileInfo(serverId, inputPath);
+        if (!inputExists.exists) {
+            return { status: 404, body: { success: false, error: 'Arquivo de vídeo não encontrado no servidor' } };
+        }
+
+        if (isAbr) {
+            return this.enqueueAbr(user, video, { serverId, inputPath, prioridade, loudnessTarget });
+        }
+
+        // Verificar se conversão já existe ou já está na fila
+        const outputExists = await SSHManager.getFileInfo(serverId, outputPath);
+        const conversionId = `${video.id}_${targetBitrate}${loudnessSuffix}`;
+        if (outputExists.exists || await JobQueueService.hasActive(userId, 'conversao', conversionId)) {
+            return { status: 400, body: { success: false, error: 'Já existe uma conversão com essas configurações' } };
+        }
+
+        const estimatedMB = this.estimateSizeMB(video.duracao, targetBitrate + 128);
+        const spaceError = await this.checkSpace(userId, video, estimatedMB);
+        if (spaceError) return spaceError;
+
+        const job = await JobQueueService.enqueue(userId, 'conversao', {
+            video_id: video.id,
+            server_id: serverId,
+            input_path: inputPath,
+            output_path: outputPath,
+            target_bitrate: targetBitrate,
+            target_resolution: targetResolution,
+            quality_label: qualityLabel,
+            loudness_target: loudnessTarget,
+            estimated_size_mb: estimatedMB
+        }, {
+            descricao: `${video.nome} -> ${qualityLabel}${loudnessTarget !== undefined ? ` (${loudnessTarget} LUFS)` : ''}`,
+            referencia: conversionId,
+            prioridade
+        });
+
+        console.log(`🔄 Conversão enfileirada: ${video.nome} -> ${qualityLabel} (tarefa #${job.codigo})`);
+
+        return {
+            status: 200,
+            body: {
+                success: true,
+                message: `Conversão iniciada: ${video.nome} -> ${qualityLabel}`,
+                conversion_id: conversionId,
+                job_id: job.codigo,
+                target_bitrate: targetBitrate,
+                target_resolution: targetResolution,
+                quality_label: qualityLabel,
+                loudness_target: loudnessTarget ?? null
+            }
+        };
+    }
+
+    // Enfileira a geração da escada ABR; a saída fica em <pasta>/.abr/<vídeo>/ na estrutura do usuário
+    async enqueueAbr(user, video, { serverId, inputPath, prioridade, loudnessTarget }) {
+        const userId = user.id;
+        const userLogin = user.email ? user.email.split('@')[0] : `user_${userId}`;
+
+        const [folderRows] = await db.execute(
+            'SELECT identificacao FROM streamings WHERE codigo = ? AND codigo_cliente = ?',
+            [video.pasta, userId]
+        );
+        if (folderRows.length === 0) {
+            return { status: 404, body: { success: false, error: 'Pasta do vídeo não encontrada' } };
+        }
+
+        if (await JobQueueService.hasActive(userId, 'conversao', `${video.id}_abr`)) {
+            return { status: 400, body: { success: false, error: 'Já existe uma conversão adaptativa deste vídeo na fila' } };
+        }
+
+        const folderName = folderRows[0].identificacao;
+        const baseName = path.posix.basename(inputPath).replace(/\.[^/.]+$/, '').replace(/[^\w.-]/g, '_');
+        const ladder = this.buildLadder(user.bitrate || 2500, parseInt(video.altura) || 0);
+        const estimatedMB = this.estimateSizeMB(video.duracao, ladder.reduce((total, rung) => total + rung.bitrate + rung.audioBitrate, 0));
+        const spaceError = await this.checkSpace(userId, video, estimatedMB);
+        if (spaceError) return spaceError;
+
+        const job = await JobQueueService.enqueue(userId, 'conversao', {
+            modo: 'abr',
+            video_id: video.id,
+            server_id: serverId,
+            input_path: inputPath,
+            output_dir: `${STREAMING_BASE_PATH}/${userLogin}/${folderName}/.abr/${baseName}`,
+            smil_relative: `${folderName}/.abr/${baseName}/${baseName}.smil`,
+            base_name: baseName,
+            ladder,
+            target_bitrate: ladder[0].bitrate,
+            quality_label: ABR_LABEL,
+            loudness_target: loudnessTarget,
+            estimated_size_mb: estimatedMB
+        }, {
+            descricao: `${video.nome} -> ${ABR_LABEL}`,
+            referencia: `${video.id}_abr`,
+            prioridade
+        });
+
+        console.log(`🔄 Conversão ABR enfileirada: ${video.nome} (${ladder.map(rung => rung.label).join(', ')}, tarefa #${job.codigo})`);
+
+        return {
+            status: 200,
+            body: {
+                success: true,
+                message: `Conversão adaptativa iniciada: ${video.nome} (${ladder.length} versões)`,
+                conversion_id: `${video.id}_abr`,
+                job_id: job.codigo,
+                mode: 'abr',
+                renditions: ladder.map(rung => ({
+                    label: rung.label,
+                    bitrate: rung.bitrate,
+                    resolution: `${rung.width}x${rung.height}`
+                })),
+                quality_label: ABR_LABEL,
+                loudness_target: loudnessTarget ?? null
+            }
+        };
+    }
+
+    // Tamanho provável da saída (vídeo + áudio pela duração), com 10% de folga
+    estimateSizeMB(durationSeconds, totalKbps) {
+        return Math.ceil((parseInt(durationSeconds) || 0) * totalKbps * 1.1 / 8 / 1024);
+    }
+
+    // Confere o espaço da pasta antes de enfileirar; a reserva de fato é feita quando a tarefa começa
+    async checkSpace(userId, video, estimatedMB) {
+        const folder = await StorageQuotaService.getFolderSpace(userId, video.pasta);
+        if (folder && estimatedMB > folder.availableSpace) {
+            return {
+                status: 400,
+                body: {
+                    success: false,
+                    error: `Espaço insuficiente para a conversão. Necessário: ~${estimatedMB}MB, Disponível: ${Math.max(folder.availableSpace, 0)}MB`
+                }
+            };
+        }
+        return null;
+    }
+
+    // Roda o FFmpeg em segundo plano no servidor, com PID para cancelamento e progresso pelo out_time
+    async executeFfmpeg(job, ctx, { serverId, args, durationSeconds, mensagem }) {
+        const pidFile = `/tmp/samcast_job_${job.codigo}.pid`;
+        const progressFile = `/tmp/samcast_job_${job.codigo}.progress`;
+
+        const ffmpegCommand = `ffmpeg -y -progress "${progressFile}" -nostats ${args} 2>/dev/null`;
+        const command = `${ffmpegCommand} & echo $! > "${pidFile}"; wait $!; STATUS=$?; rm -f "${pidFile}" "${progressFile}"; [ $STATUS -eq 0 ] && echo "CONVERSION_SUCCESS" || echo "CONVERSION_ERROR"`;
+
+        ctx.onCancel(async () => {
+            await SSHManager.executeCommand(serverId, `[ -f "${pidFile}" ] && kill $(cat "${pidFile}") 2>/dev/null; true`);
+        });
+
+        // Progresso pelo out_time do FFmpeg comparado com a duração do vídeo
+        const progressTimer = durationSeconds > 0 ? setInterval(async () => {
+            try {
+                const result = await SSHManager.executeCommand(serverId, `grep "out_time_ms=" "${progressFile}" 2>/dev/null | tail -1; true`);
+                const match = result.stdout.match(/out_time_ms=(\d+)/);
+                if (match) {
+                    const seconds = parseInt(match[1]) / 1000000;
+                    ctx.progress(Math.min(99, Math.floor((seconds / durationSeconds) * 100)), mensagem);
+                }
+            } catch (error) {
+                // Progresso é opcional: a conversão segue mesmo sem leitura
+            }
+        }, PROGRESS_POLL_MS) : null;
+
+        ctx.progress(0, mensagem);
+
+        try {
+            const result = await SSHManager.executeCommand(serverId, command);
+            return result.stdout.includes('CONVERSION_SUCCESS');
+        } finally {
+            clearInterval(progressTimer);
+        }
+    }
+
+    // Filtro de áudio da normalização pedida na conversão; as medições do original são
+    // reaproveitadas ou feitas agora (primeira passagem) e gravadas no vídeo
+    async loudnessFilterArgs(job, ctx, video) {
+        const { server_id, input_path, loudness_target } = job.payload;
+        if (loudness_target === undefined || loudness_target === null) return '';
+
+        let measured = LoudnessService.fromRow(video);
+        if (!measured) {
+            ctx.progress(0, 'Medindo loudness do original');
+            measured = await LoudnessService.analyze(server_id, input_path);
+            await LoudnessService.saveMeasurements(video.id, measured);
+            ctx.throwIfCancelled();
+        }
+        return `-af ${LoudnessService.buildFilter(loudness_target, measured)} `;
+    }
+
+    // Executor da tarefa: reserva o espaço estimado da saída, roda o FFmpeg via SSH e
+    // cadastra a versão convertida; o tamanho real confirma a reserva
+    async run(job, ctx) {
+        const { video_id, target_bitrate } = job.payload;
+
+        const [videoRows] = await db.execute('SELECT * FROM videos WHERE id = ?', [video_id]);
+        if (videoRows.length === 0) {
+            throw Object.assign(new Error('Vídeo original não encontrado'), { retryable: false });
+        }
+        const video = videoRows[0];
+
+        // Tarefas enfileiradas antes da cota não trazem a estimativa
+        const estimatedMB = job.payload.estimated_size_mb ?? this.estimateSizeMB(video.duracao, (target_bitrate || 0) + 128);
+        const reservation = await StorageQuotaService.reserve(job.codigo_cliente, video.pasta, estimatedMB, {
+            origem: 'conversao',
+            referencia: job.codigo
+        });
+
+        try {
+            return job.payload.modo === 'abr' ?
+                await this.runAbr(job, ctx, video, reservation) :
+                await this.runSingle(job, ctx, video, reservation);
+        } finally {
+            await StorageQuotaService.release(reservation.codigo);
+        }
+    }
+
+    async runSingle(job, ctx, video, reservation) {
+        const { server_id, input_path, output_path, target_bitrate, target_resolution, quality_label } = job.payload;
+        const [width, height] = target_resolution.split('x');
+        const audioFilter = await this.loudnessFilterArgs(job, ctx, video);
+
+        console.log(`🔄 Iniciando conversão: ${video.nome} -> ${quality_label}`);
+        const success = await this.executeFfmpeg(job, ctx, {
+            serverId: server_id,
+            args: `-i "${input_path}" -c:v libx264 -preset fast -crf 23 -b:v ${target_bitrate}k -maxrate ${target_bitrate}k -bufsize ${target_bitrate * 2}k -vf scale=${width}:${height} ${audioFilter}-c:a aac -b:a 128k -movflags +faststart "${output_path}"`,
+            durationSeconds: parseInt(video.duracao) || 0,
+            mensagem: `Convertendo para ${quality_label}`
+        });
+
+        if (!success) {
+            // Arquivo parcial não deve ficar no servidor
+            await SSHManager.executeCommand(server_id, `rm -f "${output_path}"; true`).catch(() => { });
+            ctx.throwIfCancelled();
+            throw new Error(`Erro na conversão de ${video.nome}`);
+        }
+
+        const outputInfo = await SSHManager.getFileInfo(server_id, output_path);
+
+        const [insertResult] = await db.execute(
+            `INSERT INTO videos (
+                nome, url, caminho, duracao, tamanho_arquivo,
+                codigo_cliente, pasta, bitrate_video, formato_original,
+                largura, altura, is_mp4, compativel, qualidade_conversao
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'mp4', ?, ?, 1, 'sim', ?)`,
+            [
+                `${video.nome} (${quality_label})`,
+                video.url.replace(/\.[^/.]+$/, `_${target_bitrate}kbps.mp4`),
+                output_path,
+                video.duracao,
+                outputInfo.size || 0,
+                job.codigo_cliente,
+                video.pasta,
+                target_bitrate,
+                width,
+                height,
+                quality_label
+            ]
+        );
+        await StorageQuotaService.commit(reservation.codigo, Math.ceil((outputInfo.size || 0) / (1024 * 1024)));
+
+        console.log(`✅ Conversão concluída: ${video.nome} -> ${quality_label}`);
+        await VideoPreviewService.schedule(job.codigo_cliente, insertResult.insertId, { descricao: `${video.nome} (${quality_label})` });
+        if (job.payload.loudness_target !== undefined && job.payload.loudness_target !== null) {
+            await LoudnessService.enqueueAnalysis(job.codigo_cliente, [insertResult.insertId], { prioridade: 2 });
+        }
+
+        return {
+            video_id: insertResult.insertId,
+            caminho: output_path,
+            tamanho: outputInfo.size || 0
+        };
+    }
+
+    // Uma única leitura do original gera todas as versões, com keyframes alinhados a cada 2s
+    // para o player trocar de qualidade entre segmentos HLS
+    async runAbr(job, ctx, video, reservation) {
+        const { server_id, input_path, output_dir, smil_relative, base_name, ladder } = job.payload;
+        const relativeDir = path.posix.dirname(smil_relative);
+        const sourceWidth = parseInt(video.largura) || 0;
+        const sourceHeight = parseInt(video.altura) || 0;
+
+        const renditions = ladder.map(rung => ({
+            ...rung,
+            // Largura real segue a proporção do original (scale=-2:altura)
+            width: sourceWidth && sourceHeight ? Math.round((rung.height * sourceWidth / sourceHeight) / 2) * 2 : rung.width,
+            file: `${base_name}_${rung.label}.mp4`
+        }));
+
+        const audioFilter = await this.loudnessFilterArgs(job, ctx, video);
+        const outputs = renditions.map(rung =>
+            `-map 0:v:0 -map 0:a:0? -c:v libx264 -preset fast -profile:v main -b:v ${rung.bitrate}k -maxrate ${rung.bitrate}k -bufsize ${rung.bitrate * 2}k ` +
+            `-vf scale=-2:${rung.height} -force_key_frames "expr:gte(t,n_forced*2)" -sc_threshold 0 ` +
+            `${audioFilter}-c:a aac -b:a ${rung.audioBitrate}k -ac 2 -movflags +faststart "${output_dir}/${rung.file}"`
+        ).join(' ');
+
+        await SSHManager.executeCommand(server_id, `mkdir -p "${output_dir}"`);
+
+        console.log(`🔄 Iniciando conversão ABR: ${video.nome} (${renditions.map(rung => rung.label).join(', ')})`);
+        const success = await this.executeFfmpeg(job, ctx, {
+            serverId: server_id,
+            args: `-i "${input_path}" ${outputs}`,
+            durationSeconds: parseInt(video.duracao) || 0,
+            mensagem: `Gerando ${renditions.length} versões (${renditions.map(rung => rung.label).join(', ')})`
+        });
+
+        if (!success) {
+            await SSHManager.executeCommand(server_id, `rm -rf "${output_dir}"; true`).catch(() => { });
+            ctx.throwIfCancelled();
+            throw new Error(`Erro na conversão adaptativa de ${video.nome}`);
+        }
+
+        for (const rung of renditions) {
+            const info = await SSHManager.getFileInfo(server_id, `${output_dir}/${rung.file}`);
+            rung.tamanho = info.size || 0;
+        }
+
+        await this.uploadSmil(server_id, `${output_dir}/${path.posix.basename(smil_relative)}`, this.buildAbrSmil(video.nome, relativeDir, renditions));
+
+        const abrRenditions = renditions.map(rung => ({
+            label: rung.label,
+            width: rung.width,
+            height: rung.height,
+            bitrate: rung.bitrate,
+            arquivo: `${relativeDir}/${rung.file}`,
+            tamanho: rung.tamanho
+        }));
+
+        await db.execute(
+            'UPDATE videos SET abr_smil = ?, abr_renditions = ? WHERE id = ?',
+            [smil_relative, JSON.stringify(abrRenditions), video.id]
+        );
+        await StorageQuotaService.commit(
+            reservation.codigo,
+            Math.ceil(abrRenditions.reduce((total, rung) => total + rung.tamanho, 0) / (1024 * 1024))
+        );
+
+        console.log(`✅ Conversão ABR concluída: ${video.nome} -> ${smil_relative}`);
+
+        return {
+            video_id: video.id,
+            smil: smil_relative,
+            renditions: abrRenditions,
+            tamanho: abrRenditions.reduce((total, rung) => total + rung.tamanho, 0)
+        };
+    }
+
+    // SMIL multi-bitrate do Wowza: os src são relativos ao conteúdo da aplicação do usuário
+    buildAbrSmil(title, relativeDir, renditions) {
+        const escapeXml = (value) => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const videos = renditions.map(rung => `            <video height="${rung.height}" src="mp4:${escapeXml(`${relativeDir}/${rung.file}`)}" systemLanguage="por" width="${rung.width}">
+                <param name="videoBitrate" value="${rung.bitrate * 1000}" valuetype="data"></param>
+                <param name="audioBitrate" value="${rung.audioBitrate * 1000}" valuetype="data"></param>
+            </video>`).join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<smil title="${escapeXml(title)}">
+    <body>
+        <switch>
+${videos}
+        </switch>
+    </body>
+</smil>
+`;
+    }
+
+    async uploadSmil(serverId, remotePath, content) {
+        const tempFile = `/tmp/samcast_abr_${Date.now()}_${Math.random().toString(36).slice(2)}.smil`;
+        await fs.writeFile(tempFile, content, 'utf8');
+
+        try {
+            await SSHManager.uploadFile(serverId, tempFile, remotePath);
+            await SSHManager.executeCommand(serverId, `chmod 644 "${remotePath}" || true`);
+        } finally {
+            await fs.unlink(tempFile).catch(() => { });
+        }
+    }
+
+    // Remove as versões ABR do servidor e do cadastro do vídeo
+    async removeAbr(user, videoId) {
+        const [videoRows] = await db.execute(
+            'SELECT id, nome, pasta, abr_smil, abr_renditions FROM videos WHERE id = ? AND codigo_cliente = ? AND abr_smil IS NOT NULL',
+            [videoId, user.id]
+        );
+        if (videoRows.length === 0) return null;
+
+        const video = videoRows[0];
+        const [serverRows] = await db.execute(
+            'SELECT codigo_servidor FROM streamings WHERE codigo_cliente = ? LIMIT 1',
+            [user.id]
+        );
+        const serverId = serverRows.length > 0 ? serverRows[0].codigo_servidor : 1;
+        const userLogin = user.email ? user.email.split('@')[0] : `user_${user.id}`;
+
+        // Só diretórios gerados pelo ABR (<pasta>/.abr/<vídeo>) são apagados
+        const relativeDir = path.posix.dirname(video.abr_smil);
+        if (/(^|\/)\.abr\/[^/]+$/.test(relativeDir) && !relativeDir.split('/').includes('..')) {
+            const outputDir = `${STREAMING_BASE_PATH}/${userLogin}/${relativeDir}`;
+            try {
+                await SSHManager.executeCommand(serverId, `rm -rf "${outputDir}"`);
+                console.log(`✅ Versões ABR removidas: ${outputDir}`);
+            } catch (sshError) {
+                console.warn('Erro ao remover versões ABR do servidor:', sshError.message);
+            }
+        }
+
+        await db.execute('UPDATE videos SET abr_smil = NULL, abr_renditions = NULL WHERE id = ?', [video.id]);
+
+        let renditions = [];
+        try {
+            renditions = JSON.parse(video.abr_renditions || '[]');
+        } catch (error) {
+            renditions = [];
+        }
+        const freedBytes = renditions.reduce((total, rung) => total + (Number(rung.tamanho) || 0), 0);
+        await StorageQuotaService.adjust(video.pasta, -Math.ceil(freedBytes / (1024 * 1024)));
+        return video;
+    }
+}
+
+module.exports = new VideoConversionService();
@@ -0,0 +1,374 @@
+const path = require('path');
+const db = require('../config/database');
+const SSHManager = require('../config/SSHManager');
+const JobQueueService = require('./JobQueueService');
+const VideoConversionService = require('./VideoConversionService');
+const VideoPreviewService = require('./VideoPreviewService');
+const StorageQuotaService = require('./StorageQuotaService');
+
+const STREAMING_BASE_PATH = '/home/streaming';
+const OPERATIONS = ['trim', 'split', 'concat'];
+const OPERATION_LABELS = { trim: 'Corte', split: 'Divisão em clipes', concat: 'Junção' };
+const MAX_CLIPS = 20;
+const MAX_CONCAT_VIDEOS = 20;
+const MIN_CLIP_SECONDS = 1;
+const AUDIO_BITRATE = 128;
+
+// Editor de vídeos: corte por entrada/saída, divisão em clipes e junção de vídeos de uma
+// pasta. O FFmpeg roda no servidor do usuário pela fila de tarefas (tipo 'edicao') e cada
+// arquivo gerado vira um novo registro em videos na pasta escolhida; o original não é alterado.
+class VideoEditService {
+    constructor() {
+        JobQueueService.register('edicao', {
+            run: (job, ctx) => this.run(job, ctx),
+            concurrencyPerUser: 1,
+            maxAttempts: 2
+        });
+    }
+
+    // Aceita segundos (12.5) ou HH:MM:SS(.mmm) / MM:SS; retorna null se inválido
+    parseTimestamp(value) {
+        if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+        if (typeof value !== 'string' || !value.trim()) return null;
+
+        const text = value.trim();
+        if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+        if (!/^(\d+:)?\d{1,2}:\d{1,2}(\.\d+)?$/.test(text)) return null;
+
+        return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+    }
+
+    resolveRemotePath(video) {
+        const caminho = video.caminho || video.url || '';
+        return caminho.startsWith('/') ? caminho : `${STREAMING_BASE_PATH}/${caminho}`;
+    }
+
+    // Nome do arquivo de saída a partir do nome informado ou do original, sempre .mp4
+    buildFileName(baseName, suffix) {
+        const sanitized = String(baseName)
+            .replace(/\.[^/.]+$/, '')
+            .replace(/[^a-zA-Z0-9.-]/g, '_')
+            .replace(/_{2,}/g, '_')
+            .substring(0, 80);
+        return `${Date.now()}_${sanitized}${suffix ? `_${suffix}` : ''}.mp4`;
+    }
+
+    formatSeconds(seconds, separator = '-') {
+        const total = Math.floor(seconds);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = total % 60;
+        return [h, m, s].map(part => String(part).padStart(2, '0')).join(separator);
+    }
+
+    // Valida um trecho [inicio, fim] dentro da duração do vídeo
+    parseRange(range, duration, label) {
+        const inicio = this.parseTimestamp(range.inicio ?? 0);
+        const fim = range.fim === undefined || range.fim === null || range.fim === '' ?
+            duration : this.parseTimestamp(range.fim);
+
+        if (inicio === null || fim === null) {
+            return { error: `${label}: use segundos ou HH:MM:SS em inicio e fim` };
+        }
+        if (fim - inicio < MIN_CLIP_SECONDS) {
+            return { error: `${label}: o fim deve ser ao menos ${MIN_CLIP_SECONDS}s depois do início` };
+        }
+        if (duration && fim > duration + 1) {
+            return { error: `${label}: o fim (${fim}s) passa da duração do vídeo (${duration}s)` };
+        }
+        return { inicio, fim: duration ? Math.min(fim, duration) : fim };
+    }
+
+    // Valida o pedido de POST /api/videos/:id/edit e monta a tarefa; retorna { status, body } em erro
+    async plan(user, videoId, body) {
+        const userId = user.id;
+        const operacao = body.operacao || body.operation;
+
+        if (!OPERATIONS.includes(operacao)) {
+            return { status: 400, body: { success: false, error: `Operação inválida. Use: ${OPERATIONS.join(', ')}` } };
+        }
+
+        const [videoRows] = await db.execute(
+            'SELECT * FROM videos WHERE id = ? AND codigo_cliente = ?',
+            [videoId, userId]
+        );
+        if (videoRows.length === 0) {
+            return { status: 404, body: { success: false, error: 'Vídeo não encontrado' } };
+        }
+        const video = videoRows[0];
+        const duration = parseInt(video.duracao) || 0;
+
+        const folderId = body.pasta_destino || body.folder_id || video.pasta;
+        const [folderRows] = await db.execute(
+            'SELECT codigo, identificacao, codigo_servidor FROM streamings WHERE codigo = ? AND codigo_cliente = ?',
+            [folderId, userId]
+        );
+        if (folderRows.length === 0) {
+            return { status: 404, body: { success: false, error: 'Pasta de destino não encontrada' } };
+        }
+
+        const folder = folderRows[0];
+        const userLogin = user.email ? user.email.split('@')[0] : `user_${userId}`;
+        const userBitrateLimit = user.bitrate || 2500;
+        let inputs = [video];
+        let outputs;
+
+        if (operacao === 'trim') {
+            const range = this.parseRange(body, duration, 'Corte');
+            if (range.error) return { status: 400, body: { success: false, error: range.error } };
+
+            outputs = [{
+                ...range,
+                nome: body.nome || `${video.nome} (${this.formatSeconds(range.inicio, ':')} a ${this.formatSeconds(range.fim, ':')})`,
+                arquivo: this.buildFileName(body.nome || video.nome, `corte_${this.formatSeconds(range.inicio)}`)
+            }];
+        } else if (operacao === 'split') {
+            const clips = Array.isArray(body.clipes) ? body.clipes : body.clips;
+            if (!Array.isArray(clips) || clips.length === 0 || clips.length > MAX_CLIPS) {
+                return { status: 400, body: { success: false, error: `Informe clipes: [{ inicio, fim, nome? }] (até ${MAX_CLIPS})` } };
+            }
+
+            outputs = [];
+            for (const [index, clip] of clips.entries()) {
+                const range = this.parseRange(clip || {}, duration, `Clipe ${index + 1}`);
+                if (range.error) return { status: 400, body: { success: false, error: range.error } };
+
+                outputs.push({
+                    ...range,
+                    nome: clip.nome || `${video.nome} (clipe ${index + 1})`,
+                    arquivo: this.buildFileName(clip.nome || video.nome, `clipe${index + 1}`)
+                });
+            }
+        } else {
+            const ids = Array.isArray(body.videos) ? body.videos.map(id => parseInt(id)) : [];
+            if (ids.length === 0 || ids.length + 1 > MAX_CONCAT_VIDEOS || ids.some(id => !id)) {
+                return { status: 400, body: { success: false, error: `Informe videos: [ids] para juntar após este vídeo (até ${MAX_CONCAT_VIDEOS} no total)` } };
+            }
+
+            const [otherRows] = await db.execute(
+                `SELECT * FROM videos WHERE codigo_cliente = ? AND pasta = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+                [userId, video.pasta, ...ids]
+            );
+            const byId = new Map(otherRows.map(row => [row.id, row]));
+            const missing = ids.filter(id => !byId.has(id));
+            if (missing.length > 0) {
+                return { status: 400, body: { success: false, error: `Vídeos não encontrados na mesma pasta: ${missing.join(', ')}` } };
+            }
+
+            inputs = [video, ...ids.map(id => byId.get(id))];
+            const total = inputs.reduce((sum, item) => sum + (parseInt(item.duracao) || 0), 0);
+            outputs = [{
+                inicio: 0,
+                fim: total,
+                nome: body.nome || `${video.nome} + ${ids.length} vídeo(s)`,
+                arquivo: this.buildFileName(body.nome || video.nome, 'juncao')
+            }];
+        }
+
+        // Saída com a resolução do primeiro vídeo e bitrate limitado ao plano
+        const sourceBitrate = Math.max(...inputs.map(item => parseInt(item.bitrate_video) || 0));
+        const bitrate = Math.min(sourceBitrate || userBitrateLimit, userBitrateLimit);
+        const largura = (parseInt(video.largura) || 1280) & ~1;
+        const altura = (parseInt(video.altura) || 720) & ~1;
+
+        const totalSeconds = outputs.reduce((sum, output) => sum + (output.fim - output.inicio), 0);
+        const estimatedMB = Math.ceil(totalSeconds * (bitrate + AUDIO_BITRATE) / 8 / 1024);
+
+        return {
+            operacao,
+            folderId: folder.codigo,
+            estimatedMB,
+            descricao: `${OPERATION_LABELS[operacao]}: ${video.nome}`,
+            referencia: video.id,
+            payload: {
+                operacao,
+                server_id: folder.codigo_servidor || 1,
+                user_login: userLogin,
+                pasta: folder.codigo,
+                pasta_nome: folder.identificacao,
+                output_dir: `${STREAMING_BASE_PATH}/${userLogin}/${folder.identificacao}`,
+                inputs: inputs.map(item => ({
+                    video_id: item.id,
+                    nome: item.nome,
+                    path: this.resolveRemotePath(item),
+                    duracao: parseInt(item.duracao) || 0
+                })),
+                outputs,
+                bitrate,
+                largura,
+                altura,
+                estimated_size_mb: estimatedMB
+            }
+        };
+    }
+
+    async enqueue(user, plan, { prioridade } = {}) {
+        const job = await JobQueueService.enqueue(user.id, 'edicao', plan.payload, {
+            descricao: plan.descricao,
+            referencia: plan.referencia,
+            prioridade
+        });
+
+        console.log(`✂️ Edição enfileirada: ${plan.descricao} (tarefa #${job.codigo})`);
+        return job;
+    }
+
+    encodeArgs(bitrate) {
+        return `-c:v libx264 -preset fast -crf 23 -maxrate ${bitrate}k -bufsize ${bitrate * 2}k -pix_fmt yuv420p ` +
+            `-c:a aac -b:a ${AUDIO_BITRATE}k -ac 2 -movflags +faststart`;
+    }
+
+    async hasAudio(serverId, remotePath) {
+        const result = await SSHManager.executeCommand(
+            serverId,
+            `ffprobe -v error -select_streams a -show_entries stream=index -of csv=p=0 "${remotePath}" 2>/dev/null; true`
+        );
+        return result.stdout.trim().length > 0;
+    }
+
+    // Junção com o filtro concat: vídeos padronizados na resolução de saída e silêncio para quem não tem áudio
+    async buildConcatArgs(payload) {
+        const { server_id, inputs, outputs, largura, altura, bitrate, output_dir } = payload;
+        const inputArgs = [];
+        const filters = [];
+        const pairs = [];
+        let silentIndex = inputs.length;
+
+        for (const input of inputs) {
+            inputArgs.push(`-i "${input.path}"`);
+        }
+
+        for (const [index, input] of inputs.entries()) {
+            filters.push(`[${index}:v:0]scale=${largura}:${altura}:force_original_aspect_ratio=decrease,` +
+                `pad=${largura}:${altura}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=30,format=yuv420p[v${index}]`);
+
+            if (await this.hasAudio(server_id, input.path)) {
+                filters.push(`[${index}:a:0]aresample=44100,aformat=channel_layouts=stereo[a${index}]`);
+                pairs.push(`[v${index}][a${index}]`);
+            } else {
+                inputArgs.push(`-f lavfi -t ${input.duracao || 1} -i anullsrc=r=44100:cl=stereo`);
+                pairs.push(`[v${index}][${silentIndex++}:a]`);
+            }
+        }
+
+        filters.push(`${pairs.join('')}concat=n=${inputs.length}:v=1:a=1[v][a]`);
+
+        return `${inputArgs.join(' ')} -filter_complex "${filters.join(';')}" -map "[v]" -map "[a]" ` +
+            `${this.encodeArgs(bitrate)} "${output_dir}/${outputs[0].arquivo}"`;
+    }
+
+    // Executor da tarefa: reserva o espaço estimado, roda o FFmpeg e cadastra cada arquivo gerado
+    async run(job, ctx) {
+        const { operacao, server_id, user_login, pasta, output_dir, inputs, outputs, bitrate } = job.payload;
+        const source = inputs[0];
+        const encode = this.encodeArgs(bitrate);
+        let args;
+
+        const sourceInfo = await SSHManager.getFileInfo(server_id, source.path);
+        if (!sourceInfo.exists) {
+            throw Object.assign(new Error('Arquivo de vídeo não encontrado no servidor'), { retryable: false });
+        }
+
+        if (operacao === 'trim') {
+            const [output] = outputs;
+            args = `-ss ${output.inicio} -i "${source.path}" -t ${output.fim - output.inicio} -map 0:v:0 -map 0:a:0? ${encode} "${output_dir}/${output.arquivo}"`;
+        } else if (operacao === 'split') {
+            // Uma leitura do original gera todos os clipes
+            args = `-i "${source.path}" ` + outputs.map(output =>
+                `-map 0:v:0 -map 0:a:0? -ss ${output.inicio} -to ${output.fim} ${encode} "${output_dir}/${output.arquivo}"`
+            ).join(' ');
+        } else {
+            args = await this.buildConcatArgs(job.payload);
+        }
+
+        await SSHManager.createUserFolder(server_id, user_login, path.posix.basename(output_dir));
+
+        const reservation = await StorageQuotaService.reserve(job.codigo_cliente, pasta, job.payload.estimated_size_mb || 0, {
+            origem: 'edicao',
+            referencia: job.codigo
+        });
+        try {
+            return await this.runEncode(job, ctx, reservation, args);
+        } finally {
+            await StorageQuotaService.release(reservation.codigo);
+        }
+    }
+
+    async runEncode(job, ctx, reservation, args) {
+        const { operacao, server_id, user_login, pasta, output_dir, inputs, outputs, bitrate, largura, altura } = job.payload;
+        const source = inputs[0];
+
+        const durationSeconds = operacao === 'split' ?
+            Math.max(...outputs.map(output => output.fim)) :
+            outputs[0].fim - outputs[0].inicio;
+
+        console.log(`✂️ Iniciando edição (${operacao}): ${source.nome}`);
+        const success = await VideoConversionService.executeFfmpeg(job, ctx, {
+            serverId: server_id,
+            args,
+            durationSeconds,
+            mensagem: `${OPERATION_LABELS[operacao]} de ${source.nome}`
+        });
+
+        const outputPaths = outputs.map(output => `"${output_dir}/${output.arquivo}"`).join(' ');
+        if (!success) {
+            await SSHManager.executeCommand(server_id, `rm -f ${outputPaths}; true`).catch(() => { });
+            ctx.throwIfCancelled();
+            throw new Error(`Erro na edição de ${source.nome}`);
+        }
+        await SSHManager.executeCommand(server_id, `chmod 644 ${outputPaths} || true`);
+
+        const created = [];
+        for (const output of outputs) {
+            const remotePath = `${output_dir}/${output.arquivo}`;
+            const info = await SSHManager.getFileInfo(server_id, remotePath);
+            const tamanho = info.size || 0;
+            const duracao = Math.round(output.fim - output.inicio);
+
+            const [insertResult] = await db.execute(
+                `INSERT INTO videos (
+                    nome, url, caminho, duracao, tamanho_arquivo,
+                    codigo_cliente, pasta, bitrate_video, formato_original, codec_video,
+                    largura, altura, is_mp4, compativel, origem
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'mp4', 'h264', ?, ?, 1, 'sim', 'edicao')`,
+                [
+                    output.nome,
+                    `${user_login}/${path.posix.basename(output_dir)}/${output.arquivo}`,
+                    remotePath,
+                    duracao,
+                    tamanho,
+                    job.codigo_cliente,
+                    pasta,
+                    bitrate,
+                    largura,
+                    altura
+                ]
+            );
+
+            await VideoPreviewService.schedule(job.codigo_cliente, insertResult.insertId, { descricao: output.nome });
+            created.push({ video_id: insertResult.insertId, nome: output.nome, caminho: remotePath, duracao, tamanho });
+        }
+
+        await StorageQuotaService.commit(
+            reservation.codigo,
+            Math.ceil(created.reduce((total, item) => total + item.tamanho, 0) / (1024 * 1024))
+        );
+
+        try {
+            const PlaylistSMILService = require('./PlaylistSMILService');
+            await PlaylistSMILService.updateUserSMIL(job.codigo_cliente, user_login, server_id);
+        } catch (smilError) {
+            console.warn('Erro ao atualizar arquivo SMIL:', smilError.message);
+        }
+
+        console.log(`✅ Edição concluída (${operacao}): ${source.nome} -> ${created.length} arquivo(s)`);
+
+        return {
+            operacao,
+            videos: created,
+            tamanho: created.reduce((total, item) => total + item.tamanho, 0)
+        };
+    }
+}
+
+module.exports = new VideoEditService();
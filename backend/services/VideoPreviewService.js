@@ -0,0 +1,317 @@
+const fs = require('fs').promises;
+const path = require('path');
+const db = require('../config/database');
+const SSHManager = require('../config/SSHManager');
+const JobQueueService = require('./JobQueueService');
+const PlaybackUrlService = require('./PlaybackUrlService');
+
+const STREAMING_BASE_PATH = '/home/streaming';
+const PREVIEW_PRIORITY = 2; // abaixo das tarefas pedidas pelo usuário (padrão 5)
+const TILE_WIDTH = 160;
+const TILE_HEIGHT = 90;
+const SPRITE_COLUMNS = 10;
+const MAX_TILES = 100;
+const MIN_INTERVAL_SECONDS = 2;
+const POSTER_WIDTH = 640;
+
+// Arquivos servidos em /api/video-stream/previews/:videoId/:arquivo
+const PREVIEW_FILES = {
+    'poster.jpg': { campo: 'poster', contentType: 'image/jpeg' },
+    'sprite.jpg': { campo: 'sprite', contentType: 'image/jpeg' },
+    'thumbs.vtt': { campo: 'vtt', contentType: 'text/vtt; charset=utf-8' }
+};
+
+// Pôster e sprite de miniaturas (WebVTT) de cada vídeo, gerados após a entrada do arquivo
+// pela fila de tarefas (tipo 'previews'). Os arquivos ficam ao lado do vídeo no servidor
+// (<vídeo>_poster.jpg, <vídeo>_sprite.jpg e <vídeo>_thumbs.vtt) e a grade fica em videos.previews.
+class VideoPreviewService {
+    constructor() {
+        JobQueueService.register('previews', {
+            run: (job, ctx) => this.run(job, ctx),
+            concurrencyPerUser: 1,
+            maxAttempts: 2
+        });
+    }
+
+    // Caminho do vídeo no servidor: caminho absoluto ou relativo à estrutura /home/streaming
+    resolveRemotePath(video) {
+        const caminho = video.caminho || video.url || '';
+        return caminho.startsWith('/') ? caminho : `${STREAMING_BASE_PATH}/${caminho}`;
+    }
+
+    async getServerId(userId) {
+        const [serverRows] = await db.execute(
+            'SELECT codigo_servidor FROM streamings WHERE codigo_cliente = ? LIMIT 1',
+            [userId]
+        );
+        return serverRows.length > 0 ? serverRows[0].codigo_servidor : 1;
+    }
+
+    // Enfileira a geração das prévias de um vídeo recém-cadastrado; falhas não interrompem a entrada
+    async schedule(userId, videoId, { descricao = null } = {}) {
+        try {
+            if (await JobQueueService.hasActive(userId, 'previews', videoId)) return null;
+
+            return await JobQueueService.enqueue(userId, 'previews', { video_id: videoId }, {
+                descricao: descricao ? `Prévias de ${descricao}` : `Prévias do vídeo #${videoId}`,
+                referencia: videoId,
+                prioridade: PREVIEW_PRIORITY
+            });
+        } catch (error) {
+            console.warn(`Erro ao agendar prévias do vídeo ${videoId}:`, error.message);
+            return null;
+        }
+    }
+
+    // Agenda os vídeos do usuário ainda sem prévias (sincronização SSH); os que já falharam ficam de fora
+    async scheduleMissing(userId) {
+        try {
+            await JobQueueService.ensureTable();
+            const [rows] = await db.execute(
+                `SELECT v.id, v.nome FROM videos v
+                 WHERE v.codigo_cliente = ? AND v.previews IS NULL
+                   AND NOT EXISTS (
+                       SELECT 1 FROM jobs j
+                       WHERE j.codigo_cliente = v.codigo_cliente AND j.tipo = 'previews'
+                         AND j.referencia = v.id AND j.status IN ('pendente', 'executando', 'erro')
+                   )`,
+                [userId]
+            );
+
+            for (const video of rows) {
+                await this.schedule(userId, video.id, { descricao: video.nome });
+            }
+            return rows.length;
+        } catch (error) {
+            console.warn(`Erro ao agendar prévias pendentes do usuário ${userId}:`, error.message);
+            return 0;
+        }
+    }
+
+    // Intervalo entre miniaturas para caber em MAX_TILES quadros
+    buildGrid(duration) {
+        const interval = Math.max(MIN_INTERVAL_SECONDS, Math.ceil(duration / MAX_TILES));
+        const count = Math.max(1, Math.ceil(duration / interval));
+        const columns = Math.min(SPRITE_COLUMNS, count);
+
+        return {
+            intervalo: interval,
+            quadros: count,
+            colunas: columns,
+            linhas: Math.ceil(count / columns),
+            largura: TILE_WIDTH,
+            altura: TILE_HEIGHT
+        };
+    }
+
+    formatVttTime(seconds) {
+        const ms = Math.round(seconds * 1000);
+        const hh = String(Math.floor(ms / 3600000)).padStart(2, '0');
+        const mm = String(Math.floor(ms / 60000) % 60).padStart(2, '0');
+        const ss = String(Math.floor(ms / 1000) % 60).padStart(2, '0');
+        return `${hh}:${mm}:${ss}.${String(ms % 1000).padStart(3, '0')}`;
+    }
+
+    // Uma deixa por miniatura apontando para o recorte (#xywh) dentro do sprite
+    buildVtt(spriteName, grid, duration) {
+        const cues = [];
+        for (let i = 0; i < grid.quadros; i++) {
+            const start = i * grid.intervalo;
+            const end = Math.min((i + 1) * grid.intervalo, duration);
+            const x = (i % grid.colunas) * grid.largura;
+            const y = Math.floor(i / grid.colunas) * grid.altura;
+
+            cues.push(`${this.formatVttTime(start)} --> ${this.formatVttTime(end)}\n${spriteName}#xywh=${x},${y},${grid.largura},${grid.altura}`);
+        }
+        return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+    }
+
+    async probeDuration(serverId, remotePath) {
+        const result = await SSHManager.executeCommand(
+            serverId,
+            `ffprobe -v error -show_entries format=duration -of csv=p=0 "${remotePath}" 2>/dev/null; true`
+        );
+        return Math.floor(parseFloat(result.stdout.trim()) || 0);
+    }
+
+    // Executor da tarefa: pôster, sprite e WebVTT gerados no próprio servidor do vídeo
+    async run(job, ctx) {
+        const { video_id } = job.payload;
+
+        const [videoRows] = await db.execute(
+            'SELECT id, nome, caminho, url, duracao FROM videos WHERE id = ? AND codigo_cliente = ?',
+            [video_id, job.codigo_cliente]
+        );
+        if (videoRows.length === 0) {
+            throw Object.assign(new Error('Vídeo não encontrado'), { retryable: false });
+        }
+
+        const video = videoRows[0];
+        const serverId = await this.getServerId(job.codigo_cliente);
+        const remotePath = this.resolveRemotePath(video);
+
+        const fileInfo = await SSHManager.getFileInfo(serverId, remotePath);
+        if (!fileInfo.exists) {
+            throw Object.assign(new Error('Arquivo do vídeo não encontrado no servidor'), { retryable: false });
+        }
+
+        const dir = path.posix.dirname(remotePath);
+        const base = path.posix.basename(remotePath).replace(/\.[^/.]+$/, '');
+        const files = {
+            poster: `${base}_poster.jpg`,
+            sprite: `${base}_sprite.jpg`,
+            vtt: `${base}_thumbs.vtt`
+        };
+
+        const duration = parseInt(video.duracao) || await this.probeDuration(serverId, remotePath);
+        if (!duration) {
+            throw Object.assign(new Error('Não foi possível obter a duração do vídeo'), { retryable: false });
+        }
+
+        ctx.progress(10, 'Gerando pôster');
+        const posterAt = Math.min(10, Math.floor(duration / 10));
+        const posterResult = await SSHManager.executeCommand(serverId,
+            `ffmpeg -y -ss ${posterAt} -i "${remotePath}" -frames:v 1 -vf "scale=${POSTER_WIDTH}:-2" -q:v 3 "${dir}/${files.poster}" 2>/dev/null && echo "PREVIEW_OK" || echo "PREVIEW_ERROR"`
+        );
+        if (!posterResult.stdout.includes('PREVIEW_OK')) {
+            throw new Error(`Erro ao gerar pôster de ${video.nome}`);
+        }
+        ctx.throwIfCancelled();
+
+        const grid = this.buildGrid(duration);
+        const filter = `fps=1/${grid.intervalo},scale=${grid.largura}:${grid.altura}:force_original_aspect_ratio=decrease,` +
+            `pad=${grid.largura}:${grid.altura}:(ow-iw)/2:(oh-ih)/2,tile=${grid.colunas}x${grid.linhas}`;
+
+        ctx.progress(30, `Gerando sprite com ${grid.quadros} miniaturas`);
+        const spriteResult = await SSHManager.executeCommand(serverId,
+            `ffmpeg -y -i "${remotePath}" -vf "${filter}" -frames:v 1 -q:v 5 "${dir}/${files.sprite}" 2>/dev/null && echo "PREVIEW_OK" || echo "PREVIEW_ERROR"`
+        );
+        if (!spriteResult.stdout.includes('PREVIEW_OK')) {
+            await SSHManager.executeCommand(serverId, `rm -f "${dir}/${files.poster}"; true`).catch(() => { });
+            ctx.throwIfCancelled();
+            throw new Error(`Erro ao gerar sprite de miniaturas de ${video.nome}`);
+        }
+
+        ctx.progress(90, 'Gravando WebVTT');
+        await this.uploadText(serverId, `${dir}/${files.vtt}`, this.buildVtt(files.sprite, grid, duration));
+        await SSHManager.executeCommand(serverId, `chmod 644 "${dir}/${files.poster}" "${dir}/${files.sprite}" || true`);
+
+        const previews = { ...files, ...grid, duracao: duration };
+        await db.execute('UPDATE videos SET previews = ? WHERE id = ?', [JSON.stringify(previews), video.id]);
+
+        console.log(`✅ Prévias geradas: ${video.nome} (${grid.quadros} miniaturas a cada ${grid.intervalo}s)`);
+
+        return { video_id: video.id, ...previews };
+    }
+
+    async uploadText(serverId, remotePath, content) {
+        const tempFile = `/tmp/samcast_previews_${Date.now()}_${Math.random().toString(36).slice(2)}.vtt`;
+        await fs.writeFile(tempFile, content, 'utf8');
+
+        try {
+            await SSHManager.uploadFile(serverId, tempFile, remotePath);
+            await SSHManager.executeCommand(serverId, `chmod 644 "${remotePath}" || true`);
+        } finally {
+            await fs.unlink(tempFile).catch(() => { });
+        }
+    }
+
+    parse(value) {
+        if (!value) return null;
+        try {
+            const previews = typeof value === 'string' ? JSON.parse(value) : value;
+            return previews && previews.poster ? previews : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // URLs assinadas do pôster e do WebVTT para as listagens e o player; null sem prévias
+    buildUrls(videoId, value, { sessionId = null, ttl } = {}) {
+        const previews = this.parse(value);
+        if (!previews) return { poster_url: null, thumbnails_vtt_url: null };
+
+        const sign = (arquivo) => PlaybackUrlService.sign(`/api/video-stream/previews/${videoId}/${arquivo}`, { ttl, sessionId }).url;
+        return {
+            poster_url: sign('poster.jpg'),
+            thumbnails_vtt_url: sign('thumbs.vtt')
+        };
+    }
+
+    // Responde GET /api/video-stream/previews/:videoId/:arquivo (só com URL assinada).
+    // O WebVTT é reescrito para apontar para o sprite com assinatura própria.
+    async serve(req, res) {
+        const { videoId, arquivo } = req.params;
+        const file = PREVIEW_FILES[arquivo];
+        if (!file || !/^\d+$/.test(videoId)) {
+            return res.status(404).json({ error: 'Prévia não encontrada' });
+        }
+
+        if (!PlaybackUrlService.isSignedRequest(req)) {
+            return res.status(401).json({ error: 'URL de prévia assinada requerida' });
+        }
+        const signatureError = await PlaybackUrlService.verify(req);
+        if (signatureError) {
+            return res.status(signatureError.status).json(signatureError);
+        }
+
+        const [videoRows] = await db.execute(
+            'SELECT id, caminho, url, codigo_cliente, previews FROM videos WHERE id = ?',
+            [videoId]
+        );
+        const previews = videoRows.length > 0 ? this.parse(videoRows[0].previews) : null;
+        if (!previews) {
+            return res.status(404).json({ error: 'Prévia não encontrada' });
+        }
+
+        const video = videoRows[0];
+        const serverId = await this.getServerId(video.codigo_cliente);
+        const remoteFile = `${path.posix.dirname(this.resolveRemotePath(video))}/${previews[file.campo]}`;
+
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Cache-Control', 'private, max-age=3600');
+
+        if (file.campo === 'vtt') {
+            const result = await SSHManager.executeCommand(serverId, `cat "${remoteFile}"`);
+            const remaining = parseInt(req.query.exp) - Math.floor(Date.now() / 1000);
+            const { url: spriteUrl } = PlaybackUrlService.sign(`/api/video-stream/previews/${video.id}/sprite.jpg`, {
+                ttl: remaining,
+                sessionId: req.query.sid || null
+            });
+            return res.send(result.stdout.split(previews.sprite).join(spriteUrl));
+        }
+
+        const { conn } = await SSHManager.getConnection(serverId);
+        conn.exec(`cat "${remoteFile}"`, (err, stream) => {
+            if (err) {
+                console.error('Erro ao ler prévia no servidor:', err);
+                return res.status(500).json({ error: 'Erro ao acessar prévia no servidor' });
+            }
+            stream.pipe(res);
+            stream.on('error', (streamErr) => {
+                console.error('Erro no envio da prévia:', streamErr);
+                if (!res.headersSent) res.status(500).end();
+            });
+        });
+    }
+
+    // Apaga os arquivos de prévia de um vídeo removido ou alterado
+    async remove(serverId, video) {
+        const previews = this.parse(video.previews);
+        if (!previews) return;
+
+        const dir = path.posix.dirname(this.resolveRemotePath(video));
+        const files = [previews.poster, previews.sprite, previews.vtt]
+            .filter(name => name && !name.includes('/'))
+            .map(name => `"${dir}/${name}"`);
+
+        try {
+            await SSHManager.executeCommand(serverId, `rm -f ${files.join(' ')}`);
+        } catch (error) {
+            console.warn(`Erro ao remover prévias do vídeo ${video.id}:`, error.message);
+        }
+    }
+}
+
+module.exports = new VideoPreviewService();
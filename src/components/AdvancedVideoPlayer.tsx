@@ -1,5 +1,6 @@
 import React, { useRef, useEffect, useState } from 'react';
 import Hls from 'hls.js';
+import { useSignedPlaybackUrl } from '../utils/playbackUrl';
 import {
   Play, Pause, Volume2, VolumeX, Maximize, Minimize, Settings,
   Download, Share2, Wifi, WifiOff, Activity, Eye, Clock,
@@ -120,10 +121,12 @@ const AdvancedVideoPlayer: React.FC<AdvancedVideoPlayerProps> = ({
   const [viewerCount, setViewerCount] = useState(0);
   const [showStats, setShowStats] = useState(false);
 
-  // Configurar fonte de vídeo
+  const playbackSrc = useSignedPlaybackUrl(src);
+
+  // Configurar fonte de vídeo (caminhos do backend usam URL assinada)
   useEffect(() => {
     const video = videoRef.current;
-    if (!video || !src) return;
+    if (!video || !playbackSrc) return;
 
     setError(null);
     setIsLoading(true);
@@ -136,7 +139,7 @@ const AdvancedVideoPlayer: React.FC<AdvancedVideoPlayerProps> = ({
     }
 
     // Detectar tipo de arquivo
-    const isHLS = src.includes('.m3u8') || isLive;
+    const isHLS = playbackSrc.includes('.m3u8') || isLive;
 
     if (isHLS && Hls.isSupported()) {
       // Usar HLS.js para streams
@@ -159,7 +162,7 @@ const AdvancedVideoPlayer: React.FC<AdvancedVideoPlayerProps> = ({
         }
       });
 
-      hls.loadSource(src);
+      hls.loadSource(playbackSrc);
       hls.attachMedia(video);
 
       hls.on(Hls.Events.MANIFEST_PARSED, () => {
@@ -225,7 +228,7 @@ const AdvancedVideoPlayer: React.FC<AdvancedVideoPlayerProps> = ({
     } else if (video.canPlayType('application/vnd.apple.mpegurl') && isHLS) {
       // Safari nativo para HLS
       console.log('🍎 Usando Safari nativo para HLS');
-      video.src = src;
+      video.src = playbackSrc;
       setIsLoading(false);
       setConnectionStatus('connected');
 
@@ -239,7 +242,7 @@ const AdvancedVideoPlayer: React.FC<AdvancedVideoPlayerProps> = ({
     } else {
       // Vídeo regular (MP4, etc.)
       console.log('📹 Carregando vídeo MP4');
-      video.src = src;
+      video.src = playbackSrc;
       video.load();
 
       if (autoplay) {
@@ -257,7 +260,7 @@ const AdvancedVideoPlayer: React.FC<AdvancedVideoPlayerProps> = ({
         hlsRef.current = null;
       }
     };
-  }, [src, autoplay, isLive]);
+  }, [playbackSrc, autoplay, isLive]);
 
   // Configurar event listeners do vídeo
   useEffect(() => {
@@ -469,9 +472,9 @@ const AdvancedVideoPlayer: React.FC<AdvancedVideoPlayerProps> = ({
   };
 
   const handleDownload = () => {
-    if (src && !isLive) {
+    if (playbackSrc && !isLive) {
       const link = document.createElement('a');
-      link.href = src;
+      link.href = playbackSrc;
       link.download = title || 'video.mp4';
       document.body.appendChild(link);
       link.click();
@@ -1,5 +1,6 @@
 import React, { useRef, useEffect, useState } from 'react';
 import Hls from 'hls.js';
+import { useSignedPlaybackUrl } from '../utils/playbackUrl';
 import { Play, Pause, Volume2, VolumeX, Maximize, Minimize, Settings, Download, Share2, Wifi, WifiOff, Activity, Eye, Clock, RotateCcw, AlertCircle } from 'lucide-react';
 
 interface UniversalVideoPlayerProps {
@@ -118,8 +119,7 @@ const UniversalVideoPlayer: React.FC<UniversalVideoPlayerProps> = ({
     // Para vídeos SSH, usar proxy direto para melhor performance
     const videoId = src.split('/stream/')[1]?.split('?')[0];
     if (videoId) {
-      const token = localStorage.getItem('auth_token');
-      return `/api/videos-ssh/proxy-stream/${videoId}${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+      return `/api/videos-ssh/proxy-stream/${videoId}`;
     }
     
     return src;
@@ -302,13 +302,16 @@ const UniversalVideoPlayer: React.FC<UniversalVideoPlayerProps> = ({
     };
   }, [muted, onReady, onPlay, onPause, onEnded, onError, src, retryCount]);
 
+  // Caminhos do backend (/content, vídeos SSH) usam URL assinada
+  const playbackUrl = useSignedPlaybackUrl(src ? buildVideoUrl(src) : undefined);
+
   // Configurar fonte de vídeo
   useEffect(() => {
     const video = videoRef.current;
-    if (!video || !src) return;
+    if (!video || !src || !playbackUrl) return;
 
     // Construir URL do vídeo
-    let videoUrl = buildVideoUrl(src);
+    let videoUrl = playbackUrl;
     
     const fileType = getFileType(videoUrl);
 
@@ -452,19 +455,7 @@ const UniversalVideoPlayer: React.FC<UniversalVideoPlayerProps> = ({
         video.setAttribute('crossorigin', 'anonymous');
         video.src = videoUrl;
       }
-      // Para vídeos via /content, também configurar headers de autenticação
-      else if (src && src.includes('/content/')) {
-        const token = localStorage.getItem('auth_token');
-        if (token && !src.includes('auth_token=')) {
-          // Para vídeos /content, adicionar token como parâmetro
-          const urlWithToken = `${videoUrl}${videoUrl.includes('?') ? '&' : '?'}auth_token=${encodeURIComponent(token)}`;
-          video.setAttribute('crossorigin', 'anonymous');
-          video.src = urlWithToken;
-        } else {
-          video.setAttribute('crossorigin', 'anonymous');
-          video.src = videoUrl;
-        }
-      } else {
+      else {
         video.setAttribute('crossorigin', 'anonymous');
         video.src = videoUrl;
       }
@@ -489,7 +480,7 @@ const UniversalVideoPlayer: React.FC<UniversalVideoPlayerProps> = ({
         hlsRef.current = null;
       }
     };
-  }, [src, autoplay, isLive]);
+  }, [src, playbackUrl, autoplay, isLive]);
 
   // Controles de fullscreen
   useEffect(() => {
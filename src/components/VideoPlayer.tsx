@@ -89,14 +89,11 @@ const VideoPlayer: React.FC<VideoPlayerProps> = ({
     
     // Para caminhos relativos, garantir estrutura correta
     const cleanPath = url.replace(/^\/+/, ''); // Remove barras iniciais
-    const token = localStorage.getItem('auth_token');
     
-    // Verificar se já tem o prefixo 'streaming'
-    const baseUrl = cleanPath.startsWith('streaming/') ? 
+    // Verificar se já tem o prefixo 'streaming' (o player gera a URL assinada)
+    return cleanPath.startsWith('streaming/') ? 
       `/content/${cleanPath}` : 
       `/content/streaming/${cleanPath}`;
-      
-    return token ? `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}auth_token=${encodeURIComponent(token)}` : baseUrl;
   };
 
   // Configurar fonte de vídeo
@@ -2,6 +2,7 @@ import React, { createContext, useState, useContext, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { z } from 'zod';
+import { jwtDecode } from 'jwt-decode';
 
 const userSchema = z.object({
   id: z.number(),
@@ -14,14 +15,31 @@ const userSchema = z.object({
   espaco: z.number(),
   email: z.string().min(1, 'Email ou usuário é obrigatório'),
   codigo_servidor: z.number().nullable().optional(),
+  // Presente quando quem entrou é um operador do streaming
+  subusuario: z.object({ id: z.number(), perfil: z.string() }).passthrough().nullable().optional(),
+  permissoes: z.array(z.string()).optional(),
 });
 
 type User = z.infer<typeof userSchema>;
 
+// Segundo passo do login quando a conta usa (ou precisa cadastrar) 2FA
+export interface TwoFactorChallenge {
+  challenge_token: string;
+  setup_required: boolean;
+}
+
+export interface TwoFactorSetup {
+  secret: string;
+  otpauth_uri: string;
+}
+
 interface AuthContextType {
   user: User | null;
   isAuthenticated: boolean;
-  login: (email: string, password: string) => Promise<void>;
+  login: (email: string, password: string) => Promise<TwoFactorChallenge | null>;
+  verifyTwoFactor: (challengeToken: string, code: string, isRecoveryCode?: boolean) => Promise<void>;
+  setupTwoFactor: (challengeToken: string) => Promise<TwoFactorSetup>;
+  enableTwoFactor: (challengeToken: string, code: string) => Promise<string[]>;
   logout: () => Promise<void>;
   forgotPassword: (email: string) => Promise<void>;
   register: (name: string, email: string, password: string) => Promise<void>;
@@ -44,6 +62,91 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
   const [loading, setLoading] = useState(true);
   const navigate = useNavigate();
 
+  const clearSession = () => {
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('refresh_token');
+  };
+
+  // Trocar o refresh token por um novo par de tokens
+  const rotateRefreshToken = async (refreshToken: string): Promise<string | null> => {
+    try {
+      const response = await fetch('/api/auth/refresh', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ refresh_token: refreshToken }),
+      });
+
+      if (!response.ok) {
+        clearSession();
+        return null;
+      }
+
+      const data = await response.json();
+      localStorage.setItem('auth_token', data.token);
+      localStorage.setItem('refresh_token', data.refresh_token);
+      return data.token;
+    } catch (error) {
+      console.error('Erro ao renovar sessão:', error);
+      return null;
+    }
+  };
+
+  // Trocar o refresh token por um novo access token. As abas compartilham o refresh token e
+  // cada troca invalida o anterior, então uma aba por vez renova (Web Locks); quem esperava
+  // encontra o token já renovado pela outra aba e só o reaproveita.
+  const refreshSession = async (): Promise<string | null> => {
+    const refreshToken = localStorage.getItem('refresh_token');
+    if (!refreshToken) return null;
+
+    if (!('locks' in navigator)) {
+      return rotateRefreshToken(refreshToken);
+    }
+
+    return navigator.locks.request('auth_refresh', async () => {
+      const currentToken = localStorage.getItem('refresh_token');
+      if (!currentToken) return null;
+      if (currentToken !== refreshToken) {
+        return localStorage.getItem('auth_token');
+      }
+      return rotateRefreshToken(currentToken);
+    });
+  };
+
+  // Renovar o access token um minuto antes de expirar
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    let timer: ReturnType<typeof setTimeout>;
+
+    const schedule = () => {
+      const token = localStorage.getItem('auth_token');
+      if (!token) return;
+
+      try {
+        const { exp } = jwtDecode<{ exp: number }>(token);
+        const delay = Math.max(exp * 1000 - Date.now() - 60000, 5000);
+        timer = setTimeout(async () => {
+          const newToken = await refreshSession();
+          if (newToken) {
+            schedule();
+          } else {
+            setUser(null);
+            setIsAuthenticated(false);
+            navigate('/login');
+            toast.info('Sua sessão foi encerrada. Faça login novamente.');
+          }
+        }, delay);
+      } catch (error) {
+        console.error('Erro ao agendar renovação do token:', error);
+      }
+    };
+
+    schedule();
+    return () => clearTimeout(timer);
+  }, [isAuthenticated]);
+
   useEffect(() => {
     // Verificar se há token salvo
     const token = localStorage.getItem('auth_token');
@@ -75,19 +178,24 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       } else {
         const errorData = await response.json();
         if (errorData.expired) {
-          // Token expirado, fazer logout automático
-          console.log('Token expirado, fazendo logout...');
-          localStorage.removeItem('auth_token');
+          // Access token expirado, tentar renovar com o refresh token
+          const newToken = await refreshSession();
+          if (newToken) {
+            await validateToken(newToken);
+            return;
+          }
+          console.log('Sessão expirada, fazendo logout...');
+          clearSession();
           setUser(null);
           setIsAuthenticated(false);
           navigate('/login');
           return;
         }
-        localStorage.removeItem('auth_token');
+        clearSession();
       }
     } catch (error) {
       console.error('Erro ao validar token:', error);
-      localStorage.removeItem('auth_token');
+      clearSession();
     } finally {
       setLoading(false);
     }
@@ -101,46 +209,115 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     return token;
   };
 
-  const login = async (email: string, password: string) => {
-    try {
-      const response = await fetch('/api/auth/login', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email, password }),
-      });
+  // Guardar tokens e usuário retornados por um login concluído
+  const startSession = (data: any, redirect = true) => {
+    if (!data.success || !data.token || !data.user) {
+      throw new Error('Resposta inválida do servidor');
+    }
 
-      const data = await response.json();
+    localStorage.setItem('auth_token', data.token);
+    localStorage.setItem('refresh_token', data.refresh_token);
+    // Garantir que o tipo seja definido
+    const userDataWithType = {
+      ...data.user,
+      tipo: data.user.tipo || 'streaming'
+    };
+    const validatedUser = userSchema.parse(userDataWithType);
+    setUser(validatedUser);
+    setIsAuthenticated(true);
+    if (redirect) {
+      navigate('/dashboard');
+    }
+    toast.success('Login realizado com sucesso!');
+  };
 
-      if (!response.ok) {
-        throw new Error(data.error || 'Erro ao fazer login');
-      }
+  const postAuth = async (path: string, body: object, fallbackError: string) => {
+    const response = await fetch(path, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
 
-      if (data.success && data.token && data.user) {
-        localStorage.setItem('auth_token', data.token);
-        // Garantir que o tipo seja definido
-        const userDataWithType = {
-          ...data.user,
-          tipo: data.user.tipo || 'streaming'
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || fallbackError);
+    }
+    return data;
+  };
+
+  const login = async (email: string, password: string): Promise<TwoFactorChallenge | null> => {
+    try {
+      const data = await postAuth('/api/auth/login', { email, password }, 'Erro ao fazer login');
+
+      if (data.two_factor_required || data.two_factor_setup_required) {
+        return {
+          challenge_token: data.challenge_token,
+          setup_required: !!data.two_factor_setup_required,
         };
-        const validatedUser = userSchema.parse(userDataWithType);
-        setUser(validatedUser);
-        setIsAuthenticated(true);
-        navigate('/dashboard');
-        toast.success('Login realizado com sucesso!');
-      } else {
-        throw new Error('Resposta inválida do servidor');
       }
+
+      startSession(data);
+      return null;
     } catch (error: any) {
       toast.error(error.message || 'Erro ao fazer login');
       throw error;
     }
   };
 
+  const verifyTwoFactor = async (challengeToken: string, code: string, isRecoveryCode = false) => {
+    try {
+      const data = await postAuth('/api/auth/2fa/verify', {
+        challenge_token: challengeToken,
+        ...(isRecoveryCode ? { recovery_code: code } : { code }),
+      }, 'Código inválido');
+
+      startSession(data);
+      if (typeof data.recovery_codes_remaining === 'number') {
+        toast.warning(`Restam ${data.recovery_codes_remaining} códigos de recuperação`);
+      }
+    } catch (error: any) {
+      toast.error(error.message || 'Código inválido');
+      throw error;
+    }
+  };
+
+  const setupTwoFactor = async (challengeToken: string): Promise<TwoFactorSetup> => {
+    try {
+      const data = await postAuth('/api/auth/2fa/setup', { challenge_token: challengeToken }, 'Erro ao configurar 2FA');
+      return { secret: data.secret, otpauth_uri: data.otpauth_uri };
+    } catch (error: any) {
+      toast.error(error.message || 'Erro ao configurar 2FA');
+      throw error;
+    }
+  };
+
+  // Ativar o 2FA exigido pela revenda; o redirecionamento fica com a tela,
+  // que precisa exibir os códigos de recuperação antes
+  const enableTwoFactor = async (challengeToken: string, code: string): Promise<string[]> => {
+    try {
+      const data = await postAuth('/api/auth/2fa/enable', { challenge_token: challengeToken, code }, 'Código inválido');
+      startSession(data, false);
+      return data.recovery_codes || [];
+    } catch (error: any) {
+      toast.error(error.message || 'Código inválido');
+      throw error;
+    }
+  };
+
   const logout = async () => {
     try {
-      localStorage.removeItem('auth_token');
+      const token = localStorage.getItem('auth_token');
+      if (token) {
+        // Revogar a sessão no servidor; ignorar falhas de rede
+        await fetch('/api/auth/logout', {
+          method: 'POST',
+          headers: { 'Authorization': `Bearer ${token}` }
+        }).catch(() => undefined);
+      }
+      clearSession();
       setUser(null);
       setIsAuthenticated(false);
       navigate('/login');
@@ -156,8 +333,22 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
   };
 
   const forgotPassword = async (email: string) => {
-    // Função removida - recuperação de senha não é mais permitida
-    throw new Error('Recuperação de senha não é permitida');
+    const response = await fetch('/api/auth/forgot-password', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ email }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      toast.error(data.error || 'Erro ao solicitar redefinição de senha');
+      throw new Error(data.error || 'Erro ao solicitar redefinição de senha');
+    }
+
+    toast.success(data.message);
   };
 
   // Renderiza um fallback enquanto carrega a sessão
@@ -170,7 +361,7 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
   }
 
   return (
-    <AuthContext.Provider value={{ user, isAuthenticated, login, logout, forgotPassword, register, getToken }}>
+    <AuthContext.Provider value={{ user, isAuthenticated, login, verifyTwoFactor, setupTwoFactor, enableTwoFactor, logout, forgotPassword, register, getToken }}>
       {children}
     </AuthContext.Provider>
   );
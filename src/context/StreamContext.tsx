@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
 import { useAuth } from './AuthContext';
+import { useServerEvents } from '../utils/events';
 
 interface StreamPlatform {
   id: string;
@@ -209,33 +210,44 @@ export const StreamProvider: React.FC<StreamProviderProps> = ({ children }) => {
     }
   };
 
+  // Aplica o formato de GET /api/streaming/status (também enviado no evento stream.status)
+  const applyStreamStatus = (result: any) => {
+    if (result.success && result.is_live && result.transmission) {
+      const transmission = result.transmission;
+      updateStreamData({
+        isLive: true,
+        viewers: transmission.stats.viewers,
+        bitrate: transmission.stats.bitrate,
+        uptime: transmission.stats.uptime,
+        title: transmission.titulo,
+        wowzaStatus: 'online'
+      });
+    } else if (result.success && result.is_live && result.obs_stream) {
+      updateStreamData({
+        isLive: true,
+        viewers: result.obs_stream.viewers,
+        bitrate: result.obs_stream.bitrate,
+        uptime: result.obs_stream.uptime,
+        wowzaStatus: 'online'
+      });
+    } else {
+      updateStreamData({
+        isLive: false,
+        viewers: 0,
+        bitrate: 0,
+        uptime: '00:00:00',
+        wowzaStatus: 'offline'
+      });
+    }
+  };
+
   const refreshStreamStatus = async () => {
     try {
       const token = await getToken();
       const response = await fetch('/api/streaming/status', {
         headers: { Authorization: `Bearer ${token}` }
       });
-      const result = await response.json();
-
-      if (result.success && result.is_live && result.transmission) {
-        const transmission = result.transmission;
-        updateStreamData({
-          isLive: true,
-          viewers: transmission.stats.viewers,
-          bitrate: transmission.stats.bitrate,
-          uptime: transmission.stats.uptime,
-          title: transmission.titulo,
-          wowzaStatus: 'online'
-        });
-      } else {
-        updateStreamData({
-          isLive: false,
-          viewers: 0,
-          bitrate: 0,
-          uptime: '00:00:00',
-          wowzaStatus: 'offline'
-        });
-      }
+      applyStreamStatus(await response.json());
     } catch (error) {
       console.error('Erro ao atualizar status da transmissão:', error);
       updateStreamData({ wowzaStatus: 'error' });
@@ -262,14 +274,41 @@ export const StreamProvider: React.FC<StreamProviderProps> = ({ children }) => {
     return () => clearInterval(interval);
   }, [streamData.isLive, streamData.startTime]);
 
-  // Atualizar dados da transmissão periodicamente
-  useEffect(() => {
-    if (!streamData.isLive) return;
-
-    const interval = setInterval(refreshStreamStatus, 10000); // A cada 10 segundos
-
-    return () => clearInterval(interval);
-  }, [streamData.isLive]);
+  // Atualizações enviadas pelo servidor (/api/events) em vez de consultas periódicas
+  useServerEvents(['ready', 'stream.started', 'stream.stopped', 'stream.status', 'stream.viewers'], (type, data) => {
+    switch (type) {
+      case 'ready':
+        // Conexão (re)aberta: eventos perdidos enquanto estava desconectado
+        refreshStreamStatus();
+        break;
+      case 'stream.started':
+        updateStreamData({
+          isLive: true,
+          title: data.titulo || streamData.title,
+          bitrate: data.bitrate || streamData.bitrate,
+          startTime: streamData.startTime || new Date(),
+          wowzaStatus: 'online'
+        });
+        break;
+      case 'stream.stopped':
+        updateStreamData({
+          isLive: false,
+          viewers: 0,
+          uptime: '00:00:00',
+          bitrate: 0,
+          duration: 0,
+          startTime: undefined,
+          wowzaStatus: 'offline'
+        });
+        break;
+      case 'stream.status':
+        applyStreamStatus(data);
+        break;
+      case 'stream.viewers':
+        updateStreamData({ viewers: data.viewers, bitrate: data.bitrate });
+        break;
+    }
+  }, !!user);
 
   // Verificar status inicial
   useEffect(() => {
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { useAuth } from '../../context/AuthContext';
+import { useAuth, TwoFactorChallenge, TwoFactorSetup } from '../../context/AuthContext';
 import { z } from 'zod';
 
 const loginSchema = z.object({
@@ -12,7 +12,12 @@ const Login: React.FC = () => {
   const [formData, setFormData] = useState({ email: '', password: '' });
   const [errors, setErrors] = useState<{ [key: string]: string }>({});
   const [isLoading, setIsLoading] = useState(false);
-  const { login } = useAuth();
+  const [challenge, setChallenge] = useState<TwoFactorChallenge | null>(null);
+  const [twoFactorSetup, setTwoFactorSetup] = useState<TwoFactorSetup | null>(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+  const { login, verifyTwoFactor, setupTwoFactor, enableTwoFactor } = useAuth();
   const navigate = useNavigate();
 
   const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
@@ -29,7 +34,15 @@ const Login: React.FC = () => {
 
     try {
       loginSchema.parse(formData);
-      await login(formData.email, formData.password);
+      const twoFactorChallenge = await login(formData.email, formData.password);
+      if (twoFactorChallenge) {
+        // Conta com 2FA: pedir o código (ou cadastrar, se exigido pela revenda)
+        if (twoFactorChallenge.setup_required) {
+          setTwoFactorSetup(await setupTwoFactor(twoFactorChallenge.challenge_token));
+        }
+        setChallenge(twoFactorChallenge);
+        return;
+      }
       navigate('/dashboard'); // redireciona após login
     } catch (error) {
       if (error instanceof z.ZodError) {
@@ -46,6 +59,136 @@ const Login: React.FC = () => {
     }
   };
 
+  const handleTwoFactorSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!challenge) return;
+
+    setIsLoading(true);
+    setErrors({});
+
+    try {
+      if (challenge.setup_required) {
+        setRecoveryCodes(await enableTwoFactor(challenge.challenge_token, code));
+      } else {
+        await verifyTwoFactor(challenge.challenge_token, code, useRecoveryCode);
+      }
+    } catch (error) {
+      if (error instanceof Error) {
+        setErrors({ code: error.message });
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallenge(null);
+    setTwoFactorSetup(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setErrors({});
+  };
+
+  if (recoveryCodes.length > 0) {
+    return (
+      <>
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Códigos de recuperação</h1>
+          <p className="text-gray-600">
+            Guarde estes códigos em local seguro. Cada um permite um acesso caso você perca o aplicativo autenticador.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2 p-4 mb-6 bg-gray-50 border border-gray-200 rounded-md font-mono text-sm text-center">
+          {recoveryCodes.map(recoveryCode => (
+            <span key={recoveryCode}>{recoveryCode}</span>
+          ))}
+        </div>
+
+        <button
+          type="button"
+          onClick={() => navigate('/dashboard')}
+          className="w-full px-4 py-2 text-white bg-primary-600 rounded-md hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+        >
+          Continuar
+        </button>
+      </>
+    );
+  }
+
+  if (challenge) {
+    return (
+      <>
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Verificação em duas etapas</h1>
+          <p className="text-gray-600">
+            {challenge.setup_required
+              ? 'Sua revenda exige autenticação em dois fatores. Cadastre a chave abaixo no seu aplicativo autenticador.'
+              : useRecoveryCode
+                ? 'Informe um dos seus códigos de recuperação'
+                : 'Informe o código de 6 dígitos do seu aplicativo autenticador'}
+          </p>
+        </div>
+
+        {twoFactorSetup && (
+          <div className="p-4 mb-6 bg-gray-50 border border-gray-200 rounded-md text-sm">
+            <p className="text-gray-700 mb-1">Chave secreta:</p>
+            <p className="font-mono font-semibold break-all mb-3">{twoFactorSetup.secret}</p>
+            <a href={twoFactorSetup.otpauth_uri} className="text-primary-600 hover:text-primary-700 break-all">
+              Abrir no aplicativo autenticador
+            </a>
+          </div>
+        )}
+
+        <form onSubmit={handleTwoFactorSubmit} className="space-y-6">
+          <div>
+            <label htmlFor="code" className="block text-sm font-medium text-gray-700 mb-1">
+              {useRecoveryCode ? 'Código de recuperação' : 'Código'}
+            </label>
+            <input
+              id="code"
+              name="code"
+              type="text"
+              required
+              autoComplete="one-time-code"
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              className={`w-full px-4 py-2 border rounded-md focus:ring-primary-500 focus:border-primary-500 ${
+                errors.code ? 'border-red-500' : 'border-gray-300'
+              }`}
+              placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '000000'}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+            {errors.code && <p className="mt-1 text-sm text-red-600">{errors.code}</p>}
+          </div>
+
+          <button
+            type="submit"
+            className="w-full px-4 py-2 text-white bg-primary-600 rounded-md hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            disabled={isLoading}
+          >
+            {isLoading ? 'Verificando...' : challenge.setup_required ? 'Ativar e entrar' : 'Verificar'}
+          </button>
+
+          <div className="flex justify-between text-sm">
+            {!challenge.setup_required ? (
+              <button
+                type="button"
+                onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}
+                className="text-primary-600 hover:text-primary-700"
+              >
+                {useRecoveryCode ? 'Usar código do aplicativo' : 'Usar código de recuperação'}
+              </button>
+            ) : <span />}
+            <button type="button" onClick={cancelTwoFactor} className="text-gray-600 hover:text-gray-800">
+              Voltar
+            </button>
+          </div>
+        </form>
+      </>
+    );
+  }
+
   return (
     <>
       <div className="text-center mb-8">
@@ -457,12 +457,24 @@ function NovoAgendamentoForm({
                     dias_semana: frequencia === 'Dias da Semana' ? diasSemana : undefined,
                 }),
             });
-            if (!res.ok) throw new Error('Erro ao salvar agendamento');
+            if (!res.ok) {
+                const data = await res.json().catch(() => ({}));
+                if (res.status === 409 && Array.isArray(data.conflitos)) {
+                    const detalhes = data.conflitos
+                        .slice(0, 3)
+                        .map((c: { inicio_local: string; playlist_nome: string; conflito_inicio_local: string; conflito_fim_local: string }) =>
+                            `${c.inicio_local.substring(0, 16)} × ${c.playlist_nome} (${c.conflito_inicio_local.substring(11, 16)}-${c.conflito_fim_local.substring(11, 16)})`
+                        )
+                        .join('; ');
+                    throw new Error(`${data.error}: ${detalhes}`);
+                }
+                throw new Error(data.error || 'Erro ao salvar agendamento');
+            }
 
             toast.success('Agendamento criado com sucesso!');
             onClose();
         } catch (error) {
-            toast.error('Erro ao criar agendamento');
+            toast.error((error as Error).message || 'Erro ao criar agendamento');
             console.error(error);
         }
     }
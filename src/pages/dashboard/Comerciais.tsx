@@ -3,6 +3,7 @@ import { ChevronLeft, Save, Play, Trash2, Settings } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { toast } from 'react-toastify';
+import { useSignedPlaybackUrl } from '../../utils/playbackUrl';
 
 type Playlist = {
   id: number;
@@ -30,6 +31,19 @@ type ComercialConfig = {
   ativo: boolean;
 };
 
+// Prévia do vídeo com URL de reprodução assinada
+const VideoPreview: React.FC<{ url: string }> = ({ url }) => {
+  const src = useSignedPlaybackUrl(url);
+  return (
+    <video
+      src={src}
+      className="w-full h-32 object-cover rounded"
+      controls
+      preload="metadata"
+    />
+  );
+};
+
 const Comerciais: React.FC = () => {
   const { getToken } = useAuth();
   const [playlists, setPlaylists] = useState<Playlist[]>([]);
@@ -257,12 +271,9 @@ const Comerciais: React.FC = () => {
     }
     
     if (url.startsWith('/content')) {
-      const token = localStorage.getItem('auth_token');
-      return token ? `${url}${url.includes('?') ? '&' : '?'}auth_token=${encodeURIComponent(token)}` : url;
+      return url;
     } else if (url.startsWith('/')) {
-      const token = localStorage.getItem('auth_token');
-      const baseUrl = `/content${url}`;
-      return token ? `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}auth_token=${encodeURIComponent(token)}` : baseUrl;
+      return `/content${url}`;
     }
     
     return url;
@@ -505,12 +516,7 @@ const Comerciais: React.FC = () => {
                         </p>
                       )}
                       {video.url && (
-                        <video
-                          src={getVideoUrl(video.url)}
-                          className="w-full h-32 object-cover rounded"
-                          controls
-                          preload="metadata"
-                        />
+                        <VideoPreview url={getVideoUrl(video.url)} />
                       )}
                     </div>
                   ))}
@@ -3,6 +3,7 @@ import { ChevronLeft, Video, Settings, Play, Trash2, RefreshCw, AlertCircle, Che
 import { Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
+import { useServerEvents } from '../../utils/events';
 
 interface VideoConversion {
   id: number;
@@ -35,6 +36,13 @@ interface VideoConversion {
   compatibility_status?: string;
   compatibility_message?: string;
   qualidade_conversao?: string;
+  adaptive_url?: string | null;
+  abr_renditions?: Array<{
+    label: string;
+    width: number;
+    height: number;
+    bitrate: number;
+  }> | null;
 }
 
 interface Folder {
@@ -65,6 +73,8 @@ const ConversaoVideos: React.FC = () => {
   const [selectedFolder, setSelectedFolder] = useState<string>('');
   const [loading, setLoading] = useState(false);
   const [converting, setConverting] = useState<Record<number, boolean>>({});
+  // Conversões iniciadas nesta tela (id do vídeo -> nome), acompanhadas pelos eventos job.updated
+  const [watchedConversions, setWatchedConversions] = useState<Record<number, string>>({});
   const [showConversionModal, setShowConversionModal] = useState(false);
   const [selectedVideo, setSelectedVideo] = useState<VideoConversion | null>(null);
   const [conversionSettings, setConversionSettings] = useState<ConversionSettings>({
@@ -91,6 +101,28 @@ const ConversaoVideos: React.FC = () => {
     }
   }, [selectedFolder]);
 
+  // Fim das conversões acompanhadas (referência da tarefa: <id do vídeo>_<bitrate>)
+  useServerEvents(['job.updated'], (_, job) => {
+    if (job.tipo !== 'conversao') return;
+
+    const videoId = parseInt(String(job.referencia || '').split('_')[0]);
+    const nome = watchedConversions[videoId];
+    if (nome === undefined || !['concluido', 'erro', 'cancelado'].includes(job.status)) return;
+
+    setWatchedConversions(prev => {
+      const next = { ...prev };
+      delete next[videoId];
+      return next;
+    });
+
+    if (job.status === 'concluido') {
+      toast.success(`Conversão de "${nome}" concluída!`);
+    } else {
+      toast.error(`Erro na conversão de "${nome}"`);
+    }
+    loadVideos();
+  }, Object.keys(watchedConversions).length > 0);
+
   const loadFolders = async () => {
     try {
       const token = await getToken();
@@ -208,42 +240,7 @@ const ConversaoVideos: React.FC = () => {
           { ...v, status_conversao: 'em_andamento' } : v
         ));
 
-        // Verificar progresso a cada 5 segundos
-        const progressInterval = setInterval(async () => {
-          try {
-            const statusResponse = await fetch(`/api/conversion/status/${selectedVideo.id}`, {
-              headers: { Authorization: `Bearer ${token}` }
-            });
-            
-            if (statusResponse.ok) {
-              const statusData = await statusResponse.json();
-              if (statusData.success) {
-                const status = statusData.conversion_status.status;
-                
-                if (status === 'concluida') {
-                  clearInterval(progressInterval);
-                  setConverting(prev => ({ ...prev, [selectedVideo.id]: false }));
-                  toast.success(`Conversão de "${selectedVideo.nome}" concluída!`);
-                  loadVideos(); // Recarregar lista
-                } else if (status === 'erro') {
-                  clearInterval(progressInterval);
-                  setConverting(prev => ({ ...prev, [selectedVideo.id]: false }));
-                  toast.error(`Erro na conversão de "${selectedVideo.nome}"`);
-                  loadVideos();
-                }
-              }
-            }
-          } catch (error) {
-            console.error('Erro ao verificar progresso:', error);
-          }
-        }, 5000);
-
-        // Timeout de 10 minutos
-        setTimeout(() => {
-          clearInterval(progressInterval);
-          setConverting(prev => ({ ...prev, [selectedVideo.id]: false }));
-        }, 600000);
-
+        setWatchedConversions(prev => ({ ...prev, [selectedVideo.id]: selectedVideo.nome }));
       } else {
         toast.error(result.error || 'Erro ao iniciar conversão');
       }
@@ -277,6 +274,28 @@ const ConversaoVideos: React.FC = () => {
     }
   };
 
+  const removeAbrVersions = async (videoId: number) => {
+    if (!confirm('Deseja remover as versões adaptativas deste vídeo?')) return;
+
+    try {
+      const token = await getToken();
+      const response = await fetch(`/api/conversion/abr/${videoId}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      if (response.ok) {
+        toast.success('Versões adaptativas removidas com sucesso!');
+        loadVideos();
+      } else {
+        const errorData = await response.json();
+        toast.error(errorData.error || 'Erro ao remover versões adaptativas');
+      }
+    } catch (error) {
+      toast.error('Erro ao remover versões adaptativas');
+    }
+  };
+
   const openVideoPlayer = (video: VideoConversion) => {
     setCurrentVideo(video);
     setShowPlayerModal(true);
@@ -302,10 +321,9 @@ const ConversaoVideos: React.FC = () => {
     }
     
     // Todos os vídeos agora são MP4, usar proxy /content do backend
+    // (o player gera a URL assinada)
     const cleanPath = url.replace(/^\/+/, '');
-    const token = localStorage.getItem('auth_token');
-    const baseUrl = `/content/${cleanPath}`;
-    return token ? `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}auth_token=${encodeURIComponent(token)}` : baseUrl;
+    return `/content/${cleanPath}`;
   };
 
   const formatFileSize = (bytes: number): string => {
@@ -396,7 +414,8 @@ const ConversaoVideos: React.FC = () => {
       baixa: 'Baixa (480p)',
       media: 'Média (720p)',
       alta: 'Alta (1080p)',
-      fullhd: 'Full HD (1080p+)'
+      fullhd: 'Full HD (1080p+)',
+      abr: 'Adaptativo (ABR)'
     };
     return labels[quality] || quality;
   };
@@ -599,6 +618,14 @@ const ConversaoVideos: React.FC = () => {
                               Necessário Conversão
                             </span>
                           )}
+                          {video.abr_renditions && video.abr_renditions.length > 0 && (
+                            <span
+                              className="text-xs text-purple-600 font-medium"
+                              title={video.abr_renditions.map(r => `${r.label} (${r.bitrate} kbps)`).join(', ')}
+                            >
+                              ABR: {video.abr_renditions.map(r => r.label).join(' / ')}
+                            </span>
+                          )}
                         </span>
                       </div>
                     </td>
@@ -631,6 +658,16 @@ const ConversaoVideos: React.FC = () => {
                             <Trash2 className="h-4 w-4" />
                           </button>
                         )}
+
+                        {video.adaptive_url && (
+                          <button
+                            onClick={() => removeAbrVersions(video.id)}
+                            className="text-red-600 hover:text-red-800 p-1"
+                            title="Remover versões adaptativas"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -959,7 +996,7 @@ const ConversaoVideos: React.FC = () => {
             {/* Player HTML5 Simples */}
             <div className={`w-full h-full ${isFullscreen ? 'p-0' : 'p-4 pt-16'}`}>
               <AdvancedVideoPlayer
-                src={buildVideoUrl(currentVideo.url)}
+                src={currentVideo.adaptive_url || buildVideoUrl(currentVideo.url)}
                 title={currentVideo.nome}
                 isLive={false}
                 autoplay={true}
@@ -222,8 +222,7 @@ const Dashboard: React.FC = () => {
 
     const videoId = url.split('/stream/')[1]?.split('?')[0];
     if (videoId) {
-      const token = localStorage.getItem('auth_token');
-      return `/api/videos-ssh/proxy-stream/${videoId}${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+      return `/api/videos-ssh/proxy-stream/${videoId}`;
     }
 
     return url;
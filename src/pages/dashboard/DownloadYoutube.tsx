@@ -2,6 +2,7 @@ import React, { useEffect, useState } from 'react';
 import { toast } from 'react-toastify';
 import { Download, Youtube, CheckCircle, AlertCircle, Loader, RefreshCw, X, Play, Clock, HardDrive, Eye, Info } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
+import { useServerEvents } from '../../utils/events';
 
 type Folder = {
   id: number;
@@ -20,7 +21,7 @@ interface VideoInfo {
 
 interface DownloadStatus {
   downloading: boolean;
-  status: 'idle' | 'downloading' | 'uploading' | 'completed' | 'error';
+  status: 'idle' | 'queued' | 'downloading' | 'uploading' | 'completed' | 'error' | 'cancelled';
   progress: number;
   filename?: string;
   video_title?: string;
@@ -28,6 +29,7 @@ interface DownloadStatus {
   error?: string;
   final_size?: number;
   video_id?: number;
+  job_id?: number;
 }
 
 interface RecentDownload {
@@ -63,17 +65,15 @@ export default function BaixarYoutube() {
   useEffect(() => {
     loadFolders();
     loadRecentDownloads();
-    
-    // Verificar status de download a cada 5 segundos se estiver baixando
-    const interval = setInterval(() => {
-      if (downloading) {
-        checkDownloadStatus();
-      }
-    }, 5000);
-
-    return () => clearInterval(interval);
   }, [getToken]);
 
+  // Progresso do download chega pelos eventos da fila de tarefas
+  useServerEvents(['job.updated'], (_, job) => {
+    if (job.tipo === 'youtube') {
+      checkDownloadStatus();
+    }
+  }, downloading);
+
   const loadFolders = async () => {
     try {
       const token = await getToken();
@@ -342,7 +342,8 @@ export default function BaixarYoutube() {
             <div className="flex items-center">
               <Loader className="h-5 w-5 text-blue-600 animate-spin mr-3" />
               <h2 className="text-lg font-semibold text-blue-800">
-                {downloadStatus.status === 'downloading' ? 'Baixando do YouTube' :
+                {downloadStatus.status === 'queued' ? 'Aguardando na Fila' :
+                 downloadStatus.status === 'downloading' ? 'Baixando do YouTube' :
                  downloadStatus.status === 'uploading' ? 'Enviando para Servidor' :
                  'Processando Download'}
               </h2>
@@ -384,7 +385,8 @@ export default function BaixarYoutube() {
               <div className="flex items-center">
                 <Download className="h-4 w-4 text-blue-600 mr-2" />
                 <span className="text-blue-700">
-                  Status: {downloadStatus.status === 'downloading' ? 'Baixando' :
+                  Status: {downloadStatus.status === 'queued' ? 'Na fila' :
+                          downloadStatus.status === 'downloading' ? 'Baixando' :
                           downloadStatus.status === 'uploading' ? 'Enviando' : 'Processando'}
                 </span>
               </div>
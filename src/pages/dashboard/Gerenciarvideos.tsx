@@ -27,6 +27,7 @@ interface Video {
   compatibility_message?: string;
   codec_compatible?: boolean;
   format_compatible?: boolean;
+  adaptive_url?: string | null;
 }
 
 interface Folder {
@@ -260,6 +261,59 @@ const GerenciarVideos: React.FC = () => {
     }
   };
 
+  // Upload retomável em blocos: falhas de rede retomam do último offset salvo no servidor
+  const uploadResumable = async (file: File, token: string | null, onProgress: (progress: number) => void) => {
+    const headers = { Authorization: `Bearer ${token}` };
+    const createResponse = await fetch('/api/videos/uploads', {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ nome: file.name, tamanho: file.size, folder_id: selectedFolder })
+    });
+    if (!createResponse.ok) return createResponse;
+
+    const session = await createResponse.json();
+    const sessionUrl = `/api/videos/uploads/${session.id}`;
+    let offset: number = session.offset;
+    let failures = 0;
+
+    while (offset < file.size) {
+      try {
+        const response = await fetch(sessionUrl, {
+          method: 'PUT',
+          headers: {
+            ...headers,
+            'Content-Type': 'application/offset+octet-stream',
+            'Upload-Offset': String(offset)
+          },
+          body: file.slice(offset, offset + session.chunk_size)
+        });
+
+        if (!response.ok && response.status !== 409) {
+          // Erros do cliente (sessão expirada, bloco inválido) não adiantam repetir
+          if (response.status < 500) return response;
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        // 409: o servidor informa de onde continuar
+        const data = await response.json();
+        offset = data.offset;
+        failures = 0;
+        onProgress(Math.floor((offset / file.size) * 100));
+      } catch (error) {
+        failures++;
+        if (failures > 5) throw error;
+
+        await new Promise(resolve => setTimeout(resolve, failures * 2000));
+        const statusResponse = await fetch(sessionUrl, { method: 'HEAD', headers }).catch(() => null);
+        if (statusResponse?.ok) {
+          offset = parseInt(statusResponse.headers.get('Upload-Offset') || String(offset));
+        }
+      }
+    }
+
+    return fetch(`${sessionUrl}/finalize`, { method: 'POST', headers });
+  };
+
   const handleFileUpload = async (event: React.ChangeEvent<HTMLInputElement>) => {
     const files = event.target.files;
     if (!files || files.length === 0) return;
@@ -282,14 +336,12 @@ const GerenciarVideos: React.FC = () => {
 
       for (let i = 0; i < files.length; i++) {
         const file = files[i];
-        const formData = new FormData();
-        formData.append('video', file);
 
         try {
-          const response = await fetch(`/api/videos/upload?folder_id=${selectedFolder}`, {
-            method: 'POST',
-            headers: { Authorization: `Bearer ${token}` },
-            body: formData
+          const response = await uploadResumable(file, token, (progress) => {
+            setUploadProgress(prev => prev.map(p =>
+              p.fileName === file.name ? { ...p, progress } : p
+            ));
           });
 
           if (response.ok) {
@@ -482,8 +534,9 @@ const GerenciarVideos: React.FC = () => {
     const loadUrls = async () => {
       const directUrl = await buildWowzaDirectUrl(currentVideo);
       const hlsUrl = await buildWowzaHLSUrl(currentVideo);
-      setVideoUrl(directUrl);
-      setVideoHlsUrl(hlsUrl);
+      // Vídeos com versões ABR tocam pela playlist adaptativa
+      setVideoUrl(currentVideo.adaptive_url || directUrl);
+      setVideoHlsUrl(currentVideo.adaptive_url || hlsUrl);
     };
 
     loadUrls();
@@ -4,6 +4,7 @@ import { Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
 import { useStream } from '../../context/StreamContext';
+import { useServerEvents } from '../../utils/events';
 import UniversalVideoPlayer from '../../components/UniversalVideoPlayer';
 
 interface Platform {
@@ -133,12 +134,39 @@ const IniciarTransmissao: React.FC = () => {
   useEffect(() => {
     loadInitialData();
     checkStreamStatus();
-
-    // Atualizar status a cada 30 segundos
-    const interval = setInterval(checkStreamStatus, 30000);
-    return () => clearInterval(interval);
   }, []);
 
+  // Status enviado pelo servidor (/api/events) em vez de consultas periódicas; o contexto de
+  // stream assina os mesmos eventos, então aqui só o estado da página é atualizado
+  useServerEvents(['ready', 'stream.started', 'stream.stopped', 'stream.status', 'stream.viewers'], (type, data) => {
+    switch (type) {
+      case 'stream.status':
+        setStreamStatus(data);
+        break;
+      case 'stream.viewers':
+        setStreamStatus(prev => {
+          if (!prev) return prev;
+          if (data.stream_type === 'obs' && prev.obs_stream) {
+            return { ...prev, obs_stream: { ...prev.obs_stream, viewers: data.viewers, bitrate: data.bitrate, uptime: data.uptime } };
+          }
+          if (prev.transmission) {
+            return {
+              ...prev,
+              transmission: {
+                ...prev.transmission,
+                stats: { ...prev.transmission.stats, viewers: data.viewers, bitrate: data.bitrate, uptime: data.uptime }
+              }
+            };
+          }
+          return prev;
+        });
+        break;
+      default:
+        // Conexão (re)aberta ou início/fim: os eventos não trazem o status completo
+        loadStreamStatus();
+    }
+  });
+
   const loadInitialData = async () => {
     try {
       await Promise.all([
@@ -208,7 +236,7 @@ const IniciarTransmissao: React.FC = () => {
     }
   };
 
-  const checkStreamStatus = async () => {
+  const loadStreamStatus = async () => {
     try {
       const token = await getToken();
       const response = await fetch('/api/streaming/status', {
@@ -216,14 +244,18 @@ const IniciarTransmissao: React.FC = () => {
       });
       const data = await response.json();
       setStreamStatus(data);
-
-      // Atualizar contexto de stream
-      refreshStreamStatus();
     } catch (error) {
       console.error('Erro ao verificar status:', error);
     }
   };
 
+  const checkStreamStatus = async () => {
+    await loadStreamStatus();
+
+    // Atualizar contexto de stream
+    refreshStreamStatus();
+  };
+
   const handleStartTransmission = async () => {
     if (!settings.titulo || !settings.playlist_id) {
       toast.error('Título e playlist são obrigatórios');
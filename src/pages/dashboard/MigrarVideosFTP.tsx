@@ -3,6 +3,7 @@ import { ChevronLeft, Server, Upload, Eye, EyeOff, AlertCircle, CheckCircle, Dow
 import { Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
+import { useServerEvents } from '../../utils/events';
 
 interface FTPConnection {
   ip: string;
@@ -40,7 +41,7 @@ interface MigrationProgress {
 
 interface MigrationStatus {
   migrating: boolean;
-  status: 'idle' | 'migrating' | 'completed' | 'error' | 'cancelled';
+  status: 'idle' | 'queued' | 'migrating' | 'completed' | 'error' | 'cancelled';
   progress: number;
   completed: number;
   total: number;
@@ -48,6 +49,7 @@ interface MigrationStatus {
   uptime: number;
   total_size: number;
   estimated_remaining: number;
+  job_id?: number;
 }
 
 const MigrarVideosFTP: React.FC = () => {
@@ -79,17 +81,15 @@ const MigrarVideosFTP: React.FC = () => {
   useEffect(() => {
     loadFolders();
     checkConnectionStatus();
-    
-    // Verificar status de migração a cada 5 segundos se estiver migrando
-    const interval = setInterval(() => {
-      if (isMigrating) {
-        checkMigrationStatus();
-      }
-    }, 5000);
-
-    return () => clearInterval(interval);
   }, []);
 
+  // Progresso da migração chega pelos eventos da fila de tarefas
+  useServerEvents(['job.updated'], (_, job) => {
+    if (job.tipo === 'ftp_migracao') {
+      checkMigrationStatus();
+    }
+  }, isMigrating);
+
   const checkConnectionStatus = async () => {
     try {
       const token = await getToken();
@@ -966,7 +966,7 @@ const MigrarVideosFTP: React.FC = () => {
                     </div>
                   </div>
 
-                  {migrationStatus.status === 'migrating' && (
+                  {(migrationStatus.status === 'migrating' || migrationStatus.status === 'queued') && (
                     <div className="text-center">
                       <button
                         onClick={cancelMigration}
@@ -1,5 +1,5 @@
 import React, { useEffect, useState } from 'react';
-import { ChevronDown, ChevronRight, PlusCircle, X, Edit2, Trash2, Play, Minimize, Maximize } from 'lucide-react';
+import { ChevronDown, ChevronRight, PlusCircle, X, Edit2, Trash2, Play, Minimize, Maximize, Volume2 } from 'lucide-react';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
 import AdvancedVideoPlayer from '../../components/AdvancedVideoPlayer';
@@ -90,10 +90,9 @@ const Playlists: React.FC = () => {
     
 
     // Todos os vídeos agora são MP4, usar proxy /content do backend
+    // (o player gera a URL assinada)
     const cleanPath = url.replace(/^\/+/, ''); // Remove barras iniciais
-    const token = localStorage.getItem('auth_token');
-    const baseUrl = `/content/${cleanPath}`;
-    return token ? `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}auth_token=${encodeURIComponent(token)}` : baseUrl;
+    return `/content/${cleanPath}`;
   };
 
   // Função otimizada para vídeos SSH
@@ -102,8 +101,7 @@ const Playlists: React.FC = () => {
     
     const videoId = url.split('/stream/')[1]?.split('?')[0];
     if (videoId) {
-      const token = localStorage.getItem('auth_token');
-      return `/api/videos-ssh/proxy-stream/${videoId}${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+      return `/api/videos-ssh/proxy-stream/${videoId}`;
     }
     
     return url;
@@ -350,6 +348,32 @@ const Playlists: React.FC = () => {
     });
   };
 
+  // Normaliza o volume (EBU R128, -23 LUFS) de todos os vídeos da playlist
+  const normalizarPlaylist = async (playlist: Playlist) => {
+    try {
+      const token = await getToken();
+      const response = await fetch(`/api/playlists/${playlist.id}/normalize`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ loudness_target: -23 }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        toast.error(data.details || data.error || 'Erro ao normalizar playlist');
+        return;
+      }
+
+      toast.success(data.message);
+    } catch (error) {
+      toast.error('Erro ao normalizar playlist');
+      console.error('Erro na normalização:', error);
+    }
+  };
+
   const executarDelecaoPlaylist = async () => {
     const { playlist } = modalConfirmacao;
     if (!playlist) return;
@@ -778,6 +802,13 @@ const Playlists: React.FC = () => {
                   >
                     <Edit2 size={16} />
                   </button>
+                  <button
+                    title="Normalizar volume (-23 LUFS)"
+                    onClick={() => normalizarPlaylist(playlist)}
+                    className="hover:text-blue-800 transition"
+                  >
+                    <Volume2 size={16} />
+                  </button>
                   <button
                     title="Deletar"
                     onClick={() => confirmarDeletarPlaylist(playlist)}
@@ -3,6 +3,7 @@ import { ChevronLeft, Radio, Play, Square, AlertCircle, CheckCircle, ExternalLin
 import { Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
+import { useServerEvents } from '../../utils/events';
 
 interface RelayStatus {
   id: string;
@@ -43,17 +44,13 @@ const RelayRTMP: React.FC = () => {
   useEffect(() => {
     loadInitialData();
     checkRelayStatus();
-    
-    // Atualizar status a cada 30 segundos se relay estiver ativo
-    const interval = setInterval(() => {
-      if (relayStatus?.relay_status === 'ativo') {
-        checkRelayStatus();
-      }
-    }, 30000);
-
-    return () => clearInterval(interval);
   }, []);
 
+  // Início, parada e falhas do relay chegam pelos eventos do servidor
+  useServerEvents(['relay.status'], () => {
+    checkRelayStatus();
+  });
+
   const loadInitialData = async () => {
     try {
       const token = await getToken();
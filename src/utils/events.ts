@@ -0,0 +1,144 @@
+import { useEffect, useRef } from 'react';
+
+// Eventos publicados em /api/events
+export type ServerEventType =
+  | 'ready'
+  | 'job.updated'
+  | 'relay.status'
+  | 'stream.started'
+  | 'stream.stopped'
+  | 'stream.status'
+  | 'stream.viewers'
+  | 'session.revoked';
+
+type ServerEventHandler = (data: any) => void;
+
+const RECONNECT_MIN_MS = 2000;
+const RECONNECT_MAX_MS = 30000;
+
+const handlers = new Map<ServerEventType, Set<ServerEventHandler>>();
+let controller: AbortController | null = null;
+let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+let reconnectDelay = RECONNECT_MIN_MS;
+
+const listenerCount = () => [...handlers.values()].reduce((total, set) => total + set.size, 0);
+
+const dispatch = (type: string, rawData: string) => {
+  const listeners = handlers.get(type as ServerEventType);
+  if (!listeners || listeners.size === 0) return;
+
+  let data: any = {};
+  try {
+    data = rawData ? JSON.parse(rawData) : {};
+  } catch (error) {
+    console.error('Evento inválido recebido do servidor:', error);
+    return;
+  }
+  listeners.forEach(handler => handler(data));
+};
+
+// Lê o corpo text/event-stream e separa os blocos "event:"/"data:"
+const readStream = async (body: ReadableStream<Uint8Array>) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop() || '';
+
+    for (const block of blocks) {
+      let type = 'message';
+      const data: string[] = [];
+      for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith('event:')) type = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+      }
+      if (data.length > 0) dispatch(type, data.join('\n'));
+    }
+  }
+};
+
+const scheduleReconnect = () => {
+  if (reconnectTimer || listenerCount() === 0) return;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, reconnectDelay);
+  reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+};
+
+// fetch em vez de EventSource para enviar o token no cabeçalho (nunca na URL)
+const connect = async () => {
+  const token = localStorage.getItem('auth_token');
+  if (!token || controller) return;
+
+  const current = new AbortController();
+  controller = current;
+
+  try {
+    const response = await fetch('/api/events', {
+      headers: { Authorization: `Bearer ${token}`, Accept: 'text/event-stream' },
+      signal: current.signal
+    });
+
+    if (!response.ok || !response.body) {
+      throw new Error(`Conexão de eventos recusada (${response.status})`);
+    }
+
+    reconnectDelay = RECONNECT_MIN_MS;
+    await readStream(response.body);
+  } catch (error) {
+    if (!current.signal.aborted) {
+      console.warn('Conexão de eventos interrompida:', error);
+    }
+  } finally {
+    if (controller === current) {
+      controller = null;
+      if (!current.signal.aborted) scheduleReconnect();
+    }
+  }
+};
+
+const disconnect = () => {
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  controller?.abort();
+  controller = null;
+};
+
+// Uma única conexão é compartilhada por todos os assinantes e fechada quando o último sai
+export const subscribeServerEvents = (types: ServerEventType[], handler: ServerEventHandler) => {
+  types.forEach(type => {
+    if (!handlers.has(type)) handlers.set(type, new Set());
+    handlers.get(type)!.add(handler);
+  });
+  connect();
+
+  return () => {
+    types.forEach(type => handlers.get(type)?.delete(handler));
+    if (listenerCount() === 0) disconnect();
+  };
+};
+
+// Hook: o handler mais recente é sempre usado, sem reabrir a assinatura a cada render
+export const useServerEvents = (types: ServerEventType[], handler: (type: ServerEventType, data: any) => void, enabled = true) => {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+  const typesKey = types.join(',');
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const unsubscribers = types.map(type =>
+      subscribeServerEvents([type], data => handlerRef.current(type, data))
+    );
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [typesKey, enabled]);
+};
@@ -0,0 +1,70 @@
+import { useEffect, useState } from 'react';
+
+// Caminhos servidos pelo backend que exigem URL de reprodução assinada
+const SIGNED_PATHS = [/^\/content\//, /^\/api\/videos-ssh\/(proxy-)?stream\/[^/?]+/];
+
+// Renovar a URL um pouco antes de expirar
+const RENEW_MARGIN_MS = 60 * 1000;
+
+const signedCache = new Map<string, { url: string; token: string | null; expiresAt: number }>();
+
+export const needsSignedUrl = (url?: string) =>
+  !!url && SIGNED_PATHS.some(pattern => pattern.test(url)) && !/[?&]sig=/.test(url);
+
+// Troca um caminho de vídeo por uma URL assinada e com validade (o token de login nunca vai na URL)
+export const signPlaybackUrl = async (url: string): Promise<string> => {
+  if (!needsSignedUrl(url)) return url;
+
+  const path = url.split('?')[0];
+  const token = localStorage.getItem('auth_token');
+  const cached = signedCache.get(path);
+  if (cached && cached.token === token && cached.expiresAt - RENEW_MARGIN_MS > Date.now()) {
+    return cached.url;
+  }
+
+  const response = await fetch('/api/video-stream/signed-url', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify({ url: path })
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Erro ao gerar URL de reprodução');
+  }
+
+  const data = await response.json();
+  signedCache.set(path, { url: data.url, token, expiresAt: new Date(data.expires_at).getTime() });
+  return data.url;
+};
+
+// URL pronta para <video src>; fica indefinida enquanto a assinatura é gerada
+export const useSignedPlaybackUrl = (url?: string) => {
+  const [signedUrl, setSignedUrl] = useState<string | undefined>(needsSignedUrl(url) ? undefined : url);
+
+  useEffect(() => {
+    if (!url || !needsSignedUrl(url)) {
+      setSignedUrl(url);
+      return;
+    }
+
+    let cancelled = false;
+    setSignedUrl(undefined);
+    signPlaybackUrl(url)
+      .then(result => {
+        if (!cancelled) setSignedUrl(result);
+      })
+      .catch(error => {
+        console.error('Erro ao gerar URL de reprodução:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  return signedUrl;
+};